@@ -0,0 +1,223 @@
+// AI tags: the free-form descriptive tags Smart Match and the bulk AI tag job
+// attach to recipes ("weeknight friendly", "reheats well"). Each is kept once
+// per recipe in recipe_ai_tags (migration 019), normalized, with how many
+// times the AI has suggested it, when it was first and last suggested, and
+// which features did. meals.ai_tags mirrors the list, strongest first, for
+// search, chat and dietary screening.
+//
+// A tag's weight (0-1) is how much to trust it: reinforcement (suggested once
+// is 0.2, FULL_CONFIDENCE_COUNT times or more is 1), halved for every
+// HALF_LIFE_DAYS since it was last suggested. Quick Pick adds up the weights
+// of the tags that match; pruning drops tags that have faded below
+// MIN_WEIGHT and the weaker side of contradicting pairs.
+
+const { pool } = require('./database');
+const { singularize } = require('./ingredients');
+
+const FULL_CONFIDENCE_COUNT = 5;
+const HALF_LIFE_DAYS = 90;
+const MIN_WEIGHT = 0.05;
+const MAX_TAG_LENGTH = 100;
+
+// Tags that can't both describe one recipe. When a recipe has both sides the
+// lower-weighted side goes; a visible tag on either side is taken as certain.
+// Equal weights are left until one side is suggested again.
+const CONTRADICTIONS = [
+  [['light'], ['heavy', 'rich', 'indulgent']],
+  [['quick', 'fast', 'weeknight'], ['slow', 'long', 'time consuming', 'all day', 'weekend project']],
+  [['mild'], ['spicy', 'hot']],
+  [['easy', 'simple', 'beginner friendly'], ['complex', 'advanced', 'challenging']],
+  [['budget friendly', 'cheap', 'inexpensive'], ['expensive', 'pricey', 'splurge']],
+  [['make ahead', 'freezable', 'reheat well', 'leftover well'], ['serve immediately', 'best fresh']],
+  [['vegetarian', 'vegan', 'meatless'], ['meaty', 'meat heavy']],
+  [['no cook'], ['baked', 'roasted', 'grilled', 'fried']]
+].map(sides => sides.map(terms => terms.map(normalizeAiTag)));
+
+// "Reheats-Well!" and "reheat well" are the same tag: lowercase, words only,
+// each word singular
+function normalizeAiTag(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .map(singularize)
+    .join(' ');
+}
+
+// A recipe_ai_tags row's weight as SQL, for the row aliased `alias`
+function aiTagWeightSQL(alias) {
+  return `(LEAST(${alias}.count, ${FULL_CONFIDENCE_COUNT})::float / ${FULL_CONFIDENCE_COUNT}
+    * POWER(0.5, EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - ${alias}.last_seen_at)) / ${HALF_LIFE_DAYS * 86400}))`;
+}
+
+// Point meals.ai_tags at recipe_ai_tags again, strongest first
+async function syncMealAiTags(client, mealIds) {
+  if (mealIds.length === 0) return;
+  await client.query(`
+    UPDATE meals m
+    SET ai_tags = ARRAY(
+          SELECT t.tag FROM recipe_ai_tags t
+          WHERE t.meal_id = m.id
+          ORDER BY t.count DESC, t.last_seen_at DESC, t.tag
+        ),
+        ai_tag_metadata = jsonb_set(COALESCE(ai_tag_metadata, '{}'::jsonb), '{last_updated}', to_jsonb(now()))
+    WHERE m.id = ANY($1::int[])
+  `, [mealIds]);
+}
+
+// A household's AI tags (or one recipe's), each with its weight and the
+// recipe's name and visible tags
+async function loadAiTags(client, { householdId, mealId }) {
+  const result = await client.query(`
+    SELECT t.*, ${aiTagWeightSQL('t')} as weight, m.name, m.tags
+    FROM recipe_ai_tags t
+    JOIN meals m ON m.id = t.meal_id
+    WHERE m.household_id = $1 AND ($2::int IS NULL OR m.id = $2)
+    ORDER BY t.meal_id, weight DESC, t.tag
+  `, [householdId, mealId || null]);
+  return result.rows;
+}
+
+// Whether a normalized tag says one of the terms ("quick weeknight dinner"
+// says "weeknight")
+function saysAny(tag, terms) {
+  return terms.some(term => ` ${tag} `.includes(` ${term} `));
+}
+
+// Which of one recipe's AI tag rows should go: [{ row, reason }]
+function tagsToPrune(rows) {
+  const removed = new Map();
+  for (const row of rows) {
+    if (row.weight < MIN_WEIGHT) removed.set(row.tag, { row, reason: 'stale' });
+  }
+
+  const visible = (rows[0].tags || []).map(normalizeAiTag);
+  const live = rows.filter(row => !removed.has(row.tag));
+  for (const [sideA, sideB] of CONTRADICTIONS) {
+    const a = live.filter(row => saysAny(row.tag, sideA));
+    const b = live.filter(row => saysAny(row.tag, sideB));
+    const visibleA = visible.some(tag => saysAny(tag, sideA));
+    const visibleB = visible.some(tag => saysAny(tag, sideB));
+    if (!(a.length > 0 || visibleA) || !(b.length > 0 || visibleB) || (visibleA && visibleB)) continue;
+
+    const strength = side => Math.max(0, ...side.map(row => row.weight));
+    let losers = [];
+    let winner = null;
+    if (visibleA) {
+      [losers, winner] = [b, visible.find(tag => saysAny(tag, sideA))];
+    } else if (visibleB) {
+      [losers, winner] = [a, visible.find(tag => saysAny(tag, sideB))];
+    } else if (strength(a) !== strength(b)) {
+      const aWins = strength(a) > strength(b);
+      losers = aWins ? b : a;
+      winner = (aWins ? a : b)[0].tag;
+    }
+    for (const row of losers) {
+      if (!removed.has(row.tag)) removed.set(row.tag, { row, reason: `contradicts "${winner}"` });
+    }
+  }
+  return [...removed.values()];
+}
+
+// Drop stale and contradicted AI tags from a household's recipes, or just
+// one recipe's. Returns [{ mealId, name, tag, weight, reason }].
+async function pruneAiTags({ householdId, mealId }, client = pool) {
+  const rows = await loadAiTags(client, { householdId, mealId });
+  const byMeal = new Map();
+  for (const row of rows) {
+    if (!byMeal.has(row.meal_id)) byMeal.set(row.meal_id, []);
+    byMeal.get(row.meal_id).push(row);
+  }
+
+  const removed = [];
+  for (const [id, mealRows] of byMeal) {
+    const prune = tagsToPrune(mealRows);
+    if (prune.length === 0) continue;
+    await client.query(
+      'DELETE FROM recipe_ai_tags WHERE meal_id = $1 AND tag = ANY($2::text[])',
+      [id, prune.map(({ row }) => row.tag)]
+    );
+    removed.push(...prune.map(({ row, reason }) => ({ mealId: id, name: row.name, tag: row.tag, weight: row.weight, reason })));
+  }
+  await syncMealAiTags(client, [...new Set(removed.map(tag => tag.mealId))]);
+  return removed;
+}
+
+// Save AI tags suggested for a recipe by `source` (the ai_usage feature, e.g.
+// 'smart_match'). A tag it already has is reinforced rather than repeated;
+// then the recipe's tags are pruned. Returns the normalized tags.
+async function recordAiTags(meal, tags, source) {
+  const normalized = [...new Set((tags || [])
+    .map(normalizeAiTag)
+    .filter(tag => tag && tag.length <= MAX_TAG_LENGTH))];
+  if (normalized.length === 0) return [];
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`
+      INSERT INTO recipe_ai_tags (meal_id, tag, sources)
+      SELECT $1, tag, ARRAY[$3::text] FROM unnest($2::text[]) AS tag
+      ON CONFLICT (meal_id, tag) DO UPDATE SET
+        count = recipe_ai_tags.count + 1,
+        last_seen_at = CURRENT_TIMESTAMP,
+        sources = CASE WHEN $3::text = ANY(recipe_ai_tags.sources) THEN recipe_ai_tags.sources
+                       ELSE array_append(recipe_ai_tags.sources, $3::text) END
+    `, [meal.id, normalized, source]);
+    await pruneAiTags({ householdId: meal.household_id, mealId: meal.id }, client);
+    await syncMealAiTags(client, [meal.id]);
+    await client.query('COMMIT');
+    return normalized;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Rename an AI tag on all of a household's recipes (tag merges), folding it
+// into the new name's row where a recipe has both; to = null removes it.
+// Returns the ids of the recipes that had it.
+async function renameAiTag(client, householdId, from, to) {
+  const fromTag = normalizeAiTag(from);
+  const toTag = to === null ? null : normalizeAiTag(to);
+  const result = await client.query(`
+    SELECT t.* FROM recipe_ai_tags t
+    JOIN meals m ON m.id = t.meal_id
+    WHERE m.household_id = $1 AND t.tag = $2
+  `, [householdId, fromTag]);
+  const mealIds = result.rows.map(row => row.meal_id);
+  if (mealIds.length === 0 || fromTag === toTag) return mealIds;
+
+  if (toTag) {
+    await client.query(`
+      INSERT INTO recipe_ai_tags (meal_id, tag, count, sources, first_seen_at, last_seen_at)
+      SELECT meal_id, $3, count, sources, first_seen_at, last_seen_at
+      FROM recipe_ai_tags
+      WHERE meal_id = ANY($1::int[]) AND tag = $2
+      ON CONFLICT (meal_id, tag) DO UPDATE SET
+        count = recipe_ai_tags.count + EXCLUDED.count,
+        sources = ARRAY(SELECT DISTINCT unnest(recipe_ai_tags.sources || EXCLUDED.sources)),
+        first_seen_at = LEAST(recipe_ai_tags.first_seen_at, EXCLUDED.first_seen_at),
+        last_seen_at = GREATEST(recipe_ai_tags.last_seen_at, EXCLUDED.last_seen_at)
+    `, [mealIds, fromTag, toTag]);
+  }
+  await client.query('DELETE FROM recipe_ai_tags WHERE meal_id = ANY($1::int[]) AND tag = $2', [mealIds, fromTag]);
+  await syncMealAiTags(client, mealIds);
+  return mealIds;
+}
+
+module.exports = {
+  FULL_CONFIDENCE_COUNT,
+  HALF_LIFE_DAYS,
+  MIN_WEIGHT,
+  normalizeAiTag,
+  aiTagWeightSQL,
+  syncMealAiTags,
+  loadAiTags,
+  pruneAiTags,
+  recordAiTags,
+  renameAiTag
+};
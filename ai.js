@@ -0,0 +1,416 @@
+// AI client: every model call goes through here so the model, retries and
+// JSON parsing live in one place.
+//
+// Configuration (environment):
+//   AI_PROVIDER     'anthropic' (default) or 'mock'. The mock is only used
+//                   when asked for: without ANTHROPIC_API_KEY, anthropic
+//                   calls fail with AI_NOT_CONFIGURED rather than quietly
+//                   saving canned tags and receipts as real data.
+//   AI_MODEL        model id (default claude-sonnet-4-20250514)
+//   AI_MAX_RETRIES  retries for rate limits, overloads and network errors (default 3)
+//   AI_TIMEOUT_MS   per-request timeout (default 60000)
+//   AI_MOCK_FILE    canned responses for the mock provider (default ai-mock-responses.json)
+//   AI_PRICES       JSON price overrides, e.g. {"claude-sonnet-4": {"input": 3, "output": 15}}
+//   AI_DAILY_BUDGET    USD limit per calendar day (unset = no limit, 0 = AI off)
+//   AI_MONTHLY_BUDGET  USD limit per calendar month
+//   AI_BUDGET_WARN_AT  share of a limit that counts as close to it (default 0.8)
+//
+// Every call is recorded in ai_usage with its token counts, latency, cost and
+// the household it was made for, and refused up front once a budget is used up.
+// Budgets cover the whole deployment: it's one API key and one bill.
+
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('./database');
+
+const API_URL = 'https://api.anthropic.com/v1/messages';
+const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504, 529];
+// Longest wait between retries, even when retry-after asks for more
+const MAX_RETRY_DELAY_MS = 30000;
+
+// USD per million tokens, keyed by model id prefix (longest prefix wins, so
+// dated ids like claude-sonnet-4-20250514 match their family)
+const MODEL_PRICES = {
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-opus-4-5': { input: 5, output: 25 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-haiku-4-5': { input: 1, output: 5 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 }
+};
+
+// MODEL_PRICES with the AI_PRICES overrides, read once at startup. A
+// malformed value is logged and ignored rather than failing every AI call
+// and the usage page.
+function loadPrices(value) {
+  if (!value || value.trim() === '') return MODEL_PRICES;
+  try {
+    const overrides = JSON.parse(value);
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw new Error('expected an object keyed by model id prefix');
+    }
+    for (const [model, price] of Object.entries(overrides)) {
+      const valid = price && ['input', 'output'].every(key => typeof price[key] === 'number' && price[key] >= 0);
+      if (!valid) throw new Error(`"${model}" needs numeric input and output prices`);
+    }
+    return { ...MODEL_PRICES, ...overrides };
+  } catch (error) {
+    console.error(`❌ Ignoring AI_PRICES (${error.message}); using the built-in prices`);
+    return MODEL_PRICES;
+  }
+}
+
+const PRICES = loadPrices(process.env.AI_PRICES);
+
+function config() {
+  return {
+    provider: process.env.AI_PROVIDER || 'anthropic',
+    model: process.env.AI_MODEL || DEFAULT_MODEL,
+    maxRetries: parseInt(process.env.AI_MAX_RETRIES || '3', 10),
+    timeoutMs: parseInt(process.env.AI_TIMEOUT_MS || '60000', 10),
+    mockFile: process.env.AI_MOCK_FILE || path.join(__dirname, 'ai-mock-responses.json'),
+    prices: PRICES,
+    dailyBudget: parseBudget(process.env.AI_DAILY_BUDGET),
+    monthlyBudget: parseBudget(process.env.AI_MONTHLY_BUDGET),
+    budgetWarnAt: parseFloat(process.env.AI_BUDGET_WARN_AT || '0.8')
+  };
+}
+
+// Why AI calls can't be made with these settings, or null when they can
+function configurationProblem(settings = config()) {
+  if (settings.provider === 'mock') return null;
+  if (settings.provider !== 'anthropic') return `Unknown AI_PROVIDER "${settings.provider}"`;
+  if (!process.env.ANTHROPIC_API_KEY) {
+    return 'AI is not configured: set ANTHROPIC_API_KEY (or AI_PROVIDER=mock for canned responses in development)';
+  }
+  return null;
+}
+
+function parseBudget(value) {
+  if (value === undefined || value.trim() === '') return null;
+  const budget = parseFloat(value);
+  return Number.isNaN(budget) ? null : budget;
+}
+
+function priceFor(model, prices) {
+  const prefix = Object.keys(prices)
+    .filter(key => model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  if (prefix) return prices[prefix];
+
+  // Better to over-report than record a paid call as free
+  console.warn(`No AI price for model "${model}", using ${DEFAULT_MODEL} prices`);
+  return priceFor(DEFAULT_MODEL, MODEL_PRICES);
+}
+
+// Dollar cost of one call from the API's usage field. Mock calls are free.
+function costFor({ provider, model, usage }, prices = config().prices) {
+  if (provider !== 'anthropic' || !usage) return 0;
+  const price = priceFor(model, prices);
+  return ((usage.input_tokens || 0) * price.input + (usage.output_tokens || 0) * price.output) / 1000000;
+}
+
+// One ai_usage row per complete() call, failed or not. Tracking problems are
+// logged, never thrown: they shouldn't break the feature that made the call.
+async function recordUsage({ feature, householdId, provider, model, usage, cost, latencyMs, error }) {
+  try {
+    await pool.query(
+      `INSERT INTO ai_usage (feature, household_id, estimated_cost, provider, model, input_tokens, output_tokens, latency_ms, success, error)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [
+        feature || 'unknown',
+        householdId || null,
+        cost,
+        provider,
+        model,
+        usage ? usage.input_tokens : null,
+        usage ? usage.output_tokens : null,
+        latencyMs,
+        !error,
+        error ? error.message.substring(0, 500) : null
+      ]
+    );
+  } catch (trackError) {
+    console.error('Error tracking AI usage:', trackError.message);
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function callAnthropic({ model, maxTokens, system, messages, tools, toolChoice, timeoutMs }) {
+  const body = { model, max_tokens: maxTokens, messages };
+  if (system) body.system = system;
+  if (tools) body.tools = tools;
+  if (toolChoice) body.tool_choice = toolChoice;
+
+  let response;
+  try {
+    response = await fetch(API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': process.env.ANTHROPIC_API_KEY,
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (error) {
+    // Network failures and timeouts are worth another try
+    error.retryable = true;
+    throw error;
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.error?.message || `API error: ${response.status}`);
+    error.status = response.status;
+    error.retryable = RETRYABLE_STATUSES.includes(response.status);
+    error.retryAfter = parseFloat(response.headers.get('retry-after')) || null;
+    throw error;
+  }
+
+  return {
+    text: data.content.filter(block => block.type === 'text').map(block => block.text).join('').trim(),
+    content: data.content,
+    stopReason: data.stop_reason || null,
+    model: data.model || model,
+    usage: data.usage || null
+  };
+}
+
+// Canned responses keyed by feature, falling back to "default". Values that
+// aren't strings are returned as JSON text, the way the model would send them.
+// The file is re-read on every call so it can be edited while the app runs.
+// The mock never asks for a tool.
+function callMock({ feature, model, system, messages, mockFile }) {
+  const responses = JSON.parse(fs.readFileSync(mockFile, 'utf8'));
+  const response = feature in responses ? responses[feature] : responses.default;
+  if (response === undefined) {
+    throw new Error(`No mock AI response for "${feature}" in ${mockFile}`);
+  }
+
+  const text = typeof response === 'string' ? response : JSON.stringify(response);
+  const promptLength = JSON.stringify([system || '', messages]).length;
+  return {
+    text,
+    content: [{ type: 'text', text }],
+    stopReason: 'end_turn',
+    model,
+    // Roughly four characters per token, so usage tracking has numbers to work with
+    usage: { input_tokens: Math.ceil(promptLength / 4), output_tokens: Math.ceil(text.length / 4) }
+  };
+}
+
+// Send one user message and return { text, content, stopReason, model, usage,
+// provider, cost, latencyMs }. `prompt` is plain text; pass `content` instead
+// for image blocks, or `messages` for a whole conversation. `system`, `tools`
+// and `toolChoice` go to the API as they are; `content` in the result is the
+// API's blocks, including any tool_use.
+// `feature` names the caller (same names as ai_usage) and picks the mock response.
+// `householdId` is who the call is for; its usage is billed to them.
+async function complete({ feature, householdId, prompt, content, messages, system, tools, toolChoice, maxTokens = 1024, model }) {
+  const settings = config();
+  const request = {
+    feature,
+    model: model || settings.model,
+    maxTokens,
+    system,
+    messages: messages || [{ role: 'user', content: content || prompt }],
+    tools,
+    toolChoice,
+    timeoutMs: settings.timeoutMs,
+    mockFile: settings.mockFile
+  };
+
+  const problem = configurationProblem(settings);
+  if (problem) {
+    const error = new Error(problem);
+    error.code = 'AI_NOT_CONFIGURED';
+    throw error;
+  }
+  await checkBudget(settings);
+
+  const startedAt = Date.now();
+  let response;
+  try {
+    response = await send(settings, request);
+  } catch (error) {
+    await recordUsage({
+      feature,
+      householdId,
+      provider: settings.provider,
+      model: request.model,
+      usage: null,
+      cost: 0,
+      latencyMs: Date.now() - startedAt,
+      error
+    });
+    throw error;
+  }
+
+  const result = {
+    ...response,
+    cost: costFor(response, settings.prices),
+    latencyMs: Date.now() - startedAt
+  };
+  await recordUsage({ feature, householdId, ...result });
+  return result;
+}
+
+function limitStatus(spent, limit, warnAt) {
+  if (limit === null) {
+    return { limit: null, spent, remaining: null, exceeded: false, warning: false };
+  }
+  return {
+    limit,
+    spent,
+    remaining: Math.max(limit - spent, 0),
+    exceeded: spent >= limit,
+    warning: spent >= limit * warnAt
+  };
+}
+
+// Spend so far today and this month against AI_DAILY_BUDGET/AI_MONTHLY_BUDGET
+async function budgetStatus(settings = config()) {
+  const result = await pool.query(`
+    SELECT
+      COALESCE(SUM(CASE WHEN created_at >= CURRENT_DATE THEN estimated_cost ELSE 0 END), 0) as today,
+      COALESCE(SUM(estimated_cost), 0) as month
+    FROM ai_usage
+    WHERE created_at >= date_trunc('month', CURRENT_DATE)
+  `);
+  const daily = limitStatus(parseFloat(result.rows[0].today), settings.dailyBudget, settings.budgetWarnAt);
+  const monthly = limitStatus(parseFloat(result.rows[0].month), settings.monthlyBudget, settings.budgetWarnAt);
+
+  return {
+    daily,
+    monthly,
+    exceeded: daily.exceeded || monthly.exceeded,
+    warning: daily.warning || monthly.warning
+  };
+}
+
+// Throws an error with code AI_BUDGET_EXCEEDED once a limit is reached. This
+// runs before each call, so calls already in flight can overshoot a little.
+async function checkBudget(settings) {
+  if (settings.dailyBudget === null && settings.monthlyBudget === null) return;
+
+  let status;
+  try {
+    status = await budgetStatus(settings);
+  } catch (error) {
+    // Can't read ai_usage: let the call through rather than take AI features down
+    console.error('Error checking AI budget:', error.message);
+    return;
+  }
+  if (!status.exceeded) return;
+
+  const period = status.daily.exceeded ? 'daily' : 'monthly';
+  const error = new Error(
+    `AI ${period} budget of $${status[period].limit.toFixed(2)} reached. ` +
+    `AI features are paused until ${period === 'daily' ? 'tomorrow' : 'next month'}.`
+  );
+  error.code = 'AI_BUDGET_EXCEEDED';
+  error.budget = status;
+  throw error;
+}
+
+function isBudgetExceeded(error) {
+  return Boolean(error) && error.code === 'AI_BUDGET_EXCEEDED';
+}
+
+function isNotConfigured(error) {
+  return Boolean(error) && error.code === 'AI_NOT_CONFIGURED';
+}
+
+// Milliseconds to wait before retry number `attempt` (from 0): whatever the
+// API asked for up to MAX_RETRY_DELAY_MS, else exponential backoff with jitter
+function retryDelay(error, attempt) {
+  if (error.retryAfter) return Math.min(error.retryAfter * 1000, MAX_RETRY_DELAY_MS);
+  return Math.min(500 * 2 ** attempt, 8000) + Math.random() * 250;
+}
+
+// The provider call itself, retrying transient API failures
+async function send(settings, request) {
+  if (settings.provider === 'mock') {
+    return { ...callMock(request), provider: 'mock' };
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return { ...(await callAnthropic(request)), provider: 'anthropic' };
+    } catch (error) {
+      if (!error.retryable || attempt >= settings.maxRetries) throw error;
+
+      const delay = retryDelay(error, attempt);
+      console.warn(`AI ${request.feature} call failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+// Pull the first JSON object or array out of model text. Handles ```json
+// fences and prose around the JSON; `expect` ('object' or 'array') skips
+// values of the other kind.
+function extractJSON(text, expect) {
+  const cleaned = text.replace(/```(?:json)?/gi, '').trim();
+
+  try {
+    const parsed = JSON.parse(cleaned);
+    if (!expect || (expect === 'array') === Array.isArray(parsed)) return parsed;
+  } catch (error) {
+    // Not bare JSON; scan for it below
+  }
+
+  const openers = expect === 'array' ? '[' : expect === 'object' ? '{' : '{[';
+  for (let start = 0; start < cleaned.length; start++) {
+    if (!openers.includes(cleaned[start])) continue;
+
+    const end = matchingBracket(cleaned, start);
+    if (end === -1) continue;
+    try {
+      return JSON.parse(cleaned.slice(start, end + 1));
+    } catch (error) {
+      // Bracketed prose like "[optional]"; keep looking
+    }
+  }
+
+  throw new Error(`AI response did not contain JSON: ${text.substring(0, 100)}`);
+}
+
+// Index of the bracket closing the one at `start`, skipping string contents
+function matchingBracket(text, start) {
+  const stack = [];
+  let inString = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      if (stack.pop() !== char) return -1;
+      if (stack.length === 0) return i;
+    }
+  }
+  return -1;
+}
+
+// complete() + extractJSON(): returns complete()'s result plus `data`
+async function completeJSON({ expect, ...options }) {
+  const response = await complete(options);
+  return { ...response, data: extractJSON(response.text, expect) };
+}
+
+module.exports = {
+  complete, completeJSON, extractJSON, costFor, loadPrices, retryDelay, budgetStatus,
+  isBudgetExceeded, isNotConfigured, config, configurationProblem, MODEL_PRICES
+};
@@ -0,0 +1,270 @@
+// Accounts, sessions and the middleware that guards the API.
+//
+// Passwords are hashed with scrypt. Signing in creates a session: a random
+// token whose SHA-256 is stored in the sessions table. Browsers get the token
+// as an HttpOnly cookie; scripts can send it as "Authorization: Bearer <token>".
+//
+// Configuration (environment):
+//   ADMIN_EMAIL / ADMIN_PASSWORD  first admin, created on startup when there
+//                                 are no users yet (in the first household)
+//   SESSION_DAYS                  how long a sign-in lasts (default 30)
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { pool } = require('./database');
+const { seedTags } = require('./tags');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = 'yft_session';
+const MIN_PASSWORD_LENGTH = 8;
+
+// Failed sign-ins allowed per email within LOGIN_WINDOW_MS before it's locked
+// for the rest of the window. Kept in memory: a restart clears it.
+const MAX_FAILED_LOGINS = 5;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const failedLogins = new Map();
+
+function sessionDays() {
+  return parseInt(process.env.SESSION_DAYS || '30', 10);
+}
+
+// "scrypt$<salt>$<hash>", both hex
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Problems with a new account's email/password, as a list (empty when fine)
+function validateCredentials({ email, password }) {
+  const errors = [];
+  if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(email.trim())) {
+    errors.push('a valid email is required');
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  return errors;
+}
+
+// The signed-in user as routes see it (req.user)
+function formatUser(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    isAdmin: row.is_admin,
+    householdId: row.household_id,
+    householdName: row.household_name
+  };
+}
+
+async function createUser({ email, password, householdId, isAdmin = false }) {
+  const result = await pool.query(`
+    INSERT INTO users (household_id, email, password_hash, is_admin)
+    VALUES ($1, $2, $3, $4)
+    RETURNING id, household_id, email, is_admin, created_at
+  `, [householdId, email.trim(), await hashPassword(password), isAdmin]);
+  return result.rows[0];
+}
+
+// False when currentPassword is wrong. Every other session of the user
+// (other devices, a leaked token) is signed out.
+async function changePassword(userId, currentPassword, newPassword, keepToken) {
+  const result = await pool.query('SELECT password_hash FROM users WHERE id = $1', [userId]);
+  if (result.rows.length === 0 || !(await verifyPassword(String(currentPassword || ''), result.rows[0].password_hash))) {
+    return false;
+  }
+
+  await pool.query('UPDATE users SET password_hash = $1 WHERE id = $2', [await hashPassword(newPassword), userId]);
+  await pool.query('DELETE FROM sessions WHERE user_id = $1 AND token_hash <> $2', [userId, hashToken(keepToken || '')]);
+  return true;
+}
+
+// Create a session and return its token
+async function createSession(userId) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await pool.query(
+    `INSERT INTO sessions (token_hash, user_id, expires_at)
+     VALUES ($1, $2, CURRENT_TIMESTAMP + $3::int * INTERVAL '1 day')`,
+    [hashToken(token), userId, sessionDays()]
+  );
+  return token;
+}
+
+async function destroySession(token) {
+  await pool.query('DELETE FROM sessions WHERE token_hash = $1', [hashToken(token)]);
+}
+
+function isLockedOut(email) {
+  const entry = failedLogins.get(email);
+  if (!entry) return false;
+  if (Date.now() - entry.since > LOGIN_WINDOW_MS) {
+    failedLogins.delete(email);
+    return false;
+  }
+  return entry.count >= MAX_FAILED_LOGINS;
+}
+
+function recordFailedLogin(email) {
+  const entry = failedLogins.get(email);
+  if (!entry || Date.now() - entry.since > LOGIN_WINDOW_MS) {
+    failedLogins.set(email, { count: 1, since: Date.now() });
+  } else {
+    entry.count += 1;
+  }
+}
+
+// Check an email and password. Returns { user, token } on success,
+// { locked: true } while too many recent attempts have failed, or null.
+async function login(email, password) {
+  const key = String(email || '').trim().toLowerCase();
+  if (isLockedOut(key)) return { locked: true };
+
+  const result = await pool.query(`
+    SELECT u.*, h.name as household_name
+    FROM users u
+    JOIN households h ON h.id = u.household_id
+    WHERE LOWER(u.email) = $1
+  `, [key]);
+  const row = result.rows[0];
+
+  if (!row || !(await verifyPassword(String(password || ''), row.password_hash))) {
+    recordFailedLogin(key);
+    return null;
+  }
+
+  failedLogins.delete(key);
+  await pool.query('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1', [row.id]);
+  // Expired sessions are cleaned up here rather than on a timer
+  await pool.query('DELETE FROM sessions WHERE expires_at < CURRENT_TIMESTAMP');
+  return { user: formatUser(row), token: await createSession(row.id) };
+}
+
+// Bearer token, else the session cookie
+function readToken(req) {
+  const header = req.get('authorization') || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+
+  for (const part of (req.get('cookie') || '').split(';')) {
+    const [name, ...value] = part.trim().split('=');
+    if (name === SESSION_COOKIE) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+// SameSite=Strict keeps other sites from riding the session, including on
+// the GET maintenance links like /run-tagging?confirm=yes
+function sessionCookie(token, { clear = false } = {}) {
+  const parts = [
+    `${SESSION_COOKIE}=${clear ? '' : encodeURIComponent(token)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Strict',
+    `Max-Age=${clear ? 0 : sessionDays() * 24 * 60 * 60}`
+  ];
+  if (process.env.NODE_ENV === 'production') parts.push('Secure');
+  return parts.join('; ');
+}
+
+// Sets req.user and req.householdId when the request carries a live session,
+// and req.sessionId (its sessions.token_hash) for data kept per session.
+// Never rejects; requireAuth/requireAdmin decide what needs one.
+async function authenticate(req, res, next) {
+  const token = readToken(req);
+  if (!token) return next();
+
+  try {
+    const tokenHash = hashToken(token);
+    const result = await pool.query(`
+      SELECT u.*, h.name as household_name
+      FROM sessions s
+      JOIN users u ON u.id = s.user_id
+      JOIN households h ON h.id = u.household_id
+      WHERE s.token_hash = $1 AND s.expires_at > CURRENT_TIMESTAMP
+    `, [tokenHash]);
+    if (result.rows.length > 0) {
+      req.user = formatUser(result.rows[0]);
+      req.householdId = req.user.householdId;
+      req.sessionToken = token;
+      req.sessionId = tokenHash;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+function requireAuth(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Sign in required' });
+  }
+  next();
+}
+
+function requireAdmin(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Sign in required' });
+  }
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ error: 'Admins only' });
+  }
+  next();
+}
+
+// First admin from ADMIN_EMAIL/ADMIN_PASSWORD, only while there are no users
+async function ensureAdminUser() {
+  const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+  const users = await pool.query('SELECT COUNT(*)::int as count FROM users');
+  if (users.rows[0].count > 0) return null;
+
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    console.warn('⚠️  No users yet: set ADMIN_EMAIL and ADMIN_PASSWORD to create the first admin');
+    return null;
+  }
+  const errors = validateCredentials({ email: ADMIN_EMAIL, password: ADMIN_PASSWORD });
+  if (errors.length > 0) {
+    console.warn(`⚠️  Not creating the first admin: ${errors.join(', ')}`);
+    return null;
+  }
+
+  const household = await pool.query('SELECT id FROM households ORDER BY id LIMIT 1');
+  let householdId;
+  if (household.rows.length > 0) {
+    householdId = household.rows[0].id;
+  } else {
+    householdId = (await pool.query(`INSERT INTO households (name) VALUES ('Home') RETURNING id`)).rows[0].id;
+    await seedTags(pool, householdId);
+  }
+
+  const admin = await createUser({ email: ADMIN_EMAIL, password: ADMIN_PASSWORD, householdId, isAdmin: true });
+  console.log(`👤 Created admin ${admin.email}`);
+  return admin;
+}
+
+module.exports = {
+  login,
+  createUser,
+  changePassword,
+  validateCredentials,
+  createSession,
+  destroySession,
+  sessionCookie,
+  authenticate,
+  requireAuth,
+  requireAdmin,
+  ensureAdminUser
+};
@@ -0,0 +1,485 @@
+// Chat assistant grounded in the household's own data. The model answers with
+// tools that read recipes, takeout orders, ratings and AI spend, all scoped to
+// the household asking, and cites what an answer rests on as [recipe:12] or
+// [order:34]. A citation is kept only when a tool returned that recipe or
+// order in this conversation; anything else is dropped from the answer.
+//
+// History is kept per sign-in session in chat_messages: the questions and the
+// final answers, not the tool calls in between.
+
+const { pool } = require('./database');
+const ai = require('./ai');
+const { recipeSearchSQL } = require('./search');
+
+// Past messages sent along with each question
+const HISTORY_LIMIT = 20;
+// Model calls per question; the last one has to answer without tools
+const MAX_TOOL_ROUNDS = 5;
+const MAX_MESSAGE_LENGTH = 2000;
+// Most rows a search tool returns
+const MAX_RESULTS = 15;
+
+const CITATION_PATTERN = /(\s?)\[(recipe|order):(\d+)\]/g;
+
+function systemPrompt(today) {
+  return `You are the assistant in a household food app. It keeps the household's recipes, the takeout orders they've saved, who rated what, and what the app's AI features have cost.
+
+Answer questions about that data with the tools. Look things up rather than guessing, and if the tools don't turn up an answer, say so. Never make up recipes, orders, prices or ratings.
+
+Cite each recipe or order an answer relies on right after you mention it, as [recipe:ID] or [order:ID] with the id from the tool results, e.g. "Chicken Tikka Masala [recipe:12]". Only cite ids the tools returned.
+
+Keep answers short and conversational. Use **bold** and "- " lists sparingly; no headings or tables. Today is ${today}.`;
+}
+
+function clampLimit(value, fallback = 8) {
+  return Math.min(Math.max(parseInt(value, 10) || fallback, 1), MAX_RESULTS);
+}
+
+// 'YYYY-MM-DD', or null
+function day(value) {
+  return value ? new Date(value).toISOString().slice(0, 10) : null;
+}
+
+// Remember a row a tool returned, so answers may cite it
+function cite(context, type, id, title) {
+  context.sources.set(`${type}:${id}`, { type, id, title });
+}
+
+// One "every word matches somewhere" condition per word of a search, with
+// its ILIKE pattern appended to params
+function wordConditions(query, params, matchers) {
+  const words = String(query || '').trim().split(/\s+/).filter(Boolean).slice(0, 6);
+  return words.map(word => {
+    params.push(`%${word}%`);
+    const param = `$${params.length}`;
+    return ` AND (${matchers.map(matcher => matcher(param)).join(' OR ')})`;
+  }).join('');
+}
+
+async function findPerson(householdId, name) {
+  const result = await pool.query(
+    'SELECT id, name FROM people WHERE household_id = $1 AND LOWER(name) = LOWER($2)',
+    [householdId, String(name).trim()]
+  );
+  if (result.rows.length > 0) return result.rows[0];
+
+  const people = await pool.query('SELECT name FROM people WHERE household_id = $1 ORDER BY name', [householdId]);
+  throw new Error(`No one named "${name}" in this household. People: ${people.rows.map(row => row.name).join(', ') || 'none yet'}`);
+}
+
+// What the model can call. run(context, input) gets { householdId, sources }
+// and returns what the model sees (as JSON); throwing reports the error to it.
+const TOOLS = {
+  search_recipes: {
+    description: 'Search the household\'s recipes: full text over names, tags, ingredients, directions and notes, best matches first. Leave out query to list the most cooked recipes. Returns ids, tags, how often and when each was last cooked, and the average rating.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Words that must all match, e.g. "chicken curry". Also "a phrase", -cilantro (no cilantro in the ingredients), tag:vegan and -tag:spicy' },
+        limit: { type: 'integer', description: `At most ${MAX_RESULTS}, default 8` }
+      }
+    },
+    async run(context, { query, limit }) {
+      const params = [context.householdId];
+      // Whole words, so no prefix matching for a last word "still being typed"
+      const search = query && query.trim() ? recipeSearchSQL(`${query} `, params) : null;
+      params.push(clampLimit(limit));
+
+      const result = await pool.query(`
+        SELECT m.id, m.name, m.tags, m.servings, m.total_time,
+          COALESCE(cooked.times_cooked, 0) as times_cooked, cooked.last_cooked,
+          rated.avg_rating, COALESCE(rated.ratings, 0) as ratings
+        FROM meals m
+        ${search ? search.join : ''}
+        LEFT JOIN (
+          SELECT meal_id, COUNT(*)::int as times_cooked, MAX(eaten_at) as last_cooked
+          FROM meal_events
+          GROUP BY meal_id
+        ) cooked ON cooked.meal_id = m.id
+        LEFT JOIN (
+          SELECT meal_id, ROUND(AVG(rating), 1)::float as avg_rating, COUNT(*)::int as ratings
+          FROM meal_ratings
+          GROUP BY meal_id
+        ) rated ON rated.meal_id = m.id
+        WHERE m.meal_type = 'recipe' AND m.household_id = $1${search ? search.conditions : ''}
+        ORDER BY ${search && search.rank ? `${search.rank} DESC, ` : ''}times_cooked DESC, m.name
+        LIMIT $${params.length}
+      `, params);
+
+      return result.rows.map(row => {
+        cite(context, 'recipe', row.id, row.name);
+        return {
+          id: row.id,
+          name: row.name,
+          tags: row.tags || [],
+          servings: row.servings,
+          totalTime: row.total_time,
+          timesCooked: row.times_cooked,
+          lastCooked: day(row.last_cooked),
+          avgRating: row.avg_rating,
+          ratings: row.ratings
+        };
+      });
+    }
+  },
+
+  get_recipe: {
+    description: 'One recipe in full: ingredients, directions, notes, each person\'s rating and when it was cooked.',
+    input_schema: {
+      type: 'object',
+      properties: { id: { type: 'integer' } },
+      required: ['id']
+    },
+    async run(context, { id }) {
+      const result = await pool.query(
+        `SELECT * FROM meals WHERE id = $1 AND household_id = $2 AND meal_type = 'recipe'`,
+        [parseInt(id, 10), context.householdId]
+      );
+      if (result.rows.length === 0) throw new Error(`No recipe ${id}`);
+      const recipe = result.rows[0];
+
+      const ratings = await pool.query(`
+        SELECT p.name as person, r.rating, r.notes
+        FROM meal_ratings r
+        JOIN people p ON p.id = r.person_id
+        WHERE r.meal_id = $1
+        ORDER BY p.name
+      `, [recipe.id]);
+      const cooked = await pool.query(
+        'SELECT COUNT(*)::int as times, MAX(eaten_at) as last FROM meal_events WHERE meal_id = $1',
+        [recipe.id]
+      );
+
+      cite(context, 'recipe', recipe.id, recipe.name);
+      return {
+        id: recipe.id,
+        name: recipe.name,
+        tags: recipe.tags || [],
+        servings: recipe.servings,
+        prepTime: recipe.prep_time,
+        cookTime: recipe.cook_time,
+        totalTime: recipe.total_time,
+        ingredients: (recipe.ingredients || '').substring(0, 2000),
+        directions: (recipe.directions || '').substring(0, 2000),
+        notes: recipe.notes,
+        sourceUrl: recipe.source_url,
+        ratings: ratings.rows,
+        timesCooked: cooked.rows[0].times,
+        lastCooked: day(cooked.rows[0].last)
+      };
+    }
+  },
+
+  search_orders: {
+    description: 'Search saved takeout orders by restaurant, delivery service or item name, newest first. Leave out query for the latest orders.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Words that must all appear, e.g. "pad thai"' },
+        days: { type: 'integer', description: 'Only orders from the last this many days' },
+        limit: { type: 'integer', description: `At most ${MAX_RESULTS}, default 8` }
+      }
+    },
+    async run(context, { query, days, limit }) {
+      const params = [context.householdId];
+      let conditions = wordConditions(query, params, [
+        param => `m.restaurant ILIKE ${param}`,
+        param => `m.delivery_service ILIKE ${param}`,
+        param => `EXISTS (SELECT 1 FROM meal_items mi WHERE mi.meal_id = m.id AND mi.item_name ILIKE ${param})`
+      ]);
+      if (parseInt(days, 10) > 0) {
+        params.push(parseInt(days, 10));
+        conditions += ` AND COALESCE(m.meal_date, m.created_at) >= CURRENT_TIMESTAMP - $${params.length}::int * INTERVAL '1 day'`;
+      }
+      params.push(clampLimit(limit));
+
+      const result = await pool.query(`
+        SELECT m.id, m.restaurant, m.delivery_service, m.total::float as total,
+          COALESCE(m.meal_date, m.created_at) as ordered_at,
+          COALESCE(items.names, ARRAY[]::text[]) as items,
+          rated.avg_rating
+        FROM meals m
+        LEFT JOIN (
+          SELECT meal_id, array_agg(item_name ORDER BY id) as names
+          FROM meal_items
+          GROUP BY meal_id
+        ) items ON items.meal_id = m.id
+        LEFT JOIN (
+          SELECT mi.meal_id, ROUND(AVG(r.rating), 1)::float as avg_rating
+          FROM meal_item_ratings r
+          JOIN meal_items mi ON mi.id = r.meal_item_id
+          GROUP BY mi.meal_id
+        ) rated ON rated.meal_id = m.id
+        WHERE m.meal_type = 'takeout' AND m.household_id = $1${conditions}
+        ORDER BY ordered_at DESC
+        LIMIT $${params.length}
+      `, params);
+
+      return result.rows.map(row => {
+        cite(context, 'order', row.id, row.restaurant);
+        return {
+          id: row.id,
+          restaurant: row.restaurant,
+          deliveryService: row.delivery_service,
+          orderedOn: day(row.ordered_at),
+          total: row.total,
+          items: row.items,
+          avgItemRating: row.avg_rating
+        };
+      });
+    }
+  },
+
+  get_order: {
+    description: 'One takeout order in full: each item with its price, who ate it and their ratings, plus fees, tax, tip and total.',
+    input_schema: {
+      type: 'object',
+      properties: { id: { type: 'integer' } },
+      required: ['id']
+    },
+    async run(context, { id }) {
+      const result = await pool.query(
+        `SELECT * FROM meals WHERE id = $1 AND household_id = $2 AND meal_type = 'takeout'`,
+        [parseInt(id, 10), context.householdId]
+      );
+      if (result.rows.length === 0) throw new Error(`No order ${id}`);
+      const order = result.rows[0];
+
+      const items = await pool.query(`
+        SELECT mi.id, mi.item_name, mi.price::float as price, mi.notes, p.name as eaten_by
+        FROM meal_items mi
+        LEFT JOIN people p ON p.id = mi.person_id
+        WHERE mi.meal_id = $1
+        ORDER BY mi.id
+      `, [order.id]);
+      const ratings = await pool.query(`
+        SELECT r.meal_item_id, p.name as person, r.rating
+        FROM meal_item_ratings r
+        JOIN meal_items mi ON mi.id = r.meal_item_id
+        JOIN people p ON p.id = r.person_id
+        WHERE mi.meal_id = $1
+        ORDER BY p.name
+      `, [order.id]);
+
+      const money = value => (value === null ? null : parseFloat(value));
+      cite(context, 'order', order.id, order.restaurant);
+      return {
+        id: order.id,
+        restaurant: order.restaurant,
+        address: order.address,
+        deliveryService: order.delivery_service,
+        orderedOn: day(order.meal_date || order.created_at),
+        subtotal: money(order.subtotal),
+        deliveryFee: money(order.delivery_fee),
+        serviceFee: money(order.service_fee),
+        tax: money(order.tax),
+        discount: money(order.discount),
+        tip: money(order.tip),
+        total: money(order.total),
+        items: items.rows.map(item => ({
+          name: item.item_name,
+          price: item.price,
+          eatenBy: item.eaten_by,
+          notes: item.notes,
+          ratings: ratings.rows
+            .filter(rating => rating.meal_item_id === item.id)
+            .map(({ person, rating }) => ({ person, rating }))
+        }))
+      };
+    }
+  },
+
+  get_ratings: {
+    description: 'Best (or worst) rated recipes and takeout items, for the whole household or one person.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        person: { type: 'string', description: 'A person\'s name; leave out for everyone' },
+        kind: { type: 'string', enum: ['recipes', 'takeout'], description: 'Leave out for both' },
+        lowest: { type: 'boolean', description: 'Worst rated first instead of best' },
+        limit: { type: 'integer', description: `At most ${MAX_RESULTS}, default 8` }
+      }
+    },
+    async run(context, { person, kind, lowest, limit }) {
+      const who = person ? await findPerson(context.householdId, person) : null;
+      const params = [context.householdId, who ? who.id : null, clampLimit(limit)];
+      const direction = lowest ? 'ASC' : 'DESC';
+      const ratings = { person: who ? who.name : 'everyone' };
+
+      if (kind !== 'takeout') {
+        const recipes = await pool.query(`
+          SELECT m.id, m.name, ROUND(AVG(r.rating), 1)::float as avg_rating, COUNT(*)::int as ratings
+          FROM meal_ratings r
+          JOIN meals m ON m.id = r.meal_id
+          WHERE m.household_id = $1 AND m.meal_type = 'recipe' AND ($2::int IS NULL OR r.person_id = $2)
+          GROUP BY m.id, m.name
+          ORDER BY avg_rating ${direction}, ratings DESC, m.name
+          LIMIT $3
+        `, params);
+        ratings.recipes = recipes.rows.map(row => {
+          cite(context, 'recipe', row.id, row.name);
+          return { id: row.id, name: row.name, avgRating: row.avg_rating, ratings: row.ratings };
+        });
+      }
+
+      if (kind !== 'recipes') {
+        const items = await pool.query(`
+          SELECT mi.meal_id as order_id, m.restaurant, mi.item_name, ROUND(AVG(r.rating), 1)::float as avg_rating, COUNT(*)::int as ratings
+          FROM meal_item_ratings r
+          JOIN meal_items mi ON mi.id = r.meal_item_id
+          JOIN meals m ON m.id = mi.meal_id
+          WHERE m.household_id = $1 AND ($2::int IS NULL OR r.person_id = $2)
+          GROUP BY mi.meal_id, m.restaurant, mi.id, mi.item_name
+          ORDER BY avg_rating ${direction}, ratings DESC, mi.item_name
+          LIMIT $3
+        `, params);
+        ratings.takeoutItems = items.rows.map(row => {
+          cite(context, 'order', row.order_id, row.restaurant);
+          return {
+            orderId: row.order_id,
+            restaurant: row.restaurant,
+            item: row.item_name,
+            avgRating: row.avg_rating,
+            ratings: row.ratings
+          };
+        });
+      }
+
+      return ratings;
+    }
+  },
+
+  get_ai_spend: {
+    description: 'What this household\'s AI features (receipt reading, suggestions, this chat...) have cost, by feature, plus the app-wide daily and monthly budgets.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        days: { type: 'integer', description: 'How many days back, default 30' }
+      }
+    },
+    async run(context, { days }) {
+      const lookbackDays = Math.min(Math.max(parseInt(days, 10) || 30, 1), 365);
+      const result = await pool.query(`
+        SELECT feature, COUNT(*)::int as calls, COALESCE(SUM(estimated_cost), 0)::float as cost
+        FROM ai_usage
+        WHERE household_id = $1 AND created_at >= CURRENT_TIMESTAMP - $2::int * INTERVAL '1 day'
+        GROUP BY feature
+        ORDER BY cost DESC
+      `, [context.householdId, lookbackDays]);
+      const budget = await ai.budgetStatus();
+
+      return {
+        days: lookbackDays,
+        totalCost: Math.round(result.rows.reduce((sum, row) => sum + row.cost, 0) * 10000) / 10000,
+        calls: result.rows.reduce((sum, row) => sum + row.calls, 0),
+        byFeature: result.rows,
+        // Budgets cover every household on this deployment
+        budget: {
+          daily: { limit: budget.daily.limit, spent: budget.daily.spent },
+          monthly: { limit: budget.monthly.limit, spent: budget.monthly.spent }
+        }
+      };
+    }
+  }
+};
+
+const TOOL_DEFINITIONS = Object.entries(TOOLS).map(([name, { description, input_schema }]) => ({
+  name,
+  description,
+  input_schema
+}));
+
+async function runTool(block, context) {
+  try {
+    const tool = TOOLS[block.name];
+    if (!tool) throw new Error(`Unknown tool "${block.name}"`);
+    const result = await tool.run(context, block.input || {});
+    return { type: 'tool_result', tool_use_id: block.id, content: JSON.stringify(result) };
+  } catch (error) {
+    // The model sees the failure and can try something else or say so
+    return { type: 'tool_result', tool_use_id: block.id, content: error.message, is_error: true };
+  }
+}
+
+// Keep the citations of rows the tools returned; drop any others from the text
+function resolveCitations(text, sources) {
+  const citations = [];
+  const answer = text.replace(CITATION_PATTERN, (marker, space, type, id) => {
+    const source = sources.get(`${type}:${id}`);
+    if (!source) return '';
+    if (!citations.includes(source)) citations.push(source);
+    return marker;
+  });
+  return { answer: answer.trim(), citations };
+}
+
+// The session's latest messages, oldest first: [{ role, content, citations, created_at }]
+async function loadHistory(sessionId, limit = HISTORY_LIMIT) {
+  const result = await pool.query(`
+    SELECT role, content, citations, created_at
+    FROM chat_messages
+    WHERE session_id = $1
+    ORDER BY id DESC
+    LIMIT $2
+  `, [sessionId, limit]);
+  const rows = result.rows.reverse();
+  // A conversation sent to the model has to start with the user
+  while (rows.length > 0 && rows[0].role !== 'user') rows.shift();
+  return rows;
+}
+
+async function clearHistory(sessionId) {
+  await pool.query('DELETE FROM chat_messages WHERE session_id = $1', [sessionId]);
+}
+
+// Answer one message in the session's conversation and save both to its
+// history. Returns { response, citations: [{ type, id, title }] }. Each model
+// call is recorded in ai_usage as 'chat'.
+async function askChat({ householdId, sessionId, message }) {
+  const history = await loadHistory(sessionId);
+  const context = { householdId, sources: new Map() };
+  // Rows cited earlier in the conversation can be cited again without a new lookup
+  for (const row of history) {
+    for (const source of row.citations) context.sources.set(`${source.type}:${source.id}`, source);
+  }
+
+  const messages = [
+    ...history.map(row => ({ role: row.role, content: row.content })),
+    { role: 'user', content: message }
+  ];
+  const system = systemPrompt(new Date().toISOString().slice(0, 10));
+
+  let response;
+  for (let round = 1; ; round++) {
+    response = await ai.complete({
+      feature: 'chat',
+      householdId,
+      system,
+      messages,
+      tools: TOOL_DEFINITIONS,
+      // Out of rounds: answer from what's been looked up so far
+      toolChoice: round >= MAX_TOOL_ROUNDS ? { type: 'none' } : undefined,
+      maxTokens: 1024
+    });
+    if (response.stopReason !== 'tool_use') break;
+
+    const results = [];
+    for (const block of response.content.filter(block => block.type === 'tool_use')) {
+      results.push(await runTool(block, context));
+    }
+    messages.push({ role: 'assistant', content: response.content });
+    messages.push({ role: 'user', content: results });
+  }
+
+  const { answer, citations } = resolveCitations(response.text, context.sources);
+  const reply = answer || 'Sorry, I couldn\'t come up with an answer to that.';
+
+  await pool.query(`
+    INSERT INTO chat_messages (session_id, household_id, role, content, citations)
+    VALUES ($1, $2, 'user', $3, '[]'::jsonb), ($1, $2, 'assistant', $4, $5::jsonb)
+  `, [sessionId, householdId, message, reply, JSON.stringify(citations)]);
+
+  return { response: reply, citations };
+}
+
+module.exports = { askChat, loadHistory, clearHistory, MAX_MESSAGE_LENGTH };
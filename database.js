@@ -1,181 +1,164 @@
 const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+const { parseIngredients } = require('./ingredients');
+
+const DEFAULT_TIMEZONE = 'America/Detroit';
+
+// Timestamps are stored without a zone as the household's wall-clock time, so
+// "eaten at 18:00" means 6pm at home whatever zone the database server runs
+// in. Postgres sessions use this zone for CURRENT_TIMESTAMP and CURRENT_DATE,
+// and node-pg reads the columns back in the process's zone, so both are set.
+function loadTimezone(value) {
+  if (!value) return DEFAULT_TIMEZONE;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return value;
+  } catch (error) {
+    console.error(`❌ Ignoring HOUSEHOLD_TIMEZONE (unknown zone "${value}"); using ${DEFAULT_TIMEZONE}`);
+    return DEFAULT_TIMEZONE;
+  }
+}
+
+const TIMEZONE = loadTimezone(process.env.HOUSEHOLD_TIMEZONE);
+process.env.TZ = TIMEZONE;
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+  options: `-c timezone=${TIMEZONE}`
 });
 
-// Initialize unified database tables
-async function initializeDatabase() {
-  try {
-    // Create unified meals table (replaces orders table)
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS meals (
-        id SERIAL PRIMARY KEY,
-        meal_type VARCHAR(20) NOT NULL CHECK (meal_type IN ('takeout', 'recipe')),
-        name VARCHAR(255) NOT NULL,
-        
-        -- Takeout-specific fields
-        restaurant VARCHAR(255),
-        address TEXT,
-        delivery_service VARCHAR(100),
-        subtotal DECIMAL(10, 2),
-        delivery_fee DECIMAL(10, 2),
-        service_fee DECIMAL(10, 2),
-        tax DECIMAL(10, 2),
-        discount DECIMAL(10, 2),
-        tip DECIMAL(10, 2),
-        total DECIMAL(10, 2),
-        
-        -- Recipe-specific fields
-        prep_time VARCHAR(50),
-        cook_time VARCHAR(50),
-        total_time VARCHAR(50),
-        servings VARCHAR(50),
-        ingredients TEXT,
-        directions TEXT,
-        notes TEXT,
-        source_url TEXT,
-        photo_url TEXT,
-        
-        -- Common fields for both
-        meal_date TIMESTAMP,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        overall_rating INTEGER CHECK (overall_rating >= 0 AND overall_rating <= 5),
-        tags TEXT[],
-        
-        -- AI-generated background tags (hidden from user)
-        ai_tags TEXT[] DEFAULT ARRAY[]::TEXT[],
-        ai_tag_metadata JSONB DEFAULT '{}'::JSONB
-      )
-    `);
-
-    // Create meal_items table (replaces order_items, works for both takeout items and recipe components)
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS meal_items (
-        id SERIAL PRIMARY KEY,
-        meal_id INTEGER REFERENCES meals(id) ON DELETE CASCADE,
-        item_name TEXT NOT NULL,
-        
-        -- Takeout-specific
-        price DECIMAL(10, 2),
-        assigned_to VARCHAR(50),
-        
-        -- Common fields
-        rating INTEGER CHECK (rating >= 0 AND rating <= 5),
-        notes TEXT,
-        tags TEXT[],
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create AI usage tracking table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS ai_usage (
-        id SERIAL PRIMARY KEY,
-        feature VARCHAR(50) NOT NULL,
-        estimated_cost DECIMAL(10, 4) NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create indexes for better performance
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_meals_type ON meals(meal_type);
-      CREATE INDEX IF NOT EXISTS idx_meals_date ON meals(meal_date);
-      CREATE INDEX IF NOT EXISTS idx_meals_tags ON meals USING GIN(tags);
-      CREATE INDEX IF NOT EXISTS idx_meals_ai_tags ON meals USING GIN(ai_tags);
-      CREATE INDEX IF NOT EXISTS idx_meal_items_meal_id ON meal_items(meal_id);
-      CREATE INDEX IF NOT EXISTS idx_ai_usage_created_at ON ai_usage(created_at);
-      CREATE INDEX IF NOT EXISTS idx_ai_usage_feature ON ai_usage(feature);
-    `);
-
-    console.log('✅ Unified database tables initialized successfully');
-  } catch (error) {
-    console.error('Error initializing database:', error);
-    throw error;
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Arbitrary key for pg_advisory_lock so two app instances starting at once
+// don't apply the same migration twice
+const MIGRATION_LOCK_KEY = 7142026;
+
+// Numbered migrations in ./migrations, e.g. 003_meal_events.js -> version 3
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .map(file => ({
+      version: parseInt(file, 10),
+      name: file.replace(/^\d+_/, '').replace(/\.js$/, ''),
+      up: require(path.join(MIGRATIONS_DIR, file)).up
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
   }
+  return migrations;
 }
 
-// Migration function to move existing orders to new meals table
-async function migrateExistingData() {
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+// Apply every pending migration in order, each in its own transaction
+async function runMigrations() {
+  const migrations = loadMigrations();
   const client = await pool.connect();
-  
+  let appliedCount = 0;
+
   try {
-    await client.query('BEGIN');
-    
-    // Check if old tables exist
-    const tablesExist = await client.query(`
-      SELECT EXISTS (
-        SELECT FROM information_schema.tables 
-        WHERE table_name = 'orders'
-      ) as orders_exists,
-      EXISTS (
-        SELECT FROM information_schema.tables 
-        WHERE table_name = 'order_items'
-      ) as order_items_exists
-    `);
-    
-    if (tablesExist.rows[0].orders_exists) {
-      console.log('📦 Migrating existing takeout orders...');
-      
-      // Migrate orders to meals
-      await client.query(`
-        INSERT INTO meals (
-          meal_type, name, restaurant, address, delivery_service,
-          subtotal, delivery_fee, service_fee, tax, discount, tip, total,
-          meal_date, created_at, tags
-        )
-        SELECT 
-          'takeout' as meal_type,
-          COALESCE(recipe_name, restaurant) as name,
-          restaurant, address, delivery_service,
-          subtotal, delivery_fee, service_fee, tax, discount, tip, total,
-          COALESCE(meal_date, order_date) as meal_date,
-          created_at,
-          ARRAY[]::TEXT[] as tags
-        FROM orders
-      `);
-      
-      if (tablesExist.rows[0].order_items_exists) {
-        // Migrate order_items to meal_items
-        await client.query(`
-          INSERT INTO meal_items (
-            meal_id, item_name, price, assigned_to, rating, notes, tags
-          )
-          SELECT 
-            m.id as meal_id,
-            oi.item_name, oi.price, oi.assigned_to, oi.rating, oi.notes, 
-            COALESCE(oi.tags, ARRAY[]::TEXT[]) as tags
-          FROM order_items oi
-          JOIN orders o ON oi.order_id = o.id
-          JOIN meals m ON m.restaurant = o.restaurant 
-            AND m.created_at = o.created_at
-            AND m.meal_type = 'takeout'
-        `);
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    await ensureMigrationsTable(client);
+
+    const appliedResult = await client.query('SELECT version FROM schema_migrations');
+    const applied = new Set(appliedResult.rows.map(row => row.version));
+
+    for (const migration of migrations) {
+      if (applied.has(migration.version)) continue;
+
+      console.log(`📋 Applying migration ${migration.version}: ${migration.name}`);
+      try {
+        await client.query('BEGIN');
+        await migration.up(client);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+        await client.query('COMMIT');
+        appliedCount++;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`❌ Migration ${migration.version} (${migration.name}) failed:`, error);
+        throw error;
       }
-      
-      console.log('✅ Migration complete!');
-      
-      // Rename old tables instead of dropping (safety first!)
-      await client.query('ALTER TABLE IF EXISTS orders RENAME TO orders_backup');
-      await client.query('ALTER TABLE IF EXISTS order_items RENAME TO order_items_backup');
-      console.log('📁 Old tables renamed to *_backup for safety');
     }
-    
-    await client.query('COMMIT');
-  } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('❌ Migration failed:', error);
-    throw error;
+
+    console.log(appliedCount > 0
+      ? `✅ Applied ${appliedCount} migration(s)`
+      : '✅ Database schema is up to date');
+    return appliedCount;
   } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
     client.release();
   }
 }
 
-// Function to import recipes from JSON into database
-async function importRecipes(recipesData) {
+// Every known migration with whether/when it was applied
+async function getMigrationStatus() {
+  const migrations = loadMigrations();
+  const client = await pool.connect();
+
+  try {
+    await ensureMigrationsTable(client);
+    const result = await client.query('SELECT version, applied_at FROM schema_migrations');
+    const appliedAt = new Map(result.rows.map(row => [row.version, row.applied_at]));
+
+    return migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: appliedAt.has(migration.version),
+      appliedAt: appliedAt.get(migration.version) || null
+    }));
+  } finally {
+    client.release();
+  }
+}
+
+// Rebuild a recipe's recipe_ingredients rows from its raw ingredients text.
+// Call after any insert or update that touches meals.ingredients.
+async function syncRecipeIngredients(db, mealId, ingredientsText) {
+  const ingredients = parseIngredients(ingredientsText);
+
+  await db.query('DELETE FROM recipe_ingredients WHERE meal_id = $1', [mealId]);
+  for (const ingredient of ingredients) {
+    await db.query(`
+      INSERT INTO recipe_ingredients (
+        meal_id, position, section, raw_text, quantity, quantity_max, unit, name, preparation, optional
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    `, [
+      mealId,
+      ingredient.position,
+      ingredient.section,
+      ingredient.raw_text,
+      ingredient.quantity,
+      ingredient.quantity_max,
+      ingredient.unit,
+      ingredient.name,
+      ingredient.preparation,
+      ingredient.optional
+    ]);
+  }
+
+  return ingredients;
+}
+
+// Function to import recipes from JSON into a household's recipe library.
+// Returns { imported, skipped }; recipes already there count as skipped.
+async function importRecipes(recipesData, householdId) {
   const client = await pool.connect();
   let imported = 0;
   let skipped = 0;
@@ -185,11 +168,12 @@ async function importRecipes(recipesData) {
     
     for (const recipe of recipesData) {
       try {
-        await client.query(`
+        const result = await client.query(`
           INSERT INTO meals (
             meal_type, name, prep_time, cook_time, total_time, servings,
-            ingredients, directions, notes, source_url, photo_url, tags, created_at
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+            ingredients, directions, notes, source_url, photo_url, tags, created_at, household_id
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+          RETURNING id
         `, [
           'recipe',
           recipe.name,
@@ -203,8 +187,10 @@ async function importRecipes(recipesData) {
           recipe.source_url,
           recipe.photo_url,
           recipe.tags || recipe.ai_category || [],
-          new Date()
+          new Date(),
+          householdId
         ]);
+        await syncRecipeIngredients(client, result.rows[0].id, recipe.ingredients);
         imported++;
       } catch (error) {
         if (error.code === '23505') { // Duplicate
@@ -216,6 +202,7 @@ async function importRecipes(recipesData) {
     }
     
     console.log(`✅ Imported ${imported} recipes, skipped ${skipped} duplicates`);
+    return { imported, skipped };
   } catch (error) {
     console.error('❌ Recipe import failed:', error);
     throw error;
@@ -224,4 +211,4 @@ async function importRecipes(recipesData) {
   }
 }
 
-module.exports = { pool, initializeDatabase, migrateExistingData, importRecipes };
+module.exports = { pool, runMigrations, getMigrationStatus, importRecipes, syncRecipeIngredients };
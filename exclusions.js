@@ -0,0 +1,258 @@
+// Exclusions: what a recommendation must never include. A household keeps
+// standing dietary restrictions (allergies, vegetarian, ...) and a request
+// can add more ("no mushrooms tonight"). Each one is either a group below
+// ("nuts", "gluten-free", "vegetarian") or a single ingredient ("mushrooms").
+//
+// A recipe is left out when an exclusion's words show up in its name,
+// ingredient lines or tags (visible or AI). Words are compared singular, so
+// "mushroom" also catches "Shiitake Mushrooms", and a word right after "no",
+// "non", "vegan", "...-free" etc. doesn't count ("dairy-free butter", "vegan
+// mayo"). Diets that ingredients can't show (keto, paleo, low-carb) instead
+// need the recipe to carry their Dietary tag.
+
+const { singularize } = require('./ingredients');
+
+const MAX_EXCLUSIONS = 30;
+const MAX_EXCLUSION_LENGTH = 50;
+
+// Words that mean the next word isn't really there ("non-dairy creamer",
+// "gluten-free soy sauce"), and "free" after a word ("nut-free")
+const NEGATING_WORDS = ['no', 'non', 'free', 'vegan', 'based'];
+// ...and ones that only mean that for meat: "veggie burger", but
+// "vegetarian Parmesan" is still cheese
+const MEAT_NEGATING_WORDS = ['vegetarian', 'veggie', 'meatless'];
+
+const TREE_NUTS = [
+  'almond', 'walnut', 'pecan', 'cashew', 'pistachio', 'hazelnut', 'macadamia', 'brazil nut',
+  'pine nut', 'chestnut', 'nut', 'praline', 'marzipan', 'nutella', 'pesto'
+];
+const PEANUTS = ['peanut', 'satay'];
+const FISH = [
+  'fish', 'salmon', 'tuna', 'cod', 'tilapia', 'halibut', 'trout', 'anchovy', 'sardine', 'mackerel',
+  'snapper', 'sea bass', 'haddock', 'mahi', 'swordfish', 'catfish', 'worcestershire'
+];
+const SHELLFISH = [
+  'shellfish', 'shrimp', 'prawn', 'crab', 'lobster', 'scallop', 'clam', 'mussel', 'oyster',
+  'crawfish', 'crayfish', 'langoustine', 'calamari', 'squid', 'octopus'
+];
+const MEAT = [
+  'meat', 'beef', 'pork', 'chicken', 'turkey', 'lamb', 'veal', 'duck', 'venison', 'bison', 'goat',
+  'bacon', 'ham', 'sausage', 'steak', 'brisket', 'prosciutto', 'pancetta', 'chorizo', 'pepperoni',
+  'salami', 'meatball', 'hot dog', 'gelatin', 'lard'
+];
+const DAIRY = [
+  'dairy', 'milk', 'cheese', 'butter', 'cream', 'yogurt', 'ghee', 'buttermilk', 'half and half',
+  'parmesan', 'mozzarella', 'cheddar', 'ricotta', 'feta', 'mascarpone', 'paneer', 'whey', 'queso',
+  'creme fraiche', 'lactose'
+];
+const MEAT_PHRASES = new Set(MEAT.map(word => wordsOf(word).join(' ')));
+const EGGS = ['egg', 'mayonnaise', 'mayo', 'meringue', 'aioli'];
+const GLUTEN = [
+  'gluten', 'flour', 'wheat', 'bread', 'breadcrumb', 'panko', 'pasta', 'spaghetti', 'penne',
+  'macaroni', 'lasagna', 'fettuccine', 'linguine', 'orzo', 'noodle', 'couscous', 'barley', 'rye',
+  'semolina', 'farro', 'bulgur', 'seitan', 'tortilla', 'pita', 'cracker', 'crouton', 'bun',
+  'pastry', 'pie crust', 'pizza dough', 'soy sauce', 'beer'
+];
+
+// Plant milks and butters aren't dairy; these flours and noodles aren't gluten
+const DAIRY_LOOKALIKES = [
+  'coconut milk', 'coconut cream', 'cream of coconut', 'almond milk', 'oat milk', 'soy milk',
+  'rice milk', 'cashew milk', 'peanut butter', 'almond butter', 'cashew butter', 'nut butter',
+  'sunflower butter', 'apple butter', 'cocoa butter', 'butter bean', 'cream of tartar'
+];
+const GLUTEN_LOOKALIKES = [
+  'almond flour', 'coconut flour', 'rice flour', 'chickpea flour', 'tapioca flour', 'cassava flour',
+  'potato flour', 'corn flour', 'buckwheat flour', 'rice noodle', 'glass noodle', 'zucchini noodle',
+  'corn tortilla', 'rice pasta', 'chickpea pasta', 'lentil pasta'
+];
+
+// Groups by name. `aliases` are other names for the group ("-free",
+// "no ..." and plurals are handled when matching a name); `words` are what
+// rules a recipe out unless part of one of `except`; `tag` is the Dietary
+// tag a recipe needs instead, for diets ingredients can't show.
+const EXCLUSION_GROUPS = {
+  nuts: { label: 'Nuts', words: [...TREE_NUTS, ...PEANUTS], except: ['water chestnut'] },
+  'tree nuts': { label: 'Tree nuts', words: TREE_NUTS, except: ['water chestnut'] },
+  peanuts: { label: 'Peanuts', words: PEANUTS },
+  fish: { label: 'Fish', words: FISH },
+  shellfish: { label: 'Shellfish', words: SHELLFISH, except: ['oyster mushroom'] },
+  seafood: { label: 'Seafood', words: [...FISH, ...SHELLFISH], except: ['oyster mushroom'] },
+  dairy: { label: 'Dairy', aliases: ['lactose', 'lactose intolerant'], words: DAIRY, except: DAIRY_LOOKALIKES },
+  eggs: { label: 'Eggs', words: EGGS },
+  gluten: { label: 'Gluten', aliases: ['celiac', 'coeliac'], words: GLUTEN, except: GLUTEN_LOOKALIKES },
+  soy: { label: 'Soy', aliases: ['soya'], words: ['soy', 'soya', 'soybean', 'tofu', 'tempeh', 'edamame', 'miso', 'tamari'] },
+  sesame: { label: 'Sesame', words: ['sesame', 'tahini'] },
+  pork: {
+    label: 'Pork',
+    words: ['pork', 'bacon', 'ham', 'sausage', 'prosciutto', 'pancetta', 'chorizo', 'pepperoni', 'salami', 'lard']
+  },
+  vegetarian: { label: 'Vegetarian', aliases: ['meat', 'meatless'], words: [...MEAT, ...FISH, ...SHELLFISH], except: ['oyster mushroom'] },
+  pescatarian: { label: 'Pescatarian', words: MEAT },
+  vegan: {
+    label: 'Vegan',
+    words: [...MEAT, ...FISH, ...SHELLFISH, ...DAIRY, ...EGGS, 'honey'],
+    except: ['oyster mushroom', ...DAIRY_LOOKALIKES]
+  },
+  keto: { label: 'Keto', aliases: ['ketogenic'], tag: 'Keto' },
+  'low carb': { label: 'Low-Carb', tag: 'Low-Carb' },
+  paleo: { label: 'Paleo', tag: 'Paleo' }
+};
+
+// "Shiitake Mushrooms, sliced" -> ['shiitake', 'mushroom', 'sliced']
+function wordsOf(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-zà-ÿ]+/)
+    .filter(Boolean)
+    .map(singularize);
+}
+
+// "No nuts", "nut-free" and "peanut allergy" -> the words that name the
+// thing: ['nut'], ['nut'], ['peanut']
+function nameWords(text) {
+  const words = wordsOf(text);
+  if (['no', 'without'].includes(words[0])) words.shift();
+  if (['free', 'allergy', 'intolerance'].includes(words[words.length - 1])) words.pop();
+  return words;
+}
+
+const GROUPS_BY_NAME = new Map();
+for (const [key, group] of Object.entries(EXCLUSION_GROUPS)) {
+  for (const name of [key, ...(group.aliases || [])]) {
+    GROUPS_BY_NAME.set(nameWords(name).join(' '), group);
+  }
+}
+
+// An exclusion as it's matched: its label and, as word lists, what rules a
+// recipe out and the lookalikes that don't
+function resolveExclusion(exclusion) {
+  const name = nameWords(exclusion);
+  const group = GROUPS_BY_NAME.get(name.join(' '));
+  if (!group) return { label: exclusion.replace(/^(no|without)\s+/i, ''), words: [name], except: [] };
+
+  return {
+    label: group.label,
+    words: (group.words || []).map(wordsOf),
+    except: (group.except || []).map(wordsOf),
+    tag: group.tag
+  };
+}
+
+// Positions where `phrase` starts in `words`
+function phraseStarts(words, phrase) {
+  const starts = [];
+  for (let i = 0; i + phrase.length <= words.length; i++) {
+    if (phrase.every((word, j) => words[i + j] === word)) starts.push(i);
+  }
+  return starts;
+}
+
+// Does an exclusion's word appear in this text, and really mean it?
+function textMatches(words, resolved) {
+  const excepted = new Set();
+  for (const phrase of resolved.except) {
+    for (const start of phraseStarts(words, phrase)) {
+      phrase.forEach((word, j) => excepted.add(start + j));
+    }
+  }
+
+  return resolved.words.some(phrase => phraseStarts(words, phrase).some(start => {
+    const end = start + phrase.length;
+    if (NEGATING_WORDS.includes(words[start - 1]) || words[end] === 'free') return false;
+    if (MEAT_NEGATING_WORDS.includes(words[start - 1]) && MEAT_PHRASES.has(phrase.join(' '))) return false;
+    return !phrase.some((word, j) => excepted.has(start + j));
+  }));
+}
+
+// A list of exclusions from a request or a saved list: an array, or a comma
+// separated string ("nuts, no mushrooms"). Trimmed, lowercased and without
+// repeats (by what they name, so "nuts" and "nut-free" are one).
+function parseExclusions(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(',');
+  const seen = new Set();
+  const exclusions = [];
+
+  for (const item of items) {
+    const exclusion = String(item || '').trim().toLowerCase().slice(0, MAX_EXCLUSION_LENGTH);
+    const name = nameWords(exclusion).join(' ');
+    if (!name || seen.has(name)) continue;
+
+    seen.add(name);
+    exclusions.push(exclusion);
+  }
+  return exclusions.slice(0, MAX_EXCLUSIONS);
+}
+
+// Sort recipes ({ id, name, ingredients, tags, ai_tags }) into the ones the
+// exclusions allow and the ones they rule out, each with why:
+//   removed: [{ recipe, reasons: [{ exclusion, where, text }] }]
+// where is 'name', 'ingredients' or 'tags' and text the line or tag that
+// matched, or 'diet' and text the tag the recipe doesn't have.
+function screenRecipes(recipes, exclusions) {
+  const resolved = exclusions.map(resolveExclusion);
+  const allowed = [];
+  const removed = [];
+
+  for (const recipe of recipes) {
+    const tags = [...(recipe.tags || []), ...(recipe.ai_tags || [])];
+    const sources = [
+      ['name', recipe.name],
+      ...String(recipe.ingredients || '').split('\n').map(line => ['ingredients', line.trim()]),
+      ...tags.map(tag => ['tags', tag])
+    ]
+      .filter(([, text]) => text)
+      .map(([where, text]) => ({ where, text, words: wordsOf(text) }));
+
+    const reasons = [];
+    for (const exclusion of resolved) {
+      if (exclusion.tag) {
+        const tagged = (recipe.tags || []).some(tag => tag.toLowerCase() === exclusion.tag.toLowerCase());
+        if (!tagged) reasons.push({ exclusion: exclusion.label, where: 'diet', text: exclusion.tag });
+        continue;
+      }
+
+      const source = sources.find(({ words }) => textMatches(words, exclusion));
+      if (source) reasons.push({ exclusion: exclusion.label, where: source.where, text: source.text });
+    }
+
+    if (reasons.length > 0) {
+      removed.push({ recipe, reasons });
+    } else {
+      allowed.push(recipe);
+    }
+  }
+
+  return { allowed, removed };
+}
+
+// Removed recipes by the exclusion that removed them, most first:
+// [{ exclusion, count, recipes: [{ id, name, where, text }] }]. A recipe
+// ruled out twice is listed under both.
+function summarizeRemoved(removed) {
+  const byExclusion = new Map();
+  for (const { recipe, reasons } of removed) {
+    for (const reason of reasons) {
+      if (!byExclusion.has(reason.exclusion)) byExclusion.set(reason.exclusion, []);
+      byExclusion.get(reason.exclusion).push({ id: recipe.id, name: recipe.name, where: reason.where, text: reason.text });
+    }
+  }
+
+  return [...byExclusion.entries()]
+    .map(([exclusion, recipes]) => ({ exclusion, count: recipes.length, recipes }))
+    .sort((a, b) => b.count - a.count);
+}
+
+// Groups for pickers: [{ name, label }]
+function exclusionGroups() {
+  return Object.entries(EXCLUSION_GROUPS).map(([name, group]) => ({ name, label: group.label }));
+}
+
+module.exports = {
+  parseExclusions,
+  resolveExclusion,
+  screenRecipes,
+  summarizeRemoved,
+  exclusionGroups,
+  MAX_EXCLUSIONS,
+  MAX_EXCLUSION_LENGTH
+};
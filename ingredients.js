@@ -0,0 +1,264 @@
+// Ingredient parsing: turns the free-text, newline-separated `ingredients`
+// column into structured rows for recipe_ingredients, e.g.
+//   "1 1/2 cups shredded Mexican blend cheese, cheddar or Monterrey Jack"
+//   -> { quantity: 1.5, unit: 'cup', name: 'Mexican blend cheese',
+//        preparation: 'shredded; cheddar or Monterrey Jack', ... }
+
+const UNICODE_FRACTIONS = {
+  '½': 1 / 2, '⅓': 1 / 3, '⅔': 2 / 3, '¼': 1 / 4, '¾': 3 / 4,
+  '⅕': 1 / 5, '⅖': 2 / 5, '⅗': 3 / 5, '⅘': 4 / 5, '⅙': 1 / 6, '⅚': 5 / 6,
+  '⅛': 1 / 8, '⅜': 3 / 8, '⅝': 5 / 8, '⅞': 7 / 8
+};
+const FRACTION_CHARS = Object.keys(UNICODE_FRACTIONS).join('');
+
+// Canonical unit -> spellings seen in recipes (matched case-insensitively,
+// except the single-letter T/t shorthands which are matched exactly)
+const UNIT_ALIASES = {
+  tsp: ['teaspoon', 'teaspoons', 'tsp', 'tsps', 'tsp.', 't'],
+  tbsp: ['tablespoon', 'tablespoons', 'tbsp', 'tbsps', 'tbsp.', 'tbs', 'tbs.', 'tbl', 'T'],
+  cup: ['cup', 'cups', 'c', 'c.'],
+  fl_oz: ['fl oz', 'fl. oz.', 'fluid ounce', 'fluid ounces'],
+  oz: ['ounce', 'ounces', 'oz', 'oz.'],
+  lb: ['pound', 'pounds', 'lb', 'lbs', 'lb.', 'lbs.'],
+  g: ['gram', 'grams', 'g', 'g.', 'gr'],
+  kg: ['kilogram', 'kilograms', 'kg', 'kgs'],
+  ml: ['milliliter', 'milliliters', 'millilitre', 'millilitres', 'ml', 'ml.'],
+  l: ['liter', 'liters', 'litre', 'litres', 'l'],
+  pint: ['pint', 'pints', 'pt'],
+  quart: ['quart', 'quarts', 'qt'],
+  gallon: ['gallon', 'gallons', 'gal'],
+  pinch: ['pinch', 'pinches'],
+  dash: ['dash', 'dashes'],
+  clove: ['clove', 'cloves'],
+  can: ['can', 'cans'],
+  jar: ['jar', 'jars'],
+  package: ['package', 'packages', 'pkg', 'packet', 'packets'],
+  stick: ['stick', 'sticks'],
+  slice: ['slice', 'slices'],
+  bunch: ['bunch', 'bunches'],
+  head: ['head', 'heads'],
+  sprig: ['sprig', 'sprigs'],
+  piece: ['piece', 'pieces']
+};
+
+const UNIT_LOOKUP = {};
+for (const [unit, aliases] of Object.entries(UNIT_ALIASES)) {
+  for (const alias of aliases) {
+    UNIT_LOOKUP[alias.length === 1 ? alias : alias.toLowerCase()] = unit;
+  }
+}
+// Longest spellings first so "fl oz" wins over "fl"
+const UNIT_SPELLINGS = Object.keys(UNIT_LOOKUP).sort((a, b) => b.length - a.length);
+
+// Leading words that describe how an ingredient is prepared rather than what it is
+const PREPARATION_WORDS = [
+  'chopped', 'diced', 'minced', 'sliced', 'shredded', 'grated', 'crushed', 'cubed',
+  'julienned', 'mashed', 'melted', 'softened', 'peeled', 'halved', 'quartered',
+  'toasted', 'cooked', 'uncooked', 'beaten', 'packed', 'sifted', 'ground', 'trimmed'
+];
+const PREPARATION_ADVERBS = ['finely', 'thinly', 'roughly', 'coarsely', 'freshly', 'lightly', 'firmly'];
+
+const NUMBER_PATTERN = `(?:\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d+\\s*[${FRACTION_CHARS}]|\\d*\\.\\d+|\\d+|[${FRACTION_CHARS}])`;
+const QUANTITY_REGEX = new RegExp(`^(${NUMBER_PATTERN})(?:\\s*(?:-|–|to|or)\\s*(${NUMBER_PATTERN}))?\\s*`, 'i');
+
+// "1 1/2" -> 1.5, "1½" -> 1.5, "3/4" -> 0.75, ".5" -> 0.5
+function parseNumber(text) {
+  const value = text.trim();
+
+  const mixed = value.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (mixed) return parseInt(mixed[1], 10) + parseInt(mixed[2], 10) / parseInt(mixed[3], 10);
+
+  const fraction = value.match(/^(\d+)\/(\d+)$/);
+  if (fraction) return parseInt(fraction[1], 10) / parseInt(fraction[2], 10);
+
+  const unicode = value.match(new RegExp(`^(\\d*)\\s*([${FRACTION_CHARS}])$`));
+  if (unicode) return (unicode[1] ? parseInt(unicode[1], 10) : 0) + UNICODE_FRACTIONS[unicode[2]];
+
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+function matchUnit(text) {
+  for (const spelling of UNIT_SPELLINGS) {
+    const candidate = text.substring(0, spelling.length);
+    const matches = spelling.length === 1
+      ? candidate === spelling
+      : candidate.toLowerCase() === spelling;
+    // Must end at a word boundary ("can" but not "candied")
+    if (matches && !/[a-z]/i.test(text.charAt(spelling.length))) {
+      return { unit: UNIT_LOOKUP[spelling], rest: text.substring(spelling.length).trim() };
+    }
+  }
+  return null;
+}
+
+function splitLeadingPreparation(name) {
+  const words = name.split(/\s+/);
+  const preparation = [];
+
+  while (words.length > 1) {
+    const word = words[0].toLowerCase();
+    if (PREPARATION_ADVERBS.includes(word) && words.length > 2 && PREPARATION_WORDS.includes(words[1].toLowerCase())) {
+      preparation.push(words.shift(), words.shift());
+    } else if (PREPARATION_WORDS.includes(word)) {
+      preparation.push(words.shift());
+    } else {
+      break;
+    }
+  }
+
+  return { name: words.join(' '), preparation: preparation.join(' ') };
+}
+
+// Parse one ingredient line. Returns null for blank lines.
+function parseIngredientLine(line) {
+  const raw = (line || '').trim();
+  if (!raw) return null;
+
+  const ingredient = {
+    raw_text: raw,
+    quantity: null,
+    quantity_max: null,
+    unit: null,
+    name: null,
+    preparation: null,
+    optional: false
+  };
+
+  // Pull out parentheticals: "(optional)" flags the row, others are notes.
+  // List bullets pasted in with the line ("- 2 cups flour", "• salt") go first.
+  const notes = [];
+  let text = raw.replace(/^[-*•]+\s*/, '').replace(/\(([^)]*)\)/g, (match, inner) => {
+    let note = inner.trim();
+    if (/^optional\b/i.test(note)) {
+      ingredient.optional = true;
+      note = note.replace(/^optional[\s;,:-]*/i, '');
+    }
+    if (note) notes.push(note);
+    return ' ';
+  }).replace(/\s+/g, ' ').trim();
+
+  if (/,?\s*optional$/i.test(text)) {
+    ingredient.optional = true;
+    text = text.replace(/,?\s*optional$/i, '').trim();
+  }
+
+  const quantityMatch = text.match(QUANTITY_REGEX);
+  if (quantityMatch) {
+    ingredient.quantity = parseNumber(quantityMatch[1]);
+    if (quantityMatch[2]) ingredient.quantity_max = parseNumber(quantityMatch[2]);
+    text = text.substring(quantityMatch[0].length);
+
+    const unitMatch = matchUnit(text);
+    if (unitMatch) {
+      ingredient.unit = unitMatch.unit;
+      text = unitMatch.rest.replace(/^of\s+/i, '');
+    }
+  }
+
+  // Everything after the first comma is preparation ("3 avocados, peeled and seeded")
+  const commaIndex = text.indexOf(',');
+  let trailing = '';
+  if (commaIndex !== -1) {
+    trailing = text.substring(commaIndex + 1).trim();
+    text = text.substring(0, commaIndex).trim();
+  }
+
+  const split = splitLeadingPreparation(text.trim());
+  ingredient.name = split.name || null;
+  const preparation = [split.preparation, trailing, ...notes].filter(Boolean).join('; ');
+  ingredient.preparation = preparation || null;
+
+  return ingredient;
+}
+
+// Words that describe an ingredient's size or prep rather than what it is.
+// "clove" goes too so "garlic cloves" and "cloves garlic" both mean garlic.
+const DESCRIPTOR_WORDS = [
+  'large', 'medium', 'small', 'extra-large', 'big', 'fresh', 'thin', 'thick',
+  'chopped', 'minced', 'sliced', 'diced', 'grated', 'shredded', 'crumbled', 'clove'
+];
+
+// Different names for the same thing -> the name we normalize to (singular)
+const INGREDIENT_SYNONYMS = {
+  'scallion': 'green onion',
+  'spring onion': 'green onion',
+  'coriander leaf': 'cilantro',
+  'garbanzo bean': 'chickpea',
+  'confectioners sugar': 'powdered sugar',
+  'icing sugar': 'powdered sugar',
+  'caster sugar': 'sugar',
+  'granulated sugar': 'sugar',
+  'white sugar': 'sugar',
+  'all purpose flour': 'all-purpose flour',
+  'plain flour': 'all-purpose flour',
+  'extra virgin olive oil': 'olive oil',
+  'extra-virgin olive oil': 'olive oil',
+  'mayo': 'mayonnaise',
+  'parmigiano reggiano': 'parmesan',
+  'parmesan cheese': 'parmesan',
+  'courgette': 'zucchini',
+  'aubergine': 'eggplant',
+  'capsicum': 'bell pepper',
+  'prawn': 'shrimp',
+  'tamari': 'soy sauce',
+  'chicken stock': 'chicken broth',
+  'vegetable stock': 'vegetable broth',
+  'beef stock': 'beef broth'
+};
+
+function singularize(word) {
+  if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (word.length > 4 && word.endsWith('oes')) return word.slice(0, -2);
+  if (/(ch|sh|x)es$/.test(word)) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !/(ss|us)$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+// Comparable key for an ingredient name, so "Large Eggs" and "egg" match and
+// "scallions" matches "green onions"
+function normalizeIngredientName(name) {
+  const key = (name || '')
+    .toLowerCase()
+    .replace(/\bto taste\b/g, '')
+    .replace(/[^a-zà-ÿ\s&-]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && word !== '-')
+    .map(singularize)
+    .filter(word => !DESCRIPTOR_WORDS.includes(word))
+    .join(' ');
+
+  // Longest synonym first so "extra virgin olive oil" wins over anything shorter
+  for (const synonym of Object.keys(INGREDIENT_SYNONYMS).sort((a, b) => b.length - a.length)) {
+    if (key === synonym || key.endsWith(` ${synonym}`)) {
+      return key.slice(0, key.length - synonym.length) + INGREDIENT_SYNONYMS[synonym];
+    }
+  }
+  return key;
+}
+
+// Parse a whole ingredients blob. Lines ending in ":" with no quantity are
+// section headers ("Eggy Filling:") and label the rows beneath them.
+function parseIngredients(text) {
+  const ingredients = [];
+  let section = null;
+
+  for (const line of (text || '').split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+
+    if (trimmed.endsWith(':') && !QUANTITY_REGEX.test(trimmed)) {
+      section = trimmed.slice(0, -1).trim();
+      continue;
+    }
+
+    const ingredient = parseIngredientLine(trimmed);
+    ingredient.section = section;
+    ingredient.position = ingredients.length + 1;
+    ingredients.push(ingredient);
+  }
+
+  return ingredients;
+}
+
+module.exports = { parseIngredients, parseIngredientLine, parseNumber, normalizeIngredientName, singularize, UNIT_ALIASES };
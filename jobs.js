@@ -0,0 +1,394 @@
+// Background jobs for long AI runs over the whole recipe library. A job is a
+// row in `jobs` plus one `job_items` row per recipe; the worker takes one
+// recipe at a time and checkpoints each result, so a server restart or a
+// closed browser tab resumes where it stopped instead of paying again.
+// Jobs are deployment maintenance (admins only) and cover every household's
+// recipes; each recipe's AI usage is billed to its own household.
+//
+// Statuses: queued -> running -> completed | failed | cancelled, or paused
+// when the AI budget runs out (resume re-queues it).
+
+const os = require('os');
+const { pool } = require('./database');
+const ai = require('./ai');
+const { loadTags, tagListPrompt, canonicalTags } = require('./tags');
+const { recordAiTags } = require('./ai-tags');
+
+const POLL_INTERVAL_MS = 5000;
+// A running job whose worker hasn't checked in for this long is assumed dead
+// (restart, crash) and picked up again. One recipe can legitimately take a few
+// minutes when the API is retrying, so this is generous.
+const STALE_AFTER_SECONDS = 600;
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// taxonomy: the recipe household's tags (tags.js)
+function recipeTagsPrompt(recipe, taxonomy) {
+  return `Analyze this recipe and assign appropriate tags. Choose tags that accurately describe this recipe based on reading the full content.
+
+**Recipe Name:** ${recipe.name}
+**Ingredients:** ${recipe.ingredients || 'N/A'}
+**Directions:** ${recipe.directions ? recipe.directions.substring(0, 1000) : 'N/A'}
+**Prep Time:** ${recipe.prep_time || 'N/A'}
+**Cook Time:** ${recipe.cook_time || 'N/A'}
+**Servings:** ${recipe.servings || 'N/A'}
+
+**Available Tags by Category:**
+${tagListPrompt(taxonomy)}
+
+Return ONLY a JSON array of 4-8 selected tags. Include at least one from: Course, Time, Difficulty.
+
+Example: ["Dessert", "Quick (< 30 min)", "Easy", "Sweet"]`;
+}
+
+function aiTagsPrompt(recipe) {
+  return `Analyze this recipe and generate 5-10 descriptive AI tags.
+
+**Recipe Name:** ${recipe.name}
+**Ingredients:** ${recipe.ingredients ? recipe.ingredients.substring(0, 300) : 'N/A'}
+**Directions:** ${recipe.directions ? recipe.directions.substring(0, 300) : 'N/A'}
+**Prep Time:** ${recipe.prep_time || 'N/A'}
+**Cook Time:** ${recipe.cook_time || 'N/A'}
+**Current Tags:** ${recipe.tags ? recipe.tags.join(', ') : 'None'}
+
+Generate 5-10 descriptive tags that capture:
+
+- Cooking context (weeknight friendly, special occasion, meal prep suitable)
+- Ingredient characteristics (pantry staples, needs specialty items, budget friendly)
+- Meal characteristics (leftovers well, feeds a crowd, scales easily, reheats well)
+- Flavor profiles (rich, light, tangy, savory-forward, sweet, spicy)
+- Practical aspects (one pot, make ahead, freezable, quick cleanup)
+
+Tags should be lowercase, short phrases (2-4 words).
+
+Respond ONLY with a JSON array (no markdown, no backticks):
+["tag 1", "tag 2", "tag 3", "tag 4", "tag 5"]`;
+}
+
+// What each job type does with one recipe. run() returns { result, cost };
+// throwing marks that recipe failed and moves on.
+const JOB_TYPES = {
+  // Replace each recipe's tags from its household's tag taxonomy (formerly
+  // /run-tagging). Answers outside the taxonomy are dropped.
+  recipe_tags: {
+    label: 'Re-tag all recipes',
+    delayMs: 1000,
+    async run(recipe) {
+      const taxonomy = await loadTags(recipe.household_id);
+      const { data, cost } = await ai.completeJSON({
+        feature: 'run_tagging',
+        householdId: recipe.household_id,
+        prompt: recipeTagsPrompt(recipe, taxonomy),
+        maxTokens: 200,
+        expect: 'array'
+      });
+      const tags = canonicalTags(taxonomy, data);
+      if (tags.length === 0) throw new Error('No tags returned');
+
+      await pool.query(
+        'UPDATE meals SET tags = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [tags, recipe.id]
+      );
+      return { result: { tags }, cost };
+    }
+  },
+
+  // Add descriptive background ai_tags (formerly /generate-all-ai-tags); ones
+  // a recipe already has are reinforced
+  ai_tags: {
+    label: 'Generate AI tags',
+    delayMs: 200,
+    async run(recipe) {
+      const { data: aiTags, cost } = await ai.completeJSON({
+        feature: 'bulk_ai_tagging',
+        householdId: recipe.household_id,
+        prompt: aiTagsPrompt(recipe),
+        maxTokens: 200,
+        expect: 'array'
+      });
+      if (aiTags.length === 0) throw new Error('No tags returned');
+
+      const tags = await recordAiTags(recipe, aiTags, 'bulk_ai_tagging');
+      return { result: { tags }, cost };
+    }
+  }
+};
+
+// Job rows with progress counted from their items
+const JOB_QUERY = `
+  SELECT j.*,
+    COALESCE(counts.total, 0) as total,
+    COALESCE(counts.processed, 0) as processed,
+    COALESCE(counts.succeeded, 0) as succeeded,
+    COALESCE(counts.failed, 0) as failed
+  FROM jobs j
+  LEFT JOIN (
+    SELECT job_id,
+      COUNT(*)::int as total,
+      COUNT(CASE WHEN status <> 'pending' THEN 1 END)::int as processed,
+      COUNT(CASE WHEN status = 'done' THEN 1 END)::int as succeeded,
+      COUNT(CASE WHEN status = 'failed' THEN 1 END)::int as failed
+    FROM job_items
+    GROUP BY job_id
+  ) counts ON counts.job_id = j.id
+`;
+
+function formatJob(row) {
+  return {
+    ...row,
+    cost: parseFloat(row.cost),
+    label: JOB_TYPES[row.type] ? JOB_TYPES[row.type].label : row.type,
+    percent: row.total > 0 ? Math.round(row.processed / row.total * 100) : 100
+  };
+}
+
+async function getJob(id) {
+  const result = await pool.query(`${JOB_QUERY} WHERE j.id = $1`, [id]);
+  if (result.rows.length === 0) return null;
+
+  const job = formatJob(result.rows[0]);
+  const failures = await pool.query(`
+    SELECT i.meal_id, m.name, i.error, i.processed_at
+    FROM job_items i
+    JOIN meals m ON m.id = i.meal_id
+    WHERE i.job_id = $1 AND i.status = 'failed'
+    ORDER BY i.processed_at DESC
+    LIMIT 20
+  `, [id]);
+  job.failures = failures.rows;
+  return job;
+}
+
+async function listJobs(limit = 20) {
+  const result = await pool.query(`${JOB_QUERY} ORDER BY j.created_at DESC, j.id DESC LIMIT $1`, [limit]);
+  return result.rows.map(formatJob);
+}
+
+// Queue a job over every recipe (or just `mealIds`). If one of the same type
+// is already queued or running, that job is returned instead with created: false.
+async function enqueueJob(type, { mealIds = null } = {}) {
+  if (!JOB_TYPES[type]) {
+    throw new Error(`Unknown job type "${type}"`);
+  }
+
+  const active = await pool.query(`SELECT id FROM jobs WHERE type = $1 AND status IN ('queued', 'running')`, [type]);
+  if (active.rows.length > 0) {
+    return { job: await getJob(active.rows[0].id), created: false };
+  }
+
+  const client = await pool.connect();
+  let jobId;
+  try {
+    await client.query('BEGIN');
+
+    const job = await client.query(
+      'INSERT INTO jobs (type, payload) VALUES ($1, $2) RETURNING id',
+      [type, JSON.stringify(mealIds ? { mealIds } : {})]
+    );
+    jobId = job.rows[0].id;
+
+    // Alphabetical, like the old tagging loops
+    await client.query(`
+      INSERT INTO job_items (job_id, meal_id, position)
+      SELECT $1::int, id, ROW_NUMBER() OVER (ORDER BY name ASC, id)
+      FROM meals
+      WHERE meal_type = 'recipe' AND ($2::int[] IS NULL OR id = ANY($2::int[]))
+    `, [jobId, mealIds]);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  console.log(`📋 Queued job ${jobId} (${type})`);
+  return { job: await getJob(jobId), created: true };
+}
+
+// Queued jobs stop right away; a running one stops after its current recipe
+async function cancelJob(id) {
+  const result = await pool.query(`
+    UPDATE jobs SET
+      status = CASE WHEN status = 'running' THEN status ELSE 'cancelled' END,
+      cancel_requested = (status = 'running'),
+      finished_at = CASE WHEN status = 'running' THEN finished_at ELSE CURRENT_TIMESTAMP END,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND status IN ('queued', 'running', 'paused')
+    RETURNING id
+  `, [id]);
+  return result.rows.length > 0 ? getJob(id) : null;
+}
+
+// Re-queue a paused, failed or cancelled job. Done recipes are skipped;
+// `retryFailed` also gives failed ones another go.
+async function resumeJob(id, { retryFailed = false } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(`
+      UPDATE jobs SET
+        status = 'queued', error = NULL, cancel_requested = FALSE,
+        finished_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status IN ('paused', 'failed', 'cancelled')
+      RETURNING id
+    `, [id]);
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    if (retryFailed) {
+      await client.query(
+        `UPDATE job_items SET status = 'pending', error = NULL, processed_at = NULL WHERE job_id = $1 AND status = 'failed'`,
+        [id]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+  return getJob(id);
+}
+
+// Take the oldest queued job (or a running one whose worker went quiet).
+// SKIP LOCKED keeps two app instances from taking the same job.
+async function claimJob(jobId = null) {
+  const result = await pool.query(`
+    UPDATE jobs SET
+      status = 'running',
+      locked_by = $1,
+      heartbeat_at = CURRENT_TIMESTAMP,
+      started_at = COALESCE(started_at, CURRENT_TIMESTAMP),
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = (
+      SELECT id FROM jobs
+      WHERE (status = 'queued'
+          OR (status = 'running' AND heartbeat_at < CURRENT_TIMESTAMP - $2::int * INTERVAL '1 second'))
+        AND ($3::int IS NULL OR id = $3)
+      ORDER BY created_at
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `, [WORKER_ID, STALE_AFTER_SECONDS, jobId]);
+  return result.rows[0] || null;
+}
+
+async function finishJob(id, status, error = null) {
+  await pool.query(`
+    UPDATE jobs SET
+      status = $2::text, error = $3, locked_by = NULL, cancel_requested = FALSE,
+      finished_at = CASE WHEN $2::text = 'paused' THEN NULL ELSE CURRENT_TIMESTAMP END,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [id, status, error]);
+}
+
+// Work through a claimed job's pending recipes until it's done, cancelled or
+// out of budget
+async function processJob(job) {
+  const handler = JOB_TYPES[job.type];
+  if (!handler) {
+    await finishJob(job.id, 'failed', `Unknown job type "${job.type}"`);
+    return;
+  }
+  console.log(`🏷️  Job ${job.id} (${job.type}) started by ${WORKER_ID}`);
+
+  for (;;) {
+    // Checking in doubles as the cancel check
+    const state = await pool.query(
+      'UPDATE jobs SET heartbeat_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING cancel_requested',
+      [job.id]
+    );
+    if (state.rows[0].cancel_requested) {
+      await finishJob(job.id, 'cancelled');
+      console.log(`🛑 Job ${job.id} cancelled`);
+      return;
+    }
+
+    const next = await pool.query(`
+      SELECT m.*
+      FROM job_items i
+      JOIN meals m ON m.id = i.meal_id
+      WHERE i.job_id = $1 AND i.status = 'pending'
+      ORDER BY i.position
+      LIMIT 1
+    `, [job.id]);
+    if (next.rows.length === 0) {
+      await finishJob(job.id, 'completed');
+      console.log(`✅ Job ${job.id} completed`);
+      return;
+    }
+
+    const recipe = next.rows[0];
+    try {
+      const { result, cost } = await handler.run(recipe);
+      await pool.query(
+        `UPDATE job_items SET status = 'done', result = $3, error = NULL, processed_at = CURRENT_TIMESTAMP
+         WHERE job_id = $1 AND meal_id = $2`,
+        [job.id, recipe.id, JSON.stringify(result)]
+      );
+      await pool.query('UPDATE jobs SET cost = cost + $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1', [job.id, cost]);
+    } catch (error) {
+      // Out of budget or no API key: every remaining recipe would fail the same way
+      if (ai.isBudgetExceeded(error) || ai.isNotConfigured(error)) {
+        await finishJob(job.id, 'paused', error.message);
+        console.log(`💸 Job ${job.id} paused: ${error.message}`);
+        return;
+      }
+      console.error(`Job ${job.id}: ${recipe.name} failed:`, error.message);
+      await pool.query(
+        `UPDATE job_items SET status = 'failed', error = $3, processed_at = CURRENT_TIMESTAMP
+         WHERE job_id = $1 AND meal_id = $2`,
+        [job.id, recipe.id, error.message.substring(0, 500)]
+      );
+    }
+
+    await new Promise(resolve => setTimeout(resolve, handler.delayMs));
+  }
+}
+
+// Claim and run one job. Returns false if there was nothing to do.
+async function runNextJob(jobId = null) {
+  const job = await claimJob(jobId);
+  if (!job) return false;
+
+  try {
+    await processJob(job);
+  } catch (error) {
+    console.error(`❌ Job ${job.id} failed:`, error);
+    await finishJob(job.id, 'failed', error.message).catch(() => {});
+  }
+  return true;
+}
+
+let workerTimer = null;
+let workerBusy = false;
+
+// Poll for queued jobs in the background of the web server
+function startJobWorker() {
+  if (workerTimer) return;
+
+  const tick = async () => {
+    if (workerBusy) return;
+    workerBusy = true;
+    try {
+      // Keep going while there's work so queued jobs don't wait a poll interval each
+      while (await runNextJob()) { /* next job */ }
+    } catch (error) {
+      console.error('Job worker error:', error.message);
+    } finally {
+      workerBusy = false;
+    }
+  };
+
+  workerTimer = setInterval(tick, POLL_INTERVAL_MS);
+  tick();
+  console.log(`👷 Job worker ${WORKER_ID} polling every ${POLL_INTERVAL_MS / 1000}s`);
+}
+
+module.exports = { JOB_TYPES, enqueueJob, getJob, listJobs, cancelJob, resumeJob, runNextJob, startJobWorker };
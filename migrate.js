@@ -1,72 +1,112 @@
 #!/usr/bin/env node
 
 /**
- * Migration Script: Old Schema → Unified Meals Schema
- * 
- * This script will:
- * 1. Create new unified tables (meals, meal_items)
- * 2. Migrate existing takeout orders → meals
- * 3. Import all recipes from recipes.json → meals
- * 4. Keep old tables as backups (_backup suffix)
+ * Database Migration CLI
+ *
+ * Usage:
+ *   node migrate.js up                  Apply all pending migrations (default)
+ *   node migrate.js status              List migrations and whether they've been applied
+ *   node migrate.js import [file.json]  Import recipes (defaults to ./recipes.json)
+ *                                       into the first household, or --household <id>
+ *   node migrate.js ingredients         Re-parse every recipe into recipe_ingredients
+ *
+ * Migrations live in ./migrations as numbered files (001_name.js) and are
+ * recorded in the schema_migrations table. The server also runs `up` on start.
  */
 
-require('dotenv').config();
 const fs = require('fs');
-const { pool, initializeDatabase, migrateExistingData, importRecipes } = require('./database_unified');
+const path = require('path');
+const { pool, runMigrations, getMigrationStatus, importRecipes, syncRecipeIngredients } = require('./database');
+
+async function showStatus() {
+  const migrations = await getMigrationStatus();
+
+  console.log('\n📋 Migration status:\n');
+  migrations.forEach(migration => {
+    const version = String(migration.version).padStart(3, '0');
+    const state = migration.applied
+      ? `✅ applied ${new Date(migration.appliedAt).toISOString()}`
+      : '⏳ pending';
+    console.log(`   ${version} ${migration.name.padEnd(30)} ${state}`);
+  });
+
+  const pending = migrations.filter(migration => !migration.applied).length;
+  console.log(`\n   ${migrations.length - pending} applied, ${pending} pending\n`);
+}
+
+async function importRecipesFromFile(recipesPath, householdId) {
+  if (!fs.existsSync(recipesPath)) {
+    throw new Error(`No recipes file found at ${recipesPath}`);
+  }
+
+  const household = householdId
+    ? await pool.query('SELECT id, name FROM households WHERE id = $1', [householdId])
+    : await pool.query('SELECT id, name FROM households ORDER BY id LIMIT 1');
+  if (household.rows.length === 0) {
+    throw new Error(householdId ? `No household with id ${householdId}` : 'No households yet');
+  }
+
+  console.log(`🏠 Importing into household ${household.rows[0].id} (${household.rows[0].name})`);
+  const recipes = JSON.parse(fs.readFileSync(recipesPath, 'utf8'));
+  await importRecipes(recipes, household.rows[0].id);
+}
+
+async function backfillIngredients() {
+  const recipes = await pool.query(`SELECT id, name, ingredients FROM meals WHERE meal_type = 'recipe' ORDER BY id`);
+  console.log(`🥕 Parsing ingredients for ${recipes.rows.length} recipes...`);
+
+  const client = await pool.connect();
+  let rows = 0;
+  try {
+    await client.query('BEGIN');
+    for (const recipe of recipes.rows) {
+      const ingredients = await syncRecipeIngredients(client, recipe.id, recipe.ingredients);
+      rows += ingredients.length;
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  console.log(`✅ Stored ${rows} ingredient rows`);
+}
+
+async function main() {
+  const command = process.argv[2] || 'up';
+  const args = process.argv.slice(3);
+  const householdFlag = args.indexOf('--household');
+  const householdId = householdFlag >= 0 ? parseInt(args.splice(householdFlag, 2)[1], 10) : null;
 
-async function runMigration() {
-  console.log('\n🚀 Starting database migration to unified schema...\n');
-  
   try {
-    // Step 1: Create new tables
-    console.log('📋 Step 1: Creating unified tables...');
-    await initializeDatabase();
-    
-    // Step 2: Migrate existing takeout data
-    console.log('\n📋 Step 2: Migrating existing takeout orders...');
-    await migrateExistingData();
-    
-    // Step 3: Import recipes
-    console.log('\n📋 Step 3: Importing recipes from JSON...');
-    const recipesPath = process.argv[2] || '/mnt/user-data/uploads/recipes.json';
-    
-    if (fs.existsSync(recipesPath)) {
-      const recipes = JSON.parse(fs.readFileSync(recipesPath, 'utf8'));
-      await importRecipes(recipes);
-    } else {
-      console.log('⚠️  No recipes.json found at', recipesPath);
-      console.log('   Skipping recipe import. You can import later.');
+    switch (command) {
+      case 'up':
+        await runMigrations();
+        break;
+      case 'status':
+        await showStatus();
+        break;
+      case 'import':
+        await runMigrations();
+        await importRecipesFromFile(args[0] || path.join(__dirname, 'recipes.json'), householdId);
+        break;
+      case 'ingredients':
+        await runMigrations();
+        await backfillIngredients();
+        break;
+      default:
+        console.error(`Unknown command "${command}". Use: up, status, import [file.json] [--household <id>], ingredients`);
+        process.exitCode = 1;
     }
-    
-    // Step 4: Verify migration
-    console.log('\n📋 Step 4: Verifying migration...');
-    const stats = await pool.query(`
-      SELECT 
-        meal_type,
-        COUNT(*) as count
-      FROM meals
-      GROUP BY meal_type
-    `);
-    
-    console.log('\n✅ Migration complete!\n');
-    console.log('📊 Database Summary:');
-    stats.rows.forEach(row => {
-      console.log(`   ${row.meal_type}: ${row.count} meals`);
-    });
-    
-    console.log('\n💡 Next steps:');
-    console.log('   1. Update server.js to use the new database schema');
-    console.log('   2. Test the app thoroughly');
-    console.log('   3. Once confirmed working, you can drop the *_backup tables\n');
-    
   } catch (error) {
-    console.error('\n❌ Migration failed:', error);
-    console.error('\n💡 Your original data is safe. Check the error and try again.\n');
-    process.exit(1);
+    console.error('\n❌ Migration failed:', error.message);
+    console.error('\n💡 Each migration runs in a transaction, so nothing partial was applied.\n');
+    process.exitCode = 1;
   } finally {
     await pool.end();
   }
 }
 
-// Run it!
-runMigration();
+main();
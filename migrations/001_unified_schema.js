@@ -0,0 +1,80 @@
+// Unified meals schema: takeout orders and recipes share one table.
+// Uses IF NOT EXISTS so databases created by the old /run-migration endpoint
+// or initializeDatabase() adopt the versioned history without changes.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS meals (
+        id SERIAL PRIMARY KEY,
+        meal_type VARCHAR(20) NOT NULL CHECK (meal_type IN ('takeout', 'recipe')),
+        name VARCHAR(255) NOT NULL,
+
+        -- Takeout-specific fields
+        restaurant VARCHAR(255),
+        address TEXT,
+        delivery_service VARCHAR(100),
+        subtotal DECIMAL(10, 2),
+        delivery_fee DECIMAL(10, 2),
+        service_fee DECIMAL(10, 2),
+        tax DECIMAL(10, 2),
+        discount DECIMAL(10, 2),
+        tip DECIMAL(10, 2),
+        total DECIMAL(10, 2),
+
+        -- Recipe-specific fields
+        prep_time VARCHAR(50),
+        cook_time VARCHAR(50),
+        total_time VARCHAR(50),
+        servings VARCHAR(50),
+        ingredients TEXT,
+        directions TEXT,
+        notes TEXT,
+        source_url TEXT,
+        photo_url TEXT,
+
+        -- Common fields for both
+        meal_date TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        overall_rating INTEGER CHECK (overall_rating >= 0 AND overall_rating <= 5),
+        tags TEXT[]
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS meal_items (
+        id SERIAL PRIMARY KEY,
+        meal_id INTEGER REFERENCES meals(id) ON DELETE CASCADE,
+        item_name TEXT NOT NULL,
+
+        -- Takeout-specific
+        price DECIMAL(10, 2),
+        assigned_to VARCHAR(50),
+
+        -- Common fields
+        rating INTEGER CHECK (rating >= 0 AND rating <= 5),
+        notes TEXT,
+        tags TEXT[],
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ai_usage (
+        id SERIAL PRIMARY KEY,
+        feature VARCHAR(50) NOT NULL,
+        estimated_cost DECIMAL(10, 4) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_meals_type ON meals(meal_type);
+      CREATE INDEX IF NOT EXISTS idx_meals_date ON meals(meal_date);
+      CREATE INDEX IF NOT EXISTS idx_meals_tags ON meals USING GIN(tags);
+      CREATE INDEX IF NOT EXISTS idx_meal_items_meal_id ON meal_items(meal_id);
+      CREATE INDEX IF NOT EXISTS idx_ai_usage_created_at ON ai_usage(created_at);
+      CREATE INDEX IF NOT EXISTS idx_ai_usage_feature ON ai_usage(feature);
+    `);
+  }
+};
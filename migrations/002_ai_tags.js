@@ -0,0 +1,9 @@
+// AI-generated background tags (hidden from user), formerly added by the
+// /add-ai-tags-columns endpoint
+module.exports = {
+  async up(client) {
+    await client.query(`ALTER TABLE meals ADD COLUMN IF NOT EXISTS ai_tags TEXT[] DEFAULT ARRAY[]::TEXT[]`);
+    await client.query(`ALTER TABLE meals ADD COLUMN IF NOT EXISTS ai_tag_metadata JSONB DEFAULT '{}'::JSONB`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_meals_ai_tags ON meals USING GIN(ai_tags)`);
+  }
+};
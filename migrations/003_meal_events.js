@@ -0,0 +1,21 @@
+// Meal log - one row each time we eat a recipe or takeout order
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS meal_events (
+        id SERIAL PRIMARY KEY,
+        meal_id INTEGER NOT NULL REFERENCES meals(id) ON DELETE CASCADE,
+        eaten_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        eaten_by TEXT[] DEFAULT ARRAY[]::TEXT[],
+        rating INTEGER CHECK (rating >= 0 AND rating <= 5),
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_meal_events_meal_id ON meal_events(meal_id);
+      CREATE INDEX IF NOT EXISTS idx_meal_events_eaten_at ON meal_events(eaten_at);
+    `);
+  }
+};
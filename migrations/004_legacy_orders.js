@@ -0,0 +1,143 @@
+// Move the pre-unification orders/order_items tables into meals, meal_items
+// and meal_events. The old tables are renamed to *_backup rather than dropped.
+// No-op on databases that never had them.
+//
+// Databases the old startup code (migrateExistingData) already converted have
+// orders_backup instead: every order became a takeout meal, home cooked logs
+// included (named after the recipe), and nothing recorded when anything was
+// eaten. Those get their meal_events from orders_backup, and the home cooked
+// logs turn back into events on the recipe.
+module.exports = {
+  async up(client) {
+    const tablesExist = await client.query(`
+      SELECT to_regclass('orders') IS NOT NULL as orders_exists,
+             to_regclass('order_items') IS NOT NULL as order_items_exists,
+             to_regclass('orders_backup') IS NOT NULL as orders_backup_exists
+    `);
+
+    if (!tablesExist.rows[0].orders_exists) {
+      if (tablesExist.rows[0].orders_backup_exists) await backfillFromBackup(client);
+      return;
+    }
+
+    console.log('📦 Migrating existing takeout orders...');
+
+    // Home cooked logs (recipe_name set) become meal_events below
+    await client.query(`
+      INSERT INTO meals (
+        meal_type, name, restaurant, address, delivery_service,
+        subtotal, delivery_fee, service_fee, tax, discount, tip, total,
+        meal_date, created_at, tags
+      )
+      SELECT
+        'takeout' as meal_type,
+        restaurant as name,
+        restaurant, address, delivery_service,
+        subtotal, delivery_fee, service_fee, tax, discount, tip, total,
+        COALESCE(meal_date, order_date) as meal_date,
+        created_at,
+        ARRAY[]::TEXT[] as tags
+      FROM orders
+      WHERE recipe_name IS NULL
+    `);
+
+    if (tablesExist.rows[0].order_items_exists) {
+      await client.query(`
+        INSERT INTO meal_items (
+          meal_id, item_name, price, assigned_to, rating, notes, tags
+        )
+        SELECT
+          m.id as meal_id,
+          oi.item_name, oi.price, oi.assigned_to, oi.rating, oi.notes,
+          COALESCE(oi.tags, ARRAY[]::TEXT[]) as tags
+        FROM order_items oi
+        JOIN orders o ON oi.order_id = o.id
+        JOIN meals m ON m.restaurant = o.restaurant
+          AND m.created_at = o.created_at
+          AND m.meal_type = 'takeout'
+      `);
+    }
+
+    // Takeout orders that were logged as meals
+    await client.query(`
+      INSERT INTO meal_events (meal_id, eaten_at)
+      SELECT m.id, COALESCE(o.meal_date, o.order_date, o.created_at)
+      FROM orders o
+      JOIN meals m ON m.restaurant = o.restaurant
+        AND m.created_at = o.created_at
+        AND m.meal_type = 'takeout'
+      WHERE o.logged_as_meal = true AND o.recipe_name IS NULL
+    `);
+
+    // Home cooked logs point at the recipe with the same name
+    const cookedResult = await client.query(`
+      INSERT INTO meal_events (meal_id, eaten_at)
+      SELECT DISTINCT ON (o.id) r.id, COALESCE(o.meal_date, o.created_at)
+      FROM orders o
+      JOIN meals r ON r.meal_type = 'recipe' AND r.name = o.recipe_name
+      WHERE o.recipe_name IS NOT NULL
+      ORDER BY o.id, r.id
+    `);
+    console.log(`🍳 Migrated ${cookedResult.rowCount} home cooked meal logs`);
+
+    await client.query('ALTER TABLE orders RENAME TO orders_backup');
+    if (tablesExist.rows[0].order_items_exists) {
+      await client.query('ALTER TABLE order_items RENAME TO order_items_backup');
+    }
+    console.log('📁 Old tables renamed to *_backup for safety');
+  }
+};
+
+// meal_events for a database migrateExistingData converted, from orders_backup
+async function backfillFromBackup(client) {
+  console.log('📦 Recovering meal logs from orders_backup...');
+  const columns = await client.query(`
+    SELECT column_name FROM information_schema.columns WHERE table_name = 'orders_backup'
+  `);
+  const hasLoggedFlag = columns.rows.some(column => column.column_name === 'logged_as_meal');
+
+  // Takeout orders that were logged as meals
+  if (hasLoggedFlag) {
+    await client.query(`
+      INSERT INTO meal_events (meal_id, eaten_at)
+      SELECT m.id, COALESCE(o.meal_date, o.order_date, o.created_at)
+      FROM orders_backup o
+      JOIN meals m ON m.restaurant = o.restaurant
+        AND m.name = o.restaurant
+        AND m.created_at = o.created_at
+        AND m.meal_type = 'takeout'
+      WHERE o.logged_as_meal = true AND o.recipe_name IS NULL
+    `);
+  }
+
+  // Home cooked logs: the takeout meal migrateExistingData made for each
+  // becomes an event on the recipe with the same name. When that recipe is
+  // gone, the meal itself becomes a (name-only) recipe so the log survives
+  // without counting as takeout spending.
+  const logged = await client.query(`
+    SELECT DISTINCT ON (o.id) logged.id as logged_id, r.id as recipe_id,
+           COALESCE(o.meal_date, o.created_at) as eaten_at
+    FROM orders_backup o
+    JOIN meals logged ON logged.meal_type = 'takeout'
+      AND logged.name = o.recipe_name
+      AND logged.created_at = o.created_at
+    LEFT JOIN meals r ON r.meal_type = 'recipe' AND r.name = o.recipe_name
+    WHERE o.recipe_name IS NOT NULL
+    ORDER BY o.id, r.id
+  `);
+  for (const row of logged.rows) {
+    if (!row.recipe_id) {
+      await client.query(`
+        UPDATE meals SET
+          meal_type = 'recipe', restaurant = NULL, address = NULL, delivery_service = NULL,
+          subtotal = NULL, delivery_fee = NULL, service_fee = NULL, tax = NULL, discount = NULL, tip = NULL, total = NULL
+        WHERE id = $1
+      `, [row.logged_id]);
+    }
+    await client.query('INSERT INTO meal_events (meal_id, eaten_at) VALUES ($1, $2)', [row.recipe_id || row.logged_id, row.eaten_at]);
+  }
+  await client.query('DELETE FROM meals WHERE id = ANY($1::int[])', [
+    logged.rows.filter(row => row.recipe_id).map(row => row.logged_id)
+  ]);
+  console.log(`🍳 Recovered ${logged.rows.length} home cooked meal logs`);
+}
@@ -0,0 +1,26 @@
+// Structured ingredients parsed from meals.ingredients (see ingredients.js).
+// The raw text stays the source of truth; rows are rebuilt whenever it changes.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS recipe_ingredients (
+        id SERIAL PRIMARY KEY,
+        meal_id INTEGER NOT NULL REFERENCES meals(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        section VARCHAR(100),
+        raw_text TEXT NOT NULL,
+        quantity DOUBLE PRECISION,
+        quantity_max DOUBLE PRECISION,
+        unit VARCHAR(20),
+        name TEXT,
+        preparation TEXT,
+        optional BOOLEAN DEFAULT false
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_recipe_ingredients_meal_id ON recipe_ingredients(meal_id);
+      CREATE INDEX IF NOT EXISTS idx_recipe_ingredients_name ON recipe_ingredients(LOWER(name));
+    `);
+  }
+};
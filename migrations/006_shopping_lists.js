@@ -0,0 +1,44 @@
+// Shopping lists built from one or more recipes (see shopping.js)
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS shopping_lists (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Which recipes (and at what serving count) the list was built from
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS shopping_list_recipes (
+        id SERIAL PRIMARY KEY,
+        list_id INTEGER NOT NULL REFERENCES shopping_lists(id) ON DELETE CASCADE,
+        meal_id INTEGER REFERENCES meals(id) ON DELETE SET NULL,
+        recipe_name VARCHAR(255) NOT NULL,
+        servings DOUBLE PRECISION
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS shopping_list_items (
+        id SERIAL PRIMARY KEY,
+        list_id INTEGER NOT NULL REFERENCES shopping_lists(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        aisle VARCHAR(50) NOT NULL,
+        name TEXT NOT NULL,
+        quantity DOUBLE PRECISION,
+        unit VARCHAR(20),
+        recipes TEXT[] DEFAULT ARRAY[]::TEXT[],
+        optional BOOLEAN DEFAULT false,
+        checked BOOLEAN DEFAULT false
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_shopping_list_recipes_list_id ON shopping_list_recipes(list_id);
+      CREATE INDEX IF NOT EXISTS idx_shopping_list_items_list_id ON shopping_list_items(list_id);
+    `);
+  }
+};
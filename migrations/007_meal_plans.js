@@ -0,0 +1,27 @@
+// Weekly planner: one row per date + slot, pointing at a recipe or marking
+// a takeout night. logged_at is set once a past entry has been written to
+// meal_events, so deleting that event from history doesn't re-log it.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS meal_plans (
+        id SERIAL PRIMARY KEY,
+        plan_date DATE NOT NULL,
+        slot VARCHAR(20) NOT NULL CHECK (slot IN ('breakfast', 'lunch', 'dinner')),
+        entry_type VARCHAR(20) NOT NULL CHECK (entry_type IN ('recipe', 'takeout')),
+        meal_id INTEGER REFERENCES meals(id) ON DELETE CASCADE,
+        notes TEXT,
+        meal_event_id INTEGER REFERENCES meal_events(id) ON DELETE SET NULL,
+        logged_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (plan_date, slot),
+        CHECK (entry_type = 'takeout' OR meal_id IS NOT NULL)
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_meal_plans_plan_date ON meal_plans(plan_date);
+    `);
+  }
+};
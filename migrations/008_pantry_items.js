@@ -0,0 +1,18 @@
+// What's in the kitchen right now. normalized_name comes from
+// normalizeIngredientName() in ingredients.js and is what recipes match against.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS pantry_items (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        normalized_name VARCHAR(255) NOT NULL UNIQUE,
+        quantity DOUBLE PRECISION,
+        unit VARCHAR(20),
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+};
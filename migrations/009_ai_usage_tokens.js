@@ -0,0 +1,19 @@
+// Per-call AI accounting. Rows written before this migration only have a
+// guessed estimated_cost; newer rows carry the token counts the API reported
+// and a cost computed from them (see MODEL_PRICES in ai.js).
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE ai_usage
+        ADD COLUMN IF NOT EXISTS provider VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS model VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS input_tokens INTEGER,
+        ADD COLUMN IF NOT EXISTS output_tokens INTEGER,
+        ADD COLUMN IF NOT EXISTS latency_ms INTEGER,
+        ADD COLUMN IF NOT EXISTS success BOOLEAN NOT NULL DEFAULT TRUE,
+        ADD COLUMN IF NOT EXISTS error TEXT
+    `);
+    // Four decimal places rounds a typical call's cost (a few tenths of a cent) away
+    await client.query(`ALTER TABLE ai_usage ALTER COLUMN estimated_cost TYPE DECIMAL(12, 6)`);
+  }
+};
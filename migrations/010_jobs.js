@@ -0,0 +1,47 @@
+// Background jobs (see jobs.js). job_items is the checkpoint: one row per
+// recipe the job covers, marked done/failed as the worker gets to it, so a
+// restarted or resumed job only does what's still pending.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id SERIAL PRIMARY KEY,
+        type VARCHAR(50) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'queued'
+          CHECK (status IN ('queued', 'running', 'paused', 'completed', 'failed', 'cancelled')),
+        payload JSONB NOT NULL DEFAULT '{}'::JSONB,
+        cost DECIMAL(12, 6) NOT NULL DEFAULT 0,
+        error TEXT,
+        cancel_requested BOOLEAN NOT NULL DEFAULT FALSE,
+        locked_by VARCHAR(255),
+        heartbeat_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        started_at TIMESTAMP,
+        finished_at TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Only one queued or running job of each type at a time
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_one_active_per_type
+      ON jobs(type) WHERE status IN ('queued', 'running')
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status)`);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS job_items (
+        job_id INTEGER NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+        meal_id INTEGER NOT NULL REFERENCES meals(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'done', 'failed')),
+        result JSONB,
+        error TEXT,
+        processed_at TIMESTAMP,
+        PRIMARY KEY (job_id, meal_id)
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_job_items_pending ON job_items(job_id, position) WHERE status = 'pending'`);
+  }
+};
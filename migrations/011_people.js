@@ -0,0 +1,38 @@
+// Household members. meal_items.assigned_to was a free-text name ("Collin",
+// "Emily", whatever the receipt flow sent); items now point at a people row.
+// Every name already used becomes a person, so no assignment is lost; a
+// database with no assignments starts with nobody.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS people (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(50) NOT NULL,
+        color VARCHAR(7) NOT NULL DEFAULT '#667eea',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_people_name ON people (LOWER(name))`);
+
+    await client.query(`
+      INSERT INTO people (name)
+      SELECT DISTINCT ON (LOWER(TRIM(assigned_to))) TRIM(assigned_to)
+      FROM meal_items
+      WHERE TRIM(COALESCE(assigned_to, '')) <> ''
+      ON CONFLICT DO NOTHING
+    `);
+
+    await client.query(`
+      ALTER TABLE meal_items
+        ADD COLUMN IF NOT EXISTS person_id INTEGER REFERENCES people(id) ON DELETE SET NULL
+    `);
+    await client.query(`
+      UPDATE meal_items mi SET person_id = p.id
+      FROM people p
+      WHERE LOWER(TRIM(mi.assigned_to)) = LOWER(p.name)
+    `);
+    await client.query(`ALTER TABLE meal_items DROP COLUMN IF EXISTS assigned_to`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_meal_items_person_id ON meal_items(person_id)`);
+  }
+};
@@ -0,0 +1,52 @@
+// Ratings per person. meals.overall_rating, meal_events.rating and
+// meal_items.rating hold one number for everyone; these keep each person's
+// own opinion of a meal and of the items from it (see preferences.js).
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS meal_ratings (
+        person_id INTEGER NOT NULL REFERENCES people(id) ON DELETE CASCADE,
+        meal_id INTEGER NOT NULL REFERENCES meals(id) ON DELETE CASCADE,
+        rating INTEGER NOT NULL CHECK (rating >= 1 AND rating <= 5),
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (person_id, meal_id)
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_meal_ratings_meal_id ON meal_ratings(meal_id)`);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS meal_item_ratings (
+        person_id INTEGER NOT NULL REFERENCES people(id) ON DELETE CASCADE,
+        meal_item_id INTEGER NOT NULL REFERENCES meal_items(id) ON DELETE CASCADE,
+        rating INTEGER NOT NULL CHECK (rating >= 1 AND rating <= 5),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (person_id, meal_item_id)
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_meal_item_ratings_item_id ON meal_item_ratings(meal_item_id)`);
+
+    // An item's rating was its assigned person's
+    await client.query(`
+      INSERT INTO meal_item_ratings (person_id, meal_item_id, rating)
+      SELECT person_id, id, rating FROM meal_items
+      WHERE person_id IS NOT NULL AND rating BETWEEN 1 AND 5
+      ON CONFLICT DO NOTHING
+    `);
+
+    // A logged meal's rating goes to everyone listed as eating it; the most
+    // recent time wins when a recipe was logged more than once
+    await client.query(`
+      INSERT INTO meal_ratings (person_id, meal_id, rating, notes)
+      SELECT DISTINCT ON (p.id, e.meal_id) p.id, e.meal_id, e.rating, e.notes
+      FROM meal_events e
+      CROSS JOIN LATERAL unnest(e.eaten_by) AS eater(name)
+      JOIN people p ON LOWER(p.name) = LOWER(TRIM(eater.name))
+      WHERE e.rating BETWEEN 1 AND 5
+      ORDER BY p.id, e.meal_id, e.eaten_at DESC
+      ON CONFLICT DO NOTHING
+    `);
+  }
+};
@@ -0,0 +1,64 @@
+// Accounts and households. Everything a household owns carries its
+// household_id so several households can share one deployment; rows that
+// hang off those (meal_events, recipe_ingredients, ratings, list items) are
+// scoped through their parent. Existing data becomes the first household's.
+const HOUSEHOLD_TABLES = ['meals', 'meal_items', 'people', 'shopping_lists', 'meal_plans', 'pantry_items'];
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS households (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id SERIAL PRIMARY KEY,
+        household_id INTEGER NOT NULL REFERENCES households(id),
+        email VARCHAR(255) NOT NULL,
+        password_hash TEXT NOT NULL,
+        is_admin BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_login_at TIMESTAMP
+      )
+    `);
+    await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email ON users (LOWER(email))`);
+
+    // token_hash is the SHA-256 of the token; the token itself is never stored
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        token_hash VARCHAR(64) PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id)`);
+
+    const household = await client.query(`INSERT INTO households (name) VALUES ('Home') RETURNING id`);
+    const householdId = household.rows[0].id;
+
+    for (const table of HOUSEHOLD_TABLES) {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS household_id INTEGER REFERENCES households(id)`);
+      await client.query(`UPDATE ${table} SET household_id = $1 WHERE household_id IS NULL`, [householdId]);
+      await client.query(`ALTER TABLE ${table} ALTER COLUMN household_id SET NOT NULL`);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_${table}_household_id ON ${table}(household_id)`);
+    }
+
+    // Calls not made for a household (e.g. from a CLI) are recorded without one
+    await client.query(`ALTER TABLE ai_usage ADD COLUMN IF NOT EXISTS household_id INTEGER REFERENCES households(id)`);
+    await client.query(`UPDATE ai_usage SET household_id = $1 WHERE household_id IS NULL`, [householdId]);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_ai_usage_household_id ON ai_usage(household_id, created_at)`);
+
+    // Names, planner slots and pantry items only need to be unique per household
+    await client.query(`DROP INDEX IF EXISTS idx_people_name`);
+    await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_people_household_name ON people (household_id, LOWER(name))`);
+    await client.query(`ALTER TABLE meal_plans DROP CONSTRAINT IF EXISTS meal_plans_plan_date_slot_key`);
+    await client.query(`ALTER TABLE meal_plans ADD CONSTRAINT meal_plans_household_date_slot_key UNIQUE (household_id, plan_date, slot)`);
+    await client.query(`ALTER TABLE pantry_items DROP CONSTRAINT IF EXISTS pantry_items_normalized_name_key`);
+    await client.query(`ALTER TABLE pantry_items ADD CONSTRAINT pantry_items_household_name_key UNIQUE (household_id, normalized_name)`);
+  }
+};
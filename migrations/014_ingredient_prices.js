@@ -0,0 +1,21 @@
+// What ingredients cost, per household, for estimating what a home-cooked
+// meal costs (see savings.js). A row prices `quantity` `unit` of an
+// ingredient, e.g. $3.99 for 1 lb; a NULL unit prices it per item.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ingredient_prices (
+        id SERIAL PRIMARY KEY,
+        household_id INTEGER NOT NULL REFERENCES households(id),
+        name VARCHAR(255) NOT NULL,
+        normalized_name VARCHAR(255) NOT NULL,
+        price DECIMAL(10, 2) NOT NULL CHECK (price >= 0),
+        quantity DOUBLE PRECISION NOT NULL DEFAULT 1 CHECK (quantity > 0),
+        unit VARCHAR(20),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (household_id, normalized_name)
+      )
+    `);
+  }
+};
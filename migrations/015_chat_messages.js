@@ -0,0 +1,18 @@
+// Chat assistant history, one conversation per sign-in session. Signing out
+// (or a password change ending the session) deletes it with the session.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS chat_messages (
+        id SERIAL PRIMARY KEY,
+        session_id VARCHAR(64) NOT NULL REFERENCES sessions(token_hash) ON DELETE CASCADE,
+        household_id INTEGER NOT NULL REFERENCES households(id),
+        role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant')),
+        content TEXT NOT NULL,
+        citations JSONB NOT NULL DEFAULT '[]'::JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_chat_messages_session_id ON chat_messages(session_id, id)`);
+  }
+};
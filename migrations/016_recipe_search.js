@@ -0,0 +1,53 @@
+// Full-text search over recipes (see search.js). The tsvector lives in its own
+// table rather than on meals so the many `SELECT *` queries don't carry it.
+// Weights: name A, tags and AI tags B, ingredients C, directions and notes D.
+// A trigger keeps it current on every insert or update of those columns.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS recipe_search (
+        meal_id INTEGER PRIMARY KEY REFERENCES meals(id) ON DELETE CASCADE,
+        document TSVECTOR NOT NULL
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_recipe_search_document ON recipe_search USING GIN(document)`);
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION recipe_search_document(
+        name TEXT, tags TEXT[], ai_tags TEXT[], ingredients TEXT, directions TEXT, notes TEXT
+      ) RETURNS TSVECTOR AS $$
+        SELECT
+          setweight(to_tsvector('english', COALESCE(name, '')), 'A') ||
+          setweight(to_tsvector('english', array_to_string(COALESCE(tags, '{}') || COALESCE(ai_tags, '{}'), ' ')), 'B') ||
+          setweight(to_tsvector('english', COALESCE(ingredients, '')), 'C') ||
+          setweight(to_tsvector('english', concat_ws(' ', directions, notes)), 'D')
+      $$ LANGUAGE SQL STABLE
+    `);
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION recipe_search_refresh() RETURNS TRIGGER AS $$
+      BEGIN
+        INSERT INTO recipe_search (meal_id, document)
+        VALUES (NEW.id, recipe_search_document(NEW.name, NEW.tags, NEW.ai_tags, NEW.ingredients, NEW.directions, NEW.notes))
+        ON CONFLICT (meal_id) DO UPDATE SET document = EXCLUDED.document;
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query(`DROP TRIGGER IF EXISTS meals_recipe_search ON meals`);
+    await client.query(`
+      CREATE TRIGGER meals_recipe_search
+      AFTER INSERT OR UPDATE OF name, tags, ai_tags, ingredients, directions, notes ON meals
+      FOR EACH ROW WHEN (NEW.meal_type = 'recipe')
+      EXECUTE FUNCTION recipe_search_refresh()
+    `);
+
+    await client.query(`
+      INSERT INTO recipe_search (meal_id, document)
+      SELECT id, recipe_search_document(name, tags, ai_tags, ingredients, directions, notes)
+      FROM meals
+      WHERE meal_type = 'recipe'
+      ON CONFLICT (meal_id) DO UPDATE SET document = EXCLUDED.document
+    `);
+  }
+};
@@ -0,0 +1,8 @@
+// A household's standing dietary restrictions: allergies and diets every
+// recipe recommendation has to respect, e.g. {nuts, shellfish, vegetarian}.
+// Each is a group or an ingredient as exclusions.js understands them.
+module.exports = {
+  async up(client) {
+    await client.query(`ALTER TABLE households ADD COLUMN IF NOT EXISTS dietary_restrictions TEXT[] NOT NULL DEFAULT '{}'`);
+  }
+};
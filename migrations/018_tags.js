@@ -0,0 +1,81 @@
+// The tag taxonomy (see tags.js): each household's tags with their category
+// and synonyms, and which of them are cooking filter chips. meals.tags keeps
+// holding tag names; renaming or merging a tag rewrites them there.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS tags (
+        id SERIAL PRIMARY KEY,
+        household_id INTEGER NOT NULL REFERENCES households(id),
+        category VARCHAR(50) NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        synonyms TEXT[] NOT NULL DEFAULT '{}',
+        filter_id VARCHAR(50),
+        filter_icon VARCHAR(20),
+        filter_label VARCHAR(50),
+        filter_page SMALLINT,
+        position INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_household_name ON tags(household_id, LOWER(name))`);
+    await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_household_filter ON tags(household_id, filter_id)`);
+
+    const households = await client.query('SELECT id FROM households');
+    for (const household of households.rows) {
+      for (const [position, [category, name]] of DEFAULT_TAGS.entries()) {
+        const filter = DEFAULT_FILTERS[name] || {};
+        await client.query(`
+          INSERT INTO tags (household_id, category, name, synonyms, filter_id, filter_icon, filter_label, filter_page, position)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+          ON CONFLICT DO NOTHING
+        `, [household.id, category, name, DEFAULT_SYNONYMS[name] || [], filter.id || null, filter.icon || null, filter.label || null, filter.page || null, position]);
+      }
+    }
+  }
+};
+
+// The default taxonomy as it stood when tags were introduced. Copied rather
+// than required from tags.js so editing the defaults there later can't change
+// what this migration does; tags.js seeds households created after it.
+const DEFAULT_CATEGORIES = [
+  ['Meal Type', ['Breakfast', 'Lunch', 'Dinner', 'Brunch', 'Snack']],
+  ['Course', ['Appetizer', 'Main Dish', 'Side Dish', 'Salad', 'Soup', 'Dessert', 'Beverage', 'Sauce/Condiment']],
+  ['Dietary', ['Vegetarian', 'Vegan', 'Gluten-Free', 'Dairy-Free', 'Nut-Free', 'Low-Carb', 'Keto', 'Paleo']],
+  ['Cuisine', [
+    'American', 'Italian', 'Mexican', 'Asian', 'Indian', 'Mediterranean', 'French', 'Thai', 'Korean',
+    'Japanese', 'Chinese', 'Greek', 'Middle Eastern'
+  ]],
+  ['Cooking Method', ['Baked', 'Grilled', 'Fried', 'Slow Cooker', 'Instant Pot', 'One-Pot', 'No-Cook', 'Roasted', 'Sautéed', 'Steamed']],
+  ['Time', ['Quick (< 30 min)', 'Medium (30-60 min)', 'Long (> 60 min)']],
+  ['Difficulty', ['Easy', 'Medium', 'Hard']],
+  ['Characteristics', [
+    'Healthy', 'Comfort Food', 'Kid-Friendly', 'Party Food', 'Make-Ahead', 'Meal Prep', 'Spicy', 'Sweet',
+    'Savory', 'Fresh', 'Hearty', 'Light'
+  ]]
+];
+
+const DEFAULT_TAGS = DEFAULT_CATEGORIES.flatMap(([category, names]) => names.map(name => [category, name]));
+
+const DEFAULT_SYNONYMS = {
+  'Main Dish': ['entree', 'main course', 'dinner'],
+  'Quick (< 30 min)': ['quick', 'fast', 'weeknight', '30 min'],
+  'Healthy': ['nutritious', 'light', 'fresh'],
+  'Hearty': ['filling', 'substantial', 'satisfying'],
+  'Comfort Food': ['comfort', 'cozy', 'indulgent', 'rich']
+};
+
+const DEFAULT_FILTERS = {
+  'Main Dish': { id: 'main-dish', icon: '🍽️', page: 1 },
+  'Salad': { id: 'salad', icon: '🥗', page: 1 },
+  'Side Dish': { id: 'side-dish', icon: '🥔', page: 1 },
+  'Dessert': { id: 'dessert', icon: '🍰', page: 1 },
+  'Appetizer': { id: 'appetizer', icon: '🥙', page: 1 },
+  'Soup': { id: 'soup', icon: '🍲', page: 1 },
+  'Quick (< 30 min)': { id: 'quick', icon: '⚡', label: 'Quick', page: 2 },
+  'Healthy': { id: 'healthy', icon: '🥗', page: 2 },
+  'Hearty': { id: 'filling', icon: '🍗', page: 2 },
+  'Hard': { id: 'complex', icon: '🎓', label: 'Complex', page: 2 },
+  'Comfort Food': { id: 'comfort', icon: '🧀', page: 2 }
+};
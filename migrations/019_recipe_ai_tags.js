@@ -0,0 +1,72 @@
+// AI tags kept once per recipe with how often and when the AI suggested them
+// (see ai-tags.js), instead of meals.ai_tags growing with every Smart Match.
+// Existing tags are normalized and their repeats become the count; when they
+// were suggested isn't known, so they date from the last AI tag update.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS recipe_ai_tags (
+        meal_id INTEGER NOT NULL REFERENCES meals(id) ON DELETE CASCADE,
+        tag VARCHAR(100) NOT NULL,
+        count INTEGER NOT NULL DEFAULT 1,
+        sources TEXT[] NOT NULL DEFAULT '{}',
+        first_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (meal_id, tag)
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_recipe_ai_tags_tag ON recipe_ai_tags(tag)`);
+
+    const meals = await client.query(`
+      SELECT id, ai_tags, COALESCE((ai_tag_metadata->>'last_updated')::timestamp, updated_at, CURRENT_TIMESTAMP) as seen_at
+      FROM meals
+      WHERE array_length(ai_tags, 1) > 0
+    `);
+    for (const meal of meals.rows) {
+      const counts = new Map();
+      for (const tag of meal.ai_tags.map(normalizeTag).filter(tag => tag && tag.length <= 100)) {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      }
+      for (const [tag, count] of counts) {
+        await client.query(`
+          INSERT INTO recipe_ai_tags (meal_id, tag, count, first_seen_at, last_seen_at)
+          VALUES ($1, $2, $3, $4, $4)
+          ON CONFLICT DO NOTHING
+        `, [meal.id, tag, count, meal.seen_at]);
+      }
+    }
+
+    // meals.ai_tags now mirrors recipe_ai_tags, strongest first
+    await client.query(`
+      UPDATE meals m
+      SET ai_tags = ARRAY(
+            SELECT t.tag FROM recipe_ai_tags t
+            WHERE t.meal_id = m.id
+            ORDER BY t.count DESC, t.last_seen_at DESC, t.tag
+          ),
+          ai_tag_metadata = jsonb_set(COALESCE(ai_tag_metadata, '{}'::jsonb), '{last_updated}', to_jsonb(now()))
+      WHERE m.id = ANY($1::int[])
+    `, [meals.rows.map(meal => meal.id)]);
+  }
+};
+
+// ai-tags.js's normalizeAiTag as it stood for this migration, copied so later
+// changes there (or to singularize in ingredients.js) can't change what it
+// does: "Reheats-Well!" -> "reheat well"
+function normalizeTag(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .map(singularize)
+    .join(' ');
+}
+
+function singularize(word) {
+  if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (word.length > 4 && word.endsWith('oes')) return word.slice(0, -2);
+  if (/(ch|sh|x)es$/.test(word)) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !/(ss|us)$/.test(word)) return word.slice(0, -1);
+  return word;
+}
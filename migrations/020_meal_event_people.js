@@ -0,0 +1,37 @@
+// Who ate a logged meal. meal_events.eaten_by held names, so renaming a person
+// orphaned their history and two people with the same name were one. Events
+// now point at people rows. As in 011, a name nobody in the meal's household
+// has yet becomes a person, so no eater is lost.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS meal_event_people (
+        meal_event_id INTEGER NOT NULL REFERENCES meal_events(id) ON DELETE CASCADE,
+        person_id INTEGER NOT NULL REFERENCES people(id) ON DELETE CASCADE,
+        PRIMARY KEY (meal_event_id, person_id)
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_meal_event_people_person_id ON meal_event_people(person_id)`);
+
+    await client.query(`
+      INSERT INTO people (household_id, name)
+      SELECT DISTINCT ON (m.household_id, LOWER(TRIM(eater.name))) m.household_id, TRIM(eater.name)
+      FROM meal_events e
+      JOIN meals m ON m.id = e.meal_id
+      CROSS JOIN LATERAL unnest(e.eaten_by) AS eater(name)
+      WHERE TRIM(COALESCE(eater.name, '')) <> '' AND LENGTH(TRIM(eater.name)) <= 50
+      ON CONFLICT DO NOTHING
+    `);
+    await client.query(`
+      INSERT INTO meal_event_people (meal_event_id, person_id)
+      SELECT DISTINCT e.id, p.id
+      FROM meal_events e
+      JOIN meals m ON m.id = e.meal_id
+      CROSS JOIN LATERAL unnest(e.eaten_by) AS eater(name)
+      JOIN people p ON p.household_id = m.household_id AND LOWER(p.name) = LOWER(TRIM(eater.name))
+      ON CONFLICT DO NOTHING
+    `);
+
+    await client.query(`ALTER TABLE meal_events DROP COLUMN IF EXISTS eaten_by`);
+  }
+};
@@ -0,0 +1,60 @@
+// Pantry matching: which of a recipe's parsed ingredients (see ingredients.js)
+// are already on hand, compared by normalized name.
+
+const { normalizeIngredientName } = require('./ingredients');
+
+// Assumed to be in every kitchen, so never counted for or against a recipe
+const PANTRY_STAPLES = ['water', 'ice', 'salt', 'pepper', 'black pepper', 'salt and pepper', 'salt & pepper', 'salt pepper'];
+
+// Generic words that name a whole family of products. A pantry item called
+// just "cheese" shouldn't count for "cream cheese", but "onion" can cover
+// "red onion" and "cheddar cheese" can cover "sharp cheddar cheese".
+const AMBIGUOUS_HEADS = [
+  'cheese', 'pepper', 'oil', 'sauce', 'sugar', 'flour', 'milk', 'cream', 'butter', 'vinegar',
+  'powder', 'paste', 'broth', 'stock', 'bean', 'juice', 'seed', 'wine', 'syrup', 'extract'
+];
+
+// Words that only qualify a product, so "unsalted butter" is still butter
+const QUALIFIER_WORDS = [
+  'unsalted', 'salted', 'whole', 'skim', 'low-fat', 'low', 'sodium', 'reduced', 'sharp', 'mild',
+  'light', 'dark', 'kosher', 'sea', 'organic', 'plain', 'pure', 'good', 'quality', 'cold', 'warm'
+];
+
+function pantryCovers(pantryKey, ingredientKey) {
+  if (pantryKey === ingredientKey) return true;
+  // Pantry item is a more specific version of what the recipe asks for ("olive oil" for "oil")
+  if (pantryKey.endsWith(` ${ingredientKey}`)) return true;
+  // Recipe asks for a more specific version of a pantry item
+  if (!ingredientKey.endsWith(` ${pantryKey}`)) return false;
+  if (!AMBIGUOUS_HEADS.includes(pantryKey)) return true;
+
+  const extraWords = ingredientKey.slice(0, -pantryKey.length).trim().split(/\s+/);
+  return extraWords.every(word => QUALIFIER_WORDS.includes(word));
+}
+
+// Split a recipe's ingredients into what we have and what's missing.
+// Optional ingredients and staples are left out of the share.
+function pantryCoverage(ingredients, pantryKeys) {
+  const have = [];
+  const missing = [];
+  const seen = new Set();
+
+  for (const ingredient of ingredients) {
+    if (!ingredient.name || ingredient.optional) continue;
+
+    const key = normalizeIngredientName(ingredient.name);
+    if (!key || seen.has(key) || PANTRY_STAPLES.includes(key)) continue;
+    seen.add(key);
+
+    if (pantryKeys.some(pantryKey => pantryCovers(pantryKey, key))) {
+      have.push(ingredient.name);
+    } else {
+      missing.push(ingredient.name);
+    }
+  }
+
+  const total = have.length + missing.length;
+  return { have, missing, share: total > 0 ? have.length / total : 0 };
+}
+
+module.exports = { pantryCoverage, pantryCovers, PANTRY_STAPLES };
@@ -0,0 +1,155 @@
+// Taste profiles derived from per-person ratings (meal_ratings and
+// meal_item_ratings). Nothing is stored: a profile is rebuilt from the
+// ratings when it's needed, so every new rating shows up right away.
+
+const { normalizeIngredientName } = require('./ingredients');
+const { PANTRY_STAPLES } = require('./pantry');
+
+// Each key's score is the average rating weight (5 stars -> +2, 3 -> 0,
+// 1 -> -2) of the meals carrying it, shrunk toward zero as if it also had
+// this many neutral ratings. One great Thai dinner nudges Thai up; five make
+// it a favorite. Scores stay between -2 and 2 however much someone has rated,
+// so one person's profile can't drown out another's when they're combined.
+const PRIOR_RATINGS = 2;
+
+const FAVORITE_THRESHOLD = 0.5;
+const DISLIKE_THRESHOLD = -0.5;
+
+function ratingWeight(rating) {
+  return rating - 3;
+}
+
+function addWeight(totals, key, weight) {
+  const entry = totals.get(key) || { sum: 0, count: 0 };
+  entry.sum += weight;
+  entry.count += 1;
+  totals.set(key, entry);
+}
+
+function toScores(totals) {
+  const scores = {};
+  for (const [key, { sum, count }] of totals) {
+    scores[key] = Math.round((sum / (count + PRIOR_RATINGS)) * 100) / 100;
+  }
+  return scores;
+}
+
+function ranked(scores, keyName, { min, max, limit }) {
+  return Object.entries(scores)
+    .filter(([, score]) => (min !== undefined ? score >= min : score <= max))
+    .sort((a, b) => (min !== undefined ? b[1] - a[1] : a[1] - b[1]) || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([key, score]) => ({ [keyName]: key, score }));
+}
+
+// The readable part of a profile: what someone reliably likes and avoids
+function withHighlights(profile) {
+  return {
+    ...profile,
+    favoriteTags: ranked(profile.tags, 'tag', { min: FAVORITE_THRESHOLD, limit: 8 }),
+    favoriteCuisines: ranked(profile.cuisines, 'cuisine', { min: FAVORITE_THRESHOLD, limit: 5 }),
+    dislikedIngredients: ranked(profile.ingredients, 'ingredient', { max: DISLIKE_THRESHOLD, limit: 10 })
+  };
+}
+
+function ingredientKeys(names) {
+  const keys = (names || [])
+    .map(name => normalizeIngredientName(name))
+    .filter(key => key && !PANTRY_STAPLES.includes(key));
+  return [...new Set(keys)];
+}
+
+// One person's profile from everything they've rated.
+// rows: [{ mealId, rating, tags, cuisine, ingredients }]; a meal can appear
+// more than once (the meal itself and items from it). Cuisine tags are left
+// out of the tag scores since they're scored as cuisines.
+function buildPreferenceProfile(rows, { cuisineTags = [] } = {}) {
+  const tagTotals = new Map();
+  const cuisineTotals = new Map();
+  const ingredientTotals = new Map();
+  const mealTotals = new Map();
+
+  for (const row of rows) {
+    if (!row.rating) continue;
+    const weight = ratingWeight(row.rating);
+
+    for (const tag of new Set(row.tags || [])) {
+      if (!cuisineTags.includes(tag)) addWeight(tagTotals, tag, weight);
+    }
+    if (row.cuisine) addWeight(cuisineTotals, row.cuisine, weight);
+    for (const key of ingredientKeys(row.ingredients)) {
+      addWeight(ingredientTotals, key, weight);
+    }
+    addWeight(mealTotals, row.mealId, weight);
+  }
+
+  // What they thought of each meal itself - not shrunk, it's a direct opinion
+  const meals = {};
+  for (const [mealId, { sum, count }] of mealTotals) {
+    meals[mealId] = sum / count;
+  }
+
+  return withHighlights({
+    ratingCount: rows.filter(row => row.rating).length,
+    tags: toScores(tagTotals),
+    cuisines: toScores(cuisineTotals),
+    ingredients: toScores(ingredientTotals),
+    meals
+  });
+}
+
+// Everyone eating together: scores add up, so a favorite of both counts
+// double and one person's dislike still pulls a dish down
+function combineProfiles(profiles) {
+  const combined = { ratingCount: 0, tags: {}, cuisines: {}, ingredients: {}, meals: {} };
+  for (const profile of profiles) {
+    combined.ratingCount += profile.ratingCount;
+    for (const field of ['tags', 'cuisines', 'ingredients', 'meals']) {
+      for (const [key, score] of Object.entries(profile[field])) {
+        combined[field][key] = Math.round(((combined[field][key] || 0) + score) * 100) / 100;
+      }
+    }
+  }
+  return withHighlights(combined);
+}
+
+// How well a recipe suits a profile: reasons it fits, and warnings about
+// what doesn't. recipe: { id, tags, cuisine, ingredients }. Liked ingredients
+// don't add anything - onions are in everything - but disliked ones count against it.
+function scoreForProfile(recipe, profile) {
+  let score = 0;
+  const reasons = [];
+  const warnings = [];
+
+  const favoriteTags = [];
+  for (const tag of new Set(recipe.tags || [])) {
+    const tagScore = profile.tags[tag] || 0;
+    score += tagScore;
+    if (tagScore >= FAVORITE_THRESHOLD) favoriteTags.push(tag);
+  }
+
+  const cuisineScore = recipe.cuisine ? profile.cuisines[recipe.cuisine] || 0 : 0;
+  score += cuisineScore;
+  if (cuisineScore >= FAVORITE_THRESHOLD) reasons.push(`loves ${recipe.cuisine}`);
+  if (favoriteTags.length > 0) reasons.push(`likes ${favoriteTags.slice(0, 2).join(' & ')}`);
+
+  for (const key of ingredientKeys(recipe.ingredients)) {
+    const ingredientScore = profile.ingredients[key] || 0;
+    if (ingredientScore <= DISLIKE_THRESHOLD) {
+      score += ingredientScore;
+      warnings.push(`has ${key}`);
+    }
+  }
+
+  // Having rated this very dish outweighs anything inferred
+  const mealScore = profile.meals[recipe.id];
+  if (mealScore !== undefined) {
+    score += mealScore * 2;
+    if (mealScore > 0) reasons.push('rated it highly');
+    if (mealScore < 0) warnings.push('rated it poorly');
+  }
+
+  return { score: Math.round(score * 100) / 100, reasons, warnings };
+}
+
+module.exports = { buildPreferenceProfile, combineProfiles, scoreForProfile };
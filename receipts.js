@@ -0,0 +1,134 @@
+// Receipt checks: does an extracted (or hand-corrected) takeout order add up?
+// The model reads receipts well but not perfectly, and a misread total ends
+// up in the spending reports, so every order is reconciled before it's saved:
+//   items  -> subtotal
+//   subtotal + delivery fee + service fee + tax + tip - discount -> total
+
+// Receipts round each line to the cent, so sums can be off by a little
+const TOLERANCE = 0.02;
+
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+const MONEY_FIELDS = ['subtotal', 'deliveryFee', 'serviceFee', 'tax', 'discount', 'tip', 'total'];
+
+// Fields that add up to the total, and the sign they're added with
+const TOTAL_PARTS = [
+  ['subtotal', 1], ['deliveryFee', 1], ['serviceFee', 1], ['tax', 1], ['tip', 1], ['discount', -1]
+];
+
+// 12.5, "12.50" and "$12.50" -> 12.5; anything else -> null
+function parseMoney(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  const text = value.replace(/[$,\s]/g, '');
+  return /^-?\d+(\.\d+)?$/.test(text) ? parseFloat(text) : null;
+}
+
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function formatMoney(amount) {
+  return `$${amount.toFixed(2)}`;
+}
+
+// Check an order in the shape /extract-order returns and POST /orders takes.
+// Returns the order with its amounts as numbers (a missing fee is 0; a
+// discount is always positive, since receipts print it either way) and:
+//   warnings:   [{ field, message }] - field is e.g. "total" or "items.2.price"
+//   confidence: { field: 'high' | 'medium' | 'low' } for every money field and
+//               items.N.price. A failed sum marks its result low and the
+//               fields it's made of medium, since any of them could be misread.
+//   ok:         no warnings
+function validateReceipt(body) {
+  const order = body && typeof body === 'object' ? body : {};
+  const warnings = [];
+  const confidence = {};
+  const normalized = { ...order };
+
+  const lower = (field, level) => {
+    if (CONFIDENCE_LEVELS.indexOf(level) > CONFIDENCE_LEVELS.indexOf(confidence[field])) {
+      confidence[field] = level;
+    }
+  };
+
+  if (!String(order.restaurant || '').trim()) {
+    warnings.push({ field: 'restaurant', message: 'No restaurant name' });
+  }
+
+  for (const field of MONEY_FIELDS) {
+    const present = order[field] !== undefined && order[field] !== null && order[field] !== '';
+    const amount = present ? parseMoney(order[field]) : null;
+    confidence[field] = 'high';
+
+    if (amount === null) {
+      // Fees, tax, tip and discount are often just not on the receipt
+      normalized[field] = ['subtotal', 'total'].includes(field) ? null : 0;
+      if (present || ['subtotal', 'total'].includes(field)) {
+        warnings.push({ field, message: present ? `"${order[field]}" isn't an amount` : 'Missing' });
+        lower(field, 'low');
+      }
+      continue;
+    }
+
+    normalized[field] = field === 'discount' ? Math.abs(amount) : amount;
+    if (amount < 0 && field !== 'discount') {
+      warnings.push({ field, message: 'Negative amount' });
+      lower(field, 'low');
+    }
+  }
+
+  const items = Array.isArray(order.items) ? order.items : [];
+  if (items.length === 0) {
+    warnings.push({ field: 'items', message: 'No items' });
+  }
+
+  let itemsTotal = 0;
+  let itemsPriced = true;
+  normalized.items = items.map((value, i) => {
+    const field = `items.${i}.price`;
+    // An item that isn't an object (null, a bare string) has no price either
+    const item = value && typeof value === 'object' ? value : {};
+    const price = parseMoney(item.price);
+    confidence[field] = 'high';
+
+    if (price === null) {
+      warnings.push({ field, message: `No price for "${item.name || `item ${i + 1}`}"` });
+      lower(field, 'low');
+      itemsPriced = false;
+      return { ...item, price: null };
+    }
+    itemsTotal += price;
+    return { ...item, price };
+  });
+
+  if (itemsPriced && items.length > 0 && normalized.subtotal !== null) {
+    const difference = roundCents(normalized.subtotal - itemsTotal);
+    if (Math.abs(difference) > TOLERANCE) {
+      warnings.push({
+        field: 'subtotal',
+        message: `Items add up to ${formatMoney(itemsTotal)}, ${formatMoney(Math.abs(difference))} ${difference > 0 ? 'less' : 'more'} than the subtotal`
+      });
+      lower('subtotal', 'low');
+      normalized.items.forEach((item, i) => lower(`items.${i}.price`, 'medium'));
+    }
+  }
+
+  const partsKnown = TOTAL_PARTS.every(([field]) => normalized[field] !== null);
+  if (partsKnown && normalized.total !== null) {
+    const expected = TOTAL_PARTS.reduce((sum, [field, sign]) => sum + sign * normalized[field], 0);
+    const difference = roundCents(normalized.total - expected);
+    if (Math.abs(difference) > TOLERANCE) {
+      warnings.push({
+        field: 'total',
+        message: `Subtotal, fees, tax and tip less discount come to ${formatMoney(expected)}, ${formatMoney(Math.abs(difference))} ${difference > 0 ? 'less' : 'more'} than the total`
+      });
+      lower('total', 'low');
+      TOTAL_PARTS.forEach(([field]) => lower(field, 'medium'));
+    }
+  }
+
+  return { order: normalized, ok: warnings.length === 0, warnings, confidence, itemsTotal: roundCents(itemsTotal) };
+}
+
+module.exports = { validateReceipt, parseMoney };
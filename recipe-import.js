@@ -0,0 +1,307 @@
+// Recipe import from a web page: reads the schema.org Recipe that most recipe
+// sites embed as JSON-LD (falling back to microdata attributes) and maps it
+// onto the meals recipe columns, in the same shape as recipes.json.
+//
+// Pages are fetched on a user's say-so, so only public addresses are allowed:
+// each hop's host is resolved and refused if it's loopback, private,
+// link-local (cloud metadata) or otherwise not on the internet, and the body
+// is capped at MAX_PAGE_BYTES.
+
+const dns = require('dns').promises;
+const net = require('net');
+
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_REDIRECTS = 5;
+const MAX_PAGE_BYTES = 5 * 1024 * 1024;
+
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  frac12: '½', frac13: '⅓', frac23: '⅔', frac14: '¼', frac34: '¾', frac18: '⅛',
+  deg: '°', ndash: '–', mdash: '—', hellip: '…', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“'
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z0-9]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] || match;
+  });
+}
+
+// Plain text from a JSON-LD string or an HTML fragment
+function cleanText(value) {
+  if (value === null || value === undefined) return '';
+  return decodeEntities(String(value)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, ' '))
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .trim();
+}
+
+// ISO 8601 duration -> the "1 hr 30 min" style used in recipes.json.
+// Anything that isn't a duration is passed through as text.
+function formatDuration(value) {
+  const text = cleanText(value);
+  const match = text.match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:[\d.]+S)?)?$/i);
+  if (!match) return text;
+
+  const hours = parseInt(match[1] || 0, 10) * 24 + parseInt(match[2] || 0, 10);
+  const minutes = parseInt(match[3] || 0, 10);
+  const parts = [];
+  if (hours) parts.push(`${hours} hr`);
+  if (minutes) parts.push(`${minutes} min`);
+  return parts.join(' ');
+}
+
+// recipeYield is a number, a string, or an array of both ([4, "4 servings"])
+function formatYield(value) {
+  const values = (Array.isArray(value) ? value : [value]).map(cleanText).filter(Boolean);
+  const described = values.find(text => /[a-z]/i.test(text));
+  if (described) return described;
+  return values.length > 0 ? `${values[0]} servings` : '';
+}
+
+function firstImageUrl(image) {
+  if (!image) return null;
+  if (Array.isArray(image)) return firstImageUrl(image[0]);
+  if (typeof image === 'object') return image.url || image.contentUrl || null;
+  return String(image);
+}
+
+// recipeInstructions comes as one string, a list of strings, HowToSteps, or
+// HowToSections of steps. Steps become paragraphs, sections get a heading.
+function formatInstructions(instructions) {
+  if (!instructions) return '';
+  if (typeof instructions === 'string') return cleanText(instructions).replace(/\n+/g, '\n\n');
+  if (!Array.isArray(instructions)) return formatInstructions([instructions]);
+
+  return instructions.map(step => {
+    if (typeof step === 'string') return cleanText(step);
+    if (step.itemListElement) {
+      const steps = formatInstructions(step.itemListElement);
+      return step.name ? `${cleanText(step.name)}:\n${steps}` : steps;
+    }
+    return cleanText(step.text || step.name || '');
+  }).filter(Boolean).join('\n\n');
+}
+
+function isRecipeType(type) {
+  return Array.isArray(type) ? type.some(isRecipeType) : /^(https?:\/\/schema\.org\/)?Recipe$/i.test(type || '');
+}
+
+// Depth-first search through JSON-LD for the Recipe node (it's often nested
+// in an @graph or an array alongside WebPage/Organization nodes)
+function findRecipeNode(node) {
+  if (!node || typeof node !== 'object') return null;
+  if (Array.isArray(node)) {
+    for (const child of node) {
+      const found = findRecipeNode(child);
+      if (found) return found;
+    }
+    return null;
+  }
+  if (isRecipeType(node['@type'])) return node;
+  return findRecipeNode(node['@graph']) || findRecipeNode(node.mainEntity);
+}
+
+function extractJsonLd(html) {
+  const scripts = html.matchAll(/<script[^>]*type=["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi);
+  for (const [, body] of scripts) {
+    try {
+      const json = JSON.parse(body.replace(/^\s*<!\[CDATA\[|\]\]>\s*$/g, '').trim());
+      const recipe = findRecipeNode(json);
+      if (recipe) return recipe;
+    } catch (error) {
+      // Sites ship broken JSON-LD blocks next to good ones; try the next
+    }
+  }
+  return null;
+}
+
+// Microdata fallback. Without a DOM this reads each itemprop from its
+// content/src/href/datetime attribute, or the element's text up to its
+// closing tag, which covers the flat markup recipe plugins generate.
+function extractMicrodata(html) {
+  const scopeStart = html.search(/itemtype=["']https?:\/\/schema\.org\/Recipe["']/i);
+  if (scopeStart === -1) return null;
+
+  const scope = html.slice(scopeStart);
+  const props = {};
+  const propRegex = /<([a-z0-9]+)([^>]*?)\sitemprop=["']([^"']+)["']([^>]*)>/gi;
+  let match;
+  while ((match = propRegex.exec(scope)) !== null) {
+    const [tag, tagName, before, names, after] = match;
+    const attributes = before + after;
+    const attribute = attributes.match(/\s(?:content|src|href|datetime)=["']([^"']*)["']/i);
+
+    let value;
+    if (attribute) {
+      value = attribute[1];
+    } else {
+      const closeIndex = scope.indexOf(`</${tagName}`, match.index + tag.length);
+      value = closeIndex === -1 ? '' : scope.slice(match.index + tag.length, closeIndex);
+    }
+
+    for (const name of names.split(/\s+/)) {
+      if (!props[name]) props[name] = [];
+      props[name].push(value);
+    }
+  }
+
+  const first = name => (props[name] ? props[name][0] : undefined);
+  // Steps marked up as HowToStep scopes carry their text in a nested itemprop
+  const steps = (props.recipeInstructions || []).map(cleanText).filter(Boolean);
+  return {
+    name: first('name'),
+    prepTime: first('prepTime'),
+    cookTime: first('cookTime'),
+    totalTime: first('totalTime'),
+    recipeYield: first('recipeYield'),
+    recipeIngredient: props.recipeIngredient || props.ingredients,
+    recipeInstructions: steps.length > 0 ? steps : props.text,
+    image: first('image'),
+    description: first('description')
+  };
+}
+
+// Map a schema.org Recipe onto meals columns. Returns null if the page has none.
+function extractRecipe(html, pageUrl) {
+  const node = extractJsonLd(html) || extractMicrodata(html);
+  if (!node) return null;
+
+  const ingredients = [].concat(node.recipeIngredient || node.ingredients || [])
+    .map(cleanText)
+    .filter(Boolean);
+  const photoUrl = firstImageUrl(node.image);
+
+  return {
+    name: cleanText(node.name),
+    prep_time: formatDuration(node.prepTime),
+    cook_time: formatDuration(node.cookTime),
+    total_time: formatDuration(node.totalTime),
+    servings: formatYield(node.recipeYield),
+    ingredients: ingredients.join('\n'),
+    directions: formatInstructions(node.recipeInstructions),
+    notes: cleanText(node.description) || null,
+    source_url: pageUrl,
+    photo_url: photoUrl ? new URL(cleanText(photoUrl), pageUrl).href : null
+  };
+}
+
+// The URL we store and compare against for duplicates: no fragment, no
+// tracking parameters, no trailing slash
+function normalizeSourceUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  for (const key of [...parsed.searchParams.keys()]) {
+    if (/^(utm_|fbclid$|gclid$|mc_)/i.test(key)) parsed.searchParams.delete(key);
+  }
+  if (parsed.pathname.length > 1) parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  return parsed.href.replace(/\/$/, '');
+}
+
+// IPv4 ranges that aren't the public internet: [first octets, prefix length]
+const BLOCKED_IPV4 = [
+  [[0], 8], [[10], 8], [[100, 64], 10], [[127], 8], [[169, 254], 16], [[172, 16], 12],
+  [[192, 0, 0], 24], [[192, 168], 16], [[198, 18], 15], [[224], 4], [[240], 4]
+];
+
+function ipv4Number(address) {
+  return address.split('.').reduce((number, octet) => number * 256 + parseInt(octet, 10), 0);
+}
+
+function isPublicAddress(address) {
+  if (net.isIPv4(address)) {
+    const number = ipv4Number(address);
+    return !BLOCKED_IPV4.some(([octets, bits]) => {
+      const start = ipv4Number([...octets, 0, 0, 0].slice(0, 4).join('.'));
+      return Math.floor(number / 2 ** (32 - bits)) === Math.floor(start / 2 ** (32 - bits));
+    });
+  }
+  if (!net.isIPv6(address)) return false;
+
+  const lower = address.toLowerCase();
+  const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isPublicAddress(mapped[1]);
+  if (lower === '::' || lower === '::1') return false;
+  // fc00::/7 unique local, fe80::/10 link-local, ff00::/8 multicast
+  return !/^(f[cd]|fe[89ab]|ff)/.test(lower) && !lower.startsWith('::ffff:');
+}
+
+function urlNotAllowed(message) {
+  const error = new Error(message);
+  error.code = 'URL_NOT_ALLOWED';
+  return error;
+}
+
+// Refuses URLs that aren't http(s) or whose host resolves to a non-public address
+async function checkPublicUrl(url) {
+  if (!['http:', 'https:'].includes(url.protocol)) throw urlNotAllowed(`${url.protocol} URLs can't be imported`);
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = await dns.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    throw new Error(`Couldn't find ${host}`);
+  }
+  if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+    throw urlNotAllowed(`${host} isn't a public address`);
+  }
+}
+
+// The body as text, refusing anything over MAX_PAGE_BYTES
+async function readCapped(response) {
+  const length = parseInt(response.headers.get('content-length') || '0', 10);
+  if (length > MAX_PAGE_BYTES) throw new Error('Page is too large to import');
+
+  const chunks = [];
+  let size = 0;
+  const reader = response.body.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.length;
+    if (size > MAX_PAGE_BYTES) {
+      await reader.cancel();
+      throw new Error('Page is too large to import');
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// Fetch a page to import. Redirects are followed by hand so every hop goes
+// through checkPublicUrl. Errors with code URL_NOT_ALLOWED are the caller's
+// URL's fault; anything else is the site's.
+async function fetchRecipePage(url) {
+  const signal = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+  let current = new URL(url);
+
+  for (let redirects = 0; ; redirects++) {
+    await checkPublicUrl(current);
+    const response = await fetch(current, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; YummyFoodTime/2.0; recipe import)',
+        'Accept': 'text/html,application/xhtml+xml'
+      },
+      redirect: 'manual',
+      signal
+    });
+
+    const location = response.headers.get('location');
+    if (response.status >= 300 && response.status < 400 && location) {
+      if (redirects >= MAX_REDIRECTS) throw new Error(`Fetching ${url} redirected too many times`);
+      current = new URL(location, current);
+      continue;
+    }
+    if (!response.ok) {
+      throw new Error(`Fetching ${url} failed with status ${response.status}`);
+    }
+    return readCapped(response);
+  }
+}
+
+module.exports = { extractRecipe, fetchRecipePage, isPublicAddress, normalizeSourceUrl, formatDuration };
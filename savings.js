@@ -0,0 +1,154 @@
+// Cooking vs takeout: what a home-cooked meal costs, estimated from the
+// household's ingredient_prices, and streaks of home-cooked dinners.
+
+const { normalizeIngredientName, UNIT_ALIASES } = require('./ingredients');
+const { parseServings, VOLUME_ML, WEIGHT_G, GRAMS_PER_CUP } = require('./scaling');
+const { pantryCovers, PANTRY_STAPLES } = require('./pantry');
+
+// Recipes that don't say how many they serve are costed as this many servings
+const DEFAULT_SERVINGS = 4;
+
+// A meal logged at or after this hour is dinner, in the household's
+// HOUSEHOLD_TIMEZONE (see database.js). Planned dinners are logged at 18:00,
+// lunches at 12:00.
+const DINNER_FROM_HOUR = 15;
+
+const PER_ITEM_UNITS = ['each', 'ea', 'item', 'items', 'whole'];
+
+// A price's unit as one of the canonical ingredient units ("lbs" -> "lb").
+// Empty or "each" means per item (null); anything unrecognized is undefined.
+function normalizePriceUnit(unit) {
+  const text = String(unit || '').trim();
+  if (!text || PER_ITEM_UNITS.includes(text.toLowerCase())) return null;
+
+  for (const [canonical, aliases] of Object.entries(UNIT_ALIASES)) {
+    if (canonical === text.toLowerCase()) return canonical;
+    // The single-letter T/t shorthands only match exactly, as in recipes
+    if (aliases.some(alias => (alias.length === 1 ? alias === text : alias.toLowerCase() === text.toLowerCase()))) {
+      return canonical;
+    }
+  }
+  return undefined;
+}
+
+// An amount as ml, g or a count of its unit ("2 cans" is 2 of dimension "can")
+function measure(quantity, unit) {
+  if (VOLUME_ML[unit]) return { dimension: 'volume', amount: quantity * VOLUME_ML[unit] };
+  if (WEIGHT_G[unit]) return { dimension: 'weight', amount: quantity * WEIGHT_G[unit] };
+  return { dimension: unit || 'count', amount: quantity };
+}
+
+// What the recipe's amount of an ingredient costs at a price row
+// ({ price, quantity, unit }), or null when the two can't be compared
+// ("2 cans" against a price per lb). Cups of flour or sugar can be priced
+// by weight. Ranges ("2-3 cloves") are costed at their midpoint.
+function ingredientCost(ingredient, key, price) {
+  const quantity = ingredient.quantity_max !== null && ingredient.quantity_max !== undefined
+    ? (ingredient.quantity + ingredient.quantity_max) / 2
+    : ingredient.quantity;
+  const needed = measure(quantity, ingredient.unit);
+  const priced = measure(price.quantity, price.unit);
+
+  const gramsPerCup = GRAMS_PER_CUP[key] || GRAMS_PER_CUP[(ingredient.name || '').toLowerCase()];
+  if (gramsPerCup && needed.dimension === 'volume' && priced.dimension === 'weight') {
+    needed.dimension = 'weight';
+    needed.amount = needed.amount / VOLUME_ML.cup * gramsPerCup;
+  }
+
+  if (needed.dimension !== priced.dimension || !(priced.amount > 0)) return null;
+  return Number(price.price) * needed.amount / priced.amount;
+}
+
+// The price row for an ingredient key: an exact name, else one that covers
+// it the way a pantry item would ("onion" prices "red onion")
+function findPrice(key, prices) {
+  return prices.find(price => price.normalized_name === key)
+    || prices.find(price => pantryCovers(price.normalized_name, key))
+    || null;
+}
+
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Estimated cost of cooking a recipe once, from its parsed ingredients and
+// the household's prices. Staples, optional ingredients and ones without an
+// amount ("oil for frying") are left out. `unpriced` lists what has no
+// usable price, so the estimate is low by whatever those cost.
+function estimateRecipeCost(ingredients, prices, servings) {
+  let total = 0;
+  let pricedCount = 0;
+  const unpriced = [];
+  const seen = new Set();
+
+  for (const ingredient of ingredients) {
+    if (!ingredient.name || ingredient.optional || ingredient.quantity === null) continue;
+
+    const key = normalizeIngredientName(ingredient.name);
+    if (!key || PANTRY_STAPLES.includes(key)) continue;
+
+    const price = findPrice(key, prices);
+    const cost = price ? ingredientCost(ingredient, key, price) : null;
+    if (cost === null) {
+      if (!seen.has(key)) unpriced.push(key);
+    } else {
+      total += cost;
+      pricedCount += 1;
+    }
+    seen.add(key);
+  }
+
+  const parsedServings = parseServings(servings);
+  const servingCount = parsedServings ? parsedServings.count : DEFAULT_SERVINGS;
+  return {
+    total: roundCents(total),
+    perServing: roundCents(total / servingCount),
+    servings: servingCount,
+    servingsGuessed: !parsedServings,
+    pricedCount,
+    unpriced
+  };
+}
+
+// "2026-02-09" -> "2026-02-08"
+function previousDay(day) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - 1);
+  return date.toISOString().slice(0, 10);
+}
+
+// Consecutive home-cooked dinners from sets of 'YYYY-MM-DD' days. A day
+// counts when dinner was cooked and nothing was ordered; any other day,
+// including one with nothing logged, ends the streak. Today only ends the
+// current streak once takeout is ordered, since dinner may not be logged yet.
+function dinnerStreaks(cookedDays, takeoutDays, today) {
+  const isCookedDinner = day => cookedDays.has(day) && !takeoutDays.has(day);
+
+  let current = 0;
+  if (!takeoutDays.has(today)) {
+    let day = isCookedDinner(today) ? today : previousDay(today);
+    while (isCookedDinner(day)) {
+      current += 1;
+      day = previousDay(day);
+    }
+  }
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  for (const day of [...cookedDays].filter(isCookedDinner).sort()) {
+    run = previous && previousDay(day) === previous ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = day;
+  }
+
+  return { current, longest };
+}
+
+module.exports = {
+  estimateRecipeCost,
+  dinnerStreaks,
+  normalizePriceUnit,
+  roundCents,
+  DINNER_FROM_HOUR
+};
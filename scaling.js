@@ -0,0 +1,184 @@
+// Recipe scaling: multiplies parsed ingredients (see ingredients.js) to a new
+// serving count, rounds to fractions you can measure, and optionally converts
+// between US and metric units.
+
+const { parseNumber } = require('./ingredients');
+
+// Everything converts through millilitres or grams
+const VOLUME_ML = {
+  tsp: 4.92892, tbsp: 14.7868, fl_oz: 29.5735, cup: 236.588,
+  pint: 473.176, quart: 946.353, gallon: 3785.41, ml: 1, l: 1000
+};
+const WEIGHT_G = { oz: 28.3495, lb: 453.592, g: 1, kg: 1000 };
+
+// Grams per cup for pantry staples usually weighed in metric recipes.
+// Anything not listed converts cups to ml instead.
+const GRAMS_PER_CUP = {
+  'all-purpose flour': 125, 'flour': 125, 'bread flour': 130, 'whole wheat flour': 120,
+  'sugar': 200, 'granulated sugar': 200, 'white sugar': 200, 'brown sugar': 220,
+  'powdered sugar': 120, 'confectioners sugar': 120, 'butter': 227,
+  'rice': 185, 'oats': 90, 'rolled oats': 90, 'cocoa powder': 85
+};
+
+const UNIT_LABELS = {
+  tsp: ['tsp', 'tsp'], tbsp: ['tbsp', 'tbsp'], cup: ['cup', 'cups'], fl_oz: ['fl oz', 'fl oz'],
+  oz: ['oz', 'oz'], lb: ['lb', 'lbs'], g: ['g', 'g'], kg: ['kg', 'kg'], ml: ['ml', 'ml'], l: ['l', 'l'],
+  pint: ['pint', 'pints'], quart: ['quart', 'quarts'], gallon: ['gallon', 'gallons'],
+  pinch: ['pinch', 'pinches'], dash: ['dash', 'dashes'], clove: ['clove', 'cloves'],
+  can: ['can', 'cans'], jar: ['jar', 'jars'], package: ['package', 'packages'],
+  stick: ['stick', 'sticks'], slice: ['slice', 'slices'], bunch: ['bunch', 'bunches'],
+  head: ['head', 'heads'], sprig: ['sprig', 'sprigs'], piece: ['piece', 'pieces']
+};
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8,
+  nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+
+const SERVINGS_NUMBER = '(\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d*\\.\\d+|\\d+|' + Object.keys(NUMBER_WORDS).join('|') + ')';
+const SERVINGS_REGEX = new RegExp(`^(.*?)${SERVINGS_NUMBER}(?:\\s*(?:-|to)\\s*${SERVINGS_NUMBER})?(.*)$`, 'i');
+
+// "10 servings" -> { count: 10, prefix: '', suffix: ' servings' }
+// "Serves 4 to 6" -> { count: 4, prefix: 'Serves ', suffix: '' }
+// Returns null when there's no number to scale from.
+function parseServings(servings) {
+  const match = (servings || '').trim().match(SERVINGS_REGEX);
+  if (!match) return null;
+
+  const word = match[2].toLowerCase();
+  const count = NUMBER_WORDS[word] || parseNumber(match[2]);
+  if (!count) return null;
+
+  return { count, prefix: match[1], suffix: match[4] };
+}
+
+// Nearest eighth or third, whichever is closer: 0.3 -> "1/3", 1.55 -> "1 1/2"
+function formatFraction(value) {
+  if (value <= 0) return '0';
+
+  const whole = Math.floor(value);
+  const remainder = value - whole;
+  const candidates = [
+    [0, ''], [1 / 8, '1/8'], [1 / 4, '1/4'], [1 / 3, '1/3'], [3 / 8, '3/8'], [1 / 2, '1/2'],
+    [5 / 8, '5/8'], [2 / 3, '2/3'], [3 / 4, '3/4'], [7 / 8, '7/8'], [1, '']
+  ];
+  let best = candidates[0];
+  for (const candidate of candidates) {
+    if (Math.abs(candidate[0] - remainder) < Math.abs(best[0] - remainder)) best = candidate;
+  }
+
+  const wholePart = whole + (best[0] === 1 ? 1 : 0);
+  // Never round a real amount down to nothing
+  if (wholePart === 0 && !best[1]) return '1/8';
+  if (wholePart === 0) return best[1];
+  return best[1] ? `${wholePart} ${best[1]}` : String(wholePart);
+}
+
+function formatQuantity(value, unit) {
+  if (value === null || value === undefined) return null;
+  if (unit === 'g' || unit === 'ml') {
+    return String(value >= 50 ? Math.round(value / 5) * 5 : Math.max(1, Math.round(value)));
+  }
+  if (unit === 'kg' || unit === 'l') {
+    return String(Math.round(value * 10) / 10);
+  }
+  return formatFraction(value);
+}
+
+// Pick the measuring unit a cook would reach for. Metric kitchens still
+// use spoons, so small spoon measures stay spoons.
+function bestUnit(amount, dimension, units, fromSpoon) {
+  if (dimension === 'volume') {
+    if (units === 'metric' && !(fromSpoon && amount < VOLUME_ML.cup / 4)) {
+      return amount >= 1000 ? 'l' : 'ml';
+    }
+    if (amount < VOLUME_ML.tbsp) return 'tsp';
+    if (amount < VOLUME_ML.cup / 4) return 'tbsp';
+    return 'cup';
+  }
+  if (units === 'metric') return amount >= 1000 ? 'kg' : 'g';
+  return amount >= WEIGHT_G.lb ? 'lb' : 'oz';
+}
+
+// US spoon and cup measures get rebalanced even without a target system,
+// so a quarter recipe shows "3/4 tsp" rather than "1/4 tbsp"
+const US_MEASURES = ['tsp', 'tbsp', 'cup'];
+
+// Convert one quantity into the target system
+function convertQuantity(quantity, unit, name, units) {
+  if (quantity === null) return { quantity, unit, factor: 1 };
+  if (!units) {
+    if (!US_MEASURES.includes(unit)) return { quantity, unit, factor: 1 };
+    units = 'us';
+  }
+
+  let amount;
+  let dimension;
+  if (VOLUME_ML[unit]) {
+    amount = quantity * VOLUME_ML[unit];
+    dimension = 'volume';
+
+    const gramsPerCup = units === 'metric' && GRAMS_PER_CUP[(name || '').toLowerCase()];
+    if (gramsPerCup) {
+      amount = amount / VOLUME_ML.cup * gramsPerCup;
+      dimension = 'weight';
+    }
+  } else if (WEIGHT_G[unit]) {
+    amount = quantity * WEIGHT_G[unit];
+    dimension = 'weight';
+  } else {
+    return { quantity, unit, factor: 1 };
+  }
+
+  const target = bestUnit(amount, dimension, units, unit === 'tsp' || unit === 'tbsp');
+  const perUnit = dimension === 'volume' ? VOLUME_ML[target] : WEIGHT_G[target];
+  return { quantity: amount / perUnit, unit: target, factor: (amount / perUnit) / quantity };
+}
+
+// "1 1/2 cups Mexican blend cheese, shredded"
+function formatIngredient(ingredient) {
+  if (ingredient.quantity === null) return ingredient.raw_text;
+
+  let amount = formatQuantity(ingredient.quantity, ingredient.unit);
+  if (ingredient.quantity_max !== null) {
+    amount += `-${formatQuantity(ingredient.quantity_max, ingredient.unit)}`;
+  }
+
+  const parts = [amount];
+  if (ingredient.unit) {
+    const labels = UNIT_LABELS[ingredient.unit] || [ingredient.unit, ingredient.unit];
+    parts.push(ingredient.quantity > 1 || ingredient.quantity_max > 1 ? labels[1] : labels[0]);
+  }
+  if (ingredient.name) parts.push(ingredient.name);
+
+  let text = parts.join(' ');
+  if (ingredient.preparation) text += `, ${ingredient.preparation}`;
+  if (ingredient.optional) text += ' (optional)';
+  return text;
+}
+
+// Scale parsed ingredients by `factor` and convert to `units` ('metric',
+// 'us', or null to keep the recipe's own units). Each row gets a `text`
+// field ready to display.
+function scaleIngredients(ingredients, factor, units) {
+  return ingredients.map(ingredient => {
+    const scaled = { ...ingredient };
+
+    if (ingredient.quantity !== null) {
+      const converted = convertQuantity(ingredient.quantity * factor, ingredient.unit, ingredient.name, units);
+      scaled.quantity = converted.quantity;
+      scaled.unit = converted.unit;
+      if (ingredient.quantity_max !== null) {
+        scaled.quantity_max = ingredient.quantity_max * factor * converted.factor;
+      }
+    }
+
+    scaled.text = formatIngredient(scaled);
+    return scaled;
+  });
+}
+
+module.exports = {
+  parseServings, scaleIngredients, formatIngredient, formatQuantity, convertQuantity,
+  VOLUME_ML, WEIGHT_G, GRAMS_PER_CUP
+};
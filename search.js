@@ -0,0 +1,139 @@
+// Recipe search: the query syntax and the SQL behind it. Each recipe is
+// indexed in recipe_search (migration 016) with its name weighted highest,
+// then tags (visible and AI), ingredients, and directions and notes.
+//
+//   chicken curry      every word must match; words are stemmed, so
+//                      "potatoes" finds "potato"
+//   "sour cream"       a phrase
+//   -cilantro          leave out recipes with cilantro in the ingredients
+//   -"sour cream"
+//   tag:vegan          only recipes with that tag (visible or AI), any case;
+//   tag:"main dish"    -tag:spicy leaves them out
+//
+// The last word also matches as a prefix ("chick" finds "chicken"), so the
+// results can follow along while someone types.
+
+// Marks ts_headline puts around matches; private-use characters can't clash
+// with recipe text, so highlightHTML() can escape the rest safely
+const MARK_START = '\uE000';
+const MARK_END = '\uE001';
+const MARK_OPTIONS = `StartSel="${MARK_START}", StopSel="${MARK_END}"`;
+const NAME_HEADLINE_OPTIONS = `${MARK_OPTIONS}, HighlightAll=true`;
+const SNIPPET_HEADLINE_OPTIONS = `${MARK_OPTIONS}, MaxFragments=2, MaxWords=15, MinWords=5, FragmentDelimiter=" … "`;
+
+const TOKEN_PATTERN = /(-?)(tag:)?(?:"([^"]*)"?|(\S+))/gi;
+
+// Words of a term as a tsquery: "sour cream" -> "sour <-> cream". Anything
+// but letters and digits separates words, which also keeps the tsquery
+// syntax out of reach of what's typed.
+function phraseQuery(text, prefix = false) {
+  const words = text.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  if (words.length === 0) return null;
+  if (prefix) words[words.length - 1] += ':*';
+  return words.join(' <-> ');
+}
+
+// "chicken -cilantro tag:quick" -> { query: 'chicken', exclude: ['cilantro'],
+// tags: ['quick'], excludeTags: [] }. query is a to_tsquery() string, or null
+// when nothing but exclusions and tags were given.
+function parseRecipeSearch(text) {
+  const source = String(text || '');
+  const terms = [];
+  const exclude = [];
+  const tags = [];
+  const excludeTags = [];
+
+  const tokens = [...source.matchAll(TOKEN_PATTERN)];
+  // Only the last word, and only while it's still being typed, is a prefix
+  const typing = !/\s$/.test(source);
+  const lastToken = tokens[tokens.length - 1];
+
+  for (const token of tokens) {
+    const [, negate, tag, quoted, bare] = token;
+    const value = (quoted !== undefined ? quoted : bare).trim();
+    if (!value) continue;
+
+    if (tag) {
+      (negate ? excludeTags : tags).push(value);
+      continue;
+    }
+    // "tag:" with nothing after it yet
+    if (/^tag:$/i.test(value)) continue;
+
+    // A closed quote ends the phrase; "sour cre is still being typed
+    const prefix = typing && token === lastToken && !negate && !(quoted !== undefined && token[0].endsWith('"'));
+    const phrase = phraseQuery(value, prefix);
+    if (phrase) (negate ? exclude : terms).push(phrase);
+  }
+
+  return { query: terms.length > 0 ? terms.join(' & ') : null, exclude, tags, excludeTags };
+}
+
+// SQL for a search over `meals m`, with its values appended to params:
+//   join        recipe_search, aliased s
+//   conditions  ANDed onto the WHERE clause
+//   rank        relevance to order by, or null without search words
+//   headlines   extra select columns search_name and search_snippet (the name,
+//               and matches from ingredients/directions/notes, marked up for
+//               highlightHTML()), or '' without search words
+function recipeSearchSQL(text, params) {
+  const search = parseRecipeSearch(text);
+  const conditions = [];
+  let rank = null;
+  let headlines = '';
+
+  if (search.query) {
+    params.push(search.query);
+    const query = `to_tsquery('english', $${params.length})`;
+    params.push(NAME_HEADLINE_OPTIONS, SNIPPET_HEADLINE_OPTIONS);
+    const nameOptions = `$${params.length - 1}`;
+    const snippetOptions = `$${params.length}`;
+
+    // A query of only stopwords ("the") has no lexemes and doesn't narrow anything
+    conditions.push(`(numnode(${query}) = 0 OR s.document @@ ${query})`);
+    rank = `ts_rank(s.document, ${query})`;
+    headlines = `,
+      ts_headline('english', m.name, ${query}, ${nameOptions}) as search_name,
+      ts_headline('english', concat_ws(' ', m.ingredients, m.directions, m.notes), ${query}, ${snippetOptions}) as search_snippet`;
+  }
+
+  for (const phrase of search.exclude) {
+    params.push(phrase);
+    // Weight C is the ingredients
+    conditions.push(`NOT (ts_filter(s.document, '{c}') @@ to_tsquery('english', $${params.length}))`);
+  }
+
+  const tagMatch = param => `EXISTS (
+    SELECT 1 FROM unnest(COALESCE(m.tags, '{}') || COALESCE(m.ai_tags, '{}')) AS recipe_tag(tag)
+    WHERE LOWER(recipe_tag.tag) = LOWER(${param})
+  )`;
+  for (const tag of search.tags) {
+    params.push(tag);
+    conditions.push(tagMatch(`$${params.length}`));
+  }
+  for (const tag of search.excludeTags) {
+    params.push(tag);
+    conditions.push(`NOT ${tagMatch(`$${params.length}`)}`);
+  }
+
+  return {
+    join: 'JOIN recipe_search s ON s.meal_id = m.id',
+    conditions: conditions.map(condition => ` AND ${condition}`).join(''),
+    rank,
+    headlines
+  };
+}
+
+// A headline from recipeSearchSQL() as HTML, matches in <mark>
+function highlightHTML(text) {
+  if (text === null || text === undefined) return null;
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .split(MARK_START).join('<mark>')
+    .split(MARK_END).join('</mark>');
+}
+
+module.exports = { parseRecipeSearch, recipeSearchSQL, highlightHTML };
@@ -1,285 +1,226 @@
-const express = require(‘express’);
-const multer = require(‘multer’);
-const cors = require(‘cors’);
-const { pool, initializeDatabase } = require(’./database’);
-const fs = require(‘fs’);
-const path = require(‘path’);
+const express = require('express');
+const multer = require('multer');
+const cors = require('cors');
+const { pool, runMigrations, importRecipes, syncRecipeIngredients } = require('./database');
+const { parseIngredients, normalizeIngredientName } = require('./ingredients');
+const { parseServings, scaleIngredients } = require('./scaling');
+const { buildShoppingList, formatShoppingItem, formatShoppingListText } = require('./shopping');
+const { pantryCoverage } = require('./pantry');
+const { buildPreferenceProfile, combineProfiles, scoreForProfile } = require('./preferences');
+const { estimateRecipeCost, dinnerStreaks, normalizePriceUnit, roundCents, DINNER_FROM_HOUR } = require('./savings');
+const { validateReceipt } = require('./receipts');
+const { recipeSearchSQL, highlightHTML } = require('./search');
+const { parseExclusions, screenRecipes, summarizeRemoved, exclusionGroups, MAX_EXCLUSIONS, MAX_EXCLUSION_LENGTH } = require('./exclusions');
+const {
+  DEFAULT_TAGS, FILTER_PAGES, seedTags, loadTags, tagCategories, tagListPrompt, filterChips,
+  filterTagMap, matchTerms, canonicalTags, normalizeSynonyms, rewriteMealTags
+} = require('./tags');
+const { FULL_CONFIDENCE_COUNT, HALF_LIFE_DAYS, MIN_WEIGHT, normalizeAiTag, aiTagWeightSQL, loadAiTags, pruneAiTags, recordAiTags } = require('./ai-tags');
+const { extractRecipe, fetchRecipePage, normalizeSourceUrl } = require('./recipe-import');
+const ai = require('./ai');
+const jobs = require('./jobs');
+const chat = require('./chat');
+const auth = require('./auth');
+const fs = require('fs');
+const path = require('path');
 
 const app = express();
 const upload = multer({ storage: multer.memoryStorage() });
 
 app.use(cors());
 app.use(express.json());
-app.use(express.static(‘public’));
+app.use(express.static('public'));
 
-// AI Cost Tracking Helper
-async function trackAIUsage(feature, estimatedCost) {
-try {
-await pool.query(
-‘INSERT INTO ai_usage (feature, estimated_cost) VALUES ($1, $2)’,
-[feature, estimatedCost]
-);
-} catch (error) {
-console.error(‘Error tracking AI usage:’, error);
-// Don’t throw - we don’t want to break the app if tracking fails
-}
-}
+// ==================== AUTH ====================
+// Sessions come from auth.js. Only signing in and out is open; every route
+// registered after requireAuth below needs a signed-in user, and routes only
+// read and write rows of the user's household (req.householdId).
+app.use(auth.authenticate);
 
-// Initialize database on startup
-initializeDatabase().catch(console.error);
-
-// ==================== ONE-TIME MIGRATION ENDPOINT ====================
-let migrationRun = false;
+// Sign in. Body: { email, password }. Sets the session cookie and also
+// returns the token for scripts that send it as a Bearer header.
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const result = await auth.login(req.body.email, req.body.password);
+    if (result && result.locked) {
+      return res.status(429).json({ error: 'Too many failed sign-ins, try again in a few minutes' });
+    }
+    if (!result) {
+      return res.status(401).json({ error: 'Wrong email or password' });
+    }
 
-app.get(’/run-migration’, async (req, res) => {
-if (migrationRun) {
-return res.send(`<html><body style="font-family: sans-serif; padding: 40px;"> <h1 style="color: #22c55e;">✅ Migration Already Complete!</h1> <p>The migration has already been run successfully.</p> <p><a href="/" style="color: #3b82f6;">Go to app</a></p> </body></html>`);
-}
+    res.setHeader('Set-Cookie', auth.sessionCookie(result.token));
+    res.json({ success: true, user: result.user, token: result.token });
+  } catch (error) {
+    console.error('Error signing in:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-if (req.query.confirm !== ‘yes’) {
-return res.send(`<html><body style="font-family: sans-serif; padding: 40px; max-width: 600px;"> <h1>⚠️ Database Migration</h1> <p>This will migrate your database to the unified schema.</p> <p><strong>This is SAFE:</strong></p> <ul> <li>Old tables will be backed up, not deleted</li> <li>If anything fails, it automatically rolls back</li> </ul> <p><a href="/run-migration?confirm=yes" style="background: #22c55e; color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; display: inline-block; font-weight: bold; margin: 20px 0;">✅ Yes, Run Migration</a></p> <p><a href="/" style="color: #666;">Cancel</a></p> </body></html>`);
-}
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    if (req.sessionToken) {
+      await auth.destroySession(req.sessionToken);
+    }
+    res.setHeader('Set-Cookie', auth.sessionCookie(null, { clear: true }));
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error signing out:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-const client = await pool.connect();
-const results = [];
+app.use(auth.requireAuth);
 
-try {
-results.push(‘🚀 Starting migration…<br><br>’);
-
-```
-const tableCheck = await client.query(`
-  SELECT EXISTS (
-    SELECT FROM information_schema.tables 
-    WHERE table_name = 'meals'
-  ) as meals_exists
-`);
+// Who's signed in, and their household
+app.get('/api/auth/me', (req, res) => {
+  res.json({ success: true, user: req.user });
+});
 
-if (tableCheck.rows[0].meals_exists) {
-  migrationRun = true;
-  return res.send(`
-    <html><body style="font-family: sans-serif; padding: 40px;">
-      <h1 style="color: #22c55e;">✅ Migration Already Complete!</h1>
-      <p>The unified meals table already exists.</p>
-      <p><a href="/" style="color: #3b82f6;">Go to app</a></p>
-    </body></html>
-  `);
-}
+// Change your own password. Body: { currentPassword, newPassword }.
+// Signs out your other sessions.
+app.post('/api/auth/password', async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const errors = auth.validateCredentials({ email: req.user.email, password: newPassword });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(', ') });
+    }
 
-await client.query('BEGIN');
-
-results.push('📋 Step 1: Creating meals table...<br>');
-await client.query(`
-  CREATE TABLE meals (
-    id SERIAL PRIMARY KEY,
-    meal_type VARCHAR(20) NOT NULL CHECK (meal_type IN ('takeout', 'recipe')),
-    name VARCHAR(255) NOT NULL,
-    restaurant VARCHAR(255),
-    address TEXT,
-    delivery_service VARCHAR(100),
-    subtotal DECIMAL(10, 2),
-    delivery_fee DECIMAL(10, 2),
-    service_fee DECIMAL(10, 2),
-    tax DECIMAL(10, 2),
-    discount DECIMAL(10, 2),
-    tip DECIMAL(10, 2),
-    total DECIMAL(10, 2),
-    prep_time VARCHAR(50),
-    cook_time VARCHAR(50),
-    total_time VARCHAR(50),
-    servings VARCHAR(50),
-    ingredients TEXT,
-    directions TEXT,
-    notes TEXT,
-    source_url TEXT,
-    photo_url TEXT,
-    meal_date TIMESTAMP,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    overall_rating INTEGER CHECK (overall_rating >= 0 AND overall_rating <= 5),
-    tags TEXT[]
-  )
-`);
-results.push('&nbsp;&nbsp;✅ Meals table created<br><br>');
-
-results.push('📋 Step 2: Creating meal_items table...<br>');
-await client.query(`
-  CREATE TABLE meal_items (
-    id SERIAL PRIMARY KEY,
-    meal_id INTEGER REFERENCES meals(id) ON DELETE CASCADE,
-    item_name TEXT NOT NULL,
-    price DECIMAL(10, 2),
-    assigned_to VARCHAR(50),
-    rating INTEGER CHECK (rating >= 0 AND rating <= 5),
-    notes TEXT,
-    tags TEXT[],
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-  )
-`);
-results.push('&nbsp;&nbsp;✅ Meal_items table created<br><br>');
-
-results.push('📋 Step 3: Creating indexes...<br>');
-await client.query(`
-  CREATE INDEX idx_meals_type ON meals(meal_type);
-  CREATE INDEX idx_meals_date ON meals(meal_date);
-  CREATE INDEX idx_meals_tags ON meals USING GIN(tags);
-  CREATE INDEX idx_meal_items_meal_id ON meal_items(meal_id);
-`);
-results.push('&nbsp;&nbsp;✅ Indexes created<br><br>');
+    const changed = await auth.changePassword(req.user.id, currentPassword, newPassword, req.sessionToken);
+    if (!changed) {
+      return res.status(403).json({ error: 'Current password is wrong' });
+    }
+    res.json({ success: true, message: 'Password changed' });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+// ==================== END AUTH ====================
 
-const oldTablesCheck = await client.query(`
-  SELECT EXISTS (
-    SELECT FROM information_schema.tables 
-    WHERE table_name = 'orders'
-  ) as orders_exists
-`);
+// ==================== ADMIN ====================
+// Deployment-wide management, admins only: households and who can sign in
+// to them. Everything else an admin does is still within their own household.
 
-if (oldTablesCheck.rows[0].orders_exists) {
-  results.push('📋 Step 4: Migrating takeout orders...<br>');
-  const orderResult = await client.query(`
-    INSERT INTO meals (
-      meal_type, name, restaurant, address, delivery_service,
-      subtotal, delivery_fee, service_fee, tax, discount, tip, total,
-      meal_date, created_at, tags
-    )
-    SELECT 
-      'takeout' as meal_type,
-      COALESCE(recipe_name, restaurant) as name,
-      restaurant, address, delivery_service,
-      subtotal, delivery_fee, service_fee, tax, discount, tip, total,
-      COALESCE(meal_date, order_date) as meal_date,
-      created_at,
-      ARRAY[]::TEXT[] as tags
-    FROM orders
-    RETURNING id
-  `);
-  results.push(`&nbsp;&nbsp;✅ Migrated ${orderResult.rowCount} takeout orders<br><br>`);
-
-  results.push('📋 Step 5: Migrating order items...<br>');
-  const itemResult = await client.query(`
-    INSERT INTO meal_items (
-      meal_id, item_name, price, assigned_to, rating, notes, tags
-    )
-    SELECT 
-      m.id as meal_id,
-      oi.item_name, oi.price, oi.assigned_to, oi.rating, oi.notes, 
-      COALESCE(oi.tags, ARRAY[]::TEXT[]) as tags
-    FROM order_items oi
-    JOIN orders o ON oi.order_id = o.id
-    JOIN meals m ON m.restaurant = o.restaurant 
-      AND m.created_at = o.created_at
-      AND m.meal_type = 'takeout'
-  `);
-  results.push(`&nbsp;&nbsp;✅ Migrated ${itemResult.rowCount} order items<br><br>`);
+app.get('/api/admin/households', auth.requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT h.*,
+        (SELECT COUNT(*) FROM users u WHERE u.household_id = h.id)::int as user_count,
+        (SELECT COUNT(*) FROM meals m WHERE m.household_id = h.id AND m.meal_type = 'recipe')::int as recipe_count
+      FROM households h
+      ORDER BY h.id
+    `);
+    res.json({ success: true, households: result.rows });
+  } catch (error) {
+    console.error('Error fetching households:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-  results.push('📋 Step 6: Backing up old tables...<br>');
-  await client.query('ALTER TABLE orders RENAME TO orders_backup');
-  await client.query('ALTER TABLE order_items RENAME TO order_items_backup');
-  results.push('&nbsp;&nbsp;✅ Old tables saved as *_backup<br><br>');
-} else {
-  results.push('ℹ️ No existing orders found<br><br>');
-}
+// New household, with no recipes or users yet. Body: { name: "The Smiths" }
+app.post('/api/admin/households', auth.requireAdmin, async (req, res) => {
+  try {
+    const name = (req.body.name || '').trim();
+    if (!name) {
+      return res.status(400).json({ error: 'name is required' });
+    }
 
-results.push('📋 Step 7: Importing recipes...<br>');
-const recipesPath = path.join(__dirname, 'recipes.json');
-if (fs.existsSync(recipesPath)) {
-  const recipes = JSON.parse(fs.readFileSync(recipesPath, 'utf8'));
-  
-  let imported = 0;
-  for (const recipe of recipes) {
+    // It starts with the default tag taxonomy
+    const client = await pool.connect();
+    let household;
     try {
-      await client.query(`
-        INSERT INTO meals (
-          meal_type, name, prep_time, cook_time, total_time, servings,
-          ingredients, directions, notes, source_url, photo_url, tags, created_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
-      `, [
-        'recipe',
-        recipe.name,
-        recipe.prep_time,
-        recipe.cook_time,
-        recipe.total_time,
-        recipe.servings,
-        recipe.ingredients,
-        recipe.directions,
-        recipe.notes,
-        recipe.source_url,
-        recipe.photo_url,
-        recipe.tags || recipe.ai_category || [],
-        new Date()
-      ]);
-      imported++;
-    } catch (err) {
-      // Skip duplicates
-    }
-  }
-  results.push(`&nbsp;&nbsp;✅ Imported ${imported} recipes<br><br>`);
-} else {
-  results.push('&nbsp;&nbsp;ℹ️ No recipes.json found<br><br>');
-}
-
-const stats = await client.query(`
-  SELECT meal_type, COUNT(*) as count
-  FROM meals
-  GROUP BY meal_type
-`);
+      await client.query('BEGIN');
+      household = (await client.query('INSERT INTO households (name) VALUES ($1) RETURNING *', [name])).rows[0];
+      await seedTags(client, household.id);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
-results.push('<h2 style="color: #22c55e;">✅ Migration Complete!</h2>');
-results.push('<p><strong>Database Summary:</strong></p>');
-results.push('<ul>');
-stats.rows.forEach(row => {
-  results.push(`<li>${row.meal_type}: ${row.count} meals</li>`);
+    console.log(`🏠 Created household "${name}"`);
+    res.json({ success: true, household });
+  } catch (error) {
+    console.error('Error creating household:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
-results.push('</ul>');
 
-await client.query('COMMIT');
-migrationRun = true;
+app.get('/api/admin/users', auth.requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT u.id, u.email, u.is_admin, u.household_id, h.name as household_name, u.created_at, u.last_login_at
+      FROM users u
+      JOIN households h ON h.id = u.household_id
+      ORDER BY u.household_id, u.id
+    `);
+    res.json({ success: true, users: result.rows });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-res.send(`
-  <html><body style="font-family: sans-serif; padding: 40px; max-width: 800px;">
-    <div style="background: #f0f9ff; padding: 30px; border-radius: 12px; border: 2px solid #22c55e;">
-      ${results.join('')}
-    </div>
-    <p style="margin-top: 30px;"><strong>Your app is now using the unified database!</strong></p>
-    <p>Old tables are safely backed up as *_backup tables.</p>
-    <p><a href="/" style="background: #3b82f6; color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; display: inline-block; font-weight: bold; margin-top: 20px;">Go to App</a></p>
-  </body></html>
-`);
-```
+// Add a login. Body: { email, password, householdId, isAdmin: false }
+app.post('/api/admin/users', auth.requireAdmin, async (req, res) => {
+  try {
+    const { email, password, householdId, isAdmin } = req.body;
+    const errors = auth.validateCredentials({ email, password });
+    if (!Number.isInteger(householdId)) {
+      errors.push('householdId is required');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(', ') });
+    }
 
-} catch (error) {
-await client.query(‘ROLLBACK’);
-results.push(`<br><h2 style="color: #dc2626;">❌ Migration Failed</h2>`);
-results.push(`<p><strong>Error:</strong> ${error.message}</p>`);
-results.push(’<p>Your data is safe - migration rolled back.</p>’);
+    const user = await auth.createUser({ email, password, householdId, isAdmin: Boolean(isAdmin) });
+    console.log(`👤 Created user ${user.email} in household ${householdId}`);
+    res.json({ success: true, user });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A user with that email already exists' });
+    }
+    if (error.code === '23503') {
+      return res.status(400).json({ error: 'Unknown household' });
+    }
+    console.error('Error creating user:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-```
-res.send(`
-  <html><body style="font-family: sans-serif; padding: 40px; max-width: 800px;">
-    <div style="background: #fee; padding: 30px; border-radius: 12px; border: 2px solid #dc2626;">
-      ${results.join('')}
-    </div>
-    <p><a href="/" style="color: #3b82f6;">Go back</a></p>
-  </body></html>
-`);
-```
+// Remove a login (their household's data stays)
+app.delete('/api/admin/users/:id', auth.requireAdmin, async (req, res) => {
+  try {
+    if (parseInt(req.params.id, 10) === req.user.id) {
+      return res.status(400).json({ error: 'You can\'t remove yourself' });
+    }
 
-} finally {
-client.release();
-}
+    const result = await pool.query('DELETE FROM users WHERE id = $1 RETURNING email', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    console.log(`👋 Removed user ${result.rows[0].email}`);
+    res.json({ success: true, message: 'User removed' });
+  } catch (error) {
+    console.error('Error removing user:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
-// ==================== END MIGRATION ENDPOINT ====================
+// ==================== END ADMIN ====================
 
 // ==================== IMPORT RECIPES ENDPOINT ====================
-// One-time import of recipes from recipes.json into database
+// One-time import of recipes from recipes.json into your household (admins only)
 // Visit: /import-recipes
-app.get(’/import-recipes’, async (req, res) => {
-const client = await pool.connect();
+app.get('/import-recipes', auth.requireAdmin, async (req, res) => {
 const results = [];
 
 try {
-results.push(‘📚 Starting recipe import…<br><br>’);
+results.push('📚 Starting recipe import…<br><br>');
 
-```
 const recipesPath = path.join(__dirname, 'recipes.json');
 if (!fs.existsSync(recipesPath)) {
   return res.send(`
@@ -294,40 +235,7 @@ if (!fs.existsSync(recipesPath)) {
 const recipes = JSON.parse(fs.readFileSync(recipesPath, 'utf8'));
 results.push(`📋 Found ${recipes.length} recipes in JSON file<br><br>`);
 
-let imported = 0;
-let skipped = 0;
-
-for (const recipe of recipes) {
-  try {
-    await client.query(`
-      INSERT INTO meals (
-        meal_type, name, prep_time, cook_time, total_time, servings,
-        ingredients, directions, notes, source_url, photo_url, tags, created_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
-    `, [
-      'recipe',
-      recipe.name,
-      recipe.prep_time,
-      recipe.cook_time,
-      recipe.total_time,
-      recipe.servings,
-      recipe.ingredients,
-      recipe.directions,
-      recipe.notes,
-      recipe.source_url,
-      recipe.photo_url,
-      recipe.tags || recipe.ai_category || [],
-      new Date()
-    ]);
-    imported++;
-  } catch (err) {
-    if (err.code === '23505') {
-      skipped++;
-    } else {
-      console.error(`Error importing ${recipe.name}:`, err.message);
-    }
-  }
-}
+const { imported, skipped } = await importRecipes(recipes, req.householdId);
 
 results.push(`<h2 style="color: #22c55e;">✅ Import Complete!</h2>`);
 results.push(`<p>Imported: ${imported} recipes</p>`);
@@ -341,13 +249,11 @@ res.send(`
     <p><a href="/" style="background: #3b82f6; color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; display: inline-block; font-weight: bold; margin-top: 20px;">Go to App</a></p>
   </body></html>
 `);
-```
 
 } catch (error) {
 results.push(`<br><h2 style="color: #dc2626;">❌ Import Failed</h2>`);
-results.push(`<p><strong>Error:</strong> ${error.message}</p>`);
+results.push(`<p><strong>Error:</strong> ${escapeHTML(error.message)}</p>`);
 
-```
 res.send(`
   <html><body style="font-family: sans-serif; padding: 40px; max-width: 800px;">
     <div style="background: #fee; padding: 30px; border-radius: 12px; border: 2px solid #dc2626;">
@@ -356,183 +262,215 @@ res.send(`
     <p><a href="/" style="color: #3b82f6;">Go back</a></p>
   </body></html>
 `);
-```
-
-} finally {
-client.release();
 }
 });
 // ==================== END IMPORT RECIPES ENDPOINT ====================
 
-// ==================== TAG ALL RECIPES ENDPOINT ====================
-// AI-powered tagging of all recipes in database
-// Visit: /run-tagging
-let taggingInProgress = false;
-
-app.get(’/run-tagging’, async (req, res) => {
-if (taggingInProgress) {
-return res.send(`<html><body style="font-family: sans-serif; padding: 40px;"> <h1 style="color: #f59e0b;">⏳ Tagging In Progress!</h1> <p>The tagging process is already running. Please wait...</p> <p><a href="/" style="color: #3b82f6;">Go to app</a></p> </body></html>`);
-}
-
-if (req.query.confirm !== ‘yes’) {
-return res.send(`<html><body style="font-family: sans-serif; padding: 40px; max-width: 700px;"> <h1>🏷️ AI Recipe Tagging</h1> <p>This will tag all 162 recipes with comprehensive AI-generated tags.</p> <p><strong>Details:</strong></p> <ul> <li>Uses Claude API to analyze each recipe</li> <li>Generates 4-8 tags per recipe (Course, Time, Difficulty, Cuisine, etc.)</li> <li>Processes ONE recipe at a time (slower but more reliable)</li> <li>Takes ~20-25 minutes</li> <li>Costs ~$1-2 in API credits</li> <li>Updates database directly</li> </ul> <p><a href="/run-tagging?confirm=yes" style="background: #667eea; color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; display: inline-block; font-weight: bold; margin: 20px 0;">✨ Yes, Tag All Recipes</a></p> <p><a href="/" style="color: #666;">Cancel</a></p> </body></html>`);
+// ==================== BACKGROUND JOBS ====================
+// Bulk AI tagging runs as a background job (see jobs.js) instead of inside
+// the request. /run-tagging and /generate-all-ai-tags are the browser
+// entry points: confirm, then watch progress at /jobs/:id. Jobs cover every
+// household's recipes, so all of these are admin only.
+
+function jobConfirmPage({ title, details, confirmUrl }) {
+  return `<html><body style="font-family: sans-serif; padding: 40px; max-width: 700px;">
+    <h1>🏷️ ${title}</h1>
+    <ul>${details.map(detail => `<li>${detail}</li>`).join('')}</ul>
+    <p><a href="${confirmUrl}" style="background: #667eea; color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; display: inline-block; font-weight: bold; margin: 20px 0;">✨ Yes, Start</a></p>
+    <p><a href="/" style="color: #666;">Cancel</a></p>
+  </body></html>`;
 }
 
-// Set flag to prevent concurrent runs
-taggingInProgress = true;
-
-// Set headers for streaming response
-res.setHeader(‘Content-Type’, ‘text/html; charset=utf-8’);
-res.setHeader(‘Transfer-Encoding’, ‘chunked’);
-
-res.write(`<html> <head> <style> body { font-family: monospace; padding: 40px; background: #1e1e1e; color: #d4d4d4; } .success { color: #4ade80; } .error { color: #f87171; } .info { color: #60a5fa; } .batch { color: #fbbf24; font-weight: bold; margin-top: 20px; } </style> </head> <body> <h1 style="color: #667eea;">🏷️ AI Recipe Tagging (Slow & Steady Mode)</h1> <pre>`);
-
-const startTime = Date.now();
-let successCount = 0;
-let errorCount = 0;
-
-try {
-res.write(`<span class="info">📋 Fetching recipes from database...</span>\n`);
-
-```
-const result = await pool.query(`
-  SELECT id, name, ingredients, directions, prep_time, cook_time, servings, tags
-  FROM meals
-  WHERE meal_type = 'recipe'
-  ORDER BY name ASC
-`);
-
-const recipes = result.rows;
-res.write(`<span class="success">✅ Found ${recipes.length} recipes</span>\n\n`);
-res.write(`<span class="info">🐢 Processing ONE recipe at a time with 1 second delay between each...</span>\n\n`);
-
-// Process ONE recipe at a time
-for (let i = 0; i < recipes.length; i++) {
-  const recipe = recipes[i];
-  const recipeNum = i + 1;
-  const recipeName = recipe.name.substring(0, 45).padEnd(45);
-  
-  // Show progress every 10 recipes
-  if (i % 10 === 0) {
-    res.write(`<span class="batch">📦 Progress: ${i + 1}/${recipes.length}</span>\n`);
+async function startJobFromBrowser(req, res, type, page) {
+  if (req.query.confirm !== 'yes') {
+    return res.send(jobConfirmPage({ ...page, confirmUrl: `${req.path}?confirm=yes` }));
   }
-  
-  try {
-    const prompt = `Analyze this recipe and assign appropriate tags. Choose tags that accurately describe this recipe based on reading the full content.
-```
 
-**Recipe Name:** ${recipe.name}
-**Ingredients:** ${recipe.ingredients || ‘N/A’}
-**Directions:** ${recipe.directions ? recipe.directions.substring(0, 1000) : ‘N/A’}
-**Prep Time:** ${recipe.prep_time || ‘N/A’}
-**Cook Time:** ${recipe.cook_time || ‘N/A’}
-**Servings:** ${recipe.servings || ‘N/A’}
-
-**Available Tags by Category:**
-Meal Type: Breakfast, Lunch, Dinner, Brunch, Snack
-Course: Appetizer, Main Dish, Side Dish, Salad, Soup, Dessert, Beverage, Sauce/Condiment
-Dietary: Vegetarian, Vegan, Gluten-Free, Dairy-Free, Nut-Free, Low-Carb, Keto, Paleo
-Cuisine: American, Italian, Mexican, Asian, Indian, Mediterranean, French, Thai, Korean, Japanese, Chinese, Greek, Middle Eastern
-Cooking Method: Baked, Grilled, Fried, Slow Cooker, Instant Pot, One-Pot, No-Cook, Roasted, Sautéed, Steamed
-Time: Quick (< 30 min), Medium (30-60 min), Long (> 60 min)
-Difficulty: Easy, Medium, Hard
-Characteristics: Healthy, Comfort Food, Kid-Friendly, Party Food, Make-Ahead, Meal Prep, Spicy, Sweet, Savory, Fresh, Hearty, Light
-
-Return ONLY a JSON array of 4-8 selected tags. Include at least one from: Course, Time, Difficulty.
-
-Example: [“Dessert”, “Quick (< 30 min)”, “Easy”, “Sweet”]`;
-
-```
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': process.env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 200,
-        messages: [{ role: 'user', content: prompt }]
-      })
-    });
+  try {
+    // An already queued/running job of this type is returned rather than doubled up
+    const { job } = await jobs.enqueueJob(type);
+    res.redirect(`/jobs/${job.id}`);
+  } catch (error) {
+    console.error('Error queueing job:', error);
+    res.status(500).send(`<p>❌ Could not start job: ${error.message}</p><p><a href="/">Go back</a></p>`);
+  }
+}
 
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.error?.message || `API error: ${response.status}`);
+// Re-tag every recipe from the fixed tag vocabulary (replaces tags)
+app.get('/run-tagging', auth.requireAdmin, (req, res) => startJobFromBrowser(req, res, 'recipe_tags', {
+  title: 'AI Recipe Tagging',
+  details: [
+    'Uses Claude to choose 4-8 tags per recipe (Course, Time, Difficulty, Cuisine, etc.)',
+    'Replaces each recipe\'s current tags',
+    'Runs in the background one recipe at a time - safe to close this page',
+    'Resumes where it left off after a restart, so no recipe is paid for twice',
+    'Costs ~$1-2 in API credits (tracked in AI usage)'
+  ]
+}));
+
+// Add descriptive background ai_tags to every recipe (appends)
+app.get('/generate-all-ai-tags', auth.requireAdmin, (req, res) => startJobFromBrowser(req, res, 'ai_tags', {
+  title: 'Bulk AI Tag Generation',
+  details: [
+    'Generates 5-10 descriptive AI tags per recipe (weeknight friendly, freezable, ...)',
+    'APPENDS to existing AI tags; Quick Pick uses them as a fallback',
+    'Runs in the background one recipe at a time - safe to close this page',
+    'Costs ~$2.50 for 162 recipes (tracked in AI usage)'
+  ]
+}));
+
+// Progress page for one job; polls the JSON API below
+app.get('/jobs/:id', auth.requireAdmin, (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  res.send(`<html>
+<head>
+  <style>
+    body { font-family: monospace; padding: 40px; background: #1e1e1e; color: #d4d4d4; }
+    .bar { height: 20px; background: #333; border-radius: 6px; overflow: hidden; margin: 16px 0; }
+    .fill { height: 100%; background: #667eea; width: 0; transition: width 0.5s; }
+    .error { color: #f87171; } .info { color: #60a5fa; } .success { color: #4ade80; }
+    button, a.btn { background: #3b82f6; color: white; padding: 10px 20px; border: none; border-radius: 8px; font-weight: bold; cursor: pointer; text-decoration: none; margin-right: 8px; }
+  </style>
+</head>
+<body>
+  <h1 style="color: #667eea;">🏷️ Job ${id}</h1>
+  <div id="summary" class="info">Loading...</div>
+  <div class="bar"><div id="fill" class="fill"></div></div>
+  <div id="failures"></div>
+  <p style="margin-top: 30px;">
+    <button id="cancel" onclick="act('cancel')" style="background: #dc2626; display: none;">Cancel</button>
+    <button id="resume" onclick="act('resume')" style="display: none;">Resume</button>
+    <a class="btn" href="/">Go to App</a>
+  </p>
+  <script>
+    // Labels, errors and recipe names can hold anything, so they only ever
+    // go in as text
+    function element(tag, text, className) {
+      const node = document.createElement(tag);
+      node.textContent = text;
+      if (className) node.className = className;
+      return node;
     }
-    
-    const text = data.content[0].text.trim();
-    const tagsMatch = text.match(/\[.*\]/s);
-    
-    if (tagsMatch) {
-      const tags = JSON.parse(tagsMatch[0]);
-      await pool.query(
-        'UPDATE meals SET tags = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-        [tags, recipe.id]
+    async function refresh() {
+      const response = await fetch('/api/jobs/${id}');
+      const data = await response.json();
+      if (!data.success) {
+        document.getElementById('summary').textContent = data.error;
+        return;
+      }
+      const job = data.job;
+      const summary = document.getElementById('summary');
+      summary.replaceChildren(
+        job.label + ': ', element('b', job.status),
+        ' - ' + job.processed + '/' + job.total + ' (' + job.percent + '%), ' +
+          job.succeeded + ' ok, ' + job.failed + ' failed, $' + job.cost.toFixed(3)
       );
-      successCount++;
-      res.write(`  <span class="success">[${recipeNum}/${recipes.length}] ${recipeName} ✅ ${tags.length} tags</span>\n`);
-    } else {
-      errorCount++;
-      res.write(`  <span class="error">[${recipeNum}/${recipes.length}] ${recipeName} ⚠️  parse failed</span>\n`);
+      if (job.error) summary.appendChild(element('div', job.error, 'error'));
+      document.getElementById('fill').style.width = job.percent + '%';
+      document.getElementById('failures').replaceChildren(...job.failures.map(function (item) {
+        return element('div', '❌ ' + item.name + ': ' + item.error, 'error');
+      }));
+      const active = job.status === 'queued' || job.status === 'running';
+      document.getElementById('cancel').style.display = active || job.status === 'paused' ? 'inline-block' : 'none';
+      document.getElementById('resume').style.display = active || job.status === 'completed' ? 'none' : 'inline-block';
+      if (active) setTimeout(refresh, 3000);
     }
+    async function act(action) {
+      await fetch('/api/jobs/${id}/' + action, { method: 'POST' });
+      refresh();
+    }
+    refresh();
+  </script>
+</body>
+</html>`);
+});
+
+// Recent jobs, newest first
+app.get('/api/jobs', auth.requireAdmin, async (req, res) => {
+  try {
+    res.json({ success: true, jobs: await jobs.listJobs() });
   } catch (error) {
-    errorCount++;
-    res.write(`  <span class="error">[${recipeNum}/${recipes.length}] ${recipeName} ❌ ${error.message.substring(0, 30)}</span>\n`);
+    res.status(500).json({ error: error.message });
   }
-  
-  // 1 second delay between each recipe
-  await new Promise(resolve => setTimeout(resolve, 1000));
-}
+});
 
-const duration = ((Date.now() - startTime) / 1000 / 60).toFixed(1);
-
-res.write(`\n<span class="success">✅ Tagging complete in ${duration} minutes!</span>\n`);
-res.write(`<span class="info">   Success: ${successCount} recipes</span>\n`);
-res.write(`<span class="info">   Errors: ${errorCount} recipes</span>\n\n`);
-
-// Show tag statistics
-res.write(`<span class="info">📊 Top 20 Tags:</span>\n`);
-const stats = await pool.query(`
-  SELECT unnest(tags) as tag, COUNT(*) as count
-  FROM meals
-  WHERE meal_type = 'recipe' AND tags IS NOT NULL
-  GROUP BY tag
-  ORDER BY count DESC
-  LIMIT 20
-`);
+// Queue a job. Body: { type: 'recipe_tags' | 'ai_tags', mealIds: [optional subset] }
+// 202 with the new job, or 409 with the one of that type already in progress
+app.post('/api/jobs', auth.requireAdmin, async (req, res) => {
+  const { type, mealIds } = req.body;
+  if (!jobs.JOB_TYPES[type]) {
+    return res.status(400).json({ error: `type must be one of: ${Object.keys(jobs.JOB_TYPES).join(', ')}` });
+  }
+  if (mealIds !== undefined && (!Array.isArray(mealIds) || !mealIds.every(Number.isInteger))) {
+    return res.status(400).json({ error: 'mealIds must be an array of recipe ids' });
+  }
 
-stats.rows.forEach(row => {
-  res.write(`   ${row.tag}: ${row.count}\n`);
+  try {
+    const { job, created } = await jobs.enqueueJob(type, { mealIds });
+    if (!created) {
+      return res.status(409).json({ error: `A ${type} job is already ${job.status}`, job });
+    }
+    res.status(202).json({ success: true, job });
+  } catch (error) {
+    // Two requests raced past the active-job check
+    if (error.code === '23505') {
+      return res.status(409).json({ error: `A ${type} job is already in progress` });
+    }
+    res.status(500).json({ error: error.message });
+  }
 });
 
-res.write(`
-  </pre>
-  <p style="margin-top: 30px;"><a href="/" style="background: #3b82f6; color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; display: inline-block; font-weight: bold;">Go to App</a></p>
-</body></html>
-`);
-```
+// Status and progress, with the most recent failed recipes
+app.get('/api/jobs/:id', auth.requireAdmin, async (req, res) => {
+  try {
+    const job = await jobs.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ success: true, job });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-} catch (error) {
-res.write(`\n<span class="error">❌ Fatal Error: ${error.message}</span>\n`);
-res.write(`</pre> <p><a href="/">Go back</a></p> </body></html>`);
-} finally {
-taggingInProgress = false;
-res.end();
-}
+// A running job stops after the recipe it's on
+app.post('/api/jobs/:id/cancel', auth.requireAdmin, async (req, res) => {
+  try {
+    const job = await jobs.cancelJob(req.params.id);
+    if (!job) {
+      return res.status(409).json({ error: 'Job not found or already finished' });
+    }
+    res.json({ success: true, job });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-queue a paused, failed or cancelled job. Body: { retryFailed: false }
+app.post('/api/jobs/:id/resume', auth.requireAdmin, async (req, res) => {
+  try {
+    const job = await jobs.resumeJob(req.params.id, { retryFailed: Boolean(req.body && req.body.retryFailed) });
+    if (!job) {
+      return res.status(409).json({ error: 'Only paused, failed or cancelled jobs can be resumed' });
+    }
+    res.json({ success: true, job });
+  } catch (error) {
+    // Another job of the same type has been queued since
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Another job of this type is already in progress' });
+    }
+    res.status(500).json({ error: error.message });
+  }
 });
-// ==================== END TAG ALL RECIPES ENDPOINT ====================
+// ==================== END BACKGROUND JOBS ====================
 
 // ==================== TEST TAGGING ENDPOINT ====================
-// Test tagging a single recipe to debug issues
-app.get(’/test-tagging’, async (req, res) => {
+// Test tagging a single recipe to debug issues (admins only)
+app.get('/test-tagging', auth.requireAdmin, async (req, res) => {
 try {
 // Get one recipe
-const result = await pool.query(`SELECT id, name, ingredients, directions, prep_time, cook_time, servings FROM meals WHERE meal_type = 'recipe' LIMIT 1`);
+const result = await pool.query(`SELECT id, name, ingredients, directions, prep_time, cook_time, servings FROM meals WHERE meal_type = 'recipe' AND household_id = $1 LIMIT 1`, [req.householdId]);
 
-```
 if (result.rows.length === 0) {
   return res.json({ error: 'No recipes found' });
 }
@@ -540,40 +478,26 @@ if (result.rows.length === 0) {
 const recipe = result.rows[0];
 
 const prompt = `Analyze this recipe and assign appropriate tags. Return ONLY a JSON array of 4-8 tags.
-```
 
 Recipe: ${recipe.name}
-Ingredients: ${recipe.ingredients?.substring(0, 200) || ‘N/A’}
+Ingredients: ${recipe.ingredients?.substring(0, 200) || 'N/A'}
 
 Available tags: Dessert, Main Dish, Quick (< 30 min), Easy, Vegetarian, Italian, Baked
 
-Example: [“Dessert”, “Quick (< 30 min)”, “Easy”]`;
-
-```
-const response = await fetch('https://api.anthropic.com/v1/messages', {
-  method: 'POST',
-  headers: {
-    'Content-Type': 'application/json',
-    'x-api-key': process.env.ANTHROPIC_API_KEY,
-    'anthropic-version': '2023-06-01'
-  },
-  body: JSON.stringify({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 200,
-    messages: [{ role: 'user', content: prompt }]
-  })
-});
+Example: ["Dessert", "Quick (< 30 min)", "Easy"]`;
 
-const data = await response.json();
+const response = await ai.complete({ feature: 'test_tagging', householdId: req.householdId, prompt, maxTokens: 200 });
 
 res.json({
-  success: response.ok,
-  status: response.status,
+  success: true,
+  provider: response.provider,
+  model: response.model,
   recipe: recipe.name,
   apiKey: process.env.ANTHROPIC_API_KEY ? 'Present (first 10 chars): ' + process.env.ANTHROPIC_API_KEY.substring(0, 10) : 'Missing!',
-  response: data
+  response: response.text,
+  usage: response.usage,
+  cost: response.cost
 });
-```
 
 } catch (error) {
 res.json({ error: error.message, stack: error.stack });
@@ -582,547 +506,3175 @@ res.json({ error: error.message, stack: error.stack });
 // ==================== END TEST TAGGING ENDPOINT ====================
 
 // Extract order info endpoint
-app.post(’/extract-order’, upload.single(‘image’), async (req, res) => {
+app.post('/extract-order', upload.single('image'), async (req, res) => {
 try {
 if (!req.file) {
-return res.status(400).json({ error: ‘No image uploaded’ });
+return res.status(400).json({ error: 'No image uploaded' });
 }
 
-```
 console.log('Image received:', req.file.mimetype, req.file.size, 'bytes');
 const base64Image = req.file.buffer.toString('base64');
 
-const response = await fetch('https://api.anthropic.com/v1/messages', {
-  method: 'POST',
-  headers: {
-    'Content-Type': 'application/json',
-    'x-api-key': process.env.ANTHROPIC_API_KEY,
-    'anthropic-version': '2023-06-01'
-  },
-  body: JSON.stringify({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 1024,
-    messages: [{
-      role: 'user',
-      content: [{
+const { data: orderData, text } = await ai.completeJSON({
+  feature: 'receipt_extraction',
+  householdId: req.householdId,
+  maxTokens: 1024,
+  expect: 'object',
+  content: [{
         type: 'image',
         source: { type: 'base64', media_type: req.file.mimetype, data: base64Image }
       }, {
         type: 'text',
         text: `You are extracting order information from a food delivery receipt image. Look very carefully at ALL text in the image.
-```
 
 CRITICAL: Look for the restaurant address in these common locations:
 
 - Near the restaurant name at the top
-- In a section labeled “Address:”, “Location:”, “Delivered to:”, or “Restaurant address:”
+- In a section labeled "Address:", "Location:", "Delivered to:", or "Restaurant address:"
 - Near map icons or location pins
 - In the delivery details section
-- Sometimes it’s in smaller text below the restaurant name
+- Sometimes it's in smaller text below the restaurant name
 
 Extract this information and respond with ONLY a JSON object (no markdown, no backticks, no preamble):
 
 {
-“restaurant”: “exact restaurant name from receipt”,
-“address”: “full street address of the restaurant if visible, or ‘Not visible’ only if you truly cannot find it anywhere”,
-“deliveryService”: “DoorDash, Uber Eats, Grubhub, Postmates, etc. - check the logo/branding”,
-“items”: [{ “name”: “item name with customizations”, “price”: 0.00 }],
-“subtotal”: 0.00,
-“deliveryFee”: 0.00,
-“serviceFee”: 0.00,
-“tax”: 0.00,
-“discount”: 0.00,
-“tip”: 0.00,
-“total”: 0.00
+"restaurant": "exact restaurant name from receipt",
+"address": "full street address of the restaurant if visible, or 'Not visible' only if you truly cannot find it anywhere",
+"deliveryService": "DoorDash, Uber Eats, Grubhub, Postmates, etc. - check the logo/branding",
+"items": [{ "name": "item name with customizations", "price": 0.00 }],
+"subtotal": 0.00,
+"deliveryFee": 0.00,
+"serviceFee": 0.00,
+"tax": 0.00,
+"discount": 0.00,
+"tip": 0.00,
+"total": 0.00
 }
 
-Look at EVERY section of the receipt carefully. The address is often near the top with the restaurant name, or in a delivery details section. Search thoroughly before saying “Not visible”.`
-}]
+Look at EVERY section of the receipt carefully. The address is often near the top with the restaurant name, or in a delivery details section. Search thoroughly before saying "Not visible".`
 }]
-})
 });
 
-```
-const data = await response.json();
-if (!response.ok) {
-  console.error('Claude API error:', data);
-  return res.status(response.status).json({ error: data.error?.message || 'Claude API error', details: data });
-}
-
-const text = data.content.filter(item => item.type === 'text').map(item => item.text).join('\n').trim();
 console.log('Claude response:', text);
-const cleanText = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-const orderData = JSON.parse(cleanText);
 
-// Track AI usage (receipt extraction typically costs ~$0.03)
-await trackAIUsage('receipt_extraction', 0.03);
-
-res.json({ success: true, data: orderData });
-```
+// Flags whatever doesn't add up so it can be checked before saving
+res.json({ success: true, data: orderData, validation: validateReceipt(orderData) });
 
 } catch (error) {
-console.error(‘Error:’, error);
-res.status(500).json({ error: error.message, stack: process.env.NODE_ENV === ‘development’ ? error.stack : undefined });
+if (ai.isBudgetExceeded(error)) {
+return res.status(429).json({ error: error.message, budgetExceeded: true });
+}
+console.error('Error:', error);
+res.status(500).json({ error: error.message, stack: process.env.NODE_ENV === 'development' ? error.stack : undefined });
 }
 });
 
-// Save order to database
-app.post(’/orders’, async (req, res) => {
-const client = await pool.connect();
-try {
-console.log(‘Received order data:’, JSON.stringify(req.body, null, 2));
-const { restaurant, address, deliveryService, subtotal, deliveryFee, serviceFee, tax, discount, tip, total, items } = req.body;
-
-```
-if (!restaurant || !items || items.length === 0) {
-  throw new Error('Restaurant and items are required');
+// ==================== HOUSEHOLD ====================
+// The people who eat here. Takeout items are assigned to a person by id
+// (meal_items.person_id); the UI builds its "Who ate this?" buttons from this list.
+const PERSON_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// A personId from a request body is only usable if it's someone in the
+// household (the foreign key alone would accept anyone's)
+async function isHouseholdPerson(householdId, personId) {
+  if (!personId) return true;
+  const result = await pool.query('SELECT 1 FROM people WHERE id = $1 AND household_id = $2', [personId, householdId]);
+  return result.rows.length > 0;
 }
 
-await client.query('BEGIN');
-const orderResult = await client.query(
-  `INSERT INTO orders (restaurant, address, delivery_service, subtotal, delivery_fee, service_fee, tax, discount, tip, total)
-   VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING id`,
-  [restaurant, address || 'Not provided', deliveryService || 'Unknown', subtotal || 0, deliveryFee || 0, serviceFee || 0, tax || 0, discount || 0, tip || 0, total || 0]
-);
-
-const orderId = orderResult.rows[0].id;
-for (const item of items) {
-  await client.query(
-    `INSERT INTO order_items (order_id, item_name, price, assigned_to, rating, notes)
-     VALUES ($1, $2, $3, $4, $5, $6)`,
-    [orderId, item.name, item.price || 0, item.assignedTo || null, item.rating || 0, item.notes || null]
-  );
-}
+// Get everyone in the household
+app.get('/api/people', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT p.*, COUNT(mi.id)::int as item_count
+      FROM people p
+      LEFT JOIN meal_items mi ON mi.person_id = p.id
+      WHERE p.household_id = $1
+      GROUP BY p.id
+      ORDER BY p.created_at, p.id
+    `, [req.householdId]);
+    res.json({ success: true, people: result.rows });
+  } catch (error) {
+    console.error('Error fetching people:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-await client.query('COMMIT');
-console.log('Order saved successfully with ID:', orderId);
-res.json({ success: true, orderId });
-```
+// Add a person. Body: { name: "Sam", color: "#13c2c2" }
+app.post('/api/people', async (req, res) => {
+  try {
+    const name = (req.body.name || '').trim();
+    const { color } = req.body;
 
-} catch (error) {
-await client.query(‘ROLLBACK’);
-console.error(‘Error saving order:’, error);
-res.status(500).json({ error: error.message, details: error.stack });
-} finally {
-client.release();
-}
-});
+    if (!name) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    if (color !== undefined && !PERSON_COLOR_PATTERN.test(color)) {
+      return res.status(400).json({ error: 'color must be a hex color like #1890ff' });
+    }
 
-// Get all orders
-app.get(’/orders’, async (req, res) => {
-try {
-const result = await pool.query(`SELECT o.*, json_agg(json_build_object('id', oi.id, 'name', oi.item_name, 'price', oi.price, 'assignedTo', oi.assigned_to, 'rating', oi.rating, 'notes', oi.notes) ORDER BY oi.id) as items FROM orders o LEFT JOIN order_items oi ON o.id = oi.order_id GROUP BY o.id ORDER BY o.created_at DESC`);
-res.json({ success: true, orders: result.rows });
-} catch (error) {
-console.error(‘Error fetching orders:’, error);
-res.status(500).json({ error: error.message });
-}
+    const result = await pool.query(
+      `INSERT INTO people (household_id, name, color) VALUES ($1, $2, COALESCE($3, '#667eea')) RETURNING *`,
+      [req.householdId, name, color || null]
+    );
+    res.json({ success: true, person: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Someone with that name is already in the household' });
+    }
+    console.error('Error adding person:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// Get single order
-app.get(’/orders/:id’, async (req, res) => {
-try {
-const { id } = req.params;
-const result = await pool.query(`SELECT o.*, json_agg(json_build_object('id', oi.id, 'name', oi.item_name, 'price', oi.price, 'assignedTo', oi.assigned_to, 'rating', oi.rating, 'notes', oi.notes) ORDER BY oi.id) as items FROM orders o LEFT JOIN order_items oi ON o.id = oi.order_id WHERE o.id = $1 GROUP BY o.id`, [id]);
+// Rename a person or change their color
+app.patch('/api/people/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, color } = req.body;
 
-```
-if (result.rows.length === 0) {
-  return res.status(404).json({ error: 'Order not found' });
-}
-res.json({ success: true, order: result.rows[0] });
-```
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
 
-} catch (error) {
-console.error(‘Error fetching order:’, error);
-res.status(500).json({ error: error.message });
-}
-});
+    if (name !== undefined) {
+      if (!String(name).trim()) {
+        return res.status(400).json({ error: 'name cannot be empty' });
+      }
+      updates.push(`name = $${paramCount++}`);
+      values.push(String(name).trim());
+    }
+    if (color !== undefined) {
+      if (!PERSON_COLOR_PATTERN.test(color)) {
+        return res.status(400).json({ error: 'color must be a hex color like #1890ff' });
+      }
+      updates.push(`color = $${paramCount++}`);
+      values.push(color);
+    }
 
-// Update order item
-app.patch(’/order-items/:id’, async (req, res) => {
-try {
-const { id } = req.params;
-const { rating, assignedTo, notes, tags } = req.body;
-const updates = [];
-const values = [];
-let paramCount = 1;
-
-```
-if (rating !== undefined) { updates.push(`rating = $${paramCount++}`); values.push(rating); }
-if (assignedTo !== undefined) { updates.push(`assigned_to = $${paramCount++}`); values.push(assignedTo); }
-if (notes !== undefined) { updates.push(`notes = $${paramCount++}`); values.push(notes); }
-if (tags !== undefined) { updates.push(`tags = $${paramCount++}`); values.push(tags); }
-
-if (updates.length === 0) {
-  return res.status(400).json({ error: 'No fields to update' });
-}
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
 
-values.push(id);
-const query = `UPDATE order_items SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`;
-const result = await pool.query(query, values);
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id, req.householdId);
 
-if (result.rows.length === 0) {
-  return res.status(404).json({ error: 'Item not found' });
-}
-res.json({ success: true, item: result.rows[0] });
-```
+    const result = await pool.query(
+      `UPDATE people SET ${updates.join(', ')} WHERE id = $${paramCount} AND household_id = $${paramCount + 1} RETURNING *`,
+      values
+    );
 
-} catch (error) {
-console.error(‘Error updating order item:’, error);
-res.status(500).json({ error: error.message });
-}
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Person not found' });
+    }
+    res.json({ success: true, person: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Someone with that name is already in the household' });
+    }
+    console.error('Error updating person:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// Update entire order
-app.patch(’/orders/:id’, async (req, res) => {
-try {
-const { id } = req.params;
-const { restaurant, address, deliveryService, subtotal, deliveryFee, serviceFee, tax, discount, tip, total } = req.body;
-const updates = [];
-const values = [];
-let paramCount = 1;
-
-```
-if (restaurant !== undefined) { updates.push(`restaurant = $${paramCount++}`); values.push(restaurant); }
-if (address !== undefined) { updates.push(`address = $${paramCount++}`); values.push(address); }
-if (deliveryService !== undefined) { updates.push(`delivery_service = $${paramCount++}`); values.push(deliveryService); }
-if (subtotal !== undefined) { updates.push(`subtotal = $${paramCount++}`); values.push(subtotal); }
-if (deliveryFee !== undefined) { updates.push(`delivery_fee = $${paramCount++}`); values.push(deliveryFee); }
-if (serviceFee !== undefined) { updates.push(`service_fee = $${paramCount++}`); values.push(serviceFee); }
-if (tax !== undefined) { updates.push(`tax = $${paramCount++}`); values.push(tax); }
-if (discount !== undefined) { updates.push(`discount = $${paramCount++}`); values.push(discount); }
-if (tip !== undefined) { updates.push(`tip = $${paramCount++}`); values.push(tip); }
-if (total !== undefined) { updates.push(`total = $${paramCount++}`); values.push(total); }
-
-if (updates.length === 0) {
-  return res.status(400).json({ error: 'No fields to update' });
-}
+// Remove a person. Their past items become unassigned, so someone with
+// assigned items needs ?force=true.
+app.delete('/api/people/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const personResult = await pool.query(
+      `SELECT p.id, p.name, COUNT(mi.id)::int as item_count
+       FROM people p
+       LEFT JOIN meal_items mi ON mi.person_id = p.id
+       WHERE p.id = $1 AND p.household_id = $2
+       GROUP BY p.id, p.name`,
+      [id, req.householdId]
+    );
+    if (personResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Person not found' });
+    }
 
-values.push(id);
-const query = `UPDATE orders SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`;
-const result = await pool.query(query, values);
+    const person = personResult.rows[0];
+    if (person.item_count > 0 && req.query.force !== 'true') {
+      return res.status(409).json({
+        error: `${person.name} is assigned ${person.item_count} item${person.item_count !== 1 ? 's' : ''}; removing them leaves those unassigned`,
+        item_count: person.item_count
+      });
+    }
 
-if (result.rows.length === 0) {
-  return res.status(404).json({ error: 'Order not found' });
-}
-res.json({ success: true, order: result.rows[0] });
-```
+    await pool.query('DELETE FROM people WHERE id = $1', [id]);
+    console.log(`👋 Removed ${person.name} from the household`);
+    res.json({ success: true, message: 'Person removed' });
+  } catch (error) {
+    console.error('Error removing person:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-} catch (error) {
-console.error(‘Error updating order:’, error);
-res.status(500).json({ error: error.message });
-}
+// Standing dietary restrictions, kept out of every recipe recommendation and
+// the planner's auto-fill (see exclusions.js). `groups` are the names that
+// stand for a whole group ("nuts", "vegetarian"); anything else is taken as
+// an ingredient.
+app.get('/api/household/restrictions', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT dietary_restrictions FROM households WHERE id = $1', [req.householdId]);
+    res.json({ success: true, restrictions: result.rows[0].dietary_restrictions, groups: exclusionGroups() });
+  } catch (error) {
+    console.error('Error fetching dietary restrictions:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// Delete order
-app.delete(’/orders/:id’, async (req, res) => {
-try {
-const { id } = req.params;
-const result = await pool.query(‘DELETE FROM orders WHERE id = $1 RETURNING id’, [id]);
-if (result.rows.length === 0) {
-return res.status(404).json({ error: ‘Order not found’ });
+// Replace the list. Body: { restrictions: ["nuts", "shellfish", "mushrooms"] }
+app.put('/api/household/restrictions', async (req, res) => {
+  try {
+    const { restrictions } = req.body;
+
+    if (!Array.isArray(restrictions) || restrictions.length > MAX_EXCLUSIONS ||
+        restrictions.some(restriction => typeof restriction !== 'string' || restriction.trim().length > MAX_EXCLUSION_LENGTH)) {
+      return res.status(400).json({
+        error: `restrictions must be a list of up to ${MAX_EXCLUSIONS} names, each at most ${MAX_EXCLUSION_LENGTH} characters`
+      });
+    }
+
+    const result = await pool.query(
+      'UPDATE households SET dietary_restrictions = $1 WHERE id = $2 RETURNING dietary_restrictions',
+      [parseExclusions(restrictions), req.householdId]
+    );
+    res.json({ success: true, restrictions: result.rows[0].dietary_restrictions });
+  } catch (error) {
+    console.error('Error saving dietary restrictions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+// ==================== END HOUSEHOLD ====================
+
+// ==================== TAGS ====================
+// The household's tag taxonomy (see tags.js): categories, canonical names,
+// synonyms, and which tags are cooking filter chips. Recipes keep tag names
+// in meals.tags, so renaming, deleting or merging a tag rewrites them.
+const TAG_FIELD_LIMITS = { category: 50, name: 100 };
+const FILTER_ID_PATTERN = /^[a-z0-9-]{1,50}$/;
+
+// Tag columns from a request body. filter is { id, icon, label, page } to
+// make the tag a cooking filter chip, or null to stop.
+function validateTag(body, { partial = false } = {}) {
+  const tag = {};
+  const errors = [];
+
+  for (const [field, maxLength] of Object.entries(TAG_FIELD_LIMITS)) {
+    if (body[field] === undefined) {
+      if (!partial) errors.push(`${field} is required`);
+      continue;
+    }
+    const value = typeof body[field] === 'string' ? body[field].trim() : '';
+    if (!value || value.length > maxLength) {
+      errors.push(`${field} must be 1-${maxLength} characters of text`);
+    } else {
+      tag[field] = value;
+    }
+  }
+
+  if (body.synonyms !== undefined) {
+    if (!Array.isArray(body.synonyms) || body.synonyms.some(synonym => typeof synonym !== 'string' || synonym.length > 100)) {
+      errors.push('synonyms must be a list of strings');
+    } else {
+      tag.synonyms = normalizeSynonyms(body.synonyms);
+    }
+  }
+
+  if (body.filter === null) {
+    Object.assign(tag, { filter_id: null, filter_icon: null, filter_label: null, filter_page: null });
+  } else if (body.filter !== undefined) {
+    const { id, icon, label, page } = body.filter;
+    // any-* ids are the "any course"/"any vibe" chips
+    if (typeof id !== 'string' || !FILTER_ID_PATTERN.test(id) || id.startsWith('any-')) {
+      errors.push('filter.id must be lowercase letters, digits and dashes, and not start with "any-"');
+    } else if (!FILTER_PAGES.includes(page)) {
+      errors.push(`filter.page must be ${FILTER_PAGES.join(' or ')}`);
+    } else if ((icon && (typeof icon !== 'string' || icon.length > 20)) || (label && (typeof label !== 'string' || label.trim().length > 50))) {
+      errors.push('filter.icon must be at most 20 characters and filter.label at most 50');
+    } else {
+      Object.assign(tag, { filter_id: id, filter_icon: icon || null, filter_label: label ? label.trim() : null, filter_page: page });
+    }
+  }
+
+  return { tag, errors };
 }
-res.json({ success: true, message: ‘Order deleted’ });
-} catch (error) {
-console.error(‘Error deleting order:’, error);
-res.status(500).json({ error: error.message });
+
+function tagConflictError(error) {
+  return error.constraint === 'idx_tags_household_filter'
+    ? 'Another tag already uses that filter id'
+    : 'A tag with that name already exists';
 }
-});
 
-// Add item to order
-app.post(’/orders/:id/items’, async (req, res) => {
-try {
-const { id } = req.params;
-const { name, price } = req.body;
-if (!name) {
-return res.status(400).json({ error: ‘Item name is required’ });
+// A tag id from the URL or a body as a number, or null if it can't be one
+// (2147483647 is the largest Postgres INTEGER)
+function parseTagId(value) {
+  const id = /^\d{1,10}$/.test(String(value)) ? Number(value) : 0;
+  return id > 0 && id <= 2147483647 ? id : null;
 }
-const result = await pool.query(`INSERT INTO order_items (order_id, item_name, price) VALUES ($1, $2, $3) RETURNING *`, [id, name, price || 0]);
-res.json({ success: true, item: result.rows[0] });
-} catch (error) {
-console.error(‘Error adding item:’, error);
-res.status(500).json({ error: error.message });
+
+// The household's tag, or null; an id that can't be a tag's finds nothing
+async function findTag(client, householdId, id) {
+  const tagId = parseTagId(id);
+  if (!tagId) return null;
+  const result = await client.query('SELECT * FROM tags WHERE id = $1 AND household_id = $2', [tagId, householdId]);
+  return result.rows[0] || null;
+}
+
+// The taxonomy: every tag, the same grouped by category, and the cooking
+// filter chips ({ id, icon, label, page, tag }) in page order
+app.get('/api/tags', async (req, res) => {
+  try {
+    const tags = await loadTags(req.householdId);
+    res.json({ success: true, tags, categories: tagCategories(tags), filters: filterChips(tags) });
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add a tag. Body: { category: "Cuisine", name: "Vietnamese", synonyms: ["pho"],
+// filter: { id: "vietnamese", icon: "🍜", page: 2 } }
+app.post('/api/tags', async (req, res) => {
+  try {
+    const { tag, errors } = validateTag(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(', ') });
+    }
+
+    const columns = Object.keys(tag);
+    const result = await pool.query(`
+      INSERT INTO tags (household_id, ${columns.join(', ')}, position)
+      VALUES (
+        $1, ${columns.map((column, index) => `$${index + 2}`).join(', ')},
+        (SELECT COALESCE(MAX(position), -1) + 1 FROM tags WHERE household_id = $1)
+      )
+      RETURNING *
+    `, [req.householdId, ...columns.map(column => tag[column])]);
+    res.json({ success: true, tag: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: tagConflictError(error) });
+    }
+    console.error('Error adding tag:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change a tag. Renaming it renames it on every recipe that has it.
+app.patch('/api/tags/:id', async (req, res) => {
+  const { tag, errors } = validateTag(req.body, { partial: true });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(', ') });
+  }
+  const columns = Object.keys(tag);
+  if (columns.length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const existing = await findTag(client, req.householdId, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    await client.query('BEGIN');
+    const updates = columns.map((column, index) => `${column} = $${index + 1}`);
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    const result = await client.query(
+      `UPDATE tags SET ${updates.join(', ')} WHERE id = $${columns.length + 1} RETURNING *`,
+      [...columns.map(column => tag[column]), existing.id]
+    );
+    let recipesUpdated = 0;
+    if (tag.name && tag.name !== existing.name) {
+      recipesUpdated = await rewriteMealTags(client, req.householdId, existing.name, tag.name);
+    }
+    await client.query('COMMIT');
+
+    if (recipesUpdated > 0) {
+      console.log(`🏷️ Renamed tag "${existing.name}" to "${tag.name}" on ${recipesUpdated} meals`);
+    }
+    res.json({ success: true, tag: result.rows[0], recipes_updated: recipesUpdated });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      return res.status(409).json({ error: tagConflictError(error) });
+    }
+    console.error('Error updating tag:', error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Delete a tag. Recipes that have it lose it, so a tag in use needs ?force=true.
+app.delete('/api/tags/:id', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const tag = await findTag(client, req.householdId, req.params.id);
+    if (!tag) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    const usage = await client.query(
+      'SELECT COUNT(*)::int as count FROM meals WHERE household_id = $1 AND $2 = ANY(tags)',
+      [req.householdId, tag.name]
+    );
+    const recipeCount = usage.rows[0].count;
+    if (recipeCount > 0 && req.query.force !== 'true') {
+      return res.status(409).json({
+        error: `"${tag.name}" is on ${recipeCount} recipe${recipeCount !== 1 ? 's' : ''}; deleting it removes it from them`,
+        recipe_count: recipeCount
+      });
+    }
+
+    await client.query('BEGIN');
+    await rewriteMealTags(client, req.householdId, tag.name, null);
+    await client.query('DELETE FROM tags WHERE id = $1', [tag.id]);
+    await client.query('COMMIT');
+
+    console.log(`🗑️ Deleted tag "${tag.name}"`);
+    res.json({ success: true, message: 'Tag deleted' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error deleting tag:', error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Unify two tags: this one is folded into `into`. Every recipe's tags and
+// AI tags are rewritten to the target's name, the target takes this tag's
+// name and synonyms as synonyms (and its filter chip, if it has none), and
+// this tag is deleted. Body: { into: 12 }
+app.post('/api/tags/:id/merge', async (req, res) => {
+  const sourceId = parseTagId(req.params.id);
+  const targetId = parseTagId(req.body.into);
+  if (!sourceId || !targetId) {
+    return res.status(400).json({ error: !sourceId ? 'Invalid tag id' : 'into must be a tag id' });
+  }
+  if (sourceId === targetId) {
+    return res.status(400).json({ error: 'A tag cannot be merged into itself' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const source = await findTag(client, req.householdId, sourceId);
+    const target = await findTag(client, req.householdId, targetId);
+    if (!source || !target) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    const synonyms = normalizeSynonyms([...target.synonyms, source.name, ...source.synonyms])
+      .filter(synonym => synonym !== target.name.toLowerCase());
+    const inheritFilter = !target.filter_id && source.filter_id;
+
+    await client.query('BEGIN');
+    const recipesUpdated = await rewriteMealTags(client, req.householdId, source.name, target.name, { aiTags: true });
+    // Deleted first so its filter id is free for the target
+    await client.query('DELETE FROM tags WHERE id = $1', [source.id]);
+    const result = await client.query(`
+      UPDATE tags
+      SET synonyms = $1,
+        filter_id = $2, filter_icon = $3, filter_label = $4, filter_page = $5,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $6
+      RETURNING *
+    `, [
+      synonyms,
+      ...(inheritFilter
+        ? [source.filter_id, source.filter_icon, source.filter_label, source.filter_page]
+        : [target.filter_id, target.filter_icon, target.filter_label, target.filter_page]),
+      target.id
+    ]);
+    await client.query('COMMIT');
+
+    console.log(`🏷️ Merged tag "${source.name}" into "${target.name}" (${recipesUpdated} meals)`);
+    res.json({ success: true, tag: result.rows[0], recipes_updated: recipesUpdated });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error merging tags:', error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
+  }
+});
+// ==================== END TAGS ====================
+
+// ==================== TAKEOUT ORDERS ====================
+// Takeout orders live in the unified meals table (meal_type = 'takeout') with
+// their line items in meal_items. Responses keep the legacy order shape the
+// frontend expects (items[].assignedTo, delivery_service, etc.); assignedTo is
+// now the name of the person the item's personId points at. $1 is the household.
+const TAKEOUT_ORDER_QUERY = `
+  SELECT m.*,
+    COALESCE(
+      json_agg(json_build_object(
+        'id', mi.id,
+        'name', mi.item_name,
+        'price', mi.price,
+        'personId', mi.person_id,
+        'assignedTo', p.name,
+        'personColor', p.color,
+        'rating', mi.rating,
+        'notes', mi.notes,
+        'tags', mi.tags
+      ) ORDER BY mi.id) FILTER (WHERE mi.id IS NOT NULL),
+      '[]'::json
+    ) as items
+  FROM meals m
+  LEFT JOIN meal_items mi ON m.id = mi.meal_id
+  LEFT JOIN people p ON p.id = mi.person_id
+  WHERE m.meal_type = 'takeout' AND m.household_id = $1
+`;
+
+// An item's own rating is its assigned person's, so it also feeds their
+// preference profile (see RATINGS & PREFERENCES)
+async function syncAssignedItemRating(db, item) {
+  if (!item.person_id || !(item.rating >= 1)) return;
+  await db.query(`
+    INSERT INTO meal_item_ratings (person_id, meal_item_id, rating)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (person_id, meal_item_id) DO UPDATE SET rating = EXCLUDED.rating, updated_at = CURRENT_TIMESTAMP
+  `, [item.person_id, item.id, item.rating]);
 }
+
+// Re-check an order after it's been corrected by hand, without saving it
+app.post('/orders/validate', (req, res) => {
+  try {
+    res.json({ success: true, validation: validateReceipt(req.body) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Save order to database. An order that doesn't add up is refused with 422
+// and its validation unless the body says force: true.
+app.post('/orders', async (req, res) => {
+  console.log('Received order data:', JSON.stringify(req.body, null, 2));
+  const { restaurant, address, deliveryService, items, force } = req.body;
+
+  if (!restaurant || !Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: 'Restaurant and items are required' });
+  }
+
+  let client;
+  try {
+    const validation = validateReceipt(req.body);
+    if (!validation.ok && !force) {
+      return res.status(422).json({
+        error: `Receipt doesn't add up: ${validation.warnings.map(warning => warning.message).join('; ')}`,
+        validation
+      });
+    }
+    const { subtotal, deliveryFee, serviceFee, tax, discount, tip, total } = validation.order;
+
+    for (const item of validation.order.items) {
+      if (!(await isHouseholdPerson(req.householdId, item.personId))) {
+        return res.status(400).json({ error: 'Unknown person' });
+      }
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const mealResult = await client.query(
+      `INSERT INTO meals (
+        meal_type, name, restaurant, address, delivery_service,
+        subtotal, delivery_fee, service_fee, tax, discount, tip, total, meal_date, household_id
+      ) VALUES ('takeout', $1, $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP, $11)
+      RETURNING id`,
+      [restaurant, address || 'Not provided', deliveryService || 'Unknown', subtotal || 0, deliveryFee || 0, serviceFee || 0, tax || 0, discount || 0, tip || 0, total || 0, req.householdId]
+    );
+
+    const orderId = mealResult.rows[0].id;
+    for (const item of validation.order.items) {
+      const itemResult = await client.query(
+        `INSERT INTO meal_items (meal_id, household_id, item_name, price, person_id, rating, notes)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [orderId, req.householdId, item.name, item.price || 0, item.personId || null, item.rating || 0, item.notes || null]
+      );
+      await syncAssignedItemRating(client, itemResult.rows[0]);
+    }
+
+    await client.query('COMMIT');
+    console.log('Order saved successfully with ID:', orderId);
+    res.json({ success: true, orderId });
+  } catch (error) {
+    if (client) await client.query('ROLLBACK');
+    if (error.code === '23503') {
+      return res.status(400).json({ error: 'Unknown person' });
+    }
+    console.error('Error saving order:', error);
+    res.status(500).json({ error: error.message, details: error.stack });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// Get all orders
+app.get('/orders', async (req, res) => {
+  try {
+    const result = await pool.query(`${TAKEOUT_ORDER_QUERY} GROUP BY m.id ORDER BY m.created_at DESC`, [req.householdId]);
+    res.json({ success: true, orders: result.rows });
+  } catch (error) {
+    console.error('Error fetching orders:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get single order
+app.get('/orders/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(`${TAKEOUT_ORDER_QUERY} AND m.id = $2 GROUP BY m.id`, [req.householdId, id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    res.json({ success: true, order: result.rows[0] });
+  } catch (error) {
+    console.error('Error fetching order:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update order item
+app.patch('/order-items/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, price, rating, personId, notes, tags } = req.body;
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (name !== undefined) { updates.push(`item_name = $${paramCount++}`); values.push(name); }
+    if (price !== undefined) { updates.push(`price = $${paramCount++}`); values.push(price); }
+    if (rating !== undefined) { updates.push(`rating = $${paramCount++}`); values.push(rating); }
+    if (personId !== undefined) { updates.push(`person_id = $${paramCount++}`); values.push(personId || null); }
+    if (notes !== undefined) { updates.push(`notes = $${paramCount++}`); values.push(notes); }
+    if (tags !== undefined) { updates.push(`tags = $${paramCount++}`); values.push(tags); }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+    if (!(await isHouseholdPerson(req.householdId, personId))) {
+      return res.status(400).json({ error: 'Unknown person' });
+    }
+
+    values.push(id, req.householdId);
+    const query = `UPDATE meal_items SET ${updates.join(', ')} WHERE id = $${paramCount} AND household_id = $${paramCount + 1} RETURNING *`;
+    const result = await pool.query(query, values);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    await syncAssignedItemRating(pool, result.rows[0]);
+    res.json({ success: true, item: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23503') {
+      return res.status(400).json({ error: 'Unknown person' });
+    }
+    console.error('Error updating order item:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update entire order
+app.patch('/orders/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { restaurant, address, deliveryService, subtotal, deliveryFee, serviceFee, tax, discount, tip, total } = req.body;
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (restaurant !== undefined) {
+      updates.push(`restaurant = $${paramCount}`, `name = $${paramCount++}`);
+      values.push(restaurant);
+    }
+    if (address !== undefined) { updates.push(`address = $${paramCount++}`); values.push(address); }
+    if (deliveryService !== undefined) { updates.push(`delivery_service = $${paramCount++}`); values.push(deliveryService); }
+    if (subtotal !== undefined) { updates.push(`subtotal = $${paramCount++}`); values.push(subtotal); }
+    if (deliveryFee !== undefined) { updates.push(`delivery_fee = $${paramCount++}`); values.push(deliveryFee); }
+    if (serviceFee !== undefined) { updates.push(`service_fee = $${paramCount++}`); values.push(serviceFee); }
+    if (tax !== undefined) { updates.push(`tax = $${paramCount++}`); values.push(tax); }
+    if (discount !== undefined) { updates.push(`discount = $${paramCount++}`); values.push(discount); }
+    if (tip !== undefined) { updates.push(`tip = $${paramCount++}`); values.push(tip); }
+    if (total !== undefined) { updates.push(`total = $${paramCount++}`); values.push(total); }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id, req.householdId);
+    const query = `UPDATE meals SET ${updates.join(', ')} WHERE id = $${paramCount} AND household_id = $${paramCount + 1} AND meal_type = 'takeout' RETURNING *`;
+    const result = await pool.query(query, values);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    res.json({ success: true, order: result.rows[0] });
+  } catch (error) {
+    console.error('Error updating order:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete order (meal_items cascade)
+app.delete('/orders/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(`DELETE FROM meals WHERE id = $1 AND household_id = $2 AND meal_type = 'takeout' RETURNING id`, [id, req.householdId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    res.json({ success: true, message: 'Order deleted' });
+  } catch (error) {
+    console.error('Error deleting order:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add item to order
+app.post('/orders/:id/items', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, price, personId } = req.body;
+    if (!name) {
+      return res.status(400).json({ error: 'Item name is required' });
+    }
+    if (!(await isHouseholdPerson(req.householdId, personId))) {
+      return res.status(400).json({ error: 'Unknown person' });
+    }
+    const result = await pool.query(
+      `INSERT INTO meal_items (meal_id, household_id, item_name, price, person_id)
+       SELECT id, household_id, $2, $3, $4::int FROM meals WHERE id = $1 AND household_id = $5 AND meal_type = 'takeout'
+       RETURNING *`,
+      [id, name, price || 0, personId || null, req.householdId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    res.json({ success: true, item: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23503') {
+      return res.status(400).json({ error: 'Unknown person' });
+    }
+    console.error('Error adding item:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // Delete order item
-app.delete(’/order-items/:id’, async (req, res) => {
-try {
-const { id } = req.params;
-const result = await pool.query(‘DELETE FROM order_items WHERE id = $1 RETURNING id’, [id]);
-if (result.rows.length === 0) {
-return res.status(404).json({ error: ‘Item not found’ });
+app.delete('/order-items/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query('DELETE FROM meal_items WHERE id = $1 AND household_id = $2 RETURNING id', [id, req.householdId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    res.json({ success: true, message: 'Item deleted' });
+  } catch (error) {
+    console.error('Error deleting item:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+// ==================== END TAKEOUT ORDERS ====================
+
+// Get all recipes. ?search= is a full-text search (syntax in search.js):
+// results are ranked, with search_name and search_snippet as HTML
+// highlighting what matched. ?tags= keeps recipes with any of those tags.
+app.get('/api/recipes', async (req, res) => {
+  try {
+    const { search, tags } = req.query;
+    const params = [req.householdId];
+    let columns = 'm.*';
+    let join = '';
+    let conditions = '';
+    let order = 'm.name ASC';
+
+    if (search && search.trim()) {
+      const searchSQL = recipeSearchSQL(search, params);
+      join = searchSQL.join;
+      conditions += searchSQL.conditions;
+      if (searchSQL.rank) {
+        columns += `, ${searchSQL.rank} as search_rank${searchSQL.headlines}`;
+        order = 'search_rank DESC, m.name ASC';
+      }
+    }
+
+    if (tags && tags.length > 0) {
+      params.push(Array.isArray(tags) ? tags : [tags]);
+      conditions += ` AND m.tags && $${params.length}::text[]`;
+    }
+
+    const result = await pool.query(`
+      SELECT ${columns}
+      FROM meals m
+      ${join}
+      WHERE m.meal_type = 'recipe' AND m.household_id = $1${conditions}
+      ORDER BY ${order}
+    `, params);
+
+    // Return just the array of recipes
+    res.json(result.rows.map(recipe => (
+      'search_rank' in recipe
+        ? { ...recipe, search_name: highlightHTML(recipe.search_name), search_snippet: highlightHTML(recipe.search_snippet) }
+        : recipe
+    )));
+  } catch (error) {
+    console.error('Error fetching recipes:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Structured ingredients for a recipe row. Recipes imported before
+// structured ingredients existed get parsed on the fly.
+async function getParsedIngredients(recipe) {
+  const result = await pool.query(`
+    SELECT position, section, raw_text, quantity, quantity_max, unit, name, preparation, optional
+    FROM recipe_ingredients
+    WHERE meal_id = $1
+    ORDER BY position
+  `, [recipe.id]);
+
+  return result.rows.length > 0 ? result.rows : parseIngredients(recipe.ingredients);
 }
-res.json({ success: true, message: ‘Item deleted’ });
-} catch (error) {
-console.error(‘Error deleting item:’, error);
-res.status(500).json({ error: error.message });
+
+// Get single recipe by id, or by exact name for older links
+app.get('/api/recipes/:idOrName', async (req, res) => {
+  try {
+    const { idOrName } = req.params;
+
+    const result = /^\d+$/.test(idOrName)
+      ? await pool.query(`SELECT * FROM meals WHERE id = $1 AND household_id = $2 AND meal_type = 'recipe'`, [idOrName, req.householdId])
+      : await pool.query(`SELECT * FROM meals WHERE name = $1 AND household_id = $2 AND meal_type = 'recipe'`, [decodeURIComponent(idOrName), req.householdId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+
+    const recipe = result.rows[0];
+    recipe.parsed_ingredients = await getParsedIngredients(recipe);
+
+    // Return just the recipe object (not wrapped in {success, recipe})
+    res.json(recipe);
+  } catch (error) {
+    console.error('Error fetching recipe:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recipe scaled to a serving count, optionally converted to metric or US units.
+// The response is the recipe with `servings` rewritten and `scaled_ingredients`
+// added, which buildRecipeHTML() renders in place of the raw ingredient text.
+app.get('/api/recipes/:id/scaled', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { units } = req.query;
+
+    if (units && !['metric', 'us'].includes(units)) {
+      return res.status(400).json({ error: 'units must be "metric" or "us"' });
+    }
+
+    const result = await pool.query(
+      `SELECT * FROM meals WHERE id = $1 AND household_id = $2 AND meal_type = 'recipe'`,
+      [id, req.householdId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+
+    const recipe = result.rows[0];
+    const original = parseServings(recipe.servings);
+    if (!original) {
+      return res.status(400).json({ error: `Can't scale a recipe without a serving count (servings: "${recipe.servings || ''}")` });
+    }
+
+    const servings = req.query.servings ? parseFloat(req.query.servings) : original.count;
+    if (!(servings > 0)) {
+      return res.status(400).json({ error: 'servings must be a positive number' });
+    }
+
+    const scaleFactor = servings / original.count;
+    const ingredients = await getParsedIngredients(recipe);
+
+    res.json({
+      ...recipe,
+      servings: `${original.prefix}${servings}${original.suffix}`,
+      servings_count: servings,
+      original_servings: recipe.servings,
+      original_servings_count: original.count,
+      scale_factor: scaleFactor,
+      units: units || null,
+      parsed_ingredients: ingredients,
+      scaled_ingredients: scaleIngredients(ingredients, scaleFactor, units || null)
+    });
+  } catch (error) {
+    console.error('Error scaling recipe:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recipe columns an import can set (source_url always comes from the URL itself)
+const IMPORTED_RECIPE_FIELDS = [
+  'name', 'prep_time', 'cook_time', 'total_time', 'servings', 'ingredients', 'directions', 'notes', 'photo_url'
+];
+
+// Existing recipe imported from the same page, ignoring fragments and trailing slashes
+async function findRecipeBySourceUrl(householdId, sourceUrl) {
+  const result = await pool.query(`
+    SELECT id, name FROM meals
+    WHERE meal_type = 'recipe' AND household_id = $2 AND RTRIM(SPLIT_PART(source_url, '#', 1), '/') = $1
+    LIMIT 1
+  `, [sourceUrl, householdId]);
+  return result.rows[0] || null;
 }
+
+// Import a recipe from a web page's schema.org Recipe markup (see recipe-import.js)
+// Body: { url, preview: true } returns the parsed recipe without saving.
+// Saving takes the (possibly edited) preview back as `recipe` so the page isn't
+// fetched twice; pass force: true to save a recipe whose URL is already imported.
+app.post('/api/recipes/import-url', async (req, res) => {
+  const { url, preview, force } = req.body;
+
+  let sourceUrl;
+  try {
+    if (!/^https?:\/\//i.test(url || '')) throw new Error('not http');
+    sourceUrl = normalizeSourceUrl(url);
+  } catch (error) {
+    return res.status(400).json({ error: 'A valid http(s) url is required' });
+  }
+
+  // Connected only to save: the fetch can take FETCH_TIMEOUT_MS, and a pool
+  // client held through it would starve other requests
+  let client;
+  try {
+    const duplicate = await findRecipeBySourceUrl(req.householdId, sourceUrl);
+
+    let recipe;
+    if (req.body.recipe) {
+      // The edited preview is checked like any other recipe sent to /api/recipes
+      const edited = { source_url: sourceUrl };
+      for (const field of IMPORTED_RECIPE_FIELDS) {
+        edited[field] = req.body.recipe[field] === undefined ? null : req.body.recipe[field];
+      }
+      const { recipe: fields, errors } = validateRecipe(edited);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join(', ') });
+      }
+      recipe = fields;
+    } else {
+      let html;
+      try {
+        html = await fetchRecipePage(url);
+      } catch (error) {
+        const status = error.code === 'URL_NOT_ALLOWED' ? 400 : 502;
+        return res.status(status).json({ error: `Couldn't load that page: ${error.message}` });
+      }
+
+      recipe = extractRecipe(html, sourceUrl);
+      if (!recipe) {
+        return res.status(422).json({ error: 'No recipe found on that page' });
+      }
+    }
+
+    if (preview) {
+      return res.json({ success: true, preview: true, recipe, duplicate });
+    }
+
+    if (duplicate && !force) {
+      return res.status(409).json({ error: `Already imported as "${duplicate.name}"`, duplicate });
+    }
+    if (!recipe.name || !recipe.ingredients) {
+      return res.status(422).json({ error: 'Recipe needs at least a name and ingredients' });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const created = await insertRecipe(client, req.householdId, recipe);
+    await client.query('COMMIT');
+
+    console.log(`🔗 Imported recipe "${created.name}" from ${sourceUrl}`);
+    res.json({ success: true, recipe: created });
+  } catch (error) {
+    if (client) await client.query('ROLLBACK');
+    console.error('Error importing recipe from URL:', error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// ==================== RECIPE EDITING ====================
+// Recipes are addressed by id so renames and duplicate names are safe.
+// Any change to the ingredients text rebuilds recipe_ingredients.
+
+// Editable recipe columns and their limits (from the meals schema)
+const RECIPE_TEXT_FIELDS = {
+  name: 255, prep_time: 50, cook_time: 50, total_time: 50, servings: 50,
+  ingredients: null, directions: null, notes: null, source_url: null, photo_url: null
+};
+const REQUIRED_RECIPE_FIELDS = ['name', 'ingredients'];
+
+// Check a request body and pick out the recipe columns it sets. With
+// partial, missing fields are left alone instead of being required.
+function validateRecipe(body, { partial = false } = {}) {
+  const recipe = {};
+  const errors = [];
+
+  for (const [field, maxLength] of Object.entries(RECIPE_TEXT_FIELDS)) {
+    if (body[field] === undefined) continue;
+    if (body[field] !== null && typeof body[field] !== 'string') {
+      errors.push(`${field} must be text`);
+      continue;
+    }
+
+    const value = body[field] === null ? null : body[field].trim() || null;
+    if (value && maxLength && value.length > maxLength) {
+      errors.push(`${field} must be at most ${maxLength} characters`);
+    }
+    if (value && (field === 'source_url' || field === 'photo_url') && !/^https?:\/\//i.test(value)) {
+      errors.push(`${field} must be an http(s) URL`);
+    }
+    recipe[field] = value;
+  }
+
+  if (body.tags !== undefined) {
+    if (!Array.isArray(body.tags) || body.tags.some(tag => typeof tag !== 'string')) {
+      errors.push('tags must be a list of strings');
+    } else {
+      recipe.tags = [...new Set(body.tags.map(tag => tag.trim()).filter(Boolean))];
+    }
+  }
+
+  for (const field of REQUIRED_RECIPE_FIELDS) {
+    if (partial ? recipe[field] === null : !recipe[field]) {
+      errors.push(`${field} is required`);
+    }
+  }
+
+  return { recipe, errors };
+}
+
+// Insert a recipe row and its parsed ingredients. Call inside a transaction.
+async function insertRecipe(client, householdId, recipe) {
+  const result = await client.query(`
+    INSERT INTO meals (
+      meal_type, name, prep_time, cook_time, total_time, servings,
+      ingredients, directions, notes, source_url, photo_url, tags, household_id
+    ) VALUES ('recipe', $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    RETURNING *
+  `, [
+    recipe.name,
+    recipe.prep_time || null,
+    recipe.cook_time || null,
+    recipe.total_time || null,
+    recipe.servings || null,
+    recipe.ingredients,
+    recipe.directions || null,
+    recipe.notes || null,
+    recipe.source_url || null,
+    recipe.photo_url || null,
+    recipe.tags || [],
+    householdId
+  ]);
+  await syncRecipeIngredients(client, result.rows[0].id, recipe.ingredients);
+  return result.rows[0];
+}
+
+// With suggestTags: true in the body, /suggest-tags' AI picks are merged in
+async function withSuggestedTags(householdId, recipe, existing = {}) {
+  const merged = { ...existing, ...recipe };
+  let suggested;
+  try {
+    suggested = await suggestTagsFor(householdId, merged);
+  } catch (error) {
+    // Save the recipe without suggestions rather than fail the save
+    if (!ai.isBudgetExceeded(error) && !ai.isNotConfigured(error)) throw error;
+    console.warn(`Skipping tag suggestions for "${merged.name}": ${error.message}`);
+    return recipe;
+  }
+  return { ...recipe, tags: [...new Set([...(merged.tags || []), ...suggested])] };
+}
+
+// Create a recipe
+// Body: { name, ingredients, directions, prep_time, cook_time, total_time,
+//         servings, notes, source_url, photo_url, tags: [], suggestTags: false }
+app.post('/api/recipes', async (req, res) => {
+  const { recipe: fields, errors } = validateRecipe(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(', ') });
+  }
+
+  const client = await pool.connect();
+  try {
+    const recipe = req.body.suggestTags ? await withSuggestedTags(req.householdId, fields) : fields;
+
+    await client.query('BEGIN');
+    const created = await insertRecipe(client, req.householdId, recipe);
+    await client.query('COMMIT');
+
+    console.log(`📖 Created recipe "${created.name}"`);
+    res.json({ success: true, recipe: created });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error creating recipe:', error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// PUT replaces the whole recipe (required fields must be present),
+// PATCH changes only the fields sent
+async function updateRecipe(req, res, { partial }) {
+  const { id } = req.params;
+  const { recipe: fields, errors } = validateRecipe(req.body, { partial });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(', ') });
+  }
+
+  const client = await pool.connect();
+  try {
+    const existingResult = await client.query(
+      `SELECT * FROM meals WHERE id = $1 AND household_id = $2 AND meal_type = 'recipe'`,
+      [id, req.householdId]
+    );
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+    const existing = existingResult.rows[0];
+
+    let recipe = fields;
+    if (!partial) {
+      // Anything left out of a PUT is cleared
+      for (const field of Object.keys(RECIPE_TEXT_FIELDS)) {
+        if (recipe[field] === undefined) recipe[field] = null;
+      }
+      if (recipe.tags === undefined) recipe.tags = [];
+    }
+    if (req.body.suggestTags) {
+      recipe = await withSuggestedTags(req.householdId, recipe, existing);
+    }
+
+    const columns = Object.keys(recipe);
+    if (columns.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const updates = columns.map((column, index) => `${column} = $${index + 1}`);
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE meals SET ${updates.join(', ')} WHERE id = $${columns.length + 1} RETURNING *`,
+      [...columns.map(column => recipe[column]), id]
+    );
+    if (recipe.ingredients !== undefined && recipe.ingredients !== existing.ingredients) {
+      await syncRecipeIngredients(client, id, recipe.ingredients);
+    }
+    await client.query('COMMIT');
+
+    res.json({ success: true, recipe: result.rows[0] });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error updating recipe:', error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
+  }
+}
+
+app.put('/api/recipes/:id', (req, res) => updateRecipe(req, res, { partial: false }));
+app.patch('/api/recipes/:id', (req, res) => updateRecipe(req, res, { partial: true }));
+
+// Delete a recipe. Its meal history goes with it (meal_events cascade), so a
+// recipe that has been cooked needs ?force=true.
+app.delete('/api/recipes/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const recipeResult = await pool.query(
+      `SELECT m.id, m.name, COUNT(e.id)::int as times_eaten
+       FROM meals m
+       LEFT JOIN meal_events e ON e.meal_id = m.id
+       WHERE m.id = $1 AND m.household_id = $2 AND m.meal_type = 'recipe'
+       GROUP BY m.id, m.name`,
+      [id, req.householdId]
+    );
+    if (recipeResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+
+    const recipe = recipeResult.rows[0];
+    if (recipe.times_eaten > 0 && req.query.force !== 'true') {
+      return res.status(409).json({
+        error: `"${recipe.name}" is in meal history ${recipe.times_eaten} time${recipe.times_eaten !== 1 ? 's' : ''}; deleting it removes that history too`,
+        times_eaten: recipe.times_eaten
+      });
+    }
+
+    await pool.query('DELETE FROM meals WHERE id = $1', [id]);
+    console.log(`🗑️ Deleted recipe "${recipe.name}"`);
+    res.json({ success: true, message: 'Recipe deleted' });
+  } catch (error) {
+    console.error('Error deleting recipe:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== END RECIPE EDITING ====================
+
+// AI tag suggestions from the household's tag taxonomy; answers outside it
+// are dropped. Used by /suggest-tags and by recipe create/update with
+// suggestTags: true.
+async function suggestTagsFor(householdId, { name, ingredients, directions, prep_time, cook_time }) {
+  const taxonomy = await loadTags(householdId);
+  const prompt = `Analyze this food item and suggest appropriate tags. Choose 4-8 tags that accurately describe it.
+
+**Item Name:** ${name}
+${ingredients ? `\n**Ingredients:**\n${ingredients.substring(0, 800)}` : ''}
+${directions ? `\n**Directions:**\n${directions.substring(0, 800)}` : ''}
+${prep_time ? `\n**Prep Time:** ${prep_time}` : ''}
+${cook_time ? `\n**Cook Time:** ${cook_time}` : ''}
+
+**Available Tags by Category:**
+${tagListPrompt(taxonomy)}
+
+Return ONLY a JSON array. Example: ["Main Dish", "Mexican", "Medium (30-60 min)", "Medium", "Spicy"]`;
+
+  const { data: tags } = await ai.completeJSON({ feature: 'suggest_tags', householdId, prompt, maxTokens: 200, expect: 'array' });
+  return canonicalTags(taxonomy, tags);
+}
+
+// AI-powered tag suggestion
+app.post('/suggest-tags', async (req, res) => {
+  try {
+    if (!req.body.name) {
+      return res.status(400).json({ error: 'Item name is required' });
+    }
+
+    const tags = await suggestTagsFor(req.householdId, req.body);
+    res.json({ success: true, tags });
+  } catch (error) {
+    if (ai.isBudgetExceeded(error)) {
+      return res.status(429).json({ error: error.message, tags: [], budgetExceeded: true });
+    }
+    console.error('Error suggesting tags:', error);
+    res.status(500).json({ error: error.message, tags: [] });
+  }
+});
+
+// ==================== MEAL LOG ====================
+// Every "we ate this" moment is a row in meal_events pointing at a meals row:
+// a recipe (cooked at home, possibly many times) or a saved takeout order.
+// Events belong to their meal's household; $1 is the household. Who ate it is
+// in meal_event_people, and comes back as eaten_by: [{ id, name, color }].
+const MEAL_EVENT_QUERY = `
+  SELECT e.id, e.meal_id, e.eaten_at as meal_date, e.rating, e.notes,
+    COALESCE((
+      SELECT json_agg(json_build_object('id', eater.id, 'name', eater.name, 'color', eater.color) ORDER BY eater.name)
+      FROM meal_event_people ep
+      JOIN people eater ON eater.id = ep.person_id
+      WHERE ep.meal_event_id = e.id
+    ), '[]') as eaten_by,
+    m.meal_type, m.name,
+    CASE WHEN m.meal_type = 'recipe' THEN m.name END as recipe_name,
+    m.restaurant, m.delivery_service, m.address, m.total,
+    json_agg(json_build_object(
+      'id', mi.id, 'name', mi.item_name, 'price', mi.price, 'rating', mi.rating,
+      'personId', mi.person_id, 'assignedTo', p.name, 'personColor', p.color, 'notes', mi.notes
+    ) ORDER BY mi.id) FILTER (WHERE mi.id IS NOT NULL) as items
+  FROM meal_events e
+  JOIN meals m ON m.id = e.meal_id
+  LEFT JOIN meal_items mi ON mi.meal_id = m.id
+  LEFT JOIN people p ON p.id = mi.person_id
+  WHERE m.household_id = $1
+`;
+
+// eatenBy as a list of distinct person ids, or null unless every entry is
+// someone in the household. A missing list is nobody.
+async function readEaters(householdId, eatenBy) {
+  if (eatenBy === undefined || eatenBy === null) return [];
+  if (!Array.isArray(eatenBy) || !eatenBy.every(id => Number.isInteger(id) && id > 0)) return null;
+
+  const ids = [...new Set(eatenBy)];
+  if (ids.length === 0) return ids;
+  const result = await pool.query('SELECT COUNT(*)::int as count FROM people WHERE id = ANY($1::int[]) AND household_id = $2', [ids, householdId]);
+  return result.rows[0].count === ids.length ? ids : null;
+}
+
+// eaterIds must come from readEaters
+async function insertMealEvent(mealId, { eatenAt, eaterIds, rating, notes } = {}) {
+  const result = await pool.query(
+    `WITH event AS (
+       INSERT INTO meal_events (meal_id, eaten_at, rating, notes)
+       VALUES ($1, COALESCE($2::timestamp, CURRENT_TIMESTAMP), $3, $4)
+       RETURNING *
+     ), eaters AS (
+       INSERT INTO meal_event_people (meal_event_id, person_id)
+       SELECT event.id, person_id FROM event, unnest($5::int[]) AS person_id
+     )
+     SELECT * FROM event`,
+    [mealId, eatenAt || null, rating || null, notes || null, eaterIds || []]
+  );
+  return result.rows[0];
+}
+
+// Log a home cooked meal
+app.post('/log-meal', async (req, res) => {
+  try {
+    const { recipeId, recipeName, eatenAt, eatenBy, rating, notes } = req.body;
+    if (!recipeId && !recipeName) {
+      return res.status(400).json({ error: 'Recipe name is required' });
+    }
+    const eaterIds = await readEaters(req.householdId, eatenBy);
+    if (!eaterIds) {
+      return res.status(400).json({ error: 'eatenBy must be a list of people in this household' });
+    }
+
+    const recipe = recipeId
+      ? await pool.query(`SELECT id FROM meals WHERE id = $1 AND household_id = $2 AND meal_type = 'recipe'`, [recipeId, req.householdId])
+      : await pool.query(`SELECT id FROM meals WHERE name = $1 AND household_id = $2 AND meal_type = 'recipe' ORDER BY id LIMIT 1`, [recipeName, req.householdId]);
+
+    if (recipe.rows.length === 0) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+
+    const event = await insertMealEvent(recipe.rows[0].id, { eatenAt, eaterIds, rating, notes });
+    res.json({ success: true, message: 'Meal logged successfully!', eventId: event.id });
+  } catch (error) {
+    console.error('Error logging meal:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Log a saved takeout order as eaten
+app.post('/mark-as-meal/:orderId', async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { eatenAt, eatenBy, rating, notes } = req.body || {};
+    const eaterIds = await readEaters(req.householdId, eatenBy);
+    if (!eaterIds) {
+      return res.status(400).json({ error: 'eatenBy must be a list of people in this household' });
+    }
+
+    const order = await pool.query(`SELECT id FROM meals WHERE id = $1 AND household_id = $2 AND meal_type = 'takeout'`, [orderId, req.householdId]);
+    if (order.rows.length === 0) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const event = await insertMealEvent(orderId, { eatenAt, eaterIds, rating, notes });
+    res.json({ success: true, message: 'Order marked as logged meal!', eventId: event.id });
+  } catch (error) {
+    console.error('Error marking as meal:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get meal history (one timeline across home cooked and takeout)
+app.get('/meal-history', async (req, res) => {
+  try {
+    const { search } = req.query;
+    let query = MEAL_EVENT_QUERY;
+    const params = [req.householdId];
+    if (search) {
+      query += ` AND (m.name ILIKE $2 OR m.restaurant ILIKE $2)`;
+      params.push(`%${search}%`);
+    }
+    query += ` GROUP BY e.id, m.id ORDER BY e.eaten_at DESC`;
+    const result = await pool.query(query, params);
+    res.json({ meals: result.rows });
+  } catch (error) {
+    console.error('Error fetching meal history:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update who ate a logged meal (eatenBy replaces the list), its rating or notes
+app.patch('/meal-history/:eventId', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { eventId } = req.params;
+    const { eatenAt, eatenBy, rating, notes } = req.body;
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (eatenAt !== undefined) { updates.push(`eaten_at = $${paramCount++}`); values.push(eatenAt); }
+    if (rating !== undefined) { updates.push(`rating = $${paramCount++}`); values.push(rating); }
+    if (notes !== undefined) { updates.push(`notes = $${paramCount++}`); values.push(notes); }
+
+    if (updates.length === 0 && eatenBy === undefined) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+    const eaterIds = await readEaters(req.householdId, eatenBy);
+    if (!eaterIds) {
+      return res.status(400).json({ error: 'eatenBy must be a list of people in this household' });
+    }
+
+    // A no-op SET when only eatenBy changed, so the event is still looked up here
+    if (updates.length === 0) updates.push('id = id');
+    values.push(eventId, req.householdId);
+
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE meal_events SET ${updates.join(', ')}
+       WHERE id = $${paramCount} AND meal_id IN (SELECT id FROM meals WHERE household_id = $${paramCount + 1})
+       RETURNING *`,
+      values
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Meal not found' });
+    }
+    if (eatenBy !== undefined) {
+      await client.query('DELETE FROM meal_event_people WHERE meal_event_id = $1', [eventId]);
+      await client.query(
+        'INSERT INTO meal_event_people (meal_event_id, person_id) SELECT $1, unnest($2::int[])',
+        [eventId, eaterIds]
+      );
+    }
+    await client.query('COMMIT');
+    res.json({ success: true, meal: result.rows[0] });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error updating meal:', error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Delete a logged meal (the recipe or order itself is kept)
+app.delete('/meal-history/:eventId', async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const result = await pool.query(
+      'DELETE FROM meal_events WHERE id = $1 AND meal_id IN (SELECT id FROM meals WHERE household_id = $2) RETURNING id',
+      [eventId, req.householdId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Meal not found' });
+    }
+    res.json({ success: true, message: 'Meal deleted from history' });
+  } catch (error) {
+    console.error('Error deleting meal:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+// ==================== END MEAL LOG ====================
+
+// ==================== SHOPPING LISTS ====================
+// Lists are built once from the chosen recipes (see shopping.js) and stored,
+// so checking items off survives reloads and the list can be shared by URL.
+
+// List with its recipes and aisle-ordered items, or null if it doesn't exist
+// (in this household)
+async function loadShoppingList(householdId, id) {
+  const listResult = await pool.query('SELECT * FROM shopping_lists WHERE id = $1 AND household_id = $2', [id, householdId]);
+  if (listResult.rows.length === 0) {
+    return null;
+  }
+
+  const list = listResult.rows[0];
+  const recipesResult = await pool.query(
+    'SELECT meal_id, recipe_name, servings FROM shopping_list_recipes WHERE list_id = $1 ORDER BY id',
+    [id]
+  );
+  const itemsResult = await pool.query(
+    'SELECT * FROM shopping_list_items WHERE list_id = $1 ORDER BY position',
+    [id]
+  );
+
+  list.recipes = recipesResult.rows;
+  list.items = itemsResult.rows.map(item => ({ ...item, text: formatShoppingItem(item) }));
+  return list;
+}
+
+// Create a shopping list from recipes
+// Body: { recipeIds: [1, 2], servings: { "1": 2 }, name: "Week of 2/9" }
+app.post('/api/shopping-lists', async (req, res) => {
+  const { recipeIds, servings = {}, name } = req.body;
+
+  if (!Array.isArray(recipeIds) || recipeIds.length === 0) {
+    return res.status(400).json({ error: 'recipeIds must be a non-empty array' });
+  }
+  // 2147483647 is the largest Postgres INTEGER; bigger ids can't exist
+  if (!recipeIds.every(id => Number.isInteger(id) && id > 0 && id <= 2147483647)) {
+    return res.status(400).json({ error: 'recipeIds must be positive integers' });
+  }
+  if (!servings || typeof servings !== 'object' || Array.isArray(servings) ||
+      !Object.values(servings).every(value => Number.isFinite(Number(value)) && Number(value) > 0)) {
+    return res.status(400).json({ error: 'servings must map recipe ids to positive numbers' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const recipesResult = await client.query(
+      `SELECT * FROM meals WHERE meal_type = 'recipe' AND household_id = $2 AND id = ANY($1::int[])`,
+      [recipeIds, req.householdId]
+    );
+
+    const missing = recipeIds.filter(id => !recipesResult.rows.some(recipe => recipe.id === id));
+    if (missing.length > 0) {
+      return res.status(404).json({ error: `Recipes not found: ${missing.join(', ')}` });
+    }
+
+    // Scale each recipe to its requested servings, if it has a count to scale from
+    const recipes = [];
+    for (const recipe of recipesResult.rows) {
+      const original = parseServings(recipe.servings);
+      const requested = servings[recipe.id] !== undefined ? Number(servings[recipe.id]) : null;
+      recipes.push({
+        id: recipe.id,
+        name: recipe.name,
+        servings: requested || (original && original.count),
+        factor: requested && original ? requested / original.count : 1,
+        ingredients: await getParsedIngredients(recipe)
+      });
+    }
+
+    const items = buildShoppingList(recipes);
+    const listName = name || `Shopping list ${new Date().toLocaleDateString('en-US')}`;
+
+    await client.query('BEGIN');
+    const listResult = await client.query(
+      'INSERT INTO shopping_lists (household_id, name) VALUES ($1, $2) RETURNING id',
+      [req.householdId, listName]
+    );
+    const listId = listResult.rows[0].id;
+
+    for (const recipe of recipes) {
+      await client.query(
+        'INSERT INTO shopping_list_recipes (list_id, meal_id, recipe_name, servings) VALUES ($1, $2, $3, $4)',
+        [listId, recipe.id, recipe.name, recipe.servings || null]
+      );
+    }
+
+    for (const [index, item] of items.entries()) {
+      await client.query(
+        `INSERT INTO shopping_list_items (list_id, position, aisle, name, quantity, unit, recipes, optional)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [listId, index + 1, item.aisle, item.name, item.quantity, item.unit, item.recipes, item.optional]
+      );
+    }
+
+    await client.query('COMMIT');
+    console.log(`🛒 Created shopping list ${listId} with ${items.length} items`);
+    res.json({ success: true, list: await loadShoppingList(req.householdId, listId) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error creating shopping list:', error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Get all shopping lists (newest first, without items)
+app.get('/api/shopping-lists', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT sl.*,
+        COUNT(sli.id)::int as item_count,
+        COUNT(sli.id) FILTER (WHERE sli.checked)::int as checked_count
+      FROM shopping_lists sl
+      LEFT JOIN shopping_list_items sli ON sli.list_id = sl.id
+      WHERE sl.household_id = $1
+      GROUP BY sl.id
+      ORDER BY sl.created_at DESC
+    `, [req.householdId]);
+    const recipesResult = await pool.query(`
+      SELECT r.list_id, r.recipe_name
+      FROM shopping_list_recipes r
+      JOIN shopping_lists sl ON sl.id = r.list_id
+      WHERE sl.household_id = $1
+      ORDER BY r.id
+    `, [req.householdId]);
+
+    const lists = result.rows.map(list => ({
+      ...list,
+      recipe_names: recipesResult.rows.filter(recipe => recipe.list_id === list.id).map(recipe => recipe.recipe_name)
+    }));
+    res.json({ success: true, lists });
+  } catch (error) {
+    console.error('Error fetching shopping lists:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get single shopping list
+app.get('/api/shopping-lists/:id', async (req, res) => {
+  try {
+    const list = await loadShoppingList(req.householdId, req.params.id);
+    if (!list) {
+      return res.status(404).json({ error: 'Shopping list not found' });
+    }
+    res.json({ success: true, list });
+  } catch (error) {
+    console.error('Error fetching shopping list:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Plain-text export for pasting into notes or texting
+app.get('/api/shopping-lists/:id/text', async (req, res) => {
+  try {
+    const list = await loadShoppingList(req.householdId, req.params.id);
+    if (!list) {
+      return res.status(404).json({ error: 'Shopping list not found' });
+    }
+    res.type('text/plain').send(formatShoppingListText(list, list.items));
+  } catch (error) {
+    console.error('Error exporting shopping list:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Check or uncheck an item
+app.patch('/api/shopping-list-items/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { checked } = req.body;
+
+    if (typeof checked !== 'boolean') {
+      return res.status(400).json({ error: 'checked must be true or false' });
+    }
+
+    const result = await pool.query(
+      `UPDATE shopping_list_items SET checked = $1
+       WHERE id = $2 AND list_id IN (SELECT id FROM shopping_lists WHERE household_id = $3)
+       RETURNING *`,
+      [checked, id, req.householdId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    await pool.query('UPDATE shopping_lists SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [result.rows[0].list_id]);
+    res.json({ success: true, item: result.rows[0] });
+  } catch (error) {
+    console.error('Error updating shopping list item:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete shopping list
+app.delete('/api/shopping-lists/:id', async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM shopping_lists WHERE id = $1 AND household_id = $2 RETURNING id', [req.params.id, req.householdId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Shopping list not found' });
+    }
+    res.json({ success: true, message: 'Shopping list deleted' });
+  } catch (error) {
+    console.error('Error deleting shopping list:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== END SHOPPING LISTS ====================
+
+// ==================== RECIPE MATCHING ====================
+// Shared by /recommend and the planner's auto-fill
+
+// The default taxonomy's cuisines, for preference profiles and recipeCuisine()
+const CUISINE_TAGS = DEFAULT_TAGS.filter(tag => tag.category === 'Cuisine').map(tag => tag.name);
+
+// Convert filter chip IDs from the home screen to tag names with the
+// household's taxonomy (loadTags), excluding "any" filters
+function filtersToTags(taxonomy, filterArray) {
+  const filterMap = filterTagMap(taxonomy);
+  return filterArray
+    .filter(f => !f.startsWith('any-'))
+    .map(f => filterMap[f] || f)
+    .filter(Boolean);
+}
+
+// A household's recipes ordered by how many of the tags they carry, ties
+// broken randomly. With requireMatch, only recipes sharing at least one tag
+// are returned; excludeIds (from loadRecipeExclusions) are never returned.
+async function rankRecipesByTags(householdId, tagFilters, { limit = 1, requireMatch = false, excludeIds = [] } = {}) {
+  const result = await pool.query(`
+    SELECT *,
+      (SELECT COUNT(*) FROM unnest(tags) tag WHERE tag = ANY($1::text[]))::int as match_count
+    FROM meals
+    WHERE meal_type = 'recipe' AND household_id = $3 AND NOT (id = ANY($4::int[]))
+      ${requireMatch ? 'AND tags && $1::text[]' : ''}
+    ORDER BY match_count DESC, RANDOM()
+    LIMIT $2
+  `, [tagFilters, limit, householdId, excludeIds]);
+  return result.rows;
+}
+
+// Fewer recipes than this left to choose from once exclusions are applied,
+// and a recommendation says which exclusions removed which recipes
+const THIN_RESULTS = 5;
+
+// The household's dietary restrictions plus a request's own exclusions
+// (?exclude=nuts,mushrooms), screened against all of its recipes before any
+// candidate is picked. excludedIds go to the candidate queries; allowed is
+// what's left (null with no exclusions); removed says why the rest went.
+async function loadRecipeExclusions(householdId, requested) {
+  const household = await pool.query('SELECT dietary_restrictions FROM households WHERE id = $1', [householdId]);
+  const exclusions = parseExclusions([...household.rows[0].dietary_restrictions, ...parseExclusions(requested)]);
+  if (exclusions.length === 0) {
+    return { exclusions, excludedIds: [], allowed: null, removed: [] };
+  }
+
+  const recipes = await pool.query(
+    `SELECT id, name, ingredients, tags, ai_tags FROM meals WHERE meal_type = 'recipe' AND household_id = $1`,
+    [householdId]
+  );
+  const { allowed, removed } = screenRecipes(recipes.rows, exclusions);
+  return { exclusions, excludedIds: removed.map(({ recipe }) => recipe.id), allowed, removed };
+}
+
+// The `exclusions` part of a /recommend response
+function exclusionsReport(screened) {
+  return {
+    applied: screened.exclusions,
+    removedCount: screened.removed.length,
+    removed: summarizeRemoved(screened.removed)
+  };
+}
+
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// What the exclusions removed, when they leave fewer than THIN_RESULTS
+// recipes matching the filters (any recipe without filters); '' otherwise
+function exclusionsNotice(screened, tagFilters) {
+  if (screened.removed.length === 0) return '';
+
+  const left = tagFilters.length > 0
+    ? screened.allowed.filter(recipe => (recipe.tags || []).some(tag => tagFilters.includes(tag))).length
+    : screened.allowed.length;
+  if (left >= THIN_RESULTS) return '';
+
+  const lines = summarizeRemoved(screened.removed).map(({ exclusion, count, recipes }) => {
+    const names = recipes.slice(0, 3).map(recipe => escapeHTML(recipe.name)).join(', ');
+    return `<li><strong>${escapeHTML(exclusion)}</strong> ruled out ${count} recipe${count !== 1 ? 's' : ''}: ${names}${count > 3 ? ` and ${count - 3} more` : ''}</li>`;
+  });
+
+  return `<div style="padding: 12px 16px; background: #FFF3E0; border: 2px solid #FB8C00; border-radius: 8px; margin-bottom: 12px;">
+    <p style="color: #E65100; font-weight: 600; margin: 0 0 6px;">
+      🚫 Only ${left} recipe${left !== 1 ? 's' : ''}${tagFilters.length > 0 ? ' matching your filters' : ''} left after leaving out ${screened.exclusions.map(escapeHTML).join(', ')}
+    </p>
+    <ul style="margin: 0; padding-left: 20px; color: #4A4A1F; font-size: 14px;">${lines.join('')}</ul>
+  </div>`;
+}
+
+// A recipe's cuisine from its tags, falling back to AI tags ("thai curry" -> Thai)
+function recipeCuisine(recipe) {
+  const tagged = (recipe.tags || []).find(tag => CUISINE_TAGS.includes(tag));
+  if (tagged) return tagged;
+
+  const aiTags = (recipe.ai_tags || []).map(tag => tag.toLowerCase());
+  return CUISINE_TAGS.find(cuisine => aiTags.some(tag => tag.includes(cuisine.toLowerCase()))) || null;
+}
+
+// ==================== END RECIPE MATCHING ====================
+
+// ==================== RATINGS & PREFERENCES ====================
+// Each person's own ratings of meals (recipes and takeout orders) and of
+// order items, plus the taste profiles preferences.js derives from them.
+// /recommend?for=1,2 ranks candidates by the profiles of whoever is eating.
+
+const RATING_ERROR = 'rating must be a whole number from 1 to 5, or 0 to clear it';
+
+// Ratings are 1-5; 0 or null clears a person's rating (null). Anything else
+// is invalid (undefined).
+function parseRating(value) {
+  if (value === null || value === 0 || value === '') return null;
+  const rating = Number(value);
+  return Number.isInteger(rating) && rating >= 1 && rating <= 5 ? rating : undefined;
+}
+
+// Everything these people have rated, in the shape preferences.js takes.
+// Item ratings carry the item's tags on top of the order's.
+async function loadRatedMeals(personIds) {
+  const result = await pool.query(`
+    SELECT r.person_id, r.meal_id, r.rating,
+      array_cat(COALESCE(m.tags, ARRAY[]::text[]), COALESCE(r.item_tags, ARRAY[]::text[])) as tags,
+      m.ai_tags, COALESCE(ing.names, ARRAY[]::text[]) as ingredients
+    FROM (
+      SELECT person_id, meal_id, rating, NULL::text[] as item_tags
+      FROM meal_ratings WHERE person_id = ANY($1::int[])
+      UNION ALL
+      SELECT ir.person_id, mi.meal_id, ir.rating, mi.tags
+      FROM meal_item_ratings ir
+      JOIN meal_items mi ON mi.id = ir.meal_item_id
+      WHERE ir.person_id = ANY($1::int[])
+    ) r
+    JOIN meals m ON m.id = r.meal_id
+    LEFT JOIN (
+      SELECT meal_id, array_agg(name) as names
+      FROM recipe_ingredients
+      WHERE name IS NOT NULL AND optional IS NOT TRUE
+        AND meal_id IN (SELECT meal_id FROM meal_ratings WHERE person_id = ANY($1::int[]))
+      GROUP BY meal_id
+    ) ing ON ing.meal_id = m.id
+  `, [personIds]);
+
+  return result.rows.map(row => ({
+    personId: row.person_id,
+    mealId: row.meal_id,
+    rating: row.rating,
+    tags: row.tags,
+    cuisine: recipeCuisine(row),
+    ingredients: row.ingredients
+  }));
+}
+
+async function loadPreferenceProfile(personId) {
+  const rows = await loadRatedMeals([personId]);
+  return buildPreferenceProfile(rows, { cuisineTags: CUISINE_TAGS });
+}
+
+// ?for=1,2 -> the people eating and their combined profile, or null.
+// Unknown ids (and other households' people) are ignored so a stale
+// selection doesn't break recommendations.
+async function loadEaters(householdId, forParam) {
+  const ids = [...new Set(String(forParam || '').split(',').map(id => parseInt(id, 10)).filter(id => id > 0))];
+  if (ids.length === 0) return null;
+
+  const people = await pool.query(
+    'SELECT id, name FROM people WHERE id = ANY($1::int[]) AND household_id = $2 ORDER BY id',
+    [ids, householdId]
+  );
+  if (people.rows.length === 0) return null;
+
+  const rows = await loadRatedMeals(people.rows.map(person => person.id));
+  const profiles = people.rows.map(person =>
+    buildPreferenceProfile(rows.filter(row => row.personId === person.id), { cuisineTags: CUISINE_TAGS })
+  );
+  return { people: people.rows, profile: combineProfiles(profiles) };
+}
+
+// Recipes re-ranked for the eaters: filter matches still come first (as in
+// Quick Pick), then the combined preference score. The sort is stable, so
+// equal scores keep the random order they came in.
+async function rankForEaters(recipes, eaters) {
+  if (recipes.length === 0) return [];
+
+  const ingredients = await pool.query(`
+    SELECT meal_id, array_agg(name) as names
+    FROM recipe_ingredients
+    WHERE meal_id = ANY($1::int[]) AND name IS NOT NULL AND optional IS NOT TRUE
+    GROUP BY meal_id
+  `, [recipes.map(recipe => recipe.id)]);
+  const namesByRecipe = new Map(ingredients.rows.map(row => [row.meal_id, row.names]));
+
+  return recipes
+    .map(recipe => ({
+      ...recipe,
+      preference: scoreForProfile({
+        id: recipe.id,
+        tags: recipe.tags,
+        cuisine: recipeCuisine(recipe),
+        ingredients: namesByRecipe.get(recipe.id) || []
+      }, eaters.profile)
+    }))
+    .sort((a, b) => (b.match_count || 0) - (a.match_count || 0) || b.preference.score - a.preference.score);
+}
+
+function eaterNames(eaters) {
+  return eaters.people.map(person => person.name).join(' & ');
+}
+
+// Shown above a recipe picked with ?for=
+function eatersNotice(recipe, eaters) {
+  const { reasons = [], warnings = [] } = recipe.preference || {};
+  return `<div style="text-align: center; padding: 12px; background: #F3E5F5; border: 2px solid #8E24AA; border-radius: 8px; margin-bottom: 12px;">
+    <p style="color: #6A1B9A; font-weight: 600; margin: 0;">
+      👥 Picked for ${eaterNames(eaters)}${reasons.length > 0 ? ` - ${reasons.join(', ')}` : ''}
+    </p>
+    ${warnings.length > 0 ? `<p style="color: #6A1B9A; font-size: 13px; margin: 6px 0 0 0;">Heads up: ${warnings.join(', ')}</p>` : ''}
+  </div>`;
+}
+
+// One line for the Smart Match prompt about who's eating
+function eatersPromptNote(eaters) {
+  const { favoriteCuisines, favoriteTags, dislikedIngredients } = eaters.profile;
+  const parts = [];
+  if (favoriteCuisines.length > 0) parts.push(`they love ${favoriteCuisines.map(c => c.cuisine).join(', ')} food`);
+  if (favoriteTags.length > 0) parts.push(`they tend to like: ${favoriteTags.map(t => t.tag).join(', ')}`);
+  if (dislikedIngredients.length > 0) parts.push(`avoid: ${dislikedIngredients.map(i => i.ingredient).join(', ')}`);
+  return `\nCooking for ${eaterNames(eaters)}${parts.length > 0 ? ` - ${parts.join('; ')}` : ''}.`;
+}
+
+// A person's derived taste profile
+app.get('/api/people/:id/preferences', async (req, res) => {
+  try {
+    const person = await pool.query('SELECT id, name, color FROM people WHERE id = $1 AND household_id = $2', [req.params.id, req.householdId]);
+    if (person.rows.length === 0) {
+      return res.status(404).json({ error: 'Person not found' });
+    }
+
+    const profile = await loadPreferenceProfile(person.rows[0].id);
+    res.json({
+      success: true,
+      person: person.rows[0],
+      preferences: {
+        ratingCount: profile.ratingCount,
+        favoriteTags: profile.favoriteTags,
+        favoriteCuisines: profile.favoriteCuisines,
+        dislikedIngredients: profile.dislikedIngredients
+      }
+    });
+  } catch (error) {
+    console.error('Error building preferences:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Everyone's ratings of a meal (recipe or takeout order) and its items
+app.get('/api/meals/:id/ratings', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const meal = await pool.query('SELECT id FROM meals WHERE id = $1 AND household_id = $2', [id, req.householdId]);
+    if (meal.rows.length === 0) {
+      return res.status(404).json({ error: 'Meal not found' });
+    }
+
+    const ratings = await pool.query(`
+      SELECT r.person_id, p.name, p.color, r.rating, r.notes, r.updated_at
+      FROM meal_ratings r
+      JOIN people p ON p.id = r.person_id
+      WHERE r.meal_id = $1
+      ORDER BY p.created_at, p.id
+    `, [id]);
+    const itemRatings = await pool.query(`
+      SELECT ir.meal_item_id, ir.person_id, p.name, ir.rating
+      FROM meal_item_ratings ir
+      JOIN meal_items mi ON mi.id = ir.meal_item_id
+      JOIN people p ON p.id = ir.person_id
+      WHERE mi.meal_id = $1
+      ORDER BY ir.meal_item_id, p.created_at, p.id
+    `, [id]);
+
+    res.json({ success: true, ratings: ratings.rows, itemRatings: itemRatings.rows });
+  } catch (error) {
+    console.error('Error fetching ratings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set one person's rating of a meal. Body: { personId: 1, rating: 4, notes: "" }
+app.put('/api/meals/:id/ratings', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { personId, notes } = req.body;
+    if (!personId) {
+      return res.status(400).json({ error: 'personId is required' });
+    }
+    const rating = parseRating(req.body.rating);
+    if (rating === undefined) {
+      return res.status(400).json({ error: RATING_ERROR });
+    }
+
+    const found = await pool.query(`
+      SELECT 1 FROM people p
+      JOIN meals m ON m.id = $2 AND m.household_id = p.household_id
+      WHERE p.id = $1 AND p.household_id = $3
+    `, [personId, id, req.householdId]);
+    if (found.rows.length === 0) {
+      return res.status(404).json({ error: 'Meal or person not found' });
+    }
+
+    if (rating === null) {
+      await pool.query('DELETE FROM meal_ratings WHERE person_id = $1 AND meal_id = $2', [personId, id]);
+      return res.json({ success: true, rating: null });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO meal_ratings (person_id, meal_id, rating, notes)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (person_id, meal_id) DO UPDATE SET
+        rating = EXCLUDED.rating,
+        notes = COALESCE(EXCLUDED.notes, meal_ratings.notes),
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [personId, id, rating, notes === undefined ? null : notes]);
+    res.json({ success: true, rating: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23503') {
+      return res.status(404).json({ error: 'Meal or person not found' });
+    }
+    console.error('Error saving rating:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set one person's rating of an order item. Body: { personId: 2, rating: 5 }
+app.put('/api/meal-items/:id/ratings', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { personId } = req.body;
+    if (!personId) {
+      return res.status(400).json({ error: 'personId is required' });
+    }
+    const rating = parseRating(req.body.rating);
+    if (rating === undefined) {
+      return res.status(400).json({ error: RATING_ERROR });
+    }
+
+    const found = await pool.query(`
+      SELECT 1 FROM people p
+      JOIN meal_items mi ON mi.id = $2 AND mi.household_id = p.household_id
+      WHERE p.id = $1 AND p.household_id = $3
+    `, [personId, id, req.householdId]);
+    if (found.rows.length === 0) {
+      return res.status(404).json({ error: 'Item or person not found' });
+    }
+
+    if (rating === null) {
+      await pool.query('DELETE FROM meal_item_ratings WHERE person_id = $1 AND meal_item_id = $2', [personId, id]);
+      return res.json({ success: true, rating: null });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO meal_item_ratings (person_id, meal_item_id, rating)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (person_id, meal_item_id) DO UPDATE SET rating = EXCLUDED.rating, updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [personId, id, rating]);
+    res.json({ success: true, rating: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23503') {
+      return res.status(404).json({ error: 'Item or person not found' });
+    }
+    console.error('Error saving item rating:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+// ==================== END RATINGS & PREFERENCES ====================
+
+// ==================== MEAL PLANNER ====================
+// meal_plans holds one entry per date + slot: a recipe, or a takeout night
+// placeholder. Recipe entries are logged to meal_events once their date passes.
+const PLAN_SLOTS = ['breakfast', 'lunch', 'dinner'];
+
+// Hour a planned meal is logged as eaten
+const SLOT_HOURS = { breakfast: 8, lunch: 12, dinner: 18 };
+
+// Auto-fill ranks recipes with these higher so each slot gets a fitting
+// course. They only rank: a recipe still has to match one of the user's filters.
+const SLOT_TAGS = {
+  breakfast: ['Breakfast'],
+  lunch: ['Main Dish', 'Salad', 'Soup'],
+  dinner: ['Main Dish']
+};
+
+const MEAL_PLAN_QUERY = `
+  SELECT p.id, TO_CHAR(p.plan_date, 'YYYY-MM-DD') as date, p.slot, p.entry_type, p.meal_id, p.notes,
+    p.meal_event_id, p.logged_at, m.name as recipe_name, m.tags, m.ai_tags
+  FROM meal_plans p
+  LEFT JOIN meals m ON m.id = p.meal_id
+`;
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// "2026-02-09" + 3 -> "2026-02-12"
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+function withCuisine(entry) {
+  return { ...entry, cuisine: entry.entry_type === 'recipe' ? recipeCuisine(entry) : null };
+}
+
+// Log a household's recipe entries from past days as meal_events. Entries are
+// claimed by setting logged_at first so two overlapping requests can't log
+// twice. Takeout nights are skipped - the real order gets logged from its receipt.
+async function logPastPlanEntries(householdId) {
+  const due = await pool.query(`
+    UPDATE meal_plans SET logged_at = CURRENT_TIMESTAMP
+    WHERE household_id = $1 AND entry_type = 'recipe' AND logged_at IS NULL AND plan_date < CURRENT_DATE
+    RETURNING id, TO_CHAR(plan_date, 'YYYY-MM-DD') as date, slot, meal_id, notes
+  `, [householdId]);
+
+  for (const entry of due.rows) {
+    const hour = String(SLOT_HOURS[entry.slot]).padStart(2, '0');
+    try {
+      const event = await insertMealEvent(entry.meal_id, { eatenAt: `${entry.date} ${hour}:00:00`, notes: entry.notes });
+      await pool.query('UPDATE meal_plans SET meal_event_id = $1 WHERE id = $2', [event.id, entry.id]);
+    } catch (error) {
+      // Release the claim so the next read tries again
+      await pool.query('UPDATE meal_plans SET logged_at = NULL WHERE id = $1', [entry.id]);
+      throw error;
+    }
+  }
+
+  if (due.rows.length > 0) {
+    console.log(`📅 Logged ${due.rows.length} planned meal(s) to meal history`);
+  }
+  return due.rows.length;
+}
+
+// Resolve { recipeId, takeout } from a request body into columns, or an error message
+async function resolvePlanEntry(householdId, { recipeId, takeout }) {
+  if (takeout) {
+    return { entryType: 'takeout', mealId: null };
+  }
+  if (!recipeId) {
+    return { error: 'Either recipeId or takeout: true is required' };
+  }
+
+  const recipe = await pool.query(
+    `SELECT id FROM meals WHERE id = $1 AND household_id = $2 AND meal_type = 'recipe'`,
+    [recipeId, householdId]
+  );
+  if (recipe.rows.length === 0) {
+    return { error: 'Recipe not found', status: 404 };
+  }
+  return { entryType: 'recipe', mealId: recipe.rows[0].id };
+}
+
+// Get plan entries for a date range (defaults to the 7 days from today)
+app.get('/api/plan', async (req, res) => {
+  try {
+    const start = req.query.start || new Date().toLocaleDateString('en-CA');
+    const days = parseInt(req.query.days, 10) || 7;
+
+    if (!DATE_REGEX.test(start) || days < 1 || days > 62) {
+      return res.status(400).json({ error: 'start must be YYYY-MM-DD and days between 1 and 62' });
+    }
+
+    await logPastPlanEntries(req.householdId);
+
+    const end = addDays(start, days - 1);
+    const result = await pool.query(
+      `${MEAL_PLAN_QUERY} WHERE p.household_id = $3 AND p.plan_date BETWEEN $1 AND $2
+       ORDER BY p.plan_date, CASE p.slot WHEN 'breakfast' THEN 1 WHEN 'lunch' THEN 2 ELSE 3 END`,
+      [start, end, req.householdId]
+    );
+
+    res.json({ success: true, start, end, entries: result.rows.map(withCuisine) });
+  } catch (error) {
+    console.error('Error fetching meal plan:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Plan a meal. Replaces whatever was already in that date + slot.
+// Body: { date: "2026-02-09", slot: "dinner", recipeId: 12 } or { ..., takeout: true }
+app.post('/api/plan', async (req, res) => {
+  try {
+    const { date, slot, notes } = req.body;
+
+    if (!DATE_REGEX.test(date || '') || !PLAN_SLOTS.includes(slot)) {
+      return res.status(400).json({ error: `date (YYYY-MM-DD) and slot (${PLAN_SLOTS.join('/')}) are required` });
+    }
+
+    const entry = await resolvePlanEntry(req.householdId, req.body);
+    if (entry.error) {
+      return res.status(entry.status || 400).json({ error: entry.error });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO meal_plans (plan_date, slot, entry_type, meal_id, notes, household_id)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (household_id, plan_date, slot) DO UPDATE SET
+        entry_type = EXCLUDED.entry_type,
+        meal_id = EXCLUDED.meal_id,
+        notes = EXCLUDED.notes,
+        meal_event_id = NULL,
+        logged_at = NULL,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING id
+    `, [date, slot, entry.entryType, entry.mealId, notes || null, req.householdId]);
+
+    const saved = await pool.query(`${MEAL_PLAN_QUERY} WHERE p.id = $1`, [result.rows[0].id]);
+    res.json({ success: true, entry: withCuisine(saved.rows[0]) });
+  } catch (error) {
+    console.error('Error saving plan entry:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Auto-fill empty slots with a varied set of recipes picked by the same tag
+// matching as Quick Pick: only recipes matching the filters (when there are
+// any), no recipe twice, and no cuisine two days running in the same slot.
+// Body: { start, days: 7, slots: ["dinner"], filters: "quick,healthy", dryRun }
+app.post('/api/plan/auto-fill', async (req, res) => {
+  try {
+    const { start = new Date().toLocaleDateString('en-CA'), days = 7, slots = ['dinner'], filters = [], dryRun = false } = req.body;
+
+    if (!DATE_REGEX.test(start) || days < 1 || days > 31) {
+      return res.status(400).json({ error: 'start must be YYYY-MM-DD and days between 1 and 31' });
+    }
+    if (!Array.isArray(slots) || slots.length === 0 || slots.some(slot => !PLAN_SLOTS.includes(slot))) {
+      return res.status(400).json({ error: `slots must be a list of ${PLAN_SLOTS.join('/')}` });
+    }
+
+    const filterArray = Array.isArray(filters) ? filters : filters.split(',').filter(f => f);
+    const tagFilters = filtersToTags(await loadTags(req.householdId), filterArray);
+    const { excludedIds } = await loadRecipeExclusions(req.householdId, req.body.exclude);
+
+    const end = addDays(start, days - 1);
+    const existingResult = await pool.query(
+      `${MEAL_PLAN_QUERY} WHERE p.household_id = $3 AND p.plan_date BETWEEN $1 AND $2`,
+      [start, end, req.householdId]
+    );
+    const existing = new Map(existingResult.rows.map(entry => [`${entry.date}|${entry.slot}`, entry]));
+    const used = new Set(existingResult.rows.map(entry => entry.meal_id).filter(Boolean));
+
+    const proposed = [];
+    for (const slot of slots) {
+      const slotMatches = recipe => (recipe.tags || []).filter(tag => SLOT_TAGS[slot].includes(tag)).length;
+      const candidates = tagFilters.length > 0
+        ? (await rankRecipesByTags(req.householdId, tagFilters, { requireMatch: true, limit: 200, excludeIds: excludedIds }))
+          .sort((a, b) => (b.match_count + slotMatches(b)) - (a.match_count + slotMatches(a)))
+        : await rankRecipesByTags(req.householdId, SLOT_TAGS[slot], { limit: 200, excludeIds: excludedIds });
+      let previousCuisine = null;
+
+      for (let day = 0; day < days; day++) {
+        const date = addDays(start, day);
+        const planned = existing.get(`${date}|${slot}`);
+        if (planned) {
+          previousCuisine = planned.entry_type === 'recipe' ? recipeCuisine(planned) : null;
+          continue;
+        }
+
+        const isFresh = recipe => !used.has(recipe.id);
+        const isVaried = recipe => !previousCuisine || recipeCuisine(recipe) !== previousCuisine;
+        const recipe = candidates.find(r => isFresh(r) && isVaried(r)) || candidates.find(isFresh) || candidates.find(isVaried);
+        if (!recipe) {
+          previousCuisine = null;
+          continue;
+        }
+
+        used.add(recipe.id);
+        previousCuisine = recipeCuisine(recipe);
+        proposed.push({
+          date,
+          slot,
+          entry_type: 'recipe',
+          meal_id: recipe.id,
+          recipe_name: recipe.name,
+          tags: recipe.tags,
+          cuisine: previousCuisine,
+          match_count: recipe.match_count
+        });
+      }
+    }
+
+    if (!dryRun) {
+      for (const entry of proposed) {
+        await pool.query(`
+          INSERT INTO meal_plans (plan_date, slot, entry_type, meal_id, household_id)
+          VALUES ($1, $2, 'recipe', $3, $4)
+          ON CONFLICT (household_id, plan_date, slot) DO NOTHING
+        `, [entry.date, entry.slot, entry.meal_id, req.householdId]);
+      }
+    }
+
+    proposed.sort((a, b) => a.date.localeCompare(b.date) || PLAN_SLOTS.indexOf(a.slot) - PLAN_SLOTS.indexOf(b.slot));
+    res.json({ success: true, saved: !dryRun, start, end, proposed });
+  } catch (error) {
+    console.error('Error auto-filling meal plan:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update plan entry (move it, swap the recipe, or make it a takeout night)
+app.patch('/api/plan/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { date, slot, recipeId, takeout, notes } = req.body;
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (date !== undefined) {
+      if (!DATE_REGEX.test(date)) {
+        return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+      }
+      updates.push(`plan_date = $${paramCount++}`); values.push(date);
+    }
+    if (slot !== undefined) {
+      if (!PLAN_SLOTS.includes(slot)) {
+        return res.status(400).json({ error: `slot must be ${PLAN_SLOTS.join('/')}` });
+      }
+      updates.push(`slot = $${paramCount++}`); values.push(slot);
+    }
+    if (recipeId !== undefined || takeout !== undefined) {
+      const entry = await resolvePlanEntry(req.householdId, { recipeId, takeout });
+      if (entry.error) {
+        return res.status(entry.status || 400).json({ error: entry.error });
+      }
+      updates.push(`entry_type = $${paramCount++}`); values.push(entry.entryType);
+      updates.push(`meal_id = $${paramCount++}`); values.push(entry.mealId);
+    }
+    if (notes !== undefined) { updates.push(`notes = $${paramCount++}`); values.push(notes); }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id, req.householdId);
+    const result = await pool.query(
+      `UPDATE meal_plans SET ${updates.join(', ')} WHERE id = $${paramCount} AND household_id = $${paramCount + 1} RETURNING id`,
+      values
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Plan entry not found' });
+    }
+
+    const saved = await pool.query(`${MEAL_PLAN_QUERY} WHERE p.id = $1`, [id]);
+    res.json({ success: true, entry: withCuisine(saved.rows[0]) });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Something is already planned for that date and slot' });
+    }
+    console.error('Error updating plan entry:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove plan entry (an already-logged meal stays in meal history)
+app.delete('/api/plan/:id', async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM meal_plans WHERE id = $1 AND household_id = $2 RETURNING id', [req.params.id, req.householdId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Plan entry not found' });
+    }
+    res.json({ success: true, message: 'Plan entry deleted' });
+  } catch (error) {
+    console.error('Error deleting plan entry:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== END MEAL PLANNER ====================
+
+// ==================== PANTRY ====================
+// What's on hand. Items are matched to recipe ingredients by normalized name
+// (see pantry.js), which drives /recommend?type=cooking&pantry=true.
+
+// Get all pantry items
+app.get('/api/pantry', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM pantry_items WHERE household_id = $1 ORDER BY name', [req.householdId]);
+    res.json({ success: true, items: result.rows });
+  } catch (error) {
+    console.error('Error fetching pantry:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add a pantry item. Adding something already stocked ("scallions" when
+// "green onions" is there) updates the existing row instead.
+// Body: { name: "green onions", quantity: 1, unit: "bunch", notes: "" }
+app.post('/api/pantry', async (req, res) => {
+  try {
+    const { name, quantity, unit, notes } = req.body;
+
+    const normalizedName = normalizeIngredientName(name);
+    if (!normalizedName) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO pantry_items (name, normalized_name, quantity, unit, notes, household_id)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (household_id, normalized_name) DO UPDATE SET
+        name = EXCLUDED.name,
+        quantity = EXCLUDED.quantity,
+        unit = EXCLUDED.unit,
+        notes = EXCLUDED.notes,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [name.trim(), normalizedName, quantity === undefined ? null : quantity, unit || null, notes || null, req.householdId]);
+
+    res.json({ success: true, item: result.rows[0] });
+  } catch (error) {
+    console.error('Error adding pantry item:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a pantry item
+app.patch('/api/pantry/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, quantity, unit, notes } = req.body;
+
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (name !== undefined) {
+      const normalizedName = normalizeIngredientName(name);
+      if (!normalizedName) {
+        return res.status(400).json({ error: 'name cannot be empty' });
+      }
+      updates.push(`name = $${paramCount++}`, `normalized_name = $${paramCount++}`);
+      values.push(name.trim(), normalizedName);
+    }
+    if (quantity !== undefined) {
+      updates.push(`quantity = $${paramCount++}`);
+      values.push(quantity);
+    }
+    if (unit !== undefined) {
+      updates.push(`unit = $${paramCount++}`);
+      values.push(unit || null);
+    }
+    if (notes !== undefined) {
+      updates.push(`notes = $${paramCount++}`);
+      values.push(notes || null);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id, req.householdId);
+
+    const result = await pool.query(
+      `UPDATE pantry_items SET ${updates.join(', ')} WHERE id = $${paramCount} AND household_id = $${paramCount + 1} RETURNING *`,
+      values
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Pantry item not found' });
+    }
+
+    res.json({ success: true, item: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'That item is already in the pantry' });
+    }
+    console.error('Error updating pantry item:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a pantry item
+app.delete('/api/pantry/:id', async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM pantry_items WHERE id = $1 AND household_id = $2 RETURNING id', [req.params.id, req.householdId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Pantry item not found' });
+    }
+    res.json({ success: true, message: 'Pantry item removed' });
+  } catch (error) {
+    console.error('Error removing pantry item:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recipes ranked by the share of their ingredients already in the pantry.
+// Builds on the Quick Pick tag ranking: ties on coverage go to the recipe
+// matching more of the selected filters. Returns the /recommend payload.
+async function recommendFromPantry(householdId, tagFilters, excludeIds = []) {
+  const pantryResult = await pool.query('SELECT normalized_name FROM pantry_items WHERE household_id = $1', [householdId]);
+  const pantryKeys = pantryResult.rows.map(row => row.normalized_name);
+
+  if (pantryKeys.length === 0) {
+    return {
+      title: 'Your Pantry Is Empty',
+      recommendation: '<p style="text-align: center; padding: 40px;">Add what you have on hand in 🥫 Pantry and we\'ll find recipes you can make.</p>',
+      candidates: []
+    };
+  }
+
+  const recipes = await rankRecipesByTags(householdId, tagFilters, { limit: 1000, excludeIds });
+  const ingredientsResult = await pool.query(`
+    SELECT meal_id, name, optional
+    FROM recipe_ingredients
+    WHERE meal_id = ANY($1::int[])
+    ORDER BY meal_id, position
+  `, [recipes.map(recipe => recipe.id)]);
+
+  const ingredientsByRecipe = new Map();
+  for (const row of ingredientsResult.rows) {
+    if (!ingredientsByRecipe.has(row.meal_id)) ingredientsByRecipe.set(row.meal_id, []);
+    ingredientsByRecipe.get(row.meal_id).push(row);
+  }
+
+  const candidates = recipes
+    .map(recipe => {
+      const ingredients = ingredientsByRecipe.get(recipe.id) || parseIngredients(recipe.ingredients);
+      return { recipe, coverage: pantryCoverage(ingredients, pantryKeys) };
+    })
+    .filter(candidate => candidate.coverage.have.length > 0)
+    // Array sort is stable, so equal scores keep rankRecipesByTags' random order
+    .sort((a, b) =>
+      b.coverage.share - a.coverage.share ||
+      b.recipe.match_count - a.recipe.match_count ||
+      a.coverage.missing.length - b.coverage.missing.length
+    );
+
+  if (candidates.length === 0) {
+    return {
+      title: 'Nothing Matches Your Pantry',
+      recommendation: '<p style="text-align: center; padding: 40px;">None of the recipes use what\'s in your pantry yet. Try adding a few more items.</p>',
+      candidates: []
+    };
+  }
+
+  const [top, ...others] = candidates;
+  const { have, missing, share } = top.coverage;
+
+  let html = `<div style="text-align: center; padding: 16px; background: #E8F5E9; border: 2px solid #4CAF50; border-radius: 8px; margin-bottom: 20px;">
+    <p style="color: #2E7D32; font-weight: 600; margin: 0;">
+      🥫 You have ${have.length} of ${have.length + missing.length} ingredients (${Math.round(share * 100)}%)
+    </p>
+    ${missing.length > 0
+    ? `<p style="color: #4A4A1F; margin: 8px 0 0;">Missing: ${missing.map(escapeHTML).join(', ')}</p>`
+    : '<p style="color: #4A4A1F; margin: 8px 0 0;">Everything is on hand!</p>'}
+  </div>`;
+
+  html += buildRecipeHTML(top.recipe);
+
+  if (others.length > 0) {
+    html += '<div style="margin-top: 20px; padding: 16px; background: #FFF8E1; border-radius: 8px;">';
+    html += '<p style="font-weight: 600; color: #4A4A1F; margin: 0 0 8px;">Also close:</p><ul style="margin: 0; padding-left: 20px;">';
+    others.slice(0, 4).forEach(candidate => {
+      const missingText = candidate.coverage.missing.length > 0
+        ? `missing ${candidate.coverage.missing.map(escapeHTML).join(', ')}`
+        : 'everything on hand';
+      html += `<li><strong>${escapeHTML(candidate.recipe.name)}</strong> (${Math.round(candidate.coverage.share * 100)}%): ${missingText}</li>`;
+    });
+    html += '</ul></div>';
+  }
+
+  return {
+    title: top.recipe.name,
+    recommendation: html,
+    candidates: candidates.slice(0, 10).map(candidate => ({
+      id: candidate.recipe.id,
+      name: candidate.recipe.name,
+      share: Math.round(candidate.coverage.share * 100) / 100,
+      match_count: candidate.recipe.match_count,
+      have: candidate.coverage.have,
+      missing: candidate.coverage.missing
+    }))
+  };
+}
+
+// ==================== END PANTRY ====================
+
+// ==================== SPENDING ANALYTICS ====================
+// What takeout costs, from the price breakdown saved with every order.
+// "fees" are delivery_fee + service_fee; tax, tip and discount are reported
+// separately. An order counts in the month of its meal_date (created_at when
+// that's missing). Every report covers the last ?months= calendar months,
+// this one included (default 12).
+
+// The household's takeout orders in the window. $1 household, $2 months.
+const SPENDING_ORDERS_QUERY = `
+  SELECT m.id, m.restaurant,
+    COALESCE(NULLIF(TRIM(m.delivery_service), ''), 'Unknown') as delivery_service,
+    COALESCE(m.meal_date, m.created_at) as ordered_at,
+    COALESCE(m.subtotal, 0) as subtotal,
+    COALESCE(m.delivery_fee, 0) + COALESCE(m.service_fee, 0) as fees,
+    COALESCE(m.delivery_fee, 0) as delivery_fee,
+    COALESCE(m.service_fee, 0) as service_fee,
+    COALESCE(m.tax, 0) as tax,
+    COALESCE(m.discount, 0) as discount,
+    COALESCE(m.tip, 0) as tip,
+    COALESCE(m.total, 0) as total
+  FROM meals m
+  WHERE m.meal_type = 'takeout' AND m.household_id = $1
+    AND COALESCE(m.meal_date, m.created_at) >= date_trunc('month', CURRENT_DATE) - ($2::int - 1) * INTERVAL '1 month'
+`;
+
+// Money columns shared by the reports, rounded to cents. Fees and tips are
+// also given as a percentage of the food (subtotal).
+const SPENDING_TOTALS = `
+  COUNT(o.id)::int as orders,
+  ROUND(COALESCE(SUM(o.subtotal), 0), 2)::float as subtotal,
+  ROUND(COALESCE(SUM(o.fees), 0), 2)::float as fees,
+  ROUND(COALESCE(SUM(o.tax), 0), 2)::float as tax,
+  ROUND(COALESCE(SUM(o.tip), 0), 2)::float as tips,
+  ROUND(COALESCE(SUM(o.discount), 0), 2)::float as discounts,
+  ROUND(COALESCE(SUM(o.total), 0), 2)::float as total,
+  ROUND(COALESCE(AVG(o.total), 0), 2)::float as avg_order,
+  ROUND(COALESCE(AVG(o.tip), 0), 2)::float as avg_tip,
+  ROUND(SUM(o.fees) * 100 / NULLIF(SUM(o.subtotal), 0), 1)::float as fee_percent,
+  ROUND(SUM(o.tip) * 100 / NULLIF(SUM(o.subtotal), 0), 1)::float as tip_percent
+`;
+
+const SPENDING_REPORTS = {
+  summary: async (householdId, months) => {
+    const result = await pool.query(`
+      WITH o AS (${SPENDING_ORDERS_QUERY})
+      SELECT ${SPENDING_TOTALS} FROM o
+    `, [householdId, months]);
+    return result.rows[0];
+  },
+
+  // One row per month, months without orders included as zeros
+  monthly: async (householdId, months) => {
+    const result = await pool.query(`
+      WITH o AS (${SPENDING_ORDERS_QUERY})
+      SELECT to_char(month, 'YYYY-MM') as month, ${SPENDING_TOTALS}
+      FROM generate_series(
+        date_trunc('month', CURRENT_DATE) - ($2::int - 1) * INTERVAL '1 month',
+        date_trunc('month', CURRENT_DATE),
+        INTERVAL '1 month'
+      ) AS month
+      LEFT JOIN o ON date_trunc('month', o.ordered_at) = month
+      GROUP BY month
+      ORDER BY month
+    `, [householdId, months]);
+    return result.rows;
+  },
+
+  restaurants: async (householdId, months) => {
+    const result = await pool.query(`
+      WITH o AS (${SPENDING_ORDERS_QUERY})
+      SELECT o.restaurant, ${SPENDING_TOTALS}, MAX(o.ordered_at) as last_ordered_at
+      FROM o
+      GROUP BY o.restaurant
+      ORDER BY total DESC, o.restaurant
+    `, [householdId, months]);
+    return result.rows;
+  },
+
+  // Per delivery service, with the fees split out - this is where DoorDash
+  // and Uber Eats differ
+  services: async (householdId, months) => {
+    const result = await pool.query(`
+      WITH o AS (${SPENDING_ORDERS_QUERY})
+      SELECT o.delivery_service, ${SPENDING_TOTALS},
+        ROUND(SUM(o.delivery_fee), 2)::float as delivery_fees,
+        ROUND(SUM(o.service_fee), 2)::float as service_fees,
+        ROUND(AVG(o.fees), 2)::float as avg_fees
+      FROM o
+      GROUP BY o.delivery_service
+      ORDER BY total DESC, o.delivery_service
+    `, [householdId, months]);
+    return result.rows;
+  },
+
+  // From the prices of the items assigned to each person. share_of_total
+  // also splits each order's fees, tax, tip and discount in proportion to
+  // what everyone's items cost, so the shares add up to the order totals.
+  people: async (householdId, months) => {
+    const result = await pool.query(`
+      WITH o AS (${SPENDING_ORDERS_QUERY}),
+      items AS (
+        SELECT mi.meal_id, mi.person_id, COALESCE(mi.price, 0) as price, o.total,
+          SUM(COALESCE(mi.price, 0)) OVER (PARTITION BY mi.meal_id) as order_items_total
+        FROM meal_items mi
+        JOIN o ON o.id = mi.meal_id
+      )
+      SELECT i.person_id, COALESCE(p.name, 'Unassigned') as name, p.color,
+        COUNT(DISTINCT i.meal_id)::int as orders,
+        COUNT(*)::int as items,
+        ROUND(SUM(i.price), 2)::float as items_total,
+        ROUND(SUM(CASE WHEN i.order_items_total > 0 THEN i.price / i.order_items_total * i.total ELSE 0 END), 2)::float as share_of_total
+      FROM items i
+      LEFT JOIN people p ON p.id = i.person_id
+      GROUP BY i.person_id, p.name, p.color
+      ORDER BY share_of_total DESC, name
+    `, [householdId, months]);
+    return result.rows;
+  }
+};
+
+function spendingMonths(req) {
+  return Math.min(Math.max(parseInt(req.query.months, 10) || 12, 1), 60);
+}
+
+// Every report at once (the dashboard)
+app.get('/api/analytics/spending', async (req, res) => {
+  try {
+    const months = spendingMonths(req);
+    const reports = { success: true, months };
+    for (const [name, report] of Object.entries(SPENDING_REPORTS)) {
+      reports[name] = await report(req.householdId, months);
+    }
+    res.json(reports);
+  } catch (error) {
+    console.error('Error fetching spending analytics:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// One report: summary, monthly, restaurants, services or people
+app.get('/api/analytics/spending/:report', async (req, res) => {
+  try {
+    const name = req.params.report;
+    if (!Object.hasOwn(SPENDING_REPORTS, name)) {
+      return res.status(404).json({ error: `Unknown report. Use one of: ${Object.keys(SPENDING_REPORTS).join(', ')}` });
+    }
+
+    const months = spendingMonths(req);
+    res.json({ success: true, months, [name]: await SPENDING_REPORTS[name](req.householdId, months) });
+  } catch (error) {
+    console.error('Error fetching spending analytics:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== END SPENDING ANALYTICS ====================
+
+// ==================== COOKING VS TAKEOUT ====================
+// Home-cooked meals (recipe rows in meal_events) against takeout orders, per
+// week and month. A cooked meal's cost is estimated from the household's
+// ingredient_prices (see savings.js): the recipe's cost per serving times the
+// people who ate it, or everyone in the household when nobody is recorded.
+// Savings compare each costed meal with the average takeout order.
+
+// Checked price fields from a request body as { values, errors }. Only the
+// fields present are read, so PATCH can send a subset.
+function readPriceFields(body) {
+  const values = {};
+  const errors = [];
+
+  if (body.name !== undefined) {
+    values.normalizedName = normalizeIngredientName(String(body.name || ''));
+    values.name = String(body.name || '').trim();
+    if (!values.normalizedName) errors.push('name is required');
+  }
+  if (body.price !== undefined) {
+    values.price = Number(body.price);
+    if (body.price === null || body.price === '' || !(values.price >= 0)) errors.push('price must be 0 or more');
+  }
+  if (body.quantity !== undefined) {
+    values.quantity = Number(body.quantity);
+    if (!(values.quantity > 0)) errors.push('quantity must be more than 0');
+  }
+  if (body.unit !== undefined) {
+    values.unit = normalizePriceUnit(body.unit);
+    if (values.unit === undefined) errors.push(`unknown unit "${body.unit}"`);
+  }
+
+  return { values, errors };
+}
+
+// Get the ingredient price table
+app.get('/api/ingredient-prices', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM ingredient_prices WHERE household_id = $1 ORDER BY name', [req.householdId]);
+    res.json({ success: true, prices: result.rows });
+  } catch (error) {
+    console.error('Error fetching ingredient prices:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set an ingredient's price; pricing one already in the table updates it.
+// Body: { name: "chicken breast", price: 8.99, quantity: 2, unit: "lb" }
+// (unit empty or "each" for a price per item)
+app.post('/api/ingredient-prices', async (req, res) => {
+  try {
+    const { name = '', price = null, quantity = 1, unit = null } = req.body;
+    const { values, errors } = readPriceFields({ name, price, quantity, unit });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(', ') });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO ingredient_prices (household_id, name, normalized_name, price, quantity, unit)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (household_id, normalized_name) DO UPDATE SET
+        name = EXCLUDED.name,
+        price = EXCLUDED.price,
+        quantity = EXCLUDED.quantity,
+        unit = EXCLUDED.unit,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [req.householdId, values.name, values.normalizedName, values.price, values.quantity, values.unit]);
+
+    res.json({ success: true, price: result.rows[0] });
+  } catch (error) {
+    console.error('Error saving ingredient price:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update an ingredient price
+app.patch('/api/ingredient-prices/:id', async (req, res) => {
+  try {
+    const { values, errors } = readPriceFields(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(', ') });
+    }
+
+    const columns = {
+      name: values.name,
+      normalized_name: values.normalizedName,
+      price: values.price,
+      quantity: values.quantity,
+      unit: values.unit
+    };
+    const updates = [];
+    const params = [];
+    for (const [column, value] of Object.entries(columns)) {
+      if (value === undefined) continue;
+      params.push(value);
+      updates.push(`${column} = $${params.length}`);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    params.push(req.params.id, req.householdId);
+    const result = await pool.query(
+      `UPDATE ingredient_prices SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${params.length - 1} AND household_id = $${params.length}
+       RETURNING *`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Ingredient price not found' });
+    }
+    res.json({ success: true, price: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'That ingredient already has a price' });
+    }
+    console.error('Error updating ingredient price:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove an ingredient price
+app.delete('/api/ingredient-prices/:id', async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM ingredient_prices WHERE id = $1 AND household_id = $2 RETURNING id', [req.params.id, req.householdId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Ingredient price not found' });
+    }
+    res.json({ success: true, message: 'Ingredient price removed' });
+  } catch (error) {
+    console.error('Error removing ingredient price:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// Get all recipes
-app.get(’/api/recipes’, async (req, res) => {
-try {
-const { search, tags } = req.query;
-
-```
-let query = `
-  SELECT *
-  FROM meals
-  WHERE meal_type = 'recipe'
-`;
-
-const params = [];
-let paramCount = 1;
+// Cost estimates for the household's recipes, by meal id
+async function estimateRecipeCosts(householdId, mealIds) {
+  const recipes = await pool.query(
+    `SELECT id, name, servings, ingredients FROM meals WHERE id = ANY($1::int[]) AND household_id = $2`,
+    [mealIds, householdId]
+  );
+  const ingredientsResult = await pool.query(`
+    SELECT meal_id, name, quantity, quantity_max, unit, optional
+    FROM recipe_ingredients
+    WHERE meal_id = ANY($1::int[])
+    ORDER BY meal_id, position
+  `, [mealIds]);
+  const prices = await pool.query('SELECT * FROM ingredient_prices WHERE household_id = $1', [householdId]);
+
+  const ingredientsByRecipe = new Map();
+  for (const row of ingredientsResult.rows) {
+    if (!ingredientsByRecipe.has(row.meal_id)) ingredientsByRecipe.set(row.meal_id, []);
+    ingredientsByRecipe.get(row.meal_id).push(row);
+  }
 
-if (search) {
-  query += ` AND (name ILIKE $${paramCount} OR ingredients ILIKE $${paramCount})`;
-  params.push(`%${search}%`);
-  paramCount++;
+  const costs = new Map();
+  for (const recipe of recipes.rows) {
+    const ingredients = ingredientsByRecipe.get(recipe.id) || parseIngredients(recipe.ingredients);
+    costs.set(recipe.id, { id: recipe.id, name: recipe.name, ...estimateRecipeCost(ingredients, prices.rows, recipe.servings) });
+  }
+  return costs;
 }
 
-if (tags && tags.length > 0) {
-  const tagArray = Array.isArray(tags) ? tags : [tags];
-  query += ` AND tags && $${paramCount}::text[]`;
-  params.push(tagArray);
-  paramCount++;
+function emptyCookingPeriod(period) {
+  return { period, cooked: 0, ordered: 0, takeoutSpend: 0, costedMeals: 0, servings: 0, cookedCost: 0 };
 }
 
-query += ` ORDER BY name ASC`;
-
-const result = await pool.query(query, params);
-
-// Return just the array of recipes
-res.json(result.rows);
-```
-
-} catch (error) {
-console.error(‘Error fetching recipes:’, error);
-res.status(500).json({ error: error.message });
+// Derived figures once a period's meals are added up. Meals whose recipe has
+// no priced ingredients at all aren't costed and don't count toward savings.
+function finishCookingPeriod(period, avgTakeoutOrder) {
+  return {
+    ...period,
+    takeoutSpend: roundCents(period.takeoutSpend),
+    cookedCost: roundCents(period.cookedCost),
+    costPerServing: period.servings > 0 ? roundCents(period.cookedCost / period.servings) : null,
+    uncostedMeals: period.cooked - period.costedMeals,
+    savings: avgTakeoutOrder === null ? null : roundCents(period.costedMeals * avgTakeoutOrder - period.cookedCost)
+  };
 }
-});
 
-// Get single recipe
-app.get(’/api/recipes/:name’, async (req, res) => {
-try {
-const { name } = req.params;
+// The whole report over the last `months` calendar months, this one included.
+// Weeks start on Monday; the first one can reach back into the month before.
+async function buildCookingReport(householdId, months) {
+  const range = (await pool.query(`
+    SELECT
+      ARRAY(SELECT to_char(d, 'YYYY-MM') FROM generate_series(s.start, CURRENT_DATE, INTERVAL '1 month') d) as months,
+      ARRAY(SELECT to_char(d, 'YYYY-MM-DD') FROM generate_series(date_trunc('week', s.start), CURRENT_DATE, INTERVAL '1 week') d) as weeks,
+      to_char(date_trunc('week', s.start), 'YYYY-MM-DD') as since,
+      to_char(CURRENT_DATE, 'YYYY-MM-DD') as today
+    FROM (SELECT date_trunc('month', CURRENT_DATE) - ($1::int - 1) * INTERVAL '1 month' as start) s
+  `, [months])).rows[0];
+
+  const cooked = await pool.query(`
+    SELECT e.meal_id, (SELECT COUNT(*) FROM meal_event_people ep WHERE ep.meal_event_id = e.id)::int as eaters,
+      to_char(e.eaten_at, 'YYYY-MM') as month,
+      to_char(date_trunc('week', e.eaten_at), 'YYYY-MM-DD') as week
+    FROM meal_events e
+    JOIN meals m ON m.id = e.meal_id
+    WHERE m.household_id = $1 AND m.meal_type = 'recipe' AND e.eaten_at >= $2::date
+  `, [householdId, range.since]);
+
+  const ordered = await pool.query(`
+    SELECT COALESCE(total, 0)::float as total,
+      to_char(COALESCE(meal_date, created_at), 'YYYY-MM') as month,
+      to_char(date_trunc('week', COALESCE(meal_date, created_at)), 'YYYY-MM-DD') as week
+    FROM meals
+    WHERE household_id = $1 AND meal_type = 'takeout' AND COALESCE(meal_date, created_at) >= $2::date
+  `, [householdId, range.since]);
+
+  const people = await pool.query('SELECT COUNT(*)::int as count FROM people WHERE household_id = $1', [householdId]);
+  const householdSize = Math.max(people.rows[0].count, 1);
+  const recipeCosts = await estimateRecipeCosts(householdId, [...new Set(cooked.rows.map(row => row.meal_id))]);
+
+  // This window's average order, or the all-time one when nothing was ordered lately
+  const windowOrders = ordered.rows.filter(row => range.months.includes(row.month));
+  let avgTakeoutOrder = windowOrders.length > 0
+    ? windowOrders.reduce((sum, row) => sum + row.total, 0) / windowOrders.length
+    : null;
+  if (avgTakeoutOrder === null) {
+    const allTime = await pool.query(
+      `SELECT AVG(total)::float as average FROM meals WHERE household_id = $1 AND meal_type = 'takeout'`,
+      [householdId]
+    );
+    avgTakeoutOrder = allTime.rows[0].average;
+  }
 
-```
-const result = await pool.query(
-  `SELECT * FROM meals WHERE name = $1 AND meal_type = 'recipe'`,
-  [decodeURIComponent(name)]
-);
+  const weekly = new Map(range.weeks.map(week => [week, emptyCookingPeriod(week)]));
+  const monthly = new Map(range.months.map(month => [month, emptyCookingPeriod(month)]));
+  const unpricedCounts = new Map();
+  const cookedRecipes = new Map();
+
+  for (const row of cooked.rows) {
+    const cost = recipeCosts.get(row.meal_id);
+    const costed = cost && cost.pricedCount > 0;
+    const servings = row.eaters || householdSize;
+
+    for (const period of [weekly.get(row.week), monthly.get(row.month)]) {
+      if (!period) continue;
+      period.cooked += 1;
+      if (costed) {
+        period.costedMeals += 1;
+        period.servings += servings;
+        period.cookedCost += cost.perServing * servings;
+      }
+    }
 
-if (result.rows.length === 0) {
-  return res.status(404).json({ error: 'Recipe not found' });
-}
+    if (cost && monthly.has(row.month)) {
+      for (const key of cost.unpriced) unpricedCounts.set(key, (unpricedCounts.get(key) || 0) + 1);
+      const entry = cookedRecipes.get(cost.id) || { ...cost, timesCooked: 0 };
+      entry.timesCooked += 1;
+      cookedRecipes.set(cost.id, entry);
+    }
+  }
 
-// Return just the recipe object (not wrapped in {success, recipe})
-res.json(result.rows[0]);
-```
+  for (const row of ordered.rows) {
+    for (const period of [weekly.get(row.week), monthly.get(row.month)]) {
+      if (!period) continue;
+      period.ordered += 1;
+      period.takeoutSpend += row.total;
+    }
+  }
 
-} catch (error) {
-console.error(‘Error fetching recipe:’, error);
-res.status(500).json({ error: error.message });
-}
-});
+  const totals = emptyCookingPeriod(null);
+  for (const period of monthly.values()) {
+    for (const field of ['cooked', 'ordered', 'takeoutSpend', 'costedMeals', 'servings', 'cookedCost']) {
+      totals[field] += period[field];
+    }
+  }
 
-// AI-powered tag suggestion
-app.post(’/suggest-tags’, async (req, res) => {
-try {
-const { name, ingredients, directions, prep_time, cook_time } = req.body;
-if (!name) {
-return res.status(400).json({ error: ‘Item name is required’ });
+  // Dinner days for the streak, over all time
+  const dinners = await pool.query(`
+    SELECT to_char(e.eaten_at, 'YYYY-MM-DD') as day, m.meal_type
+    FROM meal_events e
+    JOIN meals m ON m.id = e.meal_id
+    WHERE m.household_id = $1 AND EXTRACT(HOUR FROM e.eaten_at) >= $2
+    UNION
+    SELECT to_char(COALESCE(meal_date, created_at), 'YYYY-MM-DD'), meal_type
+    FROM meals
+    WHERE household_id = $1 AND meal_type = 'takeout' AND EXTRACT(HOUR FROM COALESCE(meal_date, created_at)) >= $2
+  `, [householdId, DINNER_FROM_HOUR]);
+  const cookedDays = new Set(dinners.rows.filter(row => row.meal_type === 'recipe').map(row => row.day));
+  const takeoutDays = new Set(dinners.rows.filter(row => row.meal_type === 'takeout').map(row => row.day));
+
+  return {
+    avgTakeoutOrder: avgTakeoutOrder === null ? null : roundCents(avgTakeoutOrder),
+    totals: finishCookingPeriod(totals, avgTakeoutOrder),
+    weekly: [...weekly.values()].map(period => finishCookingPeriod(period, avgTakeoutOrder)),
+    monthly: [...monthly.values()].map(period => finishCookingPeriod(period, avgTakeoutOrder)),
+    streak: { ...dinnerStreaks(cookedDays, takeoutDays, range.today), dinnerFromHour: DINNER_FROM_HOUR },
+    recipes: [...cookedRecipes.values()]
+      .sort((a, b) => b.timesCooked - a.timesCooked || a.name.localeCompare(b.name))
+      .map(({ id, name, timesCooked, total, perServing, servings, servingsGuessed, unpriced }) => ({
+        id, name, timesCooked, total, perServing, servings, servingsGuessed, unpriced
+      })),
+    unpricedIngredients: [...unpricedCounts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, 10)
+      .map(([name, meals]) => ({ name, meals }))
+  };
 }
 
-```
-const prompt = `Analyze this food item and suggest appropriate tags. Choose 4-8 tags that accurately describe it.
-```
-
-**Item Name:** ${name}
-${ingredients ? `\n**Ingredients:**\n${ingredients.substring(0, 800)}` : ‘’}
-${directions ? `\n**Directions:**\n${directions.substring(0, 800)}` : ‘’}
-${prep_time ? `\n**Prep Time:** ${prep_time}` : ‘’}
-${cook_time ? `\n**Cook Time:** ${cook_time}` : ‘’}
-
-**Available Tags by Category:**
-Meal Type: Breakfast, Lunch, Dinner, Brunch, Snack
-Course: Appetizer, Main Dish, Side Dish, Salad, Soup, Dessert, Beverage, Sauce/Condiment
-Dietary: Vegetarian, Vegan, Gluten-Free, Dairy-Free, Nut-Free, Low-Carb, Keto, Paleo
-Cuisine: American, Italian, Mexican, Asian, Indian, Mediterranean, French, Thai, Korean, Japanese, Chinese, Greek, Middle Eastern
-Cooking Method: Baked, Grilled, Fried, Slow Cooker, Instant Pot, One-Pot, No-Cook, Roasted, Sautéed, Steamed
-Time: Quick (< 30 min), Medium (30-60 min), Long (> 60 min)
-Difficulty: Easy, Medium, Hard
-Characteristics: Healthy, Comfort Food, Kid-Friendly, Party Food, Make-Ahead, Meal Prep, Spicy, Sweet, Savory, Fresh, Hearty, Light
-
-Return ONLY a JSON array. Example: [“Main Dish”, “Mexican”, “Medium (30-60 min)”, “Medium”, “Spicy”]`;
-
-```
-const response = await fetch('https://api.anthropic.com/v1/messages', {
-  method: 'POST',
-  headers: {
-    'Content-Type': 'application/json',
-    'x-api-key': process.env.ANTHROPIC_API_KEY,
-    'anthropic-version': '2023-06-01'
-  },
-  body: JSON.stringify({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 200,
-    messages: [{ role: 'user', content: prompt }]
-  })
+// Cooked vs ordered per week and month, with estimated savings and the
+// home-cooked dinner streak. ?months= sets the window (default 6).
+app.get('/api/analytics/cooking', async (req, res) => {
+  try {
+    const months = Math.min(Math.max(parseInt(req.query.months, 10) || 6, 1), 24);
+    res.json({ success: true, months, ...(await buildCookingReport(req.householdId, months)) });
+  } catch (error) {
+    console.error('Error building cooking report:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-const data = await response.json();
-if (!response.ok) {
-  throw new Error(data.error?.message || 'API request failed');
-}
+// ==================== END COOKING VS TAKEOUT ====================
 
-const text = data.content[0].text.trim();
-const tagsMatch = text.match(/\[.*\]/s);
-if (tagsMatch) {
-  const tags = JSON.parse(tagsMatch[0]);
-  res.json({ success: true, tags });
-} else {
-  res.json({ success: true, tags: [] });
-}
-```
+// ==================== CHAT ====================
+// The chat assistant (chat.js). Each sign-in session has its own conversation.
 
-} catch (error) {
-console.error(‘Error suggesting tags:’, error);
-res.status(500).json({ error: error.message, tags: [] });
-}
+app.get('/chat', async (req, res) => {
+  try {
+    const messages = await chat.loadHistory(req.sessionId, 100);
+    res.json({ success: true, messages });
+  } catch (error) {
+    console.error('Error fetching chat history:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// Log a home cooked meal
-app.post(’/log-meal’, async (req, res) => {
-try {
-const { recipeName } = req.body;
-if (!recipeName) {
-return res.status(400).json({ error: ‘Recipe name is required’ });
-}
-const result = await pool.query(
-`INSERT INTO orders (restaurant, logged_as_meal, meal_date, recipe_name) VALUES ($1, $2, $3, $4) RETURNING id`,
-[recipeName, true, new Date(), recipeName]
-);
-res.json({ success: true, message: ‘Meal logged successfully!’, orderId: result.rows[0].id });
-} catch (error) {
-console.error(‘Error logging meal:’, error);
-res.status(500).json({ error: error.message });
-}
-});
+app.post('/chat', async (req, res) => {
+  const message = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+  if (!message) {
+    return res.status(400).json({ error: 'message is required' });
+  }
+  if (message.length > chat.MAX_MESSAGE_LENGTH) {
+    return res.status(400).json({ error: `message must be at most ${chat.MAX_MESSAGE_LENGTH} characters` });
+  }
 
-// Mark an existing order as a logged meal
-app.post(’/mark-as-meal/:orderId’, async (req, res) => {
-try {
-const { orderId } = req.params;
-await pool.query(`UPDATE orders SET logged_as_meal = true, meal_date = $1 WHERE id = $2`, [new Date(), orderId]);
-res.json({ success: true, message: ‘Order marked as logged meal!’ });
-} catch (error) {
-console.error(‘Error marking as meal:’, error);
-res.status(500).json({ error: error.message });
-}
+  try {
+    const { response, citations } = await chat.askChat({
+      householdId: req.householdId,
+      sessionId: req.sessionId,
+      message
+    });
+    res.json({ success: true, response, citations });
+  } catch (error) {
+    if (ai.isBudgetExceeded(error)) {
+      return res.status(429).json({ error: error.message, budgetExceeded: true });
+    }
+    console.error('Error answering chat:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// Get meal history
-app.get(’/meal-history’, async (req, res) => {
-try {
-const { search } = req.query;
-let query = `SELECT o.id, o.restaurant, o.recipe_name, o.meal_date, o.delivery_service, o.address, o.total, json_agg(json_build_object('id', oi.id, 'name', oi.item_name, 'price', oi.price, 'rating', oi.rating, 'assignedTo', oi.assigned_to, 'notes', oi.notes) ORDER BY oi.id) FILTER (WHERE oi.id IS NOT NULL) as items FROM orders o LEFT JOIN order_items oi ON o.id = oi.order_id WHERE o.logged_as_meal = true`;
-const params = [];
-if (search) {
-query += ` AND (o.restaurant ILIKE $1 OR o.recipe_name ILIKE $1)`;
-params.push(`%${search}%`);
-}
-query += ` GROUP BY o.id ORDER BY o.meal_date DESC`;
-const result = await pool.query(query, params);
-res.json({ meals: result.rows });
-} catch (error) {
-console.error(‘Error fetching meal history:’, error);
-res.status(500).json({ error: error.message });
-}
+// Start over
+app.delete('/chat', async (req, res) => {
+  try {
+    await chat.clearHistory(req.sessionId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error clearing chat history:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// Delete a logged meal
-app.delete(’/meal-history/:mealId’, async (req, res) => {
-try {
-const { mealId } = req.params;
-await pool.query(‘DELETE FROM orders WHERE id = $1 AND logged_as_meal = true’, [mealId]);
-res.json({ success: true, message: ‘Meal deleted from history’ });
-} catch (error) {
-console.error(‘Error deleting meal:’, error);
-res.status(500).json({ error: error.message });
-}
-});
+// ==================== END CHAT ====================
 
 // Get AI recommendation based on filters
-app.get(’/recommend’, async (req, res) => {
+app.get('/recommend', async (req, res) => {
 try {
 const { type, filters, random } = req.query;
 
-```
 // Parse filters
 const filterArray = filters ? filters.split(',').filter(f => f) : [];
 
+// Who's eating (?for=1,2): ranks candidates by their combined preferences
+const eaters = await loadEaters(req.householdId, req.query.for);
+
 if (type === 'cooking') {
-  const { smartMatch } = req.query;
+  const { smartMatch, pantry } = req.query;
   
-  // Map filter IDs to actual tag names
-  const filterToTagMap = {
-    'main-dish': 'Main Dish',
-    'salad': 'Salad',
-    'side-dish': 'Side Dish',
-    'dessert': 'Dessert',
-    'appetizer': 'Appetizer',
-    'soup': 'Soup',
-    'healthy': 'Healthy',
-    'quick': 'Quick (< 30 min)',
-    'filling': 'Hearty',
-    'comfort': 'Comfort Food',
-    'complex': 'Hard'
-  };
+  const taxonomy = await loadTags(req.householdId);
+  const tagFilters = filtersToTags(taxonomy, filterArray);
   
-  // Convert filter IDs to tag names, excluding "any" filters
-  const tagFilters = filterArray
-    .filter(f => !f.startsWith('any-'))
-    .map(f => filterToTagMap[f] || f)
-    .filter(Boolean);
+  // Dietary restrictions and ?exclude= are screened out before any candidate
+  // is picked. Every answer lists what was removed, and explains it on the
+  // page when that leaves little to choose from.
+  const screened = await loadRecipeExclusions(req.householdId, req.query.exclude);
+  const { excludedIds } = screened;
+  const send = (payload, noticeFilters = tagFilters) => res.json({
+    ...payload,
+    recommendation: exclusionsNotice(screened, noticeFilters) + payload.recommendation,
+    exclusions: exclusionsReport(screened)
+  });
+  
+  // PANTRY: rank by ingredients already on hand
+  if (pantry === 'true') {
+    return send(await recommendFromPantry(req.householdId, tagFilters, excludedIds), []);
+  }
+  
+  // Shown above the Quick Pick result when Smart Match couldn't run
+  let fallbackNotice = '';
   
   if (smartMatch === 'true' && tagFilters.length > 0) {
     // SMART MATCH: Use AI to find the best match
     
     // Get candidate recipes (more than we need so AI can choose)
-    let query = `SELECT * FROM meals WHERE meal_type = 'recipe' AND tags && $1::text[] ORDER BY RANDOM() LIMIT 15`;
-    const candidates = await pool.query(query, [tagFilters]);
+    let query = `SELECT * FROM meals WHERE meal_type = 'recipe' AND household_id = $2 AND tags && $1::text[] AND NOT (id = ANY($3::int[])) ORDER BY RANDOM() LIMIT 15`;
+    const candidates = await pool.query(query, [tagFilters, req.householdId, excludedIds]);
     
     if (candidates.rows.length === 0) {
       // No matches at all - fallback to any recipe
-      const anyRecipe = await pool.query(`SELECT * FROM meals WHERE meal_type = 'recipe' ORDER BY RANDOM() LIMIT 1`);
+      const anyRecipe = await pool.query(`SELECT * FROM meals WHERE meal_type = 'recipe' AND household_id = $1 AND NOT (id = ANY($2::int[])) ORDER BY RANDOM() LIMIT 1`, [req.householdId, excludedIds]);
       if (anyRecipe.rows.length === 0) {
-        return res.json({
+        return send({
           title: 'No Recipes Found',
           recommendation: '<p style="text-align: center; padding: 40px;">No recipes available in the database.</p>'
         });
       }
       
-      return res.json({
+      return send({
         title: anyRecipe.rows[0].name,
         recommendation: buildRecipeHTML(anyRecipe.rows[0])
       });
     }
     
     // Build prompt for AI to analyze candidates
+    const eatersNote = eaters ? eatersPromptNote(eaters) : '';
     const recipeSummaries = candidates.rows.map((r, i) => {
       return `Recipe ${i + 1}: ${r.name}
-```
 
-- Prep: ${r.prep_time || ‘N/A’}, Cook: ${r.cook_time || ‘N/A’}, Servings: ${r.servings || ‘N/A’}
-- Tags: ${r.tags.join(’, ’)}
-- Ingredients (first 200 chars): ${r.ingredients ? r.ingredients.substring(0, 200).replace(/\n/g, ’ ‘) : ‘N/A’}…`;
-  }).join(’\n\n’);
+- Prep: ${r.prep_time || 'N/A'}, Cook: ${r.cook_time || 'N/A'}, Servings: ${r.servings || 'N/A'}
+- Tags: ${r.tags.join(', ')}
+- Ingredients (first 200 chars): ${r.ingredients ? r.ingredients.substring(0, 200).replace(/\n/g, ' ') : 'N/A'}…`;
+  }).join('\n\n');
   
-  ```
-    const aiPrompt = `You are recommending a recipe. The user wants: ${tagFilters.join(', ')}
-  ```
+    const aiPrompt = `You are recommending a recipe. The user wants: ${tagFilters.join(', ')}${eatersNote}
 
 Here are ${candidates.rows.length} candidate recipes that match at least some of their criteria:
 
@@ -1130,7 +3682,7 @@ ${recipeSummaries}
 
 Analyze these recipes and pick the BEST match considering:
 
-1. How many of the user’s criteria does it match?
+1. How many of the user's criteria does it match?
 1. Does the cooking time/method actually align with their request?
 1. Are the ingredients appropriate for what they asked for?
 1. Would this actually be satisfying for their needs?
@@ -1147,78 +3699,52 @@ These tags should be lowercase, short phrases (2-4 words) that help future match
 
 Respond ONLY with a JSON object (no markdown, no backticks):
 {
-“topChoice”: 1,
-“reasoning”: “Brief 1-2 sentence explanation of why this is the best match”,
-“aiTags”: [“weeknight friendly”, “uses pantry staples”, “one pot”, “leftovers well”, “protein heavy”]
+"topChoice": 1,
+"reasoning": "Brief 1-2 sentence explanation of why this is the best match",
+"aiTags": ["weeknight friendly", "uses pantry staples", "one pot", "leftovers well", "protein heavy"]
 }
 
 The topChoice should be the recipe number (1-${candidates.rows.length}) that best matches their criteria.`;
 
-```
     try {
-      const aiResponse = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': process.env.ANTHROPIC_API_KEY,
-          'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify({
-          model: 'claude-sonnet-4-20250514',
-          max_tokens: 300,
-          messages: [{ role: 'user', content: aiPrompt }]
-        })
-      });
+      const { data: aiResult } = await ai.completeJSON({ feature: 'smart_match', householdId: req.householdId, prompt: aiPrompt, maxTokens: 300, expect: 'object' });
       
-      const aiData = await aiResponse.json();
+      const chosenRecipe = candidates.rows[aiResult.topChoice - 1];
       
-      if (aiResponse.ok) {
-        const aiText = aiData.content[0].text.trim();
-        const cleanText = aiText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-        const aiResult = JSON.parse(cleanText);
-        
-        const chosenRecipe = candidates.rows[aiResult.topChoice - 1];
-        
-        // Save AI tags to database (background improvement)
-        if (aiResult.aiTags && aiResult.aiTags.length > 0) {
-          try {
-            await pool.query(`
-              UPDATE meals 
-              SET ai_tags = array_cat(COALESCE(ai_tags, ARRAY[]::text[]), $1::text[]),
-                  ai_tag_metadata = jsonb_set(
-                    COALESCE(ai_tag_metadata, '{}'::jsonb),
-                    '{last_updated}',
-                    to_jsonb(now())
-                  )
-              WHERE id = $2
-            `, [aiResult.aiTags, chosenRecipe.id]);
-            
-            console.log(`Added ${aiResult.aiTags.length} AI tags to recipe ${chosenRecipe.name}`);
-          } catch (tagError) {
-            console.error('Error saving AI tags:', tagError);
-            // Don't fail the request if tag saving fails
-          }
+      // Save AI tags to database (background improvement); tags the recipe
+      // already has are reinforced rather than repeated
+      if (aiResult.aiTags && aiResult.aiTags.length > 0) {
+        try {
+          const saved = await recordAiTags(chosenRecipe, aiResult.aiTags, 'smart_match');
+          
+          console.log(`Recorded ${saved.length} AI tags for recipe ${chosenRecipe.name}`);
+        } catch (tagError) {
+          console.error('Error saving AI tags:', tagError);
+          // Don't fail the request if tag saving fails
         }
-        
-        let html = `<div style="text-align: center; padding: 16px; background: #E8F5E9; border: 2px solid #4CAF50; border-radius: 8px; margin-bottom: 20px;">
-          <p style="color: #2E7D32; font-weight: 600; margin: 0;">
-            🧠 Smart Match: ${aiResult.reasoning}
-          </p>
-        </div>`;
-        
-        html += buildRecipeHTML(chosenRecipe);
-        
-        // Track AI usage (Smart Match costs ~$0.015)
-        await trackAIUsage('smart_match', 0.015);
-        
-        return res.json({
-          title: chosenRecipe.name,
-          recommendation: html
-        });
       }
+      
+      let html = `<div style="text-align: center; padding: 16px; background: #E8F5E9; border: 2px solid #4CAF50; border-radius: 8px; margin-bottom: 20px;">
+        <p style="color: #2E7D32; font-weight: 600; margin: 0;">
+          🧠 Smart Match: ${aiResult.reasoning}
+        </p>
+      </div>`;
+      
+      if (eaters) html += eatersNotice(chosenRecipe, eaters);
+      html += buildRecipeHTML(chosenRecipe);
+      
+      return send({
+        title: chosenRecipe.name,
+        recommendation: html
+      });
     } catch (error) {
-      console.error('Smart Match AI error:', error);
+      console.error('Smart Match AI error:', error.message);
       // Fallback to Quick Pick if AI fails
+      if (ai.isBudgetExceeded(error)) {
+        fallbackNotice = `<div style="text-align: center; padding: 12px; background: #FFEBEE; border: 2px solid #E57373; border-radius: 8px; margin-bottom: 12px;">
+          <p style="color: #C62828; font-weight: 600; margin: 0;">💸 ${error.message} Here's a Quick Pick instead.</p>
+        </div>`;
+      }
     }
   }
   
@@ -1226,56 +3752,40 @@ The topChoice should be the recipe number (1-${candidates.rows.length}) that bes
   // Prioritize recipes with MORE matching tags
   
   if (tagFilters.length > 0) {
-    // Count how many tags match and sort by match count
-    const query = `
-      SELECT *, 
-        (SELECT COUNT(*) FROM unnest(tags) tag WHERE tag = ANY($1::text[])) as match_count
-      FROM meals 
-      WHERE meal_type = 'recipe' AND tags && $1::text[]
-      ORDER BY match_count DESC, RANDOM()
-      LIMIT 1
-    `;
-    
-    const result = await pool.query(query, [tagFilters]);
+    let matches = await rankRecipesByTags(req.householdId, tagFilters, { requireMatch: true, limit: eaters ? 30 : 1, excludeIds: excludedIds });
+    if (eaters) matches = await rankForEaters(matches, eaters);
     
     // If match is weak (< 50%), try AI tag fallback
-    if (result.rows.length === 0 || result.rows[0].match_count < tagFilters.length * 0.5) {
+    if (matches.length === 0 || matches[0].match_count < tagFilters.length * 0.5) {
       console.log('Weak match, checking AI tags for fallback...');
       
-      // Expand query with related terms for AI tag search
-      const expandedTerms = tagFilters.flatMap(tag => {
-        // Add lowercase version + common synonyms
-        const lower = tag.toLowerCase();
-        const terms = [lower];
-        
-        // Add synonyms
-        if (lower.includes('quick')) terms.push('fast', 'weeknight', '30 min');
-        if (lower.includes('healthy')) terms.push('nutritious', 'light', 'fresh');
-        if (lower.includes('hearty')) terms.push('filling', 'substantial', 'satisfying');
-        if (lower.includes('comfort')) terms.push('cozy', 'indulgent', 'rich');
-        if (lower.includes('main dish')) terms.push('entree', 'main course', 'dinner');
-        
-        return terms;
-      });
+      // Expand query with each tag's synonyms from the taxonomy for AI tag
+      // search, normalized the way AI tags are stored
+      const expandedTerms = [...new Set(matchTerms(taxonomy, tagFilters).map(normalizeAiTag).filter(Boolean))];
       
-      // Search recipes that match via AI tags
+      // Search recipes that match via AI tags. Each matching AI tag counts
+      // as much as it's trusted (its weight, 0-1: how often it was suggested
+      // and how recently), a visible tag as 1.
       const aiQuery = `
-        SELECT *, 
-          (SELECT COUNT(*) FROM unnest(tags) tag WHERE tag = ANY($1::text[])) as match_count,
-          (SELECT COUNT(*) FROM unnest(ai_tags) tag WHERE tag ILIKE ANY($2::text[])) as ai_match_count
-        FROM meals 
-        WHERE meal_type = 'recipe' 
-          AND (tags && $1::text[] OR ai_tags && $2::text[])
-        ORDER BY match_count DESC, ai_match_count DESC, RANDOM()
+        SELECT * FROM (
+          SELECT *, 
+            (SELECT COUNT(*) FROM unnest(tags) tag WHERE tag = ANY($1::text[])) as match_count,
+            (SELECT COALESCE(SUM(${aiTagWeightSQL('t')}), 0) FROM recipe_ai_tags t
+             WHERE t.meal_id = meals.id AND t.tag ILIKE ANY($2::text[])) as ai_match_score
+          FROM meals 
+          WHERE meal_type = 'recipe' AND household_id = $3 AND NOT (id = ANY($4::int[]))
+        ) scored
+        WHERE match_count > 0 OR ai_match_score > 0
+        ORDER BY match_count + ai_match_score DESC, match_count DESC, RANDOM()
         LIMIT 1
       `;
       
-      const aiResult = await pool.query(aiQuery, [tagFilters, expandedTerms.map(t => `%${t}%`)]);
+      const aiResult = await pool.query(aiQuery, [tagFilters, expandedTerms.map(t => `%${t}%`), req.householdId, excludedIds]);
       
-      if (aiResult.rows.length > 0 && aiResult.rows[0].ai_match_count > 0) {
+      if (aiResult.rows.length > 0 && aiResult.rows[0].ai_match_score > 0) {
         const recipe = aiResult.rows[0];
         
-        let html = `<div style="text-align: center; padding: 16px; background: #E3F2FD; border: 2px solid #2196F3; border-radius: 8px; margin-bottom: 20px;">
+        let html = fallbackNotice + `<div style="text-align: center; padding: 16px; background: #E3F2FD; border: 2px solid #2196F3; border-radius: 8px; margin-bottom: 20px;">
           <p style="color: #1565C0; font-weight: 600; margin: 0;">
             💡 Found via smart matching - this recipe fits your vibe!
           </p>
@@ -1283,18 +3793,18 @@ The topChoice should be the recipe number (1-${candidates.rows.length}) that bes
         
         html += buildRecipeHTML(recipe);
         
-        return res.json({
+        return send({
           title: recipe.name,
           recommendation: html
         });
       }
     }
     
-    if (result.rows.length > 0) {
-      const recipe = result.rows[0];
+    if (matches.length > 0) {
+      const recipe = matches[0];
       const matchCount = recipe.match_count;
       
-      let html = '';
+      let html = fallbackNotice;
       
       // Show match quality indicator
       if (matchCount === tagFilters.length) {
@@ -1331,32 +3841,36 @@ The topChoice should be the recipe number (1-${candidates.rows.length}) that bes
         </div>`;
       }
       
+      if (eaters) html += eatersNotice(recipe, eaters);
       html += buildRecipeHTML(recipe);
       
-      return res.json({
+      return send({
         title: recipe.name,
         recommendation: html
       });
     }
   }
   
-  // No filters or no matches - random recipe
-  const anyRecipe = await pool.query(`SELECT * FROM meals WHERE meal_type = 'recipe' ORDER BY RANDOM() LIMIT 1`);
+  // No filters or no matches - random recipe (the eaters' best of a random 30)
+  const anyRecipe = eaters
+    ? { rows: await rankForEaters(await rankRecipesByTags(req.householdId, [], { limit: 30, excludeIds: excludedIds }), eaters) }
+    : await pool.query(`SELECT * FROM meals WHERE meal_type = 'recipe' AND household_id = $1 AND NOT (id = ANY($2::int[])) ORDER BY RANDOM() LIMIT 1`, [req.householdId, excludedIds]);
   
   if (anyRecipe.rows.length === 0) {
-    return res.json({
+    return send({
       title: 'No Recipes Found',
       recommendation: '<p style="text-align: center; padding: 40px;">No recipes available in the database.</p>'
     });
   }
   
   const recipe = anyRecipe.rows[0];
-  let html = '<div style="text-align: center; padding: 20px; background: #FFF3CD; border: 2px solid #FFC107; border-radius: 8px; margin-bottom: 20px;">';
+  let html = fallbackNotice + '<div style="text-align: center; padding: 20px; background: #FFF3CD; border: 2px solid #FFC107; border-radius: 8px; margin-bottom: 20px;">';
   html += '<p style="color: #856404; font-weight: 600;">No exact matches found for your filters, but here\'s a great recipe anyway!</p>';
   html += '</div>';
+  if (eaters) html += eatersNotice(recipe, eaters);
   html += buildRecipeHTML(recipe);
   
-  res.json({
+  send({
     title: recipe.name,
     recommendation: html
   });
@@ -1377,14 +3891,14 @@ The topChoice should be the recipe number (1-${candidates.rows.length}) that bes
         MAX(m.meal_date) as last_ordered
       FROM meals m
       LEFT JOIN meal_items oi ON m.id = oi.meal_id
-      WHERE m.meal_type = 'takeout'
+      WHERE m.meal_type = 'takeout' AND m.household_id = $1
       GROUP BY restaurant, address, delivery_service
       HAVING COUNT(oi.id) > 0
       ORDER BY restaurant, AVG(oi.rating) DESC NULLS LAST, COUNT(oi.id) DESC
       LIMIT 10
     `;
     
-    const pastOrders = await pool.query(pastOrderQuery);
+    const pastOrders = await pool.query(pastOrderQuery, [req.householdId]);
     
     if (pastOrders.rows.length === 0) {
       // No past orders - encourage them to upload receipts
@@ -1415,8 +3929,33 @@ The topChoice should be the recipe number (1-${candidates.rows.length}) that bes
       });
     }
     
-    // Pick a random past order from top rated
-    const pastOrder = pastOrders.rows[Math.floor(Math.random() * Math.min(5, pastOrders.rows.length))];
+    // Pick a random past order from top rated. With ?for=, rank restaurants
+    // by what the eaters themselves thought (their meal and item ratings),
+    // skipping any they rated below 3, and pick from the best few.
+    let favorites = pastOrders.rows;
+    if (eaters) {
+      const eaterRatings = await pool.query(`
+        SELECT m.restaurant, AVG(r.rating)::float as avg_rating
+        FROM (
+          SELECT meal_id, rating FROM meal_ratings WHERE person_id = ANY($1::int[])
+          UNION ALL
+          SELECT mi.meal_id, ir.rating
+          FROM meal_item_ratings ir
+          JOIN meal_items mi ON mi.id = ir.meal_item_id
+          WHERE ir.person_id = ANY($1::int[])
+        ) r
+        JOIN meals m ON m.id = r.meal_id
+        WHERE m.meal_type = 'takeout'
+        GROUP BY m.restaurant
+      `, [eaters.people.map(person => person.id)]);
+      const ratingByRestaurant = new Map(eaterRatings.rows.map(row => [row.restaurant, row.avg_rating]));
+      const ranked = pastOrders.rows
+        .map(order => ({ ...order, eaters_rating: ratingByRestaurant.get(order.restaurant) }))
+        .filter(order => order.eaters_rating === undefined || order.eaters_rating >= 3)
+        .sort((a, b) => (b.eaters_rating || 3) - (a.eaters_rating || 3));
+      if (ranked.length > 0) favorites = ranked;
+    }
+    const pastOrder = favorites[Math.floor(Math.random() * Math.min(eaters ? 3 : 5, favorites.length))];
     
     // Format last ordered date
     let lastOrderedText = '';
@@ -1457,6 +3996,10 @@ The topChoice should be the recipe number (1-${candidates.rows.length}) that bes
         ` : ''}
         <div style="display: flex; flex-wrap: wrap; align-items: center; gap: 12px; font-size: 15px; font-weight: 600; margin-bottom: 12px;">
           <span>⭐ ${pastOrder.avg_rating ? Number(pastOrder.avg_rating).toFixed(1) : '5.0'} avg rating</span>
+          ${pastOrder.eaters_rating !== undefined ? `
+            <span>•</span>
+            <span>👥 ${pastOrder.eaters_rating.toFixed(1)} from ${eaterNames(eaters)}</span>
+          ` : ''}
           <span>•</span>
           <span>${pastOrder.item_count} items ordered</span>
           ${lastOrderedText ? `
@@ -1493,85 +4036,107 @@ The topChoice should be the recipe number (1-${candidates.rows.length}) that bes
     res.status(500).json({ error: error.message });
   }
 }
-```
 
 } catch (error) {
-console.error(‘Error getting recommendation:’, error);
+console.error('Error getting recommendation:', error);
 res.status(500).json({ error: error.message });
 }
 });
 
-// Helper function to build recipe HTML
+// Helper function to build recipe HTML. Accepts a plain recipe row or the
+// output of /api/recipes/:id/scaled (which adds scaled_ingredients).
 function buildRecipeHTML(recipe) {
-let html = ‘<div class="rec-details">’;
-
-// Info row
-html += ‘<div style="display: flex; gap: 16px; justify-content: center; margin-bottom: 12px; flex-wrap: wrap;">’;
-html += `<div style="text-align: center; flex: 1; min-width: 80px;"><div style="font-size: 28px; margin-bottom: 4px;">⏱️</div><div style="font-weight: 600; color: #4A4A1F; font-size: 14px;">Prep: ${recipe.prep_time || 'N/A'}</div></div>`;
-html += `<div style="text-align: center; flex: 1; min-width: 80px;"><div style="font-size: 28px; margin-bottom: 4px;">🔥</div><div style="font-weight: 600; color: #4A4A1F; font-size: 14px;">Cook: ${recipe.cook_time || 'N/A'}</div></div>`;
-html += `<div style="text-align: center; flex: 1; min-width: 80px;"><div style="font-size: 28px; margin-bottom: 4px;">🍽️</div><div style="font-weight: 600; color: #4A4A1F; font-size: 14px;">Servings: ${recipe.servings || 'N/A'}</div></div>`;
-html += ‘</div>’;
-
-// Tags
-if (recipe.tags && recipe.tags.length > 0) {
-html += ‘<div style="display: flex; justify-content: center; flex-wrap: wrap; gap: 8px; margin-bottom: 16px;">’;
-recipe.tags.forEach(tag => {
-html += `<span class="tag">${tag}</span>`;
-});
-html += ‘</div>’;
-}
+  let html = '<div class="rec-details">';
 
-// Toggle buttons
-html += ‘<div class="recipe-toggles">’;
-html += ‘<button class="recipe-toggle active" onclick="switchRecipeTab(\'ingredients\')">📝 Ingredients</button>’;
-html += ‘<button class="recipe-toggle" onclick="switchRecipeTab(\'instructions\')">👩🏻‍🍳 Instructions</button>’;
-html += ‘</div>’;
+  // Info row
+  html += '<div style="display: flex; gap: 16px; justify-content: center; margin-bottom: 12px; flex-wrap: wrap;">';
+  html += `<div style="text-align: center; flex: 1; min-width: 80px;"><div style="font-size: 28px; margin-bottom: 4px;">⏱️</div><div style="font-weight: 600; color: #4A4A1F; font-size: 14px;">Prep: ${recipe.prep_time || 'N/A'}</div></div>`;
+  html += `<div style="text-align: center; flex: 1; min-width: 80px;"><div style="font-size: 28px; margin-bottom: 4px;">🔥</div><div style="font-weight: 600; color: #4A4A1F; font-size: 14px;">Cook: ${recipe.cook_time || 'N/A'}</div></div>`;
+  html += `<div style="text-align: center; flex: 1; min-width: 80px;"><div style="font-size: 28px; margin-bottom: 4px;">🍽️</div><div style="font-weight: 600; color: #4A4A1F; font-size: 14px;">Servings: <span id="servings-label">${recipe.servings || 'N/A'}</span></div></div>`;
+  html += '</div>';
 
-// Content box
-html += ‘<div class="recipe-content-box">’;
+  // Servings stepper (only when there's a number to scale from)
+  const servings = parseServings(recipe.original_servings || recipe.servings);
+  if (recipe.id && servings) {
+    const count = recipe.servings_count || servings.count;
+    html += `<div class="servings-stepper" id="servings-stepper" data-recipe-id="${recipe.id}" data-servings="${count}" data-units="${recipe.units || ''}">`;
+    html += '<button onclick="changeServings(-1)">−</button>';
+    html += `<span id="servings-count">${count}</span>`;
+    html += '<button onclick="changeServings(1)">+</button>';
+    html += `<button class="units-toggle" onclick="toggleRecipeUnits()">${recipe.units === 'metric' ? 'US units' : 'Metric'}</button>`;
+    html += '</div>';
+  }
 
-// Ingredients
-html += ‘<div id="ingredients-section" class="recipe-section active">’;
-if (recipe.ingredients) {
-const ingredients = recipe.ingredients.split(’\n’).filter(i => i.trim());
-html += ‘<ul>’;
-ingredients.forEach(ing => {
-html += `<li>${ing.trim()}</li>`;
-});
-html += ‘</ul>’;
-} else {
-html += ‘<p>No ingredients listed.</p>’;
-}
-html += ‘</div>’;
+  // Tags
+  if (recipe.tags && recipe.tags.length > 0) {
+    html += '<div style="display: flex; justify-content: center; flex-wrap: wrap; gap: 8px; margin-bottom: 16px;">';
+    recipe.tags.forEach(tag => {
+      html += `<span class="tag">${tag}</span>`;
+    });
+    html += '</div>';
+  }
 
-// Instructions
-html += ‘<div id="instructions-section" class="recipe-section">’;
-if (recipe.directions) {
-html += `<p>${recipe.directions.replace(/\n/g, '<br><br>')}</p>`;
-} else {
-html += ‘<p>No instructions available.</p>’;
-}
-html += ‘</div>’;
+  // Toggle buttons
+  html += '<div class="recipe-toggles">';
+  html += '<button class="recipe-toggle active" onclick="switchRecipeTab(\'ingredients\')">📝 Ingredients</button>';
+  html += '<button class="recipe-toggle" onclick="switchRecipeTab(\'instructions\')">👩🏻‍🍳 Instructions</button>';
+  html += '</div>';
+
+  // Content box
+  html += '<div class="recipe-content-box">';
+
+  // Ingredients
+  html += '<div id="ingredients-section" class="recipe-section active">';
+  if (recipe.scaled_ingredients && recipe.scaled_ingredients.length > 0) {
+    html += '<ul>';
+    let section = null;
+    recipe.scaled_ingredients.forEach(ing => {
+      if (ing.section && ing.section !== section) {
+        html += `<li style="list-style: none; margin-left: -18px;"><strong>${ing.section}</strong></li>`;
+      }
+      section = ing.section;
+      html += `<li>${ing.text}</li>`;
+    });
+    html += '</ul>';
+  } else if (recipe.ingredients) {
+    const ingredients = recipe.ingredients.split('\n').filter(i => i.trim());
+    html += '<ul>';
+    ingredients.forEach(ing => {
+      html += `<li>${ing.trim()}</li>`;
+    });
+    html += '</ul>';
+  } else {
+    html += '<p>No ingredients listed.</p>';
+  }
+  html += '</div>';
+
+  // Instructions
+  html += '<div id="instructions-section" class="recipe-section">';
+  if (recipe.directions) {
+    html += `<p>${recipe.directions.replace(/\n/g, '<br><br>')}</p>`;
+  } else {
+    html += '<p>No instructions available.</p>';
+  }
+  html += '</div>';
 
-html += ‘</div>’; // Close recipe-content-box
+  html += '</div>'; // Close recipe-content-box
 
-// Source button
-if (recipe.source_url) {
-html += `<div style="margin-top: 24px; text-align: center;"><a href="${recipe.source_url}" target="_blank" style="display: inline-block; padding: 12px 24px; background: #FF9800; color: white; text-decoration: none; font-weight: 800; border-radius: 8px; border: 4px solid #4A4A1F; transition: all 0.2s ease;">🌐 View Original Recipe</a></div>`;
-}
+  // Source button
+  if (recipe.source_url) {
+    html += `<div style="margin-top: 24px; text-align: center;"><a href="${recipe.source_url}" target="_blank" style="display: inline-block; padding: 12px 24px; background: #FF9800; color: white; text-decoration: none; font-weight: 800; border-radius: 8px; border: 4px solid #4A4A1F; transition: all 0.2s ease;">🌐 View Original Recipe</a></div>`;
+  }
 
-html += ‘</div>’;
+  html += '</div>';
 
-return html;
+  return html;
 }
 
 // Get AI takeout suggestion (called when user clicks button)
-app.get(’/ai-takeout-suggestion’, async (req, res) => {
+app.get('/ai-takeout-suggestion', async (req, res) => {
 try {
 const { filters } = req.query;
-const filterArray = filters ? filters.split(’,’).filter(f => f) : [];
+const filterArray = filters ? filters.split(',').filter(f => f) : [];
 
-```
 // Map filter IDs to characteristics
 const filterCharacteristics = {
   'cheap': 'affordable, budget-friendly',
@@ -1591,7 +4156,6 @@ const vibeDescription = selectedCharacteristics.length > 0
 
 // Generate AI recommendation with structured format
 const aiPrompt = `You are a local food expert for the Hazel Park, Michigan area (within 15 miles). 
-```
 
 The user is looking for takeout with these vibes: ${vibeDescription}
 
@@ -1599,45 +4163,24 @@ Suggest ONE specific, real restaurant that exists within 15 miles of Hazel Park,
 
 Respond ONLY with a JSON object in this exact format:
 {
-“name”: “Restaurant Name”,
-“description”: “2-3 sentence description of the restaurant and why it’s great”,
-“cuisine”: “Type of cuisine”,
-“address”: “Full street address”,
-“city”: “City, State”,
-“website”: “Full website URL (if known, otherwise leave empty string)”
+"name": "Restaurant Name",
+"description": "2-3 sentence description of the restaurant and why it's great",
+"cuisine": "Type of cuisine",
+"address": "Full street address",
+"city": "City, State",
+"website": "Full website URL (if known, otherwise leave empty string)"
 }
 
-Make sure it’s a REAL restaurant with good reviews that matches the vibe: ${vibeDescription}`;
+Make sure it's a REAL restaurant with good reviews that matches the vibe: ${vibeDescription}`;
 
-```
-const aiResponse = await fetch('https://api.anthropic.com/v1/messages', {
-  method: 'POST',
-  headers: {
-    'Content-Type': 'application/json',
-    'x-api-key': process.env.ANTHROPIC_API_KEY,
-    'anthropic-version': '2023-06-01'
-  },
-  body: JSON.stringify({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 400,
-    messages: [{
-      role: 'user',
-      content: aiPrompt
-    }]
-  })
+const { data: suggestion } = await ai.completeJSON({
+  feature: 'takeout_suggestion',
+  householdId: req.householdId,
+  prompt: aiPrompt,
+  maxTokens: 400,
+  expect: 'object'
 });
 
-const aiData = await aiResponse.json();
-const aiText = aiData.content[0].text;
-
-// Parse JSON from response
-const jsonMatch = aiText.match(/\{[\s\S]*\}/);
-if (!jsonMatch) {
-  throw new Error('Could not parse AI response');
-}
-
-const suggestion = JSON.parse(jsonMatch[0]);
-
 // Build HTML with the structured data
 let html = `
   <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
@@ -1689,346 +4232,187 @@ res.json({
   recommendation: html
 });
 
-// Track AI usage (AI takeout suggestion costs ~$0.01)
-await trackAIUsage('takeout_suggestion', 0.01);
-```
-
 } catch (error) {
-console.error(‘Error generating AI suggestion:’, error);
-res.status(500).json({
-error: ‘Could not generate AI suggestion. Please try again.’
-});
+if (ai.isBudgetExceeded(error)) {
+return res.status(429).json({ error: error.message, budgetExceeded: true });
 }
-});
-
-// Get AI usage statistics
-app.get(’/api/ai-usage’, async (req, res) => {
-try {
-const stats = await pool.query(`SELECT  SUM(estimated_cost) as total_all_time, SUM(CASE WHEN created_at >= NOW() - INTERVAL '1 day' THEN estimated_cost ELSE 0 END) as total_today, SUM(CASE WHEN created_at >= NOW() - INTERVAL '7 days' THEN estimated_cost ELSE 0 END) as total_week, SUM(CASE WHEN created_at >= NOW() - INTERVAL '30 days' THEN estimated_cost ELSE 0 END) as total_month, COUNT(*) as total_calls, COUNT(CASE WHEN created_at >= NOW() - INTERVAL '1 day' THEN 1 END) as calls_today FROM ai_usage`);
-
-```
-const breakdown = await pool.query(`
-  SELECT 
-    feature,
-    COUNT(*) as count,
-    SUM(estimated_cost) as total_cost
-  FROM ai_usage
-  WHERE created_at >= NOW() - INTERVAL '30 days'
-  GROUP BY feature
-  ORDER BY total_cost DESC
-`);
-
-res.json({
-  success: true,
-  stats: stats.rows[0],
-  breakdown: breakdown.rows
-});
-```
-
-} catch (error) {
-console.error(‘Error fetching AI usage:’, error);
-res.status(500).json({ error: ‘Could not fetch AI usage stats’ });
+if (ai.isNotConfigured(error)) {
+return res.status(503).json({ error: error.message });
 }
+console.error('Error generating AI suggestion:', error);
+res.status(500).json({
+error: 'Could not generate AI suggestion. Please try again.'
 });
-
-// Debug endpoint: View AI tags for recipes (for monitoring system learning)
-app.get(’/api/ai-tags-debug’, async (req, res) => {
-try {
-const result = await pool.query(`SELECT  id, name, tags, ai_tags, ai_tag_metadata, (SELECT COUNT(*) FROM unnest(ai_tags)) as ai_tag_count FROM meals WHERE meal_type = 'recipe' AND ai_tags IS NOT NULL AND array_length(ai_tags, 1) > 0 ORDER BY ai_tag_metadata->>'last_updated' DESC NULLS LAST LIMIT 50`);
-
-```
-// Count total recipes with AI tags
-const statsResult = await pool.query(`
-  SELECT 
-    COUNT(*) as total_recipes,
-    COUNT(CASE WHEN ai_tags IS NOT NULL AND array_length(ai_tags, 1) > 0 THEN 1 END) as recipes_with_ai_tags,
-    AVG(array_length(ai_tags, 1)) as avg_ai_tags_per_recipe
-  FROM meals
-  WHERE meal_type = 'recipe'
-`);
-
-res.json({
-  success: true,
-  stats: statsResult.rows[0],
-  recipes: result.rows
-});
-```
-
-} catch (error) {
-console.error(‘Error fetching AI tags:’, error);
-res.status(500).json({ error: ‘Could not fetch AI tags debug info’ });
 }
 });
 
-// ==================== FORCE ADD AI TAGS COLUMNS ====================
-// Simple endpoint to add ai_tags columns if migration didn’t work
-app.get(’/add-ai-tags-columns’, async (req, res) => {
-try {
-await pool.query(`ALTER TABLE meals ADD COLUMN IF NOT EXISTS ai_tags TEXT[] DEFAULT ARRAY[]::TEXT[];`);
-
-```
-await pool.query(`
-  ALTER TABLE meals ADD COLUMN IF NOT EXISTS ai_tag_metadata JSONB DEFAULT '{}'::JSONB;
-`);
-
-await pool.query(`
-  CREATE INDEX IF NOT EXISTS idx_meals_ai_tags ON meals USING GIN(ai_tags);
-`);
-
-res.send(`
-  <html>
-  <head>
-    <style>
-      body { font-family: sans-serif; padding: 40px; max-width: 600px; margin: 0 auto; }
-      .success { background: #E8F5E9; padding: 20px; border-radius: 8px; border: 2px solid #4CAF50; margin: 20px 0; }
-      .btn { background: #667eea; color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; display: inline-block; font-weight: bold; margin: 10px 5px; }
-    </style>
-  </head>
-  <body>
-    <h1>✅ AI Tags Columns Added!</h1>
-    
-    <div class="success">
-      <p><strong>Success!</strong> The following columns have been added to your database:</p>
-      <ul>
-        <li><code>ai_tags</code> - Array of AI-generated tags</li>
-        <li><code>ai_tag_metadata</code> - Tracking metadata</li>
-        <li><code>idx_meals_ai_tags</code> - Fast search index</li>
-      </ul>
-    </div>
-    
-    <h3>Next Step:</h3>
-    <p>Now you can generate AI tags for all recipes!</p>
-    
-    <a href="/generate-all-ai-tags" class="btn">🏷️ Generate AI Tags ($2.50)</a>
-    <a href="/" class="btn" style="background: #999;">Go Home</a>
-  </body>
-  </html>
-`);
-```
+// The household's AI usage and cost from ai_usage. Rows without token counts
+// predate per-call accounting and only hold a guessed cost (`estimated_calls`).
+// ?days= sets the window for the daily and per-feature breakdowns (default 30).
+// `budget` is deployment-wide, since the limits are.
+app.get('/api/ai-usage', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+
+    const stats = await pool.query(`
+      SELECT
+        COALESCE(SUM(estimated_cost), 0) as total_all_time,
+        COALESCE(SUM(CASE WHEN created_at >= NOW() - INTERVAL '1 day' THEN estimated_cost ELSE 0 END), 0) as total_today,
+        COALESCE(SUM(CASE WHEN created_at >= NOW() - INTERVAL '7 days' THEN estimated_cost ELSE 0 END), 0) as total_week,
+        COALESCE(SUM(CASE WHEN created_at >= NOW() - INTERVAL '30 days' THEN estimated_cost ELSE 0 END), 0) as total_month,
+        COUNT(*)::int as total_calls,
+        COUNT(CASE WHEN created_at >= NOW() - INTERVAL '1 day' THEN 1 END)::int as calls_today,
+        COUNT(CASE WHEN NOT success THEN 1 END)::int as failed_calls,
+        COUNT(CASE WHEN success AND input_tokens IS NULL THEN 1 END)::int as estimated_calls,
+        COALESCE(SUM(input_tokens), 0)::bigint as input_tokens,
+        COALESCE(SUM(output_tokens), 0)::bigint as output_tokens
+      FROM ai_usage
+      WHERE household_id = $1
+    `, [req.householdId]);
+
+    const breakdown = await pool.query(`
+      SELECT
+        feature,
+        COUNT(*)::int as count,
+        COUNT(CASE WHEN NOT success THEN 1 END)::int as failures,
+        SUM(estimated_cost) as total_cost,
+        COALESCE(SUM(input_tokens), 0)::bigint as input_tokens,
+        COALESCE(SUM(output_tokens), 0)::bigint as output_tokens,
+        ROUND(AVG(latency_ms))::int as avg_latency_ms
+      FROM ai_usage
+      WHERE household_id = $2 AND created_at >= NOW() - $1 * INTERVAL '1 day'
+      GROUP BY feature
+      ORDER BY total_cost DESC, count DESC
+    `, [days, req.householdId]);
+
+    const daily = await pool.query(`
+      SELECT
+        to_char(created_at::date, 'YYYY-MM-DD') as day,
+        COUNT(*)::int as calls,
+        COUNT(CASE WHEN NOT success THEN 1 END)::int as failures,
+        SUM(estimated_cost) as total_cost,
+        COALESCE(SUM(input_tokens), 0)::bigint as input_tokens,
+        COALESCE(SUM(output_tokens), 0)::bigint as output_tokens
+      FROM ai_usage
+      WHERE household_id = $2 AND created_at >= NOW() - $1 * INTERVAL '1 day'
+      GROUP BY created_at::date
+      ORDER BY day DESC
+    `, [days, req.householdId]);
+
+    const models = await pool.query(`
+      SELECT model, COUNT(*)::int as count, SUM(estimated_cost) as total_cost
+      FROM ai_usage
+      WHERE household_id = $2 AND created_at >= NOW() - $1 * INTERVAL '1 day' AND model IS NOT NULL
+      GROUP BY model
+      ORDER BY total_cost DESC
+    `, [days, req.householdId]);
 
-} catch (error) {
-res.send(`<html> <head> <style> body { font-family: sans-serif; padding: 40px; max-width: 600px; margin: 0 auto; } .error { background: #FFEBEE; padding: 20px; border-radius: 8px; border: 2px solid #f44; margin: 20px 0; } </style> </head> <body> <h1>❌ Error</h1> <div class="error"> <p><strong>Error:</strong> ${error.message}</p> <p>The columns might already exist (which is fine!) or there's a database issue.</p> </div> <a href="/generate-all-ai-tags">Try generating AI tags anyway</a> | <a href="/">Go home</a> </body> </html>`);
-}
+    res.json({
+      success: true,
+      days,
+      budget: await ai.budgetStatus(),
+      stats: stats.rows[0],
+      breakdown: breakdown.rows,
+      daily: daily.rows,
+      models: models.rows,
+      prices: ai.config().prices
+    });
+  } catch (error) {
+    console.error('Error fetching AI usage:', error);
+    res.status(500).json({ error: 'Could not fetch AI usage stats' });
+  }
 });
 
-// ==================== BULK AI TAG GENERATION ====================
-// One-time endpoint to generate AI tags for all recipes
-// Cost: ~$2.50 for 162 recipes (cheaper than doing via Smart Match)
-app.get(’/generate-all-ai-tags’, async (req, res) => {
-// Confirm parameter to prevent accidental runs
-if (req.query.confirm !== ‘yes’) {
-return res.send(`
-<html>
-<head>
-<style>
-body { font-family: sans-serif; padding: 40px; max-width: 700px; margin: 0 auto; }
-.cost { background: #FFF3CD; padding: 20px; border-radius: 8px; border: 2px solid #FFC107; margin: 20px 0; }
-.warning { background: #FEE; padding: 20px; border-radius: 8px; border: 2px solid #f88; margin: 20px 0; }
-.btn { background: #4CAF50; color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; display: inline-block; font-weight: bold; margin: 10px 5px; }
-.btn-cancel { background: #999; }
-</style>
-</head>
-<body>
-<h1>🏷️ Bulk AI Tag Generation</h1>
-<p>This will generate AI tags for <strong>all 162 recipes</strong> in one batch.</p>
-
-```
-    <div class="cost">
-      <h3>💰 Cost Estimate</h3>
-      <ul>
-        <li><strong>Total Cost:</strong> ~$2.50 (162 recipes × $0.015)</li>
-        <li><strong>Time:</strong> ~3-4 minutes</li>
-        <li><strong>Benefit:</strong> Entire library gets AI tags immediately</li>
-      </ul>
-    </div>
-    
-    <div class="warning">
-      <h3>⚠️ Important Notes</h3>
-      <ul>
-        <li>This will APPEND tags (not replace existing AI tags)</li>
-        <li>Recipes that already have AI tags will get more (safe)</li>
-        <li>Cost is tracked automatically</li>
-        <li>Quick Pick will immediately benefit from these tags</li>
-      </ul>
-    </div>
-    
-    <h3>Ready to proceed?</h3>
-    <a href="/generate-all-ai-tags?confirm=yes" class="btn">✅ Yes, Generate AI Tags ($2.50)</a>
-    <a href="/" class="btn btn-cancel">❌ Cancel</a>
-  </body>
-  </html>
-`);
-```
-
-}
-
-// Set headers for streaming response
-res.setHeader(‘Content-Type’, ‘text/html; charset=utf-8’);
-res.setHeader(‘Transfer-Encoding’, ‘chunked’);
-
-res.write(`<html> <head> <style> body { font-family: monospace; padding: 40px; background: #1e1e1e; color: #d4d4d4; } .success { color: #4ade80; } .error { color: #f87171; } .info { color: #60a5fa; } .progress { color: #fbbf24; font-weight: bold; } </style> </head> <body> <h1 style="color: #667eea;">🏷️ Bulk AI Tag Generation</h1> <pre>`);
-
-const startTime = Date.now();
-let successCount = 0;
-let errorCount = 0;
-let totalCost = 0;
-
-try {
-res.write(`<span class="info">📋 Fetching all recipes...</span>\n`);
-
-```
-const result = await pool.query(`
-  SELECT id, name, ingredients, directions, prep_time, cook_time, servings, tags, ai_tags
-  FROM meals
-  WHERE meal_type = 'recipe'
-  ORDER BY name ASC
-`);
-
-const recipes = result.rows;
-res.write(`<span class="success">✅ Found ${recipes.length} recipes</span>\n\n`);
-
-// Process recipes one at a time (safer, easier to debug)
-for (let i = 0; i < recipes.length; i++) {
-  const recipe = recipes[i];
-  const recipeNum = i + 1;
-  const recipeName = recipe.name.substring(0, 50).padEnd(50);
-  
-  // Show progress every 10 recipes
-  if (i % 10 === 0 && i > 0) {
-    res.write(`<span class="progress">\n📊 Progress: ${i}/${recipes.length} (${Math.round(i/recipes.length*100)}%)</span>\n\n`);
-  }
-  
+// Debug endpoint: View AI tags for your household's recipes (admins only).
+// Each recipe's AI tags come with their weight (see ai-tags.js), how often
+// and when they were suggested, and by which features.
+app.get('/api/ai-tags-debug', auth.requireAdmin, async (req, res) => {
   try {
-    const prompt = `Analyze this recipe and generate 5-10 descriptive AI tags.
-```
-
-**Recipe Name:** ${recipe.name}
-**Ingredients:** ${recipe.ingredients ? recipe.ingredients.substring(0, 300) : ‘N/A’}
-**Directions:** ${recipe.directions ? recipe.directions.substring(0, 300) : ‘N/A’}
-**Prep Time:** ${recipe.prep_time || ‘N/A’}
-**Cook Time:** ${recipe.cook_time || ‘N/A’}
-**Current Tags:** ${recipe.tags ? recipe.tags.join(’, ’) : ‘None’}
-
-Generate 5-10 descriptive tags that capture:
-
-- Cooking context (weeknight friendly, special occasion, meal prep suitable)
-- Ingredient characteristics (pantry staples, needs specialty items, budget friendly)
-- Meal characteristics (leftovers well, feeds a crowd, scales easily, reheats well)
-- Flavor profiles (rich, light, tangy, savory-forward, sweet, spicy)
-- Practical aspects (one pot, make ahead, freezable, quick cleanup)
-
-Tags should be lowercase, short phrases (2-4 words).
-
-Respond ONLY with a JSON array (no markdown, no backticks):
-[“tag 1”, “tag 2”, “tag 3”, “tag 4”, “tag 5”]`;
+    const rows = await loadAiTags(pool, { householdId: req.householdId });
+    const recipes = new Map();
+    for (const row of rows) {
+      if (!recipes.has(row.meal_id)) {
+        recipes.set(row.meal_id, { id: row.meal_id, name: row.name, tags: row.tags, last_seen_at: null, ai_tags: [] });
+      }
+      const recipe = recipes.get(row.meal_id);
+      recipe.ai_tags.push({
+        tag: row.tag,
+        weight: Math.round(row.weight * 1000) / 1000,
+        count: row.count,
+        sources: row.sources,
+        first_seen_at: row.first_seen_at,
+        last_seen_at: row.last_seen_at
+      });
+      if (!recipe.last_seen_at || row.last_seen_at > recipe.last_seen_at) recipe.last_seen_at = row.last_seen_at;
+    }
+    const recent = [...recipes.values()].sort((a, b) => b.last_seen_at - a.last_seen_at).slice(0, 50);
+
+    // Count total recipes with AI tags
+    const statsResult = await pool.query(`
+      SELECT 
+        COUNT(*) as total_recipes,
+        COUNT(CASE WHEN ai_tags IS NOT NULL AND array_length(ai_tags, 1) > 0 THEN 1 END) as recipes_with_ai_tags,
+        AVG(array_length(ai_tags, 1)) as avg_ai_tags_per_recipe
+      FROM meals
+      WHERE meal_type = 'recipe' AND household_id = $1
+    `, [req.householdId]);
 
-```
-    const aiResponse = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': process.env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
+    res.json({
+      success: true,
+      stats: {
+        ...statsResult.rows[0],
+        total_ai_tags: rows.length,
+        reinforced_ai_tags: rows.filter(row => row.count > 1).length,
+        stale_ai_tags: rows.filter(row => row.weight < MIN_WEIGHT).length
       },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 200,
-        messages: [{ role: 'user', content: prompt }]
-      })
+      weighting: { fullConfidenceCount: FULL_CONFIDENCE_COUNT, halfLifeDays: HALF_LIFE_DAYS, minWeight: MIN_WEIGHT },
+      recipes: recent
     });
-    
-    const aiData = await aiResponse.json();
-    
-    if (!aiResponse.ok) {
-      throw new Error(aiData.error?.message || 'API error');
-    }
-    
-    const aiText = aiData.content[0].text.trim();
-    const cleanText = aiText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    const aiTags = JSON.parse(cleanText);
-    
-    if (Array.isArray(aiTags) && aiTags.length > 0) {
-      // Save AI tags to database
-      await pool.query(`
-        UPDATE meals 
-        SET ai_tags = array_cat(COALESCE(ai_tags, ARRAY[]::text[]), $1::text[]),
-            ai_tag_metadata = jsonb_set(
-              COALESCE(ai_tag_metadata, '{}'::jsonb),
-              '{last_updated}',
-              to_jsonb(now())
-            )
-        WHERE id = $2
-      `, [aiTags, recipe.id]);
-      
-      // Track cost
-      const cost = 0.015;
-      await trackAIUsage('bulk_ai_tagging', cost);
-      totalCost += cost;
-      
-      successCount++;
-      res.write(`  <span class="success">[${recipeNum}/${recipes.length}] ${recipeName} ✅ ${aiTags.length} tags</span>\n`);
-    } else {
-      errorCount++;
-      res.write(`  <span class="error">[${recipeNum}/${recipes.length}] ${recipeName} ⚠️  parse error</span>\n`);
-    }
-    
-    // Small delay to avoid rate limits
-    await new Promise(resolve => setTimeout(resolve, 200));
-    
   } catch (error) {
-    errorCount++;
-    res.write(`  <span class="error">[${recipeNum}/${recipes.length}] ${recipeName} ❌ ${error.message.substring(0, 40)}</span>\n`);
+    console.error('Error fetching AI tags:', error);
+    res.status(500).json({ error: 'Could not fetch AI tags debug info' });
   }
-}
-
-const duration = ((Date.now() - startTime) / 1000 / 60).toFixed(1);
-
-res.write(`\n<span class="success">✅ AI Tag generation complete in ${duration} minutes!</span>\n`);
-res.write(`<span class="info">   Success: ${successCount} recipes</span>\n`);
-res.write(`<span class="info">   Errors: ${errorCount} recipes</span>\n`);
-res.write(`<span class="info">   Total Cost: $${totalCost.toFixed(2)}</span>\n\n`);
-
-// Show coverage stats
-res.write(`<span class="info">📊 AI Tag Coverage:</span>\n`);
-const stats = await pool.query(`
-  SELECT 
-    COUNT(*) as total,
-    COUNT(CASE WHEN ai_tags IS NOT NULL AND array_length(ai_tags, 1) > 0 THEN 1 END) as has_tags,
-    ROUND(100.0 * COUNT(CASE WHEN ai_tags IS NOT NULL AND array_length(ai_tags, 1) > 0 THEN 1 END) / COUNT(*), 1) as coverage_pct,
-    AVG(array_length(ai_tags, 1)) as avg_tags
-  FROM meals
-  WHERE meal_type = 'recipe'
-`);
-
-const stat = stats.rows[0];
-res.write(`   Total Recipes: ${stat.total}\n`);
-res.write(`   With AI Tags: ${stat.has_tags} (${stat.coverage_pct}%)\n`);
-res.write(`   Avg Tags/Recipe: ${parseFloat(stat.avg_tags).toFixed(1)}\n`);
-
-res.write(`\n<span class="success">🎉 Your recipe library is now supercharged with AI tags!</span>\n`);
-res.write(`<span class="info">Quick Pick will now use these tags as fallback for better matching.</span>\n\n`);
+});
 
-res.write(`
-  </pre>
-  <p style="margin-top: 30px;"><a href="/" style="background: #3b82f6; color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; display: inline-block; font-weight: bold;">Go to App</a></p>
-  <p style="margin-top: 10px;"><a href="/api/ai-tags-debug" style="background: #9C27B0; color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; display: inline-block; font-weight: bold;">View AI Tags</a></p>
-</body></html>
-`);
-```
+// Prune the household's AI tags now: ones that have faded below the minimum
+// weight and the weaker side of contradicting pairs. Saving AI tags prunes
+// that recipe, but tags only go stale with time. (admins only)
+app.post('/api/ai-tags/prune', auth.requireAdmin, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const removed = await pruneAiTags({ householdId: req.householdId }, client);
+    await client.query('COMMIT');
 
-} catch (error) {
-res.write(`\n<span class="error">❌ Fatal Error: ${error.message}</span>\n`);
-res.write(`</pre> <p><a href="/">Go back</a></p> </body></html>`);
-} finally {
-res.end();
-}
+    console.log(`🧹 Pruned ${removed.length} AI tags`);
+    res.json({ success: true, removed });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error pruning AI tags:', error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
+  }
 });
-// ==================== END BULK AI TAG GENERATION ====================
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-console.log(`Server running on port ${PORT}`);
-console.log(`API Key configured: ${!!process.env.ANTHROPIC_API_KEY}`);
-console.log(`Database URL configured: ${!!process.env.DATABASE_URL}`);
-console.log(`\n🔧 To run database migration, visit: /run-migration\n`);
-});
\ No newline at end of file
+
+// Bring the schema up to date (and make sure someone can sign in) before
+// serving any routes
+runMigrations()
+  .then(() => auth.ensureAdminUser())
+  .then(() => {
+    jobs.startJobWorker();
+    app.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
+      console.log(`API Key configured: ${!!process.env.ANTHROPIC_API_KEY}`);
+      console.log(`AI provider: ${ai.config().provider} (${ai.config().model})`);
+      const aiProblem = ai.configurationProblem();
+      if (aiProblem) console.error(`⚠️ ${aiProblem}. AI features will fail until this is fixed.`);
+      console.log(`Database URL configured: ${!!process.env.DATABASE_URL}`);
+    });
+  })
+  .catch(error => {
+    console.error('❌ Database migration failed, not starting server:', error);
+    process.exit(1);
+  });
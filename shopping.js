@@ -0,0 +1,189 @@
+// Shopping lists: merges parsed ingredients (see ingredients.js) from several
+// recipes into one list, combining like items across units and grouping them
+// by store aisle.
+
+const { normalizeIngredientName } = require('./ingredients');
+const { convertQuantity, formatIngredient, VOLUME_ML, WEIGHT_G } = require('./scaling');
+
+// Aisles in the order we walk the store. Keywords are singular and matched
+// as whole words; the longest matching keyword wins, so "garlic powder" is a
+// spice while "garlic" is produce.
+const AISLES = {
+  'produce': [
+    'onion', 'red onion', 'white onion', 'yellow onion', 'green onion', 'scallion', 'shallot',
+    'garlic', 'garlic clove', 'ginger', 'lemon', 'lime', 'lemon zest', 'lemon juice', 'lime juice',
+    'tomato', 'cherry tomato', 'grape tomato', 'roma tomato', 'potato', 'sweet potato', 'carrot',
+    'celery', 'cucumber', 'bell pepper', 'red bell pepper', 'red pepper', 'jalapeño', 'jalapeno',
+    'avocado', 'spinach', 'kale', 'lettuce', 'romaine', 'arugula', 'cabbage', 'broccoli',
+    'cauliflower', 'zucchini', 'squash', 'eggplant', 'mushroom', 'corn', 'ear of corn', 'green bean',
+    'cilantro', 'parsley', 'basil', 'dill', 'mint', 'chive', 'thyme', 'rosemary', 'herb',
+    'sage', 'green', 'leafy green', 'asparagus', 'radish', 'brussels sprout', 'tofu',
+    'apple', 'banana', 'pineapple', 'berry', 'strawberry', 'blueberry', 'blackberry', 'fruit'
+  ],
+  'meat & seafood': [
+    'chicken', 'chicken breast', 'chicken thigh', 'beef', 'ground beef', 'steak', 'pork', 'bacon',
+    'sausage', 'chorizo', 'ham', 'turkey', 'ground turkey', 'lamb', 'shrimp', 'salmon', 'fish', 'cod'
+  ],
+  'dairy & eggs': [
+    'milk', 'whole milk', 'butter', 'unsalted butter', 'salted butter', 'cream', 'heavy cream',
+    'sour cream', 'cream cheese', 'half and half', 'cheese', 'cheddar', 'parmesan', 'mozzarella',
+    'feta', 'monterey jack', 'ricotta', 'yogurt', 'greek yogurt', 'egg', 'egg yolk', 'egg white'
+  ],
+  'bakery': ['bread', 'tortilla', 'bun', 'pita', 'naan', 'baguette', 'roll'],
+  'canned & jarred': [
+    'bean', 'black bean', 'white bean', 'refried bean', 'kidney bean', 'chickpea', 'tomato paste',
+    'tomato sauce', 'crushed tomato', 'diced tomato', 'broth', 'stock', 'chicken stock',
+    'chicken broth', 'vegetable stock', 'vegetable broth', 'salsa', 'olive', 'kalamata olive',
+    'roasted red pepper', 'coconut milk', 'adobo sauce', 'chipotle'
+  ],
+  'condiments & sauces': [
+    'mayonnaise', 'mayo', 'ketchup', 'mustard', 'dijon mustard', 'soy sauce', 'tamari',
+    'hot sauce', 'sriracha', 'worcestershire sauce', 'bbq sauce', 'vinegar', 'red wine vinegar',
+    'white wine vinegar', 'rice vinegar', 'balsamic vinegar', 'apple cider vinegar', 'honey',
+    'maple syrup', 'tahini', 'hummus', 'peanut butter', 'jam', 'pesto', 'dressing', 'relish',
+    'miso', 'gochujang'
+  ],
+  'spices & seasonings': [
+    'salt', 'kosher salt', 'sea salt', 'garlic salt', 'pepper', 'black pepper', 'cayenne',
+    'red pepper flake', 'garlic powder', 'onion powder', 'paprika', 'smoked paprika', 'cumin',
+    'chili powder', 'oregano', 'dried oregano', 'dried basil', 'dried thyme', 'dried parsley',
+    'cinnamon', 'nutmeg', 'turmeric', 'italian seasoning', 'seasoning', 'bay leaf',
+    'vanilla', 'vanilla extract'
+  ],
+  'pantry': [
+    'flour', 'sugar', 'brown sugar', 'powdered sugar', 'baking powder', 'baking soda', 'cornstarch',
+    'oil', 'olive oil', 'vegetable oil', 'canola oil', 'sesame oil', 'rice', 'pasta', 'orzo',
+    'spaghetti', 'penne', 'rigatoni', 'fusilli', 'rotini', 'ziti', 'macaroni', 'fettuccine',
+    'linguine', 'noodle', 'quinoa', 'lentil', 'oat', 'breadcrumb', 'panko', 'chocolate chip',
+    'nut', 'almond', 'cashew', 'walnut', 'pecan', 'peanut', 'sesame seed', 'pumpkin seed',
+    'graham cracker'
+  ],
+  'frozen': ['frozen', 'ice cream'],
+  'beer & wine': ['wine', 'white wine', 'red wine', 'rosé', 'beer', 'vodka', 'rum', 'tequila', 'liqueur', 'schnapp']
+};
+const AISLE_ORDER = [...Object.keys(AISLES), 'other'];
+
+// Always on hand, never worth a line on the list
+const SKIPPED_ITEMS = ['water', 'cold water', 'warm water', 'hot water', 'boiling water', 'ice', 'ice water'];
+
+function aisleFor(name) {
+  const key = normalizeIngredientName(name);
+  if (/\bfrozen\b/.test(key)) return 'frozen';
+
+  let best = { aisle: 'other', length: 0 };
+  for (const [aisle, keywords] of Object.entries(AISLES)) {
+    for (const keyword of keywords) {
+      if (keyword.length > best.length && new RegExp(`\\b${keyword}\\b`).test(key)) {
+        best = { aisle, length: keyword.length };
+      }
+    }
+  }
+  return best.aisle;
+}
+
+// Quantities only add up within a dimension; everything else is bucketed by
+// unit. Cloves count like whole items ("2 garlic cloves" + "4 cloves garlic").
+function dimensionOf(unit) {
+  if (VOLUME_ML[unit]) return 'volume';
+  if (WEIGHT_G[unit]) return 'weight';
+  if (!unit || unit === 'clove') return 'count';
+  return unit;
+}
+
+// Build a merged, aisle-ordered list from
+//   [{ name: 'Recipe name', ingredients: [parsed rows], factor: 0.5 }]
+// Ranges ("2-3 cloves") take the upper bound so we don't come home short.
+function buildShoppingList(recipes) {
+  const groups = new Map();
+
+  for (const recipe of recipes) {
+    for (const ingredient of recipe.ingredients) {
+      if (!ingredient.name) continue;
+
+      const key = normalizeIngredientName(ingredient.name);
+      if (!key || SKIPPED_ITEMS.includes(key)) continue;
+
+      if (!groups.has(key)) {
+        groups.set(key, { name: ingredient.name, buckets: new Map(), recipes: new Set(), optional: true });
+      }
+      const group = groups.get(key);
+      // The shortest spelling tends to be the cleanest ("large eggs" over "large egg preferably organic")
+      if (ingredient.name.length < group.name.length) group.name = ingredient.name;
+      group.recipes.add(recipe.name);
+      group.optional = group.optional && ingredient.optional;
+
+      if (ingredient.quantity === null) continue;
+
+      const amount = (ingredient.quantity_max !== null ? ingredient.quantity_max : ingredient.quantity) * recipe.factor;
+      const dimension = dimensionOf(ingredient.unit);
+      const base = dimension === 'volume' ? amount * VOLUME_ML[ingredient.unit]
+        : dimension === 'weight' ? amount * WEIGHT_G[ingredient.unit]
+          : amount;
+      group.buckets.set(dimension, (group.buckets.get(dimension) || 0) + base);
+    }
+  }
+
+  const items = [];
+  for (const group of groups.values()) {
+    const common = {
+      aisle: aisleFor(group.name),
+      name: group.name,
+      recipes: [...group.recipes],
+      optional: group.optional
+    };
+
+    // "Salt to taste" with no amount anywhere is still worth listing
+    if (group.buckets.size === 0) {
+      items.push({ ...common, quantity: null, unit: null });
+      continue;
+    }
+
+    for (const [dimension, total] of group.buckets) {
+      let quantity = total;
+      let unit = dimension === 'count' ? null : dimension;
+      if (dimension === 'volume' || dimension === 'weight') {
+        const converted = convertQuantity(total, dimension === 'volume' ? 'ml' : 'g', group.name, 'us');
+        quantity = converted.quantity;
+        unit = converted.unit;
+      }
+      items.push({ ...common, quantity, unit });
+    }
+  }
+
+  items.sort((a, b) => AISLE_ORDER.indexOf(a.aisle) - AISLE_ORDER.indexOf(b.aisle) || a.name.localeCompare(b.name));
+  return items;
+}
+
+// "2 1/2 cups milk" for a stored shopping_list_items row
+function formatShoppingItem(item) {
+  return formatIngredient({
+    raw_text: item.name,
+    quantity: item.quantity,
+    quantity_max: null,
+    unit: item.unit,
+    name: item.name,
+    preparation: null,
+    optional: item.optional
+  });
+}
+
+// Plain-text export, one checkbox per line grouped under aisle headings
+function formatShoppingListText(list, items) {
+  const lines = [`🛒 ${list.name}`];
+  if (list.recipes && list.recipes.length > 0) {
+    lines.push(`For: ${list.recipes.map(recipe => recipe.recipe_name).join(', ')}`);
+  }
+
+  let aisle = null;
+  for (const item of items) {
+    if (item.aisle !== aisle) {
+      aisle = item.aisle;
+      lines.push('', aisle.toUpperCase());
+    }
+    lines.push(`[${item.checked ? 'x' : ' '}] ${formatShoppingItem(item)}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { buildShoppingList, formatShoppingItem, formatShoppingListText, aisleFor, AISLE_ORDER };
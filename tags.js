@@ -0,0 +1,180 @@
+// The tag taxonomy: each household's visible tags by category, with
+// synonyms, kept in the `tags` table (migration 018). The prompts that ask the
+// AI for tags, the home screen's cooking filter chips and Quick Pick's
+// AI-tag matching are all built from it, so adding, renaming or merging a
+// tag changes every one of them. Households start with DEFAULT_TAGS.
+//
+// Synonyms are lowercase. They widen Quick Pick's AI-tag matching ("weeknight"
+// for Quick) and map AI-suggested tags onto the canonical name; when a
+// synonym is also another tag's name, the name wins.
+
+const { pool } = require('./database');
+const { renameAiTag } = require('./ai-tags');
+
+const DEFAULT_CATEGORIES = [
+  ['Meal Type', ['Breakfast', 'Lunch', 'Dinner', 'Brunch', 'Snack']],
+  ['Course', ['Appetizer', 'Main Dish', 'Side Dish', 'Salad', 'Soup', 'Dessert', 'Beverage', 'Sauce/Condiment']],
+  ['Dietary', ['Vegetarian', 'Vegan', 'Gluten-Free', 'Dairy-Free', 'Nut-Free', 'Low-Carb', 'Keto', 'Paleo']],
+  ['Cuisine', [
+    'American', 'Italian', 'Mexican', 'Asian', 'Indian', 'Mediterranean', 'French', 'Thai', 'Korean',
+    'Japanese', 'Chinese', 'Greek', 'Middle Eastern'
+  ]],
+  ['Cooking Method', ['Baked', 'Grilled', 'Fried', 'Slow Cooker', 'Instant Pot', 'One-Pot', 'No-Cook', 'Roasted', 'Sautéed', 'Steamed']],
+  ['Time', ['Quick (< 30 min)', 'Medium (30-60 min)', 'Long (> 60 min)']],
+  ['Difficulty', ['Easy', 'Medium', 'Hard']],
+  ['Characteristics', [
+    'Healthy', 'Comfort Food', 'Kid-Friendly', 'Party Food', 'Make-Ahead', 'Meal Prep', 'Spicy', 'Sweet',
+    'Savory', 'Fresh', 'Hearty', 'Light'
+  ]]
+];
+
+const DEFAULT_SYNONYMS = {
+  'Main Dish': ['entree', 'main course', 'dinner'],
+  'Quick (< 30 min)': ['quick', 'fast', 'weeknight', '30 min'],
+  'Healthy': ['nutritious', 'light', 'fresh'],
+  'Hearty': ['filling', 'substantial', 'satisfying'],
+  'Comfort Food': ['comfort', 'cozy', 'indulgent', 'rich']
+};
+
+// Cooking filter chips: the id sent as ?filters=, icon, label (the tag's
+// name if left out) and page (1 "What course?", 2 "What vibe?")
+const DEFAULT_FILTERS = {
+  'Main Dish': { id: 'main-dish', icon: '🍽️', page: 1 },
+  'Salad': { id: 'salad', icon: '🥗', page: 1 },
+  'Side Dish': { id: 'side-dish', icon: '🥔', page: 1 },
+  'Dessert': { id: 'dessert', icon: '🍰', page: 1 },
+  'Appetizer': { id: 'appetizer', icon: '🥙', page: 1 },
+  'Soup': { id: 'soup', icon: '🍲', page: 1 },
+  'Quick (< 30 min)': { id: 'quick', icon: '⚡', label: 'Quick', page: 2 },
+  'Healthy': { id: 'healthy', icon: '🥗', page: 2 },
+  'Hearty': { id: 'filling', icon: '🍗', page: 2 },
+  'Hard': { id: 'complex', icon: '🎓', label: 'Complex', page: 2 },
+  'Comfort Food': { id: 'comfort', icon: '🧀', page: 2 }
+};
+
+const FILTER_PAGES = [1, 2];
+
+const DEFAULT_TAGS = DEFAULT_CATEGORIES.flatMap(([category, names]) => names.map(name => ({
+  category,
+  name,
+  synonyms: DEFAULT_SYNONYMS[name] || [],
+  filter: DEFAULT_FILTERS[name] || null
+})));
+
+// Give a household the default taxonomy. Takes a client so it can run inside
+// a transaction; tags it already has are left alone.
+async function seedTags(client, householdId) {
+  for (const [position, tag] of DEFAULT_TAGS.entries()) {
+    const filter = tag.filter || {};
+    await client.query(`
+      INSERT INTO tags (household_id, category, name, synonyms, filter_id, filter_icon, filter_label, filter_page, position)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT DO NOTHING
+    `, [householdId, tag.category, tag.name, tag.synonyms, filter.id || null, filter.icon || null, filter.label || null, filter.page || null, position]);
+  }
+}
+
+// A household's tag rows, in display order
+async function loadTags(householdId, client = pool) {
+  const result = await client.query('SELECT * FROM tags WHERE household_id = $1 ORDER BY position, id', [householdId]);
+  return result.rows;
+}
+
+// [{ category, tags: [name] }], categories in the order they first appear
+function tagCategories(tags) {
+  const categories = new Map();
+  for (const tag of tags) {
+    if (!categories.has(tag.category)) categories.set(tag.category, []);
+    categories.get(tag.category).push(tag.name);
+  }
+  return [...categories.entries()].map(([category, names]) => ({ category, tags: names }));
+}
+
+// The tag list as prompts give it: "Course: Appetizer, Main Dish, ..." per line
+function tagListPrompt(tags) {
+  return tagCategories(tags).map(({ category, tags: names }) => `${category}: ${names.join(', ')}`).join('\n');
+}
+
+// Cooking filter chips: [{ id, icon, label, page, tag }], by page
+function filterChips(tags) {
+  return tags
+    .filter(tag => tag.filter_id)
+    .map(tag => ({ id: tag.filter_id, icon: tag.filter_icon, label: tag.filter_label || tag.name, page: tag.filter_page, tag: tag.name }))
+    .sort((a, b) => a.page - b.page);
+}
+
+// Filter chip id -> tag name
+function filterTagMap(tags) {
+  return Object.fromEntries(filterChips(tags).map(filter => [filter.id, filter.tag]));
+}
+
+// Lowercase terms Quick Pick looks for in AI tags: each tag's name and its
+// synonyms. Names not in the taxonomy are looked for as they are.
+function matchTerms(tags, names) {
+  return [...new Set(names.flatMap(name => {
+    const tag = tags.find(t => t.name === name);
+    return [name.toLowerCase(), ...(tag ? tag.synonyms : [])];
+  }))];
+}
+
+// The canonical tag for a name or synonym, any case, or null
+function canonicalTag(tags, text) {
+  const key = String(text || '').trim().toLowerCase();
+  if (!key) return null;
+  const tag = tags.find(t => t.name.toLowerCase() === key) || tags.find(t => t.synonyms.includes(key));
+  return tag ? tag.name : null;
+}
+
+// Tags from the AI as canonical names, without repeats. Ones the taxonomy
+// doesn't know are dropped.
+function canonicalTags(tags, names) {
+  return [...new Set((names || []).map(name => canonicalTag(tags, name)).filter(Boolean))];
+}
+
+// Synonyms as stored: trimmed, lowercase, without repeats or blanks
+function normalizeSynonyms(synonyms) {
+  return [...new Set((synonyms || []).map(synonym => String(synonym).trim().toLowerCase()).filter(Boolean))];
+}
+
+// A tag list with `from` swapped for `to` (or dropped when to is null),
+// keeping the order and not repeating `to`
+function replaceTag(list, from, to) {
+  const replaced = (list || []).map(tag => (tag === from ? to : tag)).filter(tag => tag !== null);
+  return [...new Set(replaced)];
+}
+
+// Rewrite a tag on every one of a household's meals (recipes and takeout):
+// meals.tags exactly, and with aiTags also the AI tags (see ai-tags.js).
+// to = null removes it. Returns how many meals changed.
+async function rewriteMealTags(client, householdId, from, to, { aiTags = false } = {}) {
+  const result = await client.query(
+    'SELECT id, tags FROM meals WHERE household_id = $1 AND $2 = ANY(tags)',
+    [householdId, from]
+  );
+
+  for (const meal of result.rows) {
+    await client.query(
+      'UPDATE meals SET tags = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [replaceTag(meal.tags, from, to), meal.id]
+    );
+  }
+  const aiTagMealIds = aiTags ? await renameAiTag(client, householdId, from, to) : [];
+  return new Set([...result.rows.map(meal => meal.id), ...aiTagMealIds]).size;
+}
+
+module.exports = {
+  DEFAULT_TAGS,
+  FILTER_PAGES,
+  seedTags,
+  loadTags,
+  tagCategories,
+  tagListPrompt,
+  filterChips,
+  filterTagMap,
+  matchTerms,
+  canonicalTag,
+  canonicalTags,
+  normalizeSynonyms,
+  replaceTag,
+  rewriteMealTags
+};
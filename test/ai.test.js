@@ -0,0 +1,144 @@
+// ai.js offline: JSON extraction, the mock provider, pricing and budgets.
+// ai_usage reads and writes go to a stubbed pool.query; nothing calls the API.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+delete process.env.AI_PRICES;
+const { pool } = require('../database');
+const ai = require('../ai');
+
+const MOCK_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ai-test-')), 'responses.json');
+fs.writeFileSync(MOCK_FILE, JSON.stringify({
+  smart_match: { topChoice: 2, reasoning: 'Second one' },
+  suggest_tags: '```json\n["Dinner", "Easy"]\n```',
+  default: 'Plain text'
+}));
+
+// Set environment variables for one test, restoring them afterwards
+function setEnv(t, vars) {
+  const saved = {};
+  for (const [name, value] of Object.entries(vars)) {
+    saved[name] = process.env[name];
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  t.after(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+}
+
+function useMock(t, vars = {}) {
+  setEnv(t, { AI_PROVIDER: 'mock', AI_MOCK_FILE: MOCK_FILE, AI_DAILY_BUDGET: undefined, AI_MONTHLY_BUDGET: undefined, ...vars });
+}
+
+// pool.query answering the budget query with `spent`, recording every call
+function stubPool(t, spent = { today: '0', month: '0' }) {
+  return t.mock.method(pool, 'query', async sql => (/FROM ai_usage/.test(sql) ? { rows: [spent] } : { rows: [] }));
+}
+
+test('extracts JSON from fenced or chatty model text', () => {
+  assert.deepEqual(ai.extractJSON('```json\n{"a": 1}\n```'), { a: 1 });
+  assert.deepEqual(ai.extractJSON('Here you go: {"tags": ["x"]} Enjoy!'), { tags: ['x'] });
+  assert.deepEqual(ai.extractJSON('Picked {"a": 1} from [1, 2]', 'array'), [1, 2]);
+  assert.deepEqual(ai.extractJSON('Tags [optional]: ["Easy"]', 'array'), ['Easy']);
+  assert.deepEqual(ai.extractJSON('{"note": "use } and ] freely", "n": [1]}'), { note: 'use } and ] freely', n: [1] });
+  assert.throws(() => ai.extractJSON('No JSON here {oops'), /did not contain JSON/);
+});
+
+test('the mock provider answers by feature and records free usage', async t => {
+  useMock(t);
+  const query = stubPool(t);
+
+  const result = await ai.complete({ feature: 'smart_match', householdId: 7, prompt: 'Pick one' });
+  assert.equal(result.provider, 'mock');
+  assert.deepEqual(JSON.parse(result.text), { topChoice: 2, reasoning: 'Second one' });
+  assert.equal(result.cost, 0);
+  assert.ok(result.usage.input_tokens > 0 && result.usage.output_tokens > 0);
+
+  const insert = query.mock.calls.find(call => /INSERT INTO ai_usage/.test(call.arguments[0]));
+  assert.deepEqual(insert.arguments[1].slice(0, 5), ['smart_match', 7, 0, 'mock', result.model]);
+});
+
+test('the mock falls back to its default response and feeds completeJSON', async t => {
+  useMock(t);
+  stubPool(t);
+
+  assert.equal((await ai.complete({ feature: 'chat', prompt: 'Hi' })).text, 'Plain text');
+  assert.deepEqual((await ai.completeJSON({ feature: 'suggest_tags', prompt: 'Tags?', expect: 'array' })).data, ['Dinner', 'Easy']);
+});
+
+test('a feature the mock file has no answer for fails', async t => {
+  const file = path.join(path.dirname(MOCK_FILE), 'empty.json');
+  fs.writeFileSync(file, '{}');
+  useMock(t, { AI_MOCK_FILE: file });
+  stubPool(t);
+
+  await assert.rejects(ai.complete({ feature: 'chat', prompt: 'Hi' }), /No mock AI response for "chat"/);
+});
+
+test('without an API key calls fail as not configured instead of using the mock', async t => {
+  setEnv(t, { AI_PROVIDER: undefined, ANTHROPIC_API_KEY: undefined });
+  const query = stubPool(t);
+
+  await assert.rejects(ai.complete({ feature: 'chat', prompt: 'Hi' }), error => ai.isNotConfigured(error));
+  assert.equal(query.mock.callCount(), 0);
+  assert.match(ai.configurationProblem({ provider: 'openai' }), /Unknown AI_PROVIDER "openai"/);
+  assert.equal(ai.configurationProblem({ provider: 'mock' }), null);
+});
+
+test('prices calls by the longest matching model prefix', () => {
+  const usage = { input_tokens: 1000, output_tokens: 2000 };
+  assert.equal(ai.costFor({ provider: 'anthropic', model: 'claude-sonnet-4-20250514', usage }), 0.033);
+  assert.equal(ai.costFor({ provider: 'anthropic', model: 'claude-opus-4-5-20251101', usage }), 0.055);
+  assert.equal(ai.costFor({ provider: 'mock', model: 'claude-sonnet-4-20250514', usage }), 0);
+  assert.equal(ai.costFor({ provider: 'anthropic', model: 'claude-sonnet-4', usage: null }), 0);
+});
+
+test('AI_PRICES overrides merge in; malformed values are ignored', t => {
+  t.mock.method(console, 'error', () => {});
+
+  const prices = ai.loadPrices('{"claude-sonnet-4": {"input": 1, "output": 2}}');
+  assert.deepEqual(prices['claude-sonnet-4'], { input: 1, output: 2 });
+  assert.deepEqual(prices['claude-3-haiku'], ai.MODEL_PRICES['claude-3-haiku']);
+
+  for (const value of ['', '{not json', '[1]', '{"claude-sonnet-4": {"input": "3"}}']) {
+    assert.equal(ai.loadPrices(value), ai.MODEL_PRICES, value);
+  }
+});
+
+test('reports spend against the daily and monthly budgets', async t => {
+  stubPool(t, { today: '1.5', month: '4' });
+
+  const status = await ai.budgetStatus({ dailyBudget: 2, monthlyBudget: 5, budgetWarnAt: 0.8 });
+  assert.deepEqual(status.daily, { limit: 2, spent: 1.5, remaining: 0.5, exceeded: false, warning: false });
+  assert.deepEqual(status.monthly, { limit: 5, spent: 4, remaining: 1, exceeded: false, warning: true });
+  assert.equal(status.exceeded, false);
+  assert.equal(status.warning, true);
+});
+
+test('refuses calls once a budget is used up', async t => {
+  useMock(t, { AI_DAILY_BUDGET: '1' });
+  const query = stubPool(t, { today: '1.2', month: '1.2' });
+
+  await assert.rejects(ai.complete({ feature: 'chat', prompt: 'Hi' }), error => {
+    assert.ok(ai.isBudgetExceeded(error));
+    assert.match(error.message, /daily budget of \$1\.00 reached/);
+    return true;
+  });
+  assert.ok(query.mock.calls.every(call => !/INSERT/.test(call.arguments[0])));
+});
+
+test('retry delays back off and cap what retry-after asks for', () => {
+  assert.equal(ai.retryDelay({ retryAfter: 2 }, 0), 2000);
+  assert.equal(ai.retryDelay({ retryAfter: 3600 }, 0), 30000);
+
+  const first = ai.retryDelay({}, 0);
+  assert.ok(first >= 500 && first < 750);
+  assert.ok(ai.retryDelay({}, 10) < 8250);
+});
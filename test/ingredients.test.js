@@ -0,0 +1,34 @@
+// ingredients.js line parsing
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseIngredientLine } = require('../ingredients');
+
+function parsed(line) {
+  const { quantity, quantity_max, unit, name, preparation, optional } = parseIngredientLine(line);
+  return { quantity, quantity_max, unit, name, preparation, optional };
+}
+
+test('splits quantity, unit, name and preparation', () => {
+  assert.deepEqual(parsed('1 1/2 cups shredded Mexican blend cheese'), {
+    quantity: 1.5, quantity_max: null, unit: 'cup', name: 'Mexican blend cheese', preparation: 'shredded', optional: false
+  });
+  assert.deepEqual(parsed('2-3 cloves garlic, minced'), {
+    quantity: 2, quantity_max: 3, unit: 'clove', name: 'garlic', preparation: 'minced', optional: false
+  });
+  assert.deepEqual(parsed('1 lime (optional)'), {
+    quantity: 1, quantity_max: null, unit: null, name: 'lime', preparation: null, optional: true
+  });
+});
+
+test('ignores list bullets but keeps them in raw_text', () => {
+  assert.deepEqual(parsed('- 2 cups flour'), parsed('2 cups flour'));
+  assert.deepEqual(parsed('-2 tbsp olive oil'), parsed('2 tbsp olive oil'));
+  assert.deepEqual(parsed('* 1 1/2 tsp salt'), parsed('1 1/2 tsp salt'));
+  assert.deepEqual(parsed('• 3 eggs, beaten'), parsed('3 eggs, beaten'));
+  assert.equal(parsed('-Carrot').name, 'Carrot');
+  assert.equal(parseIngredientLine('- 2 cups flour').raw_text, '- 2 cups flour');
+});
+
+test('blank lines are skipped', () => {
+  assert.equal(parseIngredientLine('   '), null);
+});
@@ -0,0 +1,74 @@
+// receipts.js: reconciling an extracted order before it's saved
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateReceipt, parseMoney } = require('../receipts');
+
+const RECEIPT = {
+  restaurant: 'Pho 1',
+  items: [{ name: 'Pho', price: '$12.50' }, { name: 'Spring rolls', price: 6 }],
+  subtotal: 18.5,
+  deliveryFee: '2.99',
+  tax: 1.11,
+  tip: 3,
+  discount: -2,
+  total: 23.6
+};
+
+test('parses money in the shapes receipts come in', () => {
+  assert.equal(parseMoney('$1,234.50'), 1234.5);
+  assert.equal(parseMoney(7), 7);
+  assert.equal(parseMoney('about 7'), null);
+  assert.equal(parseMoney(NaN), null);
+});
+
+test('a receipt that adds up has no warnings', () => {
+  const result = validateReceipt(RECEIPT);
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.warnings, []);
+  assert.deepEqual(result.order.items.map(item => item.price), [12.5, 6]);
+  assert.equal(result.order.deliveryFee, 2.99);
+  assert.equal(result.order.serviceFee, 0);
+  assert.equal(result.order.discount, 2);
+  assert.equal(result.itemsTotal, 18.5);
+});
+
+test('items that miss the subtotal mark the subtotal low and the items medium', () => {
+  const result = validateReceipt({ ...RECEIPT, subtotal: 20, total: 25.1 });
+
+  assert.deepEqual(result.warnings, [
+    { field: 'subtotal', message: 'Items add up to $18.50, $1.50 less than the subtotal' }
+  ]);
+  assert.equal(result.confidence.subtotal, 'low');
+  assert.equal(result.confidence['items.0.price'], 'medium');
+  assert.equal(result.confidence.total, 'high');
+});
+
+test('a total that does not add up marks the total low and its parts medium', () => {
+  const result = validateReceipt({ ...RECEIPT, total: 30 });
+
+  assert.equal(result.ok, false);
+  assert.equal(result.warnings[0].field, 'total');
+  assert.equal(result.confidence.total, 'low');
+  assert.equal(result.confidence.tip, 'medium');
+  assert.equal(result.confidence['items.0.price'], 'high');
+});
+
+test('missing and unreadable fields are warnings, not errors', () => {
+  const result = validateReceipt({ restaurant: '', items: [{ name: 'Pho' }], total: 'abc' });
+
+  assert.deepEqual(result.warnings, [
+    { field: 'restaurant', message: 'No restaurant name' },
+    { field: 'subtotal', message: 'Missing' },
+    { field: 'total', message: '"abc" isn\'t an amount' },
+    { field: 'items.0.price', message: 'No price for "Pho"' }
+  ]);
+  assert.deepEqual(validateReceipt({ restaurant: 'Pho 1' }).warnings.map(warning => warning.field), ['subtotal', 'total', 'items']);
+});
+
+test('items that are not objects have no price', () => {
+  const result = validateReceipt({ ...RECEIPT, items: [null, 'Pho'] });
+
+  assert.deepEqual(result.warnings.map(warning => warning.message), ['No price for "item 1"', 'No price for "item 2"']);
+  assert.equal(validateReceipt(null).ok, false);
+});
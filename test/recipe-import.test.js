@@ -0,0 +1,84 @@
+// recipe-import.js against saved pages in test/fixtures (no live sites)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { extractRecipe, fetchRecipePage, isPublicAddress, normalizeSourceUrl, formatDuration } = require('../recipe-import');
+
+const PAGE_URL = 'https://example.com/recipes/tacos';
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+test('reads the Recipe node out of a JSON-LD @graph, skipping broken blocks', () => {
+  const recipe = extractRecipe(fixture('jsonld-graph.html'), PAGE_URL);
+
+  assert.equal(recipe.name, 'Weeknight Chicken Tacos & Slaw');
+  assert.equal(recipe.prep_time, '15 min');
+  assert.equal(recipe.cook_time, '1 hr 20 min');
+  assert.equal(recipe.total_time, '1 hr 35 min');
+  assert.equal(recipe.servings, '4 servings');
+  assert.deepEqual(recipe.ingredients.split('\n'), [
+    '1 1/2 lb chicken thighs',
+    '8 small corn tortillas',
+    '2 cups shredded cabbage',
+    '1 lime, cut into wedges (optional)'
+  ]);
+  assert.equal(
+    recipe.directions,
+    'Chicken:\nSeason the chicken.\n\nGrill until cooked through, about 8 minutes.\n\nFill the tortillas with chicken and slaw.'
+  );
+  assert.equal(recipe.notes, 'Quick tacos with a crunchy slaw.');
+  assert.equal(recipe.source_url, PAGE_URL);
+  assert.equal(recipe.photo_url, 'https://example.com/images/tacos.jpg');
+});
+
+test('falls back to microdata', () => {
+  const recipe = extractRecipe(fixture('microdata.html'), PAGE_URL);
+
+  assert.equal(recipe.name, "Grandma's Banana Bread");
+  assert.equal(recipe.prep_time, '10 min');
+  assert.equal(recipe.cook_time, '1 hr');
+  assert.equal(recipe.servings, '1 loaf');
+  assert.deepEqual(recipe.ingredients.split('\n'), [
+    '3 ripe bananas, mashed',
+    '1/3 cup melted butter',
+    '1 1/2 cups all-purpose flour'
+  ]);
+  assert.equal(recipe.directions, 'Heat the oven to 350°F.\n\nMix everything and bake for an hour.');
+  assert.equal(recipe.photo_url, 'https://cdn.example.com/banana-bread.jpg');
+});
+
+test('returns null for a page without a recipe', () => {
+  assert.equal(extractRecipe(fixture('no-recipe.html'), PAGE_URL), null);
+});
+
+test('formats ISO durations and passes other text through', () => {
+  assert.equal(formatDuration('PT45M'), '45 min');
+  assert.equal(formatDuration('P1DT2H'), '26 hr');
+  assert.equal(formatDuration('about an hour'), 'about an hour');
+});
+
+test('normalizes source URLs for duplicate checks', () => {
+  assert.equal(
+    normalizeSourceUrl('https://example.com/recipes/tacos/?utm_source=x&id=3#comments'),
+    'https://example.com/recipes/tacos?id=3'
+  );
+});
+
+test('only public addresses are fetchable', () => {
+  for (const address of ['127.0.0.1', '10.0.0.5', '172.16.4.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1']) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+  for (const address of ['93.184.216.34', '172.32.0.1', '2606:4700::1111', '::ffff:8.8.8.8']) {
+    assert.equal(isPublicAddress(address), true, address);
+  }
+});
+
+test('refuses to fetch internal URLs', async () => {
+  for (const url of ['http://127.0.0.1:3000/api/people', 'http://169.254.169.254/latest/meta-data/', 'http://[::1]/', 'http://localhost/']) {
+    await assert.rejects(fetchRecipePage(url), { code: 'URL_NOT_ALLOWED' }, url);
+  }
+  await assert.rejects(fetchRecipePage('file:///etc/passwd'), { code: 'URL_NOT_ALLOWED' });
+});
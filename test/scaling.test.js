@@ -0,0 +1,42 @@
+// scaling.js: servings parsing, scaling and unit conversion
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseIngredientLine } = require('../ingredients');
+const { parseServings, scaleIngredients, formatQuantity } = require('../scaling');
+
+function scaled(lines, factor, units) {
+  return scaleIngredients(lines.map(parseIngredientLine), factor, units).map(ingredient => ingredient.text);
+}
+
+test('reads the count out of a servings string', () => {
+  assert.deepEqual(parseServings('10 servings'), { count: 10, prefix: '', suffix: ' servings' });
+  assert.deepEqual(parseServings('Serves 4 to 6'), { count: 4, prefix: 'Serves ', suffix: '' });
+  assert.deepEqual(parseServings('Makes two loaves'), { count: 2, prefix: 'Makes ', suffix: ' loaves' });
+  assert.equal(parseServings('a crowd'), null);
+  assert.equal(parseServings(null), null);
+});
+
+test('scales quantities and ranges, leaving unmeasured lines alone', () => {
+  assert.deepEqual(scaled(['1 1/2 cups milk', '2-3 cloves garlic, minced', 'Salt to taste'], 2, null), [
+    '3 cups milk', '4-6 cloves garlic, minced', 'Salt to taste'
+  ]);
+});
+
+test('rebalances US spoons and cups when scaling down', () => {
+  assert.deepEqual(scaled(['1 tbsp sugar'], 0.25, null), ['3/4 tsp sugar']);
+});
+
+test('converts between US and metric', () => {
+  // Flour has a grams-per-cup weight; small spoon measures stay spoons
+  assert.deepEqual(scaled(['2 cups flour', '1 lb ground beef', '1 tsp salt'], 1, 'metric'), [
+    '250 g flour', '455 g beef, ground', '1 tsp salt'
+  ]);
+  assert.deepEqual(scaled(['500 g pasta'], 1, 'us'), ['1 1/8 lbs pasta']);
+});
+
+test('rounds to measurable fractions', () => {
+  assert.equal(formatQuantity(0.3, 'cup'), '1/3');
+  assert.equal(formatQuantity(1.55, 'cup'), '1 1/2');
+  assert.equal(formatQuantity(0.01, 'tsp'), '1/8');
+  assert.equal(formatQuantity(123, 'g'), '125');
+});
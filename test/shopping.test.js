@@ -0,0 +1,51 @@
+// shopping.js: merging recipes' ingredients into one aisle-ordered list
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseIngredientLine } = require('../ingredients');
+const { buildShoppingList, formatShoppingItem, formatShoppingListText, aisleFor } = require('../shopping');
+
+function recipe(name, lines, factor = 1) {
+  return { name, factor, ingredients: lines.map(parseIngredientLine).filter(Boolean) };
+}
+
+const list = buildShoppingList([
+  recipe('Tacos', ['1 cup milk', '2 cloves garlic', '1 tbsp butter', 'Water', '1 lime (optional)']),
+  recipe('Soup', ['1/2 cup milk', '4 garlic cloves, minced', '2 tbsp butter', '1 lb carrots'], 2)
+]);
+
+function item(name) {
+  return list.find(entry => entry.name === name);
+}
+
+test('adds up like items across recipes, scaled by each recipe', () => {
+  assert.equal(formatShoppingItem(item('milk')), '2 cups milk');
+  assert.deepEqual(item('milk').recipes, ['Tacos', 'Soup']);
+  assert.equal(formatShoppingItem(item('garlic')), '10 garlic');
+  assert.equal(formatShoppingItem(item('carrots')), '2 lbs carrots');
+});
+
+test('combines different units of the same dimension', () => {
+  // 1 tbsp + 2 x 2 tbsp = 5 tbsp
+  assert.equal(formatShoppingItem(item('butter')), '1/3 cup butter');
+});
+
+test('skips water and keeps optional only when every recipe says so', () => {
+  assert.equal(item('Water'), undefined);
+  assert.equal(item('lime').optional, true);
+  assert.equal(item('milk').optional, false);
+});
+
+test('orders items by aisle', () => {
+  assert.deepEqual(list.map(entry => entry.aisle), ['produce', 'produce', 'produce', 'dairy & eggs', 'dairy & eggs']);
+  assert.equal(aisleFor('garlic powder'), 'spices & seasonings');
+  assert.equal(aisleFor('garlic'), 'produce');
+  assert.equal(aisleFor('frozen peas'), 'frozen');
+});
+
+test('exports a checklist grouped by aisle', () => {
+  const text = formatShoppingListText({ name: 'Week', recipes: [{ recipe_name: 'Tacos' }] }, [
+    { aisle: 'produce', name: 'lime', quantity: 2, unit: null, checked: true, optional: false },
+    { aisle: 'dairy & eggs', name: 'milk', quantity: 1, unit: 'cup', checked: false, optional: false }
+  ]);
+  assert.equal(text, '🛒 Week\nFor: Tacos\n\nPRODUCE\n[x] 2 lime\n\nDAIRY & EGGS\n[ ] 1 cup milk\n');
+});
@@ -0,0 +1,59 @@
+// tags.js: the taxonomy helpers that don't touch the database
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  canonicalTag, canonicalTags, replaceTag, normalizeSynonyms, matchTerms, filterChips, filterTagMap, tagListPrompt
+} = require('../tags');
+
+// Rows as loadTags returns them
+const TAGS = [
+  { category: 'Course', name: 'Main Dish', synonyms: ['entree', 'dinner'], filter_id: 'main-dish', filter_icon: '🍽️', filter_label: null, filter_page: 1 },
+  { category: 'Course', name: 'Dessert', synonyms: [], filter_id: null, filter_icon: null, filter_label: null, filter_page: null },
+  { category: 'Time', name: 'Quick (< 30 min)', synonyms: ['quick', 'weeknight'], filter_id: 'quick', filter_icon: '⚡', filter_label: 'Quick', filter_page: 2 },
+  { category: 'Characteristics', name: 'Healthy', synonyms: ['light'], filter_id: null, filter_icon: null, filter_label: null, filter_page: null },
+  { category: 'Characteristics', name: 'Light', synonyms: [], filter_id: null, filter_icon: null, filter_label: null, filter_page: null }
+];
+
+test('finds the canonical tag for a name or synonym in any case', () => {
+  assert.equal(canonicalTag(TAGS, 'main dish'), 'Main Dish');
+  assert.equal(canonicalTag(TAGS, ' Entree '), 'Main Dish');
+  assert.equal(canonicalTag(TAGS, 'WEEKNIGHT'), 'Quick (< 30 min)');
+  assert.equal(canonicalTag(TAGS, 'brunch'), null);
+  assert.equal(canonicalTag(TAGS, ''), null);
+});
+
+test("a tag's name wins over another tag's synonym", () => {
+  assert.equal(canonicalTag(TAGS, 'light'), 'Light');
+});
+
+test('canonicalizes AI tag lists, dropping repeats and unknown tags', () => {
+  assert.deepEqual(canonicalTags(TAGS, ['entree', 'Main Dish', 'spicy', 'quick']), ['Main Dish', 'Quick (< 30 min)']);
+  assert.deepEqual(canonicalTags(TAGS, null), []);
+});
+
+test('replaces a tag in place without repeating it', () => {
+  assert.deepEqual(replaceTag(['Dessert', 'Quick', 'Healthy'], 'Quick', 'Light'), ['Dessert', 'Light', 'Healthy']);
+  assert.deepEqual(replaceTag(['Light', 'Healthy'], 'Healthy', 'Light'), ['Light']);
+  assert.deepEqual(replaceTag(['Dessert', 'Healthy'], 'Healthy', null), ['Dessert']);
+  assert.deepEqual(replaceTag(null, 'Healthy', 'Light'), []);
+});
+
+test('normalizes synonyms to trimmed lowercase without blanks or repeats', () => {
+  assert.deepEqual(normalizeSynonyms([' Weeknight', 'weeknight', '', 'FAST']), ['weeknight', 'fast']);
+});
+
+test('match terms include each tag name and its synonyms', () => {
+  assert.deepEqual(matchTerms(TAGS, ['Main Dish', 'Spicy']), ['main dish', 'entree', 'dinner', 'spicy']);
+});
+
+test('builds filter chips by page', () => {
+  assert.deepEqual(filterChips(TAGS), [
+    { id: 'main-dish', icon: '🍽️', label: 'Main Dish', page: 1, tag: 'Main Dish' },
+    { id: 'quick', icon: '⚡', label: 'Quick', page: 2, tag: 'Quick (< 30 min)' }
+  ]);
+  assert.deepEqual(filterTagMap(TAGS), { 'main-dish': 'Main Dish', quick: 'Quick (< 30 min)' });
+});
+
+test('lists tags by category for prompts', () => {
+  assert.equal(tagListPrompt(TAGS), 'Course: Main Dish, Dessert\nTime: Quick (< 30 min)\nCharacteristics: Healthy, Light');
+});